@@ -0,0 +1,105 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Adaptive Batch Sizing
+// Node.js counterpart of PLTelemetry.calculate_optimal_batch_size: picks the
+// batch size from plt_rate_limit_config tiers using measured collector latency
+// =============================================================================
+
+const { DEFAULT_RATE_LIMIT_TIERS } = require('./OracleSettings');
+
+/**
+ * Same rules as calculate_optimal_batch_size
+ * @param {Object} config { tiers, minBatch, maxBatch, defaultBatch }
+ * @param {number|null} avgLatencyMs null when nothing was measured yet
+ * @param {number} errorRate Failed / attempted items
+ */
+function optimalBatchSize(config, avgLatencyMs, errorRate) {
+  let size = config.defaultBatch;
+  if (avgLatencyMs !== null) {
+    const tier = config.tiers.find((t) => t.thresholdMs >= avgLatencyMs);
+    if (tier) size = tier.batchSize;
+  }
+
+  if (errorRate > 0.1) {
+    size *= 0.5;
+  } else if (errorRate > 0.05) {
+    size *= 0.75;
+  }
+  return Math.max(config.minBatch, Math.min(config.maxBatch, Math.trunc(size)));
+}
+
+class AdaptiveBatchSizer {
+  /**
+   * @param {Object} [options]
+   * @param {OracleSettings} [options.settings] Loads tiers and batch limits
+   * @param {number} [options.defaultBatch] Size before any latency is measured, unless DEFAULT_BATCH_SIZE is configured
+   * @param {number} [options.windowMs] How far back runs count (core uses 5 minutes)
+   * @param {number} [options.refreshMs] How often the tier table is reloaded
+   */
+  constructor(options = {}) {
+    this.settings = options.settings || null;
+    this.windowMs = options.windowMs || 5 * 60 * 1000;
+    this.refreshMs = options.refreshMs || 60000;
+
+    this.config = {
+      tiers: DEFAULT_RATE_LIMIT_TIERS,
+      minBatch: 10,
+      maxBatch: 1000,
+      defaultBatch: options.defaultBatch || 100
+    };
+    this.loadedAt = 0;
+    this.runs = [];
+    this.current = this.config.defaultBatch;
+  }
+
+  /**
+   * Reload plt_rate_limit_config if it is older than refreshMs. Keeps the
+   * previous values when Oracle cannot be read.
+   */
+  async refresh(now = Date.now()) {
+    if (!this.settings || now - this.loadedAt < this.refreshMs) return;
+    this.loadedAt = now;
+    try {
+      const config = await this.settings.loadRateLimitConfig();
+      this.config = { ...config, tiers: config.tiers.length > 0 ? config.tiers : DEFAULT_RATE_LIMIT_TIERS };
+    } catch (error) {
+      console.error('⚠️ Could not load plt_rate_limit_config, keeping previous tiers:', error.message);
+    }
+  }
+
+  /**
+   * Record one run
+   * @param {Object} run
+   * @param {number} run.processed
+   * @param {number} run.failed
+   * @param {number|null} run.avgLatencyMs Average collector round trip, null if no request was made
+   */
+  record(run, now = Date.now()) {
+    this.runs.push({ ...run, time: now });
+    this.runs = this.runs.filter((r) => now - r.time <= this.windowMs);
+  }
+
+  /**
+   * Batch size for the next run
+   */
+  async size(now = Date.now()) {
+    await this.refresh(now);
+    this.runs = this.runs.filter((r) => now - r.time <= this.windowMs);
+
+    const measured = this.runs.filter((r) => r.avgLatencyMs !== null);
+    const avgLatencyMs = measured.length > 0
+      ? measured.reduce((sum, r) => sum + r.avgLatencyMs, 0) / measured.length
+      : null;
+    const attempted = this.runs.reduce((sum, r) => sum + r.processed + r.failed, 0);
+    const errorRate = attempted > 0 ? this.runs.reduce((sum, r) => sum + r.failed, 0) / attempted : 0;
+
+    const size = optimalBatchSize(this.config, avgLatencyMs, errorRate);
+    if (size !== this.current) {
+      console.log(`📏 Batch size ${this.current} → ${size} (avg latency ${avgLatencyMs === null ? '-' : Math.round(avgLatencyMs)}ms, ` +
+        `error rate ${(errorRate * 100).toFixed(1)}%)`);
+      this.current = size;
+    }
+    return size;
+  }
+}
+
+module.exports = { AdaptiveBatchSizer, optimalBatchSize };
@@ -0,0 +1,59 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Core Configuration Tables
+// Reads and writes the PLTelemetry tables that coordinate agents and PL/SQL
+// =============================================================================
+
+const oracledb = require('oracledb');
+const { PulseSettings } = require('pltelemetry-otlp');
+
+// Same values as install/tables/plt_tables.sql, highest priority first
+const DEFAULT_RATE_LIMIT_TIERS = [
+  { thresholdMs: 0, batchSize: 500 },
+  { thresholdMs: 100, batchSize: 300 },
+  { thresholdMs: 500, batchSize: 150 },
+  { thresholdMs: 1000, batchSize: 75 },
+  { thresholdMs: 2000, batchSize: 25 },
+  { thresholdMs: 9999999, batchSize: 10 }
+];
+
+/**
+ * Pulse throttling tables (loadPulseConfig, setFailoverConfig) come from
+ * PulseSettings, shared with the bridges
+ */
+class OracleSettings extends PulseSettings {
+  /**
+   * Active plt_rate_limit_config tiers and the batch limits from
+   * plt_failover_config, as read by PLTelemetry.calculate_optimal_batch_size
+   * @returns {Promise<{tiers: Array<{thresholdMs: number, batchSize: number}>, minBatch: number, maxBatch: number, defaultBatch: number}>}
+   */
+  async loadRateLimitConfig() {
+    const { rows: tiers } = await this.query(
+      `SELECT latency_threshold_ms, optimal_batch_size
+       FROM plt_rate_limit_config
+       WHERE is_active = 'Y'
+       ORDER BY priority`,
+      {},
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const { rows: limits } = await this.query(
+      `SELECT config_key, config_value
+       FROM plt_failover_config
+       WHERE config_key IN ('MIN_BATCH_SIZE', 'MAX_BATCH_SIZE', 'DEFAULT_BATCH_SIZE')`,
+      {},
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const limit = (key, fallback) => {
+      const row = limits.find((r) => r.CONFIG_KEY === key);
+      return Number(row && row.CONFIG_VALUE) || fallback;
+    };
+    return {
+      tiers: tiers.map((row) => ({ thresholdMs: row.LATENCY_THRESHOLD_MS, batchSize: row.OPTIMAL_BATCH_SIZE })),
+      minBatch: limit('MIN_BATCH_SIZE', 10),
+      maxBatch: limit('MAX_BATCH_SIZE', 1000),
+      defaultBatch: limit('DEFAULT_BATCH_SIZE', 100)
+    };
+  }
+}
+
+module.exports = { OracleSettings, DEFAULT_RATE_LIMIT_TIERS };
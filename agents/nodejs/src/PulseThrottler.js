@@ -0,0 +1,9 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Pulse Throttling
+// The throttler lives in pltelemetry-otlp so the bridges back off the same
+// way; the agent publishes its mode as AGENT_PULSE_MODE (the default key)
+// =============================================================================
+
+const { PulseThrottler, modeForHeat, MODES } = require('pltelemetry-otlp');
+
+module.exports = { PulseThrottler, modeForHeat, MODES };
@@ -0,0 +1,330 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Queue Drain Loop
+// Polls plt_queue, exports payloads and heartbeats into plt_agent_registry
+// =============================================================================
+
+const oracledb = require('oracledb');
+const { parsePayload, classifyPayload } = require('./payload');
+
+// plt_queue.last_error and plt_agent_registry.status_message are VARCHAR2(4000)
+const MAX_MESSAGE_LENGTH = 4000;
+
+const SELECT_BATCH = `
+  SELECT queue_id, payload, process_attempts
+  FROM plt_queue
+  WHERE processed = 'N'
+    AND process_attempts < :maxAttempts
+    AND (:tenantId IS NULL OR tenant_id = :tenantId)
+  ORDER BY queue_id
+  FETCH FIRST :batchSize ROWS ONLY`;
+
+// Same claim as PLTelemetry.process_queue, so the attempt counts even if the agent dies mid-export
+const CLAIM_ITEM = `
+  UPDATE plt_queue
+  SET process_attempts = process_attempts + 1,
+      last_attempt_time = SYSTIMESTAMP
+  WHERE queue_id = :queueId
+    AND processed = 'N'`;
+
+const MARK_PROCESSED = `
+  UPDATE plt_queue
+  SET processed = 'Y',
+      processed_time = SYSTIMESTAMP,
+      last_error = :note
+  WHERE queue_id = :queueId`;
+
+const MARK_FAILED = `
+  UPDATE plt_queue
+  SET last_error = :error
+  WHERE queue_id = :queueId`;
+
+// Columns read by PLTelemetry.get_agent_health / should_activate_fallback
+const HEARTBEAT = `
+  MERGE INTO plt_agent_registry r
+  USING (SELECT :agentId AS agent_id FROM dual) s
+  ON (r.agent_id = s.agent_id)
+  WHEN MATCHED THEN UPDATE SET
+    last_heartbeat = SYSTIMESTAMP,
+    last_process_time = CASE WHEN :planned > 0 THEN SYSTIMESTAMP ELSE r.last_process_time END,
+    items_processed = :processed,
+    items_planned = :planned,
+    process_interval = :intervalSeconds,
+    next_run_expected = SYSTIMESTAMP + NUMTODSINTERVAL(:intervalSeconds, 'SECOND'),
+    status_message = :message,
+    updated_at = SYSTIMESTAMP
+  WHEN NOT MATCHED THEN INSERT
+    (agent_id, last_heartbeat, last_process_time, items_processed, items_planned,
+     process_interval, next_run_expected, status_message)
+  VALUES
+    (s.agent_id, SYSTIMESTAMP, CASE WHEN :planned > 0 THEN SYSTIMESTAMP END, :processed, :planned,
+     :intervalSeconds, SYSTIMESTAMP + NUMTODSINTERVAL(:intervalSeconds, 'SECOND'), :message)`;
+
+// Same row PLTelemetry.process_queue_fallback writes, so one dashboard covers both
+const INSERT_FALLBACK_METRICS = `
+  INSERT INTO plt_fallback_metrics
+    (metric_time, batch_size, items_processed, items_failed, avg_latency_ms, http_errors, total_duration_ms)
+  VALUES
+    (SYSTIMESTAMP, :batchSize, :processed, :failed, :avgLatencyMs, :httpErrors, :durationMs)`;
+
+const MARK_STOPPED = `
+  UPDATE plt_agent_registry
+  SET next_run_expected = NULL,
+      status_message = :message,
+      updated_at = SYSTIMESTAMP
+  WHERE agent_id = :agentId`;
+
+function truncate(text) {
+  return text === undefined || text === null ? null : String(text).slice(0, MAX_MESSAGE_LENGTH);
+}
+
+class QueueAgent {
+  /**
+   * @param {Object} options
+   * @param {Object} options.pool oracledb pool
+   * @param {Object} options.exporter Exporter (see exporters/index.js)
+   * @param {string} [options.agentId] plt_agent_registry.agent_id (the core checks 'PRIMARY')
+   * @param {number} [options.batchSize] Items per run
+   * @param {number} [options.intervalMs] Pause between runs
+   * @param {number} [options.maxAttempts] Items with this many attempts are left alone (core uses 5)
+   * @param {string} [options.tenantId] Only drain this tenant's items
+   * @param {PulseThrottler} [options.throttler] Scales batch/interval and drops items by pulse mode
+   * @param {AdaptiveBatchSizer} [options.batchSizer] Replaces batchSize with a latency-based size
+   */
+  constructor(options) {
+    this.pool = options.pool;
+    this.exporter = options.exporter;
+    this.agentId = options.agentId || 'PRIMARY';
+    this.batchSize = options.batchSize || 100;
+    this.intervalMs = options.intervalMs || 5000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.tenantId = options.tenantId || null;
+    this.throttler = options.throttler || null;
+    this.batchSizer = options.batchSizer || null;
+
+    this.timer = null;
+    this.current = null;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    console.log(`🐕 Queue agent ${this.agentId} started (exporter: ${this.exporter.name || 'custom'}, ` +
+      `batch: ${this.batchSizer ? 'adaptive' : this.batchSize}, interval: ${this.intervalMs}ms)`);
+    this.schedule(0);
+  }
+
+  schedule(delayMs) {
+    this.timer = setTimeout(async () => {
+      this.current = this.runOnce().catch((error) => {
+        console.error('❌ Queue agent run failed:', error.message);
+      });
+      await this.current;
+      this.current = null;
+      if (!this.stopped) this.schedule(this.currentIntervalMs());
+    }, delayMs);
+  }
+
+  /**
+   * Finish the current run, then tell the core this agent is no longer expected
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.current) await this.current;
+
+    await this.withConnection((connection) =>
+      connection.execute(MARK_STOPPED, { agentId: this.agentId, message: 'Stopped' }, { autoCommit: true })
+    ).catch((error) => console.error('❌ Could not mark agent stopped:', error.message));
+    console.log(`🛑 Queue agent ${this.agentId} stopped`);
+  }
+
+  async withConnection(fn) {
+    const connection = await this.pool.getConnection();
+    try {
+      return await fn(connection);
+    } finally {
+      await connection.close();
+    }
+  }
+
+  async currentBatchSize() {
+    const base = this.batchSizer ? await this.batchSizer.size() : this.batchSize;
+    return this.throttler ? this.throttler.batchSize(base) : base;
+  }
+
+  currentIntervalMs() {
+    return this.throttler ? this.throttler.intervalMs(this.intervalMs) : this.intervalMs;
+  }
+
+  /**
+   * Drain one batch and heartbeat
+   * @returns {Promise<{planned: number, processed: number, failed: number}>}
+   */
+  async runOnce() {
+    return this.withConnection(async (connection) => {
+      const stats = { planned: 0, processed: 0, failed: 0 };
+
+      // COMA: leave the queue to the PL/SQL fallback but keep heartbeating
+      if (this.throttler && !this.throttler.queueProcessing) {
+        await this.heartbeat(connection, stats, `Queue processing suspended (${this.throttler.mode})`);
+        return stats;
+      }
+
+      const batchSize = await this.currentBatchSize();
+      const items = await this.claim(connection, batchSize);
+      stats.planned = items.length;
+      let message = 'Queue empty';
+
+      if (items.length > 0) {
+        const started = performance.now();
+        const results = await this.exportItems(items);
+        const durationMs = performance.now() - started;
+        await this.record(connection, items, results, stats);
+        await this.recordMetrics(connection, batchSize, stats, durationMs);
+        message = `Exported ${stats.processed}/${stats.planned} via ${this.exporter.name || 'custom'}` +
+          (this.throttler ? ` in ${this.throttler.mode}` : '') +
+          (stats.failed > 0 ? ` (${stats.failed} failed: ${results.find((r) => !r.ok).error})` : '');
+        console.log(`📤 ${message}`);
+      }
+
+      await this.heartbeat(connection, stats, message);
+      return stats;
+    });
+  }
+
+  /**
+   * Select the next batch and count an attempt on each item
+   */
+  async claim(connection, batchSize) {
+    const { rows } = await connection.execute(
+      SELECT_BATCH,
+      { maxAttempts: this.maxAttempts, tenantId: this.tenantId, batchSize },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (rows.length === 0) return [];
+
+    const claimed = [];
+    for (const row of rows) {
+      const result = await connection.execute(CLAIM_ITEM, { queueId: row.QUEUE_ID });
+      // Someone else (e.g. the PL/SQL fallback) processed it in the meantime
+      if (result.rowsAffected === 1) {
+        claimed.push({ queueId: row.QUEUE_ID, payload: row.PAYLOAD, attempts: row.PROCESS_ATTEMPTS + 1 });
+      }
+    }
+    await connection.commit();
+    return claimed;
+  }
+
+  /**
+   * Never throws: an exporter failure fails every item of the batch
+   */
+  async exportItems(items) {
+    const results = new Array(items.length);
+    const exportable = [];
+    items.forEach((item, index) => {
+      const reason = this.dropReason(item);
+      if (reason) {
+        results[index] = { ok: true, note: `Dropped: ${reason}` };
+      } else {
+        exportable.push(index);
+      }
+    });
+    if (exportable.length === 0) return results;
+
+    const batch = exportable.map((index) => items[index]);
+    let exported;
+    try {
+      exported = await this.exporter.export(batch);
+      if (!Array.isArray(exported) || exported.length !== batch.length) {
+        throw new Error(`Exporter returned ${exported && exported.length} results for ${batch.length} items`);
+      }
+    } catch (error) {
+      exported = batch.map(() => ({ ok: false, error: error.message }));
+    }
+    exportable.forEach((index, i) => { results[index] = exported[i]; });
+    return results;
+  }
+
+  /**
+   * Sampled-out or disabled items are marked processed, like the core does
+   * when it throttles in PL/SQL. Malformed payloads go to the exporter,
+   * which reports them as failed
+   */
+  dropReason(item) {
+    if (!this.throttler) return null;
+    try {
+      const json = parsePayload(item.payload);
+      return this.throttler.drop(json, classifyPayload(json));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async record(connection, items, results, stats) {
+    const processed = [];
+    const failed = [];
+
+    items.forEach((item, index) => {
+      const result = results[index];
+      if (result.ok) {
+        processed.push({ queueId: item.queueId, note: truncate(result.note) });
+      } else {
+        failed.push({ queueId: item.queueId, error: truncate(`[${this.agentId}] ${result.error}`) });
+      }
+    });
+
+    const bindDefs = { queueId: { type: oracledb.NUMBER }, note: { type: oracledb.STRING, maxSize: MAX_MESSAGE_LENGTH } };
+    if (processed.length > 0) {
+      await connection.executeMany(MARK_PROCESSED, processed, { bindDefs });
+    }
+    if (failed.length > 0) {
+      await connection.executeMany(MARK_FAILED, failed, {
+        bindDefs: { queueId: bindDefs.queueId, error: bindDefs.note }
+      });
+    }
+    await connection.commit();
+
+    stats.processed = processed.length;
+    stats.failed = failed.length;
+  }
+
+  /**
+   * Feed the batch sizer and write a plt_fallback_metrics row. Latency is the
+   * collector round trip when the exporter keeps requestStats, otherwise the
+   * time spent in export(). Committed with the heartbeat.
+   */
+  async recordMetrics(connection, batchSize, stats, durationMs) {
+    const requests = this.exporter.requestStats ? this.exporter.requestStats.take() : null;
+    const avgLatencyMs = requests ? requests.avgLatencyMs : durationMs;
+    const httpErrors = requests ? requests.httpErrors : stats.failed;
+
+    if (this.batchSizer) {
+      this.batchSizer.record({ processed: stats.processed, failed: stats.failed, avgLatencyMs });
+    }
+
+    await connection.execute(INSERT_FALLBACK_METRICS, {
+      batchSize,
+      processed: stats.processed,
+      failed: stats.failed,
+      avgLatencyMs: avgLatencyMs === null ? 0 : Math.round(avgLatencyMs),
+      httpErrors,
+      durationMs: Math.round(durationMs)
+    }).catch((error) => console.error('⚠️ Could not write plt_fallback_metrics:', error.message));
+  }
+
+  /**
+   * items_processed / items_planned feed the core's DEGRADED check (< 70%)
+   */
+  async heartbeat(connection, stats, message) {
+    await connection.execute(HEARTBEAT, {
+      agentId: this.agentId,
+      planned: stats.planned,
+      processed: stats.processed,
+      intervalSeconds: Math.max(1, Math.ceil(this.currentIntervalMs() / 1000)),
+      message: truncate(message)
+    }, { autoCommit: true });
+  }
+}
+
+module.exports = { QueueAgent };
@@ -0,0 +1,78 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Entry Point
+// Configured through environment variables (see README.md)
+// =============================================================================
+
+const oracledb = require('oracledb');
+const { QueueAgent } = require('./QueueAgent');
+const { OracleSettings } = require('./OracleSettings');
+const { PulseThrottler } = require('./PulseThrottler');
+const { AdaptiveBatchSizer } = require('./AdaptiveBatchSizer');
+const { createExporter } = require('./exporters');
+
+function exporterOptions(name) {
+  if (name === 'postgres') {
+    return { url: process.env.PLT_BRIDGE_URL, apiKey: process.env.PLT_BRIDGE_API_KEY };
+  }
+  return {
+    endpoint: process.env.OTLP_ENDPOINT,
+    serviceName: process.env.OTEL_SERVICE_NAME,
+    protocol: process.env.OTEL_EXPORTER_OTLP_PROTOCOL
+  };
+}
+
+async function main() {
+  const exporterName = process.env.PLT_EXPORTER || 'otlp';
+
+  const pool = await oracledb.createPool({
+    user: process.env.PLT_ORACLE_USER,
+    password: process.env.PLT_ORACLE_PASSWORD,
+    connectString: process.env.PLT_ORACLE_CONNECT_STRING,
+    poolMin: 1,
+    poolMax: 4
+  });
+
+  const settings = new OracleSettings(pool);
+  const batchSize = Number(process.env.PLT_BATCH_SIZE) || undefined;
+
+  let throttler = null;
+  if (process.env.PLT_PULSE_ENABLED !== 'false') {
+    throttler = new PulseThrottler({
+      settings,
+      checkIntervalMs: Number(process.env.PLT_PULSE_CHECK_INTERVAL_MS) || undefined
+    });
+    await throttler.start();
+  }
+
+  const agent = new QueueAgent({
+    pool,
+    exporter: createExporter(exporterName, exporterOptions(exporterName)),
+    agentId: process.env.PLT_AGENT_ID,
+    batchSize,
+    batchSizer: process.env.PLT_ADAPTIVE_BATCH === 'false' ? null : new AdaptiveBatchSizer({ settings, defaultBatch: batchSize }),
+    intervalMs: Number(process.env.PLT_POLL_INTERVAL_MS) || undefined,
+    maxAttempts: Number(process.env.PLT_MAX_ATTEMPTS) || undefined,
+    tenantId: process.env.PLT_TENANT_FILTER,
+    throttler
+  });
+  agent.start();
+
+  const shutdown = async () => {
+    console.log('🛑 Queue agent shutting down...');
+    await agent.stop();
+    if (throttler) throttler.stop();
+    await pool.close(10);
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Queue agent failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,73 @@
+// =============================================================================
+// PLTelemetry Queue Agent - OTLP/HTTP Exporter
+// Sends spans, metrics and logs to an OpenTelemetry Collector (port 4318)
+// =============================================================================
+
+const otlp = require('pltelemetry-otlp');
+const { RequestStats } = require('./RequestStats');
+
+const FORMATS = {
+  'http/json': 'json',
+  'http/protobuf': 'protobuf'
+};
+
+class OtlpHttpExporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] Collector base URL
+   * @param {string} [options.serviceName] service.name resource attribute
+   * @param {string} [options.protocol] 'http/json' (default) or 'http/protobuf'
+   * @param {Object} [options.headers] Extra request headers
+   * @param {number} [options.timeoutMs]
+   */
+  constructor(options = {}) {
+    this.name = 'otlp';
+    this.endpoint = (options.endpoint || 'http://localhost:4318').replace(/\/+$/, '');
+    this.resource = { serviceName: options.serviceName || 'oracle-plsql' };
+    this.format = FORMATS[options.protocol || 'http/json'];
+    if (!this.format) {
+      throw new Error(`Unsupported OTLP protocol "${options.protocol}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    this.headers = options.headers || {};
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.requestStats = new RequestStats();
+  }
+
+  /**
+   * Export queue items with one request per signal type
+   * @param {Array<{queueId: number, payload: string}>} items
+   * @returns {Promise<Array<{ok: boolean, error?: string}>>} One result per item, in order
+   */
+  async export(items) {
+    const converted = otlp.convert(items.map((item) => item.payload), this.resource);
+    const outcomes = {};
+
+    for (const [signal, type] of [['traces', 'span'], ['metrics', 'metric'], ['logs', 'log']]) {
+      if (!converted[signal]) continue;
+      try {
+        await this.post(otlp.encode(signal, converted[signal], this.format));
+        outcomes[type] = { ok: true };
+      } catch (error) {
+        outcomes[type] = { ok: false, error: error.message };
+      }
+    }
+
+    return converted.items.map((item) => (item.error ? { ok: false, error: item.error } : outcomes[item.type]));
+  }
+
+  async post({ path, contentType, body }) {
+    const response = await this.requestStats.time(() => fetch(`${this.endpoint}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, ...this.headers },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    }));
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`OTLP ${path} returned HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  }
+}
+
+module.exports = { OtlpHttpExporter };
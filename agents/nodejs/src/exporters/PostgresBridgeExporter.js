@@ -0,0 +1,90 @@
+// =============================================================================
+// PLTelemetry Queue Agent - PostgreSQL Bridge Exporter
+// Sends queue items to the Node.js PostgreSQL bridge batch endpoint
+// =============================================================================
+
+const { RequestStats } = require('./RequestStats');
+
+class PostgresBridgeExporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] Bridge base URL
+   * @param {string} [options.apiKey] Sent as X-PLSQL-API-KEY
+   * @param {number} [options.timeoutMs]
+   */
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.url = (options.url || 'http://localhost:3090').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.requestStats = new RequestStats();
+  }
+
+  /**
+   * Export queue items in one POST /telemetry/batch. Items the bridge rejected
+   * but kept as dead letters count as exported: they are safe in PostgreSQL
+   * and retrying them from Oracle would only fail again.
+   * @param {Array<{queueId: number, payload: string}>} items
+   * @returns {Promise<Array<{ok: boolean, error?: string, note?: string}>>} One result per item, in order
+   */
+  async export(items) {
+    const response = await this.post('/telemetry/batch',
+      items.map((item) => ({ queue_id: item.queueId, payload: item.payload })));
+
+    // 422: the database rejected one of the values and nothing was written.
+    // Send items one by one so only the bad one is dead-lettered.
+    if (response.status === 422) {
+      const results = [];
+      for (const item of items) {
+        results.push(await this.exportOne(item));
+      }
+      return results;
+    }
+
+    const body = await this.readBody(response);
+    return body.results.map((result) => this.resultOf(result.accepted, result));
+  }
+
+  async exportOne(item) {
+    try {
+      const response = await this.post('/telemetry', item.payload);
+      if (response.ok) return { ok: true };
+      if (response.status >= 500) return { ok: false, error: `Bridge returned HTTP ${response.status}` };
+      return this.resultOf(false, await response.json().catch(() => ({})));
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  resultOf(accepted, result) {
+    // Dropped by the bridge's own pulse throttling: nothing to retry
+    if (accepted && result.dropped) return { ok: true, note: `Dropped by bridge: ${result.dropped}` };
+    if (accepted) return { ok: true };
+    if (result.dead_letter_id) {
+      return { ok: true, note: `Dead-lettered in PostgreSQL (export_id ${result.dead_letter_id}): ${result.error}` };
+    }
+    return { ok: false, error: result.error || 'Rejected by bridge' };
+  }
+
+  async post(path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['X-PLSQL-API-KEY'] = this.apiKey;
+
+    return this.requestStats.time(() => fetch(`${this.url}${path}`, {
+      method: 'POST',
+      headers,
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    }));
+  }
+
+  async readBody(response) {
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Bridge returned HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+    return response.json();
+  }
+}
+
+module.exports = { PostgresBridgeExporter };
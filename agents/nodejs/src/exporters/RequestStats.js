@@ -0,0 +1,50 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Exporter Request Stats
+// Round-trip latency and HTTP errors of the requests an exporter made
+// =============================================================================
+
+class RequestStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.requests = 0;
+    this.errors = 0;
+    this.totalLatencyMs = 0;
+  }
+
+  /**
+   * Time one request. Non-2xx responses and network errors count as HTTP errors
+   * @param {Function} fn Returns a fetch Response promise
+   */
+  async time(fn) {
+    const started = performance.now();
+    let ok = false;
+    try {
+      const response = await fn();
+      ok = response.ok;
+      return response;
+    } finally {
+      this.requests++;
+      this.totalLatencyMs += performance.now() - started;
+      if (!ok) this.errors++;
+    }
+  }
+
+  /**
+   * Stats since the previous call
+   * @returns {{requests: number, httpErrors: number, avgLatencyMs: number|null}}
+   */
+  take() {
+    const stats = {
+      requests: this.requests,
+      httpErrors: this.errors,
+      avgLatencyMs: this.requests > 0 ? this.totalLatencyMs / this.requests : null
+    };
+    this.reset();
+    return stats;
+  }
+}
+
+module.exports = { RequestStats };
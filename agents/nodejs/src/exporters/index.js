@@ -0,0 +1,29 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Exporters
+// An exporter is any object with: async export(items) -> one {ok, error?, note?} per item
+// and optionally requestStats (RequestStats) for per-request latency
+// =============================================================================
+
+const { OtlpHttpExporter } = require('./OtlpHttpExporter');
+const { PostgresBridgeExporter } = require('./PostgresBridgeExporter');
+const { RequestStats } = require('./RequestStats');
+
+const EXPORTERS = {
+  otlp: OtlpHttpExporter,
+  postgres: PostgresBridgeExporter
+};
+
+/**
+ * Build an exporter by name
+ * @param {string} name 'otlp' or 'postgres'
+ * @param {Object} [options] Exporter options
+ */
+function createExporter(name, options = {}) {
+  const Exporter = EXPORTERS[name];
+  if (!Exporter) {
+    throw new Error(`Unknown exporter "${name}" (expected ${Object.keys(EXPORTERS).join(', ')})`);
+  }
+  return new Exporter(options);
+}
+
+module.exports = { createExporter, OtlpHttpExporter, PostgresBridgeExporter, RequestStats };
@@ -0,0 +1,41 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Payload Helpers
+// Parse and classify plt_queue.payload JSON
+// =============================================================================
+
+/**
+ * Payload can never be exported (retrying will not help)
+ */
+class PayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PayloadError';
+  }
+}
+
+function parsePayload(payload) {
+  let json;
+  try {
+    json = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  } catch (error) {
+    throw new PayloadError(`Malformed JSON: ${error.message}`);
+  }
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new PayloadError('Payload must be a JSON object');
+  }
+  return json;
+}
+
+/**
+ * Same detection rules as PLTelemetry.send_to_backend
+ * @returns {'span'|'metric'|'log'|null}
+ */
+function classifyPayload(json) {
+  if (json.span_id && json.duration_ms !== undefined) return 'span';
+  if (json.name !== undefined && json.value !== undefined) return 'metric';
+  if (json.severity !== undefined && json.message !== undefined) return 'log';
+  return null;
+}
+
+module.exports = { PayloadError, parsePayload, classifyPayload };
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AdaptiveBatchSizer, optimalBatchSize } = require('../src/AdaptiveBatchSizer');
+const { DEFAULT_RATE_LIMIT_TIERS } = require('../src/OracleSettings');
+
+const CONFIG = { tiers: DEFAULT_RATE_LIMIT_TIERS, minBatch: 10, maxBatch: 1000, defaultBatch: 100 };
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('the first tier at or above the latency picks the size', () => {
+  assert.strictEqual(optimalBatchSize(CONFIG, null, 0), 100);
+  assert.strictEqual(optimalBatchSize(CONFIG, 0, 0), 500);
+  assert.strictEqual(optimalBatchSize(CONFIG, 100, 0), 300);
+  assert.strictEqual(optimalBatchSize(CONFIG, 101, 0), 150);
+  assert.strictEqual(optimalBatchSize(CONFIG, 1500, 0), 25);
+  assert.strictEqual(optimalBatchSize(CONFIG, 60000, 0), 10);
+});
+
+test('error rates above 5% and 10% shrink the batch, within the limits', () => {
+  assert.strictEqual(optimalBatchSize(CONFIG, 100, 0.05), 300);
+  assert.strictEqual(optimalBatchSize(CONFIG, 100, 0.06), 225);
+  assert.strictEqual(optimalBatchSize(CONFIG, 100, 0.2), 150);
+  assert.strictEqual(optimalBatchSize(CONFIG, 1500, 0.2), 12);
+  assert.strictEqual(optimalBatchSize({ ...CONFIG, minBatch: 20 }, 1500, 0.2), 20);
+  assert.strictEqual(optimalBatchSize({ ...CONFIG, maxBatch: 200 }, 0, 0), 200);
+});
+
+test('the size follows the average latency and error rate of recent runs', async () => {
+  const sizer = new AdaptiveBatchSizer({ windowMs: 60000 });
+  assert.strictEqual(await sizer.size(0), 100);
+
+  sizer.record({ processed: 50, failed: 0, avgLatencyMs: 50 }, 1000);
+  sizer.record({ processed: 50, failed: 0, avgLatencyMs: 250 }, 2000);
+  sizer.record({ processed: 10, failed: 0, avgLatencyMs: null }, 3000);
+  assert.strictEqual(await sizer.size(4000), 150);
+
+  sizer.record({ processed: 0, failed: 20, avgLatencyMs: 150 }, 5000);
+  assert.strictEqual(await sizer.size(6000), 75);
+});
+
+test('runs older than the window no longer count', async () => {
+  const sizer = new AdaptiveBatchSizer({ windowMs: 60000 });
+  sizer.record({ processed: 0, failed: 10, avgLatencyMs: 3000 }, 0);
+
+  assert.strictEqual(await sizer.size(30000), 10);
+  assert.strictEqual(await sizer.size(61000), 100);
+});
+
+test('tiers and limits are reloaded after refreshMs and kept when Oracle fails', async () => {
+  let loads = 0;
+  let failing = false;
+  const settings = {
+    loadRateLimitConfig: async () => {
+      loads++;
+      if (failing) throw new Error('ORA-12541: TNS:no listener');
+      return { tiers: [{ thresholdMs: 9999999, batchSize: 42 }], minBatch: 5, maxBatch: 500, defaultBatch: 60 };
+    }
+  };
+  const sizer = new AdaptiveBatchSizer({ settings, refreshMs: 1000 });
+
+  assert.strictEqual(await sizer.size(1000), 60);
+  sizer.record({ processed: 1, failed: 0, avgLatencyMs: 10 }, 1000);
+  assert.strictEqual(await sizer.size(1500), 42);
+  assert.strictEqual(loads, 1);
+
+  failing = true;
+  assert.strictEqual(await sizer.size(2500), 42);
+  assert.strictEqual(loads, 2);
+});
+
+test('an empty tier table falls back to the default tiers', async () => {
+  const settings = {
+    loadRateLimitConfig: async () => ({ tiers: [], minBatch: 10, maxBatch: 1000, defaultBatch: 100 })
+  };
+  const sizer = new AdaptiveBatchSizer({ settings });
+  sizer.record({ processed: 1, failed: 0, avgLatencyMs: 600 }, 1000);
+
+  assert.strictEqual(await sizer.size(1000), 75);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PulseThrottler, modeForHeat } = require('../src/PulseThrottler');
+
+const THRESHOLDS = [0.3, 0.5, 0.7, 0.9];
+
+function throttler(samples, options = {}) {
+  const queue = [...samples];
+  return new PulseThrottler({ sample: () => queue.shift(), ...options });
+}
+
+test('modeForHeat heats up at once and cools down with hysteresis', () => {
+  assert.strictEqual(modeForHeat(0.1, 'PULSE1', THRESHOLDS, 0.05), 'PULSE1');
+  assert.strictEqual(modeForHeat(0.75, 'PULSE1', THRESHOLDS, 0.05), 'PULSE4');
+  assert.strictEqual(modeForHeat(0.95, 'PULSE2', THRESHOLDS, 0.05), 'COMA');
+  assert.strictEqual(modeForHeat(0.47, 'PULSE3', THRESHOLDS, 0.05), 'PULSE3');
+  assert.strictEqual(modeForHeat(0.44, 'PULSE3', THRESHOLDS, 0.05), 'PULSE2');
+});
+
+test('heat dissipates gradually after a spike', async () => {
+  const pulse = throttler([{ cpu: 1, memory: 1 }, { cpu: 0, memory: 0 }], { cooldownFactor: 0.5 });
+
+  assert.strictEqual(await pulse.check(), 'COMA');
+  assert.strictEqual(await pulse.check(), 'PULSE3');
+  assert.strictEqual(pulse.heat, 0.5);
+});
+
+test('batch size and interval follow the mode multipliers', async () => {
+  const pulse = throttler([{ cpu: 0.6, memory: 0.6 }]);
+  await pulse.check();
+
+  assert.strictEqual(pulse.mode, 'PULSE3');
+  assert.strictEqual(pulse.batchSize(300), 75);
+  assert.strictEqual(pulse.batchSize(2), 1);
+  assert.strictEqual(pulse.intervalMs(5000), 20000);
+  assert.strictEqual(pulse.queueProcessing, true);
+});
+
+test('COMA drops metrics and logs and stops queue processing', async () => {
+  const pulse = throttler([{ cpu: 1, memory: 1 }]);
+  await pulse.check();
+
+  assert.match(pulse.drop({ name: 'm', value: 1 }, 'metric'), /metrics disabled in COMA/);
+  assert.match(pulse.drop({ severity: 'INFO', message: 'x' }, 'log'), /logs disabled in COMA/);
+  assert.strictEqual(pulse.queueProcessing, false);
+});
+
+test('sampling keeps or drops a trace as a whole', () => {
+  const traceIds = Array.from({ length: 400 }, (_, i) => i.toString(16).padStart(32, '0'));
+  const kept = traceIds.filter((traceId) => PulseThrottler.sampled(traceId, 0.5));
+
+  assert.ok(kept.length > 150 && kept.length < 250, `kept ${kept.length} of 400`);
+  for (const traceId of traceIds.slice(0, 20)) {
+    assert.strictEqual(PulseThrottler.sampled(traceId, 0.5), PulseThrottler.sampled(traceId, 0.5));
+  }
+  assert.strictEqual(PulseThrottler.sampled(traceIds[0], 1), true);
+});
+
+test('the mode is written back to plt_failover_config on every check', async () => {
+  const writes = [];
+  const settings = {
+    loadPulseConfig: async () => ({}),
+    setFailoverConfig: async (key, value) => writes.push([key, value])
+  };
+  const pulse = throttler([{ cpu: 0, memory: 0 }, { cpu: 0, memory: 0 }], { settings });
+
+  await pulse.check();
+  await pulse.check();
+  assert.deepStrictEqual(writes, [['AGENT_PULSE_MODE', 'PULSE1'], ['AGENT_PULSE_MODE', 'PULSE1']]);
+});
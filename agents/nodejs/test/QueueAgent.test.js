@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { QueueAgent } = require('../src/QueueAgent');
+const { FakeOracle } = require('./fakeOracle');
+
+const span = (traceId) => JSON.stringify({ trace_id: traceId, span_id: 's1', duration_ms: 5 });
+const metric = JSON.stringify({ name: 'orders', value: 1 });
+
+function agent(oracle, exporter, options = {}) {
+  return new QueueAgent({ pool: oracle, exporter: { name: 'test', ...exporter }, ...options });
+}
+
+// Exports every item, failing those whose payload contains "bad"
+function exporter() {
+  const batches = [];
+  return {
+    batches,
+    export: async (items) => {
+      batches.push(items);
+      return items.map((item) => (/bad/.test(item.payload) ? { ok: false, error: 'HTTP 400' } : { ok: true }));
+    }
+  };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('a run claims a batch, marks each item and heartbeats the counts', async () => {
+  const oracle = new FakeOracle([
+    { queueId: 1, payload: span('a') },
+    { queueId: 2, payload: '{"bad": true}' },
+    { queueId: 3, payload: metric, processed: 'Y' }
+  ]);
+  const sink = exporter();
+
+  const stats = await agent(oracle, sink, { agentId: 'AGENT_1' }).runOnce();
+
+  assert.deepStrictEqual(stats, { planned: 2, processed: 1, failed: 1 });
+  assert.deepStrictEqual(sink.batches[0].map((item) => [item.queueId, item.attempts]), [[1, 1], [2, 1]]);
+  assert.strictEqual(oracle.row(1).processed, 'Y');
+  assert.strictEqual(oracle.row(2).processed, 'N');
+  assert.strictEqual(oracle.row(2).lastError, '[AGENT_1] HTTP 400');
+
+  const [heartbeat] = oracle.binds(/MERGE INTO plt_agent_registry/);
+  assert.strictEqual(heartbeat.agentId, 'AGENT_1');
+  assert.strictEqual(heartbeat.planned, 2);
+  assert.strictEqual(heartbeat.processed, 1);
+  assert.match(heartbeat.message, /Exported 1\/2 via test \(1 failed: HTTP 400\)/);
+});
+
+test('items past maxAttempts or of another tenant are left alone', async () => {
+  const oracle = new FakeOracle([
+    { queueId: 1, payload: span('a'), attempts: 5 },
+    { queueId: 2, payload: span('b'), tenantId: 'acme' },
+    { queueId: 3, payload: span('c'), tenantId: 'globex' }
+  ]);
+  const sink = exporter();
+
+  await agent(oracle, sink, { tenantId: 'acme' }).runOnce();
+  assert.deepStrictEqual(sink.batches[0].map((item) => item.queueId), [2]);
+});
+
+test('an item another consumer claimed first is not exported', async () => {
+  const oracle = new FakeOracle([
+    { queueId: 1, payload: span('a') },
+    { queueId: 2, payload: span('b') }
+  ], { claim: (queueId) => queueId !== 1 });
+  const sink = exporter();
+
+  const stats = await agent(oracle, sink).runOnce();
+  assert.strictEqual(stats.planned, 1);
+  assert.deepStrictEqual(sink.batches[0].map((item) => item.queueId), [2]);
+});
+
+test('an empty queue still heartbeats', async () => {
+  const oracle = new FakeOracle();
+  const stats = await agent(oracle, exporter()).runOnce();
+
+  assert.deepStrictEqual(stats, { planned: 0, processed: 0, failed: 0 });
+  assert.strictEqual(oracle.binds(/MERGE INTO plt_agent_registry/)[0].message, 'Queue empty');
+  assert.deepStrictEqual(oracle.binds(/INSERT INTO plt_fallback_metrics/), []);
+});
+
+test('an exporter that throws or miscounts fails the whole batch', async () => {
+  for (const exportBatch of [
+    async () => { throw new Error('connect ECONNREFUSED'); },
+    async () => [{ ok: true }]
+  ]) {
+    const oracle = new FakeOracle([{ queueId: 1, payload: span('a') }, { queueId: 2, payload: span('b') }]);
+    const stats = await agent(oracle, { export: exportBatch }, { agentId: 'A' }).runOnce();
+
+    assert.deepStrictEqual(stats, { planned: 2, processed: 0, failed: 2 });
+    assert.match(oracle.row(1).lastError, /^\[A\] (connect ECONNREFUSED|Exporter returned 1 results for 2 items)$/);
+  }
+});
+
+test('last_error is truncated to the column size', async () => {
+  const oracle = new FakeOracle([{ queueId: 1, payload: span('a') }]);
+  await agent(oracle, { export: async () => [{ ok: false, error: 'x'.repeat(5000) }] }).runOnce();
+
+  assert.strictEqual(oracle.row(1).lastError.length, 4000);
+});
+
+test('a run records latency from the exporter request stats', async () => {
+  const oracle = new FakeOracle([{ queueId: 1, payload: span('a') }]);
+  const requestStats = { take: () => ({ requests: 1, httpErrors: 0, avgLatencyMs: 41.6 }) };
+
+  await agent(oracle, { ...exporter(), requestStats }, { batchSize: 50 }).runOnce();
+
+  const [row] = oracle.binds(/INSERT INTO plt_fallback_metrics/);
+  assert.strictEqual(row.batchSize, 50);
+  assert.strictEqual(row.processed, 1);
+  assert.strictEqual(row.avgLatencyMs, 42);
+  assert.strictEqual(row.httpErrors, 0);
+});
+
+test('throttled items are marked processed with the reason and never exported', async () => {
+  const oracle = new FakeOracle([{ queueId: 1, payload: span('a') }, { queueId: 2, payload: metric }]);
+  const sink = exporter();
+  const throttler = {
+    mode: 'PULSE4',
+    queueProcessing: true,
+    batchSize: (base) => base,
+    intervalMs: (base) => base,
+    drop: (json, type) => (type === 'metric' ? 'metrics disabled in PULSE4' : null)
+  };
+
+  const stats = await agent(oracle, sink, { throttler }).runOnce();
+
+  assert.deepStrictEqual(stats, { planned: 2, processed: 2, failed: 0 });
+  assert.deepStrictEqual(sink.batches[0].map((item) => item.queueId), [1]);
+  assert.strictEqual(oracle.row(2).note, 'Dropped: metrics disabled in PULSE4');
+});
+
+test('COMA suspends queue processing but keeps the heartbeat', async () => {
+  const oracle = new FakeOracle([{ queueId: 1, payload: span('a') }]);
+  const throttler = { mode: 'COMA', queueProcessing: false, intervalMs: (base) => base * 10 };
+
+  const stats = await agent(oracle, exporter(), { throttler, intervalMs: 5000 }).runOnce();
+
+  assert.strictEqual(stats.planned, 0);
+  assert.deepStrictEqual(oracle.binds(/SELECT queue_id/), []);
+  const [heartbeat] = oracle.binds(/MERGE INTO plt_agent_registry/);
+  assert.strictEqual(heartbeat.message, 'Queue processing suspended (COMA)');
+  assert.strictEqual(heartbeat.intervalSeconds, 50);
+});
+
+test('the batch sizer picks the size and is fed each run', async () => {
+  const oracle = new FakeOracle(Array.from({ length: 5 }, (_, i) => ({ queueId: i + 1, payload: span(String(i)) })));
+  const runs = [];
+  const batchSizer = { size: async () => 3, record: (run) => runs.push(run) };
+
+  const stats = await agent(oracle, exporter(), { batchSizer }).runOnce();
+
+  assert.strictEqual(stats.planned, 3);
+  assert.strictEqual(runs.length, 1);
+  assert.strictEqual(runs[0].processed, 3);
+});
+
+test('stop tells the core the agent is no longer expected', async () => {
+  const oracle = new FakeOracle();
+  const queueAgent = agent(oracle, exporter(), { agentId: 'A' });
+
+  await queueAgent.stop();
+  assert.deepStrictEqual(oracle.binds(/next_run_expected = NULL/), [{ agentId: 'A', message: 'Stopped' }]);
+});
@@ -0,0 +1,72 @@
+// =============================================================================
+// PLTelemetry Queue Agent - Test Double for the oracledb Pool
+// Keeps plt_queue rows in memory and records every statement the agent runs
+// =============================================================================
+
+class FakeOracle {
+  /**
+   * @param {Array<Object>} [rows] plt_queue rows: { queueId, payload, attempts?, processed?, tenantId? }
+   * @param {Object} [options]
+   * @param {Function} [options.claim] (queueId) => false when another consumer got the item first
+   */
+  constructor(rows = [], { claim = () => true } = {}) {
+    this.rows = rows.map((row) => ({ attempts: 0, processed: 'N', tenantId: null, lastError: null, note: null, ...row }));
+    this.claim = claim;
+    this.executed = [];
+    this.commits = 0;
+  }
+
+  async getConnection() {
+    return {
+      execute: async (sql, binds = {}, options = {}) => this.execute(sql, binds, options),
+      executeMany: async (sql, binds) => {
+        for (const bind of binds) await this.execute(sql, bind);
+        return { rowsAffected: binds.length };
+      },
+      commit: async () => { this.commits++; },
+      close: async () => {}
+    };
+  }
+
+  execute(sql, binds, options = {}) {
+    this.executed.push({ sql, binds });
+    if (options.autoCommit) this.commits++;
+
+    if (/SELECT queue_id/.test(sql)) {
+      const rows = this.rows
+        .filter((row) => row.processed === 'N' && row.attempts < binds.maxAttempts
+          && (binds.tenantId === null || row.tenantId === binds.tenantId))
+        .slice(0, binds.batchSize)
+        .map((row) => ({ QUEUE_ID: row.queueId, PAYLOAD: row.payload, PROCESS_ATTEMPTS: row.attempts }));
+      return { rows };
+    }
+    if (/SET process_attempts/.test(sql)) {
+      const row = this.row(binds.queueId);
+      if (!this.claim(binds.queueId)) return { rowsAffected: 0 };
+      row.attempts++;
+      return { rowsAffected: 1 };
+    }
+    if (/SET processed = 'Y'/.test(sql)) {
+      Object.assign(this.row(binds.queueId), { processed: 'Y', note: binds.note });
+      return { rowsAffected: 1 };
+    }
+    if (/SET last_error/.test(sql)) {
+      this.row(binds.queueId).lastError = binds.error;
+      return { rowsAffected: 1 };
+    }
+    return { rowsAffected: 1 };
+  }
+
+  row(queueId) {
+    return this.rows.find((row) => row.queueId === queueId);
+  }
+
+  /**
+   * Binds of the statements matching a pattern
+   */
+  binds(pattern) {
+    return this.executed.filter(({ sql }) => pattern.test(sql)).map(({ binds }) => binds);
+  }
+}
+
+module.exports = { FakeOracle };
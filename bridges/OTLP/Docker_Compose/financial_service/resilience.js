@@ -0,0 +1,271 @@
+// =============================================================================
+// PLTelemetry Example 04 - Resilience for the ORDS calls
+// Deadline shared by the steps of one report, retries with jittered backoff,
+// a circuit breaker with the states and thresholds of PLTelemetry's
+// is_circuit_open, and a stale-data cache to fall back on
+// =============================================================================
+
+class ResilienceError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ResilienceError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// -----------------------------------------------------------------------------
+// DEADLINE
+// -----------------------------------------------------------------------------
+
+/**
+ * Time budget of one request, spent by every step it goes through
+ */
+class Deadline {
+  /**
+   * @param {number} budgetMs
+   */
+  constructor(budgetMs) {
+    this.budgetMs = budgetMs;
+    this.startedAt = Date.now();
+  }
+
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  remaining() {
+    return Math.max(0, this.budgetMs - this.elapsed());
+  }
+
+  expired() {
+    return this.remaining() === 0;
+  }
+
+  /**
+   * Throw before starting a step the budget no longer covers
+   * @param {string} step For the error message
+   */
+  check(step) {
+    if (this.expired()) {
+      throw new ResilienceError(`Deadline of ${this.budgetMs}ms exceeded before ${step}`, 504, 'DEADLINE_EXCEEDED');
+    }
+  }
+
+  /**
+   * A step's own timeout, cut to what is left of the budget. Never below
+   * 1ms: axios and http read a timeout of 0 as no timeout at all
+   */
+  timeout(capMs) {
+    return Math.max(1, Math.min(capMs, this.remaining()));
+  }
+}
+
+// -----------------------------------------------------------------------------
+// RETRIES
+// -----------------------------------------------------------------------------
+
+/**
+ * Exponential backoff with full jitter: anywhere between 0 and base * 2^n
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+}
+
+/**
+ * Call `fn` until it succeeds, it fails with an error that is not worth
+ * retrying, the attempts run out or the next wait would pass the deadline
+ * @param {Function} fn (attempt) => Promise
+ * @param {Object} options
+ * @param {number} options.retries Extra attempts after the first
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {Deadline} [options.deadline]
+ * @param {Function} [options.isRetryable] (error) => boolean
+ * @param {Function} [options.onAttempt] ({ attempt, error, durationMs, delayMs }) after each attempt
+ */
+async function retry(fn, options) {
+  const { retries, baseDelayMs, maxDelayMs, deadline, isRetryable = () => true, onAttempt = () => {} } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const result = await fn(attempt);
+      onAttempt({ attempt, error: null, durationMs: Date.now() - startedAt, delayMs: null });
+      return result;
+    } catch (error) {
+      const durationMs = Date.now() - startedAt;
+      const delayMs = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      const again = attempt <= retries
+        && isRetryable(error)
+        && !(deadline && deadline.remaining() <= delayMs);
+      onAttempt({ attempt, error, durationMs, delayMs: again ? delayMs : null });
+      if (!again) throw error;
+      await sleep(delayMs);
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// CIRCUIT BREAKER
+// -----------------------------------------------------------------------------
+
+/**
+ * Same state machine as PLTelemetry.is_circuit_open, over the calls this
+ * process made instead of plt_fallback_metrics:
+ *   CLOSED -> OPEN       more than minAttempts calls in the window and an
+ *                        error rate above errorThreshold
+ *   OPEN -> HALF_OPEN    recoveryMs after opening; calls go through again
+ *   HALF_OPEN -> OPEN    after halfOpenAttempts calls, if more than half the
+ *                        threshold failed
+ *   HALF_OPEN -> CLOSED  after halfOpenAttempts calls otherwise
+ * Like the PL/SQL, transitions happen when the state is asked for.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name]
+   * @param {number} [options.errorThreshold] CIRCUIT_ERROR_THRESHOLD (default 0.5)
+   * @param {number} [options.minAttempts] CIRCUIT_MIN_ATTEMPTS (default 50)
+   * @param {number} [options.recoveryMs] CIRCUIT_RECOVERY_MINUTES (default 5 minutes)
+   * @param {number} [options.windowMs] Error rate window (default 2 minutes)
+   * @param {number} [options.halfOpenAttempts] Calls before HALF_OPEN decides (default 10)
+   * @param {Function} [options.onStateChange] ({ from, to, errorRate, attempts })
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'circuit';
+    this.errorThreshold = options.errorThreshold ?? 0.5;
+    this.minAttempts = options.minAttempts ?? 50;
+    this.recoveryMs = options.recoveryMs ?? 5 * 60 * 1000;
+    this.windowMs = options.windowMs ?? 2 * 60 * 1000;
+    this.halfOpenAttempts = options.halfOpenAttempts ?? 10;
+    this.onStateChange = options.onStateChange || (() => {});
+
+    this.state = 'CLOSED';
+    this.openedAt = null;
+    this.calls = [];
+    this.probe = { attempts: 0, errors: 0 };
+  }
+
+  /**
+   * Calls and failures in the window
+   */
+  window() {
+    const since = Date.now() - this.windowMs;
+    while (this.calls.length && this.calls[0].at < since) this.calls.shift();
+    const errors = this.calls.filter((call) => !call.ok).length;
+    return { attempts: this.calls.length, errors, errorRate: this.calls.length ? errors / this.calls.length : 0 };
+  }
+
+  transition(to, errorRate, attempts) {
+    const from = this.state;
+    this.state = to;
+    if (to === 'OPEN') this.openedAt = Date.now();
+    if (to === 'HALF_OPEN') this.probe = { attempts: 0, errors: 0 };
+    this.onStateChange({ from, to, errorRate, attempts });
+  }
+
+  /**
+   * @returns {boolean} true when calls should not be made
+   */
+  isOpen() {
+    if (this.state === 'OPEN') {
+      if (Date.now() - this.openedAt < this.recoveryMs) return true;
+      this.transition('HALF_OPEN', null, 0);
+      return false;
+    }
+
+    if (this.state === 'HALF_OPEN') {
+      const { attempts, errors } = this.probe;
+      if (attempts < this.halfOpenAttempts) return false;
+      const errorRate = errors / attempts;
+      if (errorRate > this.errorThreshold * 0.5) {
+        this.transition('OPEN', errorRate, attempts);
+        return true;
+      }
+      this.transition('CLOSED', errorRate, attempts);
+      return false;
+    }
+
+    const { attempts, errorRate } = this.window();
+    if (attempts > this.minAttempts && errorRate > this.errorThreshold) {
+      this.transition('OPEN', errorRate, attempts);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Count the outcome of one call
+   */
+  record(ok) {
+    this.calls.push({ at: Date.now(), ok });
+    if (this.state === 'HALF_OPEN') {
+      this.probe.attempts++;
+      if (!ok) this.probe.errors++;
+    }
+  }
+
+  stats() {
+    const { attempts, errors, errorRate } = this.window();
+    return {
+      state: this.state,
+      error_rate: Math.round(errorRate * 1000) / 1000,
+      attempts,
+      errors,
+      opened_at: this.state === 'CLOSED' ? null : new Date(this.openedAt).toISOString(),
+      retry_at: this.state === 'OPEN' ? new Date(this.openedAt + this.recoveryMs).toISOString() : null
+    };
+  }
+}
+
+// -----------------------------------------------------------------------------
+// STALE CACHE
+// -----------------------------------------------------------------------------
+
+/**
+ * Last good answer per key, served when the source cannot be reached
+ */
+class StaleCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] How old an answer may be and still be served
+   * @param {number} [options.maxEntries] Least recently stored are dropped first
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.entries = new Map();
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: Date.now() });
+    if (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  /**
+   * @returns {Object|null} { value, ageMs }
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    const ageMs = Date.now() - entry.storedAt;
+    if (ageMs > this.ttlMs) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { value: entry.value, ageMs };
+  }
+}
+
+module.exports = {
+  ResilienceError,
+  Deadline,
+  backoffDelay,
+  retry,
+  CircuitBreaker,
+  StaleCache
+};
@@ -7,17 +7,57 @@ const express = require('express');
 const axios = require('axios');
 const { trace, SpanStatusCode, SpanKind } = require('@opentelemetry/api');
 const { v4: uuidv4 } = require('uuid');
+const { useHealth, httpCheck } = require('../services/lib/health');
+const { useTenant, currentTenant, withTenantHeaders, logger } = require('../services/lib/tenant');
+const { ResilienceError, Deadline, retry, CircuitBreaker, StaleCache } = require('./resilience');
 
 const app = express();
 const port = process.env.PORT || 3001;
 const oracleOrdsUrl = process.env.ORACLE_ORDS_URL || 'http://localhost:8080';
 
+// Resilience of the ORDS calls (see resilience.js)
+const envNumber = (name, fallback) => (process.env[name] === undefined ? fallback : Number(process.env[name]));
+const reportDeadlineMs = envNumber('REPORT_DEADLINE_MS', 30000);
+const ordsTimeoutMs = envNumber('ORDS_TIMEOUT_MS', 10000);
+const ordsRetry = {
+  retries: envNumber('ORDS_RETRIES', 2),
+  baseDelayMs: envNumber('ORDS_RETRY_BASE_MS', 200),
+  maxDelayMs: envNumber('ORDS_RETRY_MAX_MS', 2000)
+};
+const staleCacheTtlMs = envNumber('ORDS_STALE_CACHE_TTL_MS', 0);
+
 // Get the tracer for this service
 const tracer = trace.getTracer('financial-reports-api', '1.0.0');
 
+// Thresholds default to PLTelemetry's plt_failover_config defaults
+const ordsCircuit = new CircuitBreaker({
+  name: 'ords',
+  errorThreshold: envNumber('ORDS_CIRCUIT_ERROR_THRESHOLD', 0.5),
+  minAttempts: envNumber('ORDS_CIRCUIT_MIN_ATTEMPTS', 50),
+  recoveryMs: envNumber('ORDS_CIRCUIT_RECOVERY_MINUTES', 5) * 60 * 1000,
+  onStateChange: ({ from, to, errorRate, attempts }) => {
+    const rate = errorRate === null ? '' : ` (error rate: ${Math.round(errorRate * 1000) / 10}%)`;
+    logger.warn(`⚡ ORDS circuit breaker: ${from} -> ${to}${rate}`);
+    trace.getActiveSpan()?.addEvent('circuit_breaker.state_change', {
+      'circuit_breaker.name': 'ords',
+      'circuit_breaker.from': from,
+      'circuit_breaker.to': to,
+      'circuit_breaker.error_rate': errorRate ?? 0,
+      'circuit_breaker.attempts': attempts
+    });
+  }
+});
+
+// Last good ORDS answer per customer and period; off unless a TTL is set
+const ordsCache = staleCacheTtlMs > 0 ? new StaleCache({ ttlMs: staleCacheTtlMs }) : null;
+
 // Middleware
 app.use(express.json());
 
+// Tenant from X-PLT-Tenant-ID or baggage, kept for the request's spans and logs
+// and forwarded to ORDS, same as the legacy services (../services/lib/tenant.js)
+useTenant(app);
+
 // Add correlation ID to all requests
 app.use((req, res, next) => {
   req.correlationId = req.headers['x-correlation-id'] || uuidv4();
@@ -25,14 +65,31 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    service: 'financial-reports-api',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
+// Health endpoints, same contract as the legacy services (../services/lib/health.js)
+useHealth(app, {
+  service: 'financial-reports-api',
+  version: '1.0.0',
+  checks: {
+    // Every report reads from ORDS; any answer below 500 means it is up
+    ords: {
+      budgetMs: 500,
+      timeoutMs: 3000,
+      check: httpCheck(`${oracleOrdsUrl}/ords/pltdb/`, { timeoutMs: 3000 })
+    },
+    // Reports still come out (stale or failing fast) while it is open
+    ords_circuit: {
+      critical: false,
+      check: () => (ordsCircuit.state === 'CLOSED'
+        ? 'healthy'
+        : { status: 'degraded', message: `Circuit breaker ${ordsCircuit.state}`, details: ordsCircuit.stats() })
+    }
+  },
+  details: () => ({
+    ords_url: oracleOrdsUrl,
+    ords_circuit: ordsCircuit.stats(),
+    report_deadline_ms: reportDeadlineMs,
+    stale_cache: ordsCache ? { ttl_ms: ordsCache.ttlMs, entries: ordsCache.entries.size } : null
+  })
 });
 
 // =============================================================================
@@ -41,6 +98,8 @@ app.get('/health', (req, res) => {
 app.post('/api/reports/financial-summary', async (req, res) => {
   // Get the current span (created automatically by OTEL instrumentation)
   const currentSpan = trace.getActiveSpan();
+  // One budget for validation, the ORDS call, forecasts and formatting
+  const deadline = new Deadline(reportDeadlineMs);
   
   try {
     const { customer_id, period, include_forecasts = true } = req.body;
@@ -51,29 +110,41 @@ app.post('/api/reports/financial-summary', async (req, res) => {
       'customer.id': customer_id,
       'report.period': period,
       'report.include_forecasts': include_forecasts,
-      'correlation.id': req.correlationId
+      'correlation.id': req.correlationId,
+      'deadline.budget_ms': deadline.budgetMs
     });
 
     // Validate input parameters
+    deadline.check('validation');
     await validateRequest(customer_id, period);
 
-    // Step 1: Fetch base data from Oracle via ORDS
-    const oracleData = await fetchOracleFinancialData(customer_id, period, req.correlationId);
+    // Step 1: Fetch base data from Oracle via ORDS (or the stale cache)
+    const oracle = await fetchOracleFinancialData(customer_id, period, req.correlationId, deadline);
+    const oracleData = oracle.data;
 
-    // Step 2: Generate forecasts (if requested)
+    // Step 2: Generate forecasts (if requested and there is time left)
     let forecastData = null;
-    if (include_forecasts) {
+    let forecastSkipped = false;
+    if (include_forecasts && deadline.expired()) {
+      forecastSkipped = true;
+      currentSpan?.addEvent('forecast_skipped', { 'skip.reason': 'deadline_exceeded' });
+    } else if (include_forecasts) {
       forecastData = await generateForecasts(customer_id, period, oracleData);
     }
 
     // Step 3: Format final report
+    deadline.check('formatting');
     const finalReport = await formatFinancialReport(oracleData, forecastData, period);
+    const degraded = oracle.source !== 'oracle-ords' || forecastSkipped;
 
     // Success metrics
     currentSpan?.setAttributes({
       'report.data_points': oracleData.transactions?.length || 0,
       'report.forecast_generated': !!forecastData,
-      'report.total_size_kb': Math.round(JSON.stringify(finalReport).length / 1024)
+      'report.total_size_kb': Math.round(JSON.stringify(finalReport).length / 1024),
+      'report.degraded': degraded,
+      'report.data_source': oracle.source,
+      'deadline.remaining_ms': deadline.remaining()
     });
 
     currentSpan?.setStatus({ code: SpanStatusCode.OK });
@@ -84,19 +155,24 @@ app.post('/api/reports/financial-summary', async (req, res) => {
       report: finalReport,
       metadata: {
         generated_at: new Date().toISOString(),
-        processing_time_ms: Date.now() - req.startTime,
-        data_source: 'oracle-ords',
-        forecast_included: !!forecastData
+        processing_time_ms: deadline.elapsed(),
+        data_source: oracle.source,
+        forecast_included: !!forecastData,
+        degraded,
+        ...(currentTenant() && { tenant_id: currentTenant().id }),
+        ...(oracle.staleAgeMs !== undefined && { stale_age_s: Math.round(oracle.staleAgeMs / 1000) }),
+        ...(forecastSkipped && { forecast_skipped: 'deadline_exceeded' })
       }
     });
 
   } catch (error) {
-    console.error('❌ Financial report generation failed:', error);
+    logger.error('❌ Financial report generation failed:', error);
     
     currentSpan?.setAttributes({
       'error.type': error.constructor.name,
       'error.message': error.message,
-      'error.correlation_id': req.correlationId
+      'error.correlation_id': req.correlationId,
+      'deadline.remaining_ms': deadline.remaining()
     });
     
     currentSpan?.setStatus({ 
@@ -104,11 +180,13 @@ app.post('/api/reports/financial-summary', async (req, res) => {
       message: error.message 
     });
 
-    res.status(500).json({
+    // 503 with the breaker open, 504 past the deadline
+    res.status(error.status || 500).json({
       success: false,
       correlation_id: req.correlationId,
       error: {
         message: 'Failed to generate financial report',
+        code: error.code || 'REPORT_FAILED',
         details: error.message,
         timestamp: new Date().toISOString()
       }
@@ -160,10 +238,26 @@ async function validateRequest(customer_id, period) {
 }
 
 /**
- * Fetch financial data from Oracle via ORDS
+ * ORDS errors worth another attempt: no answer, timeouts, 429 and 5xx
  */
-async function fetchOracleFinancialData(customer_id, period, correlationId) {
+function isRetryableOrdsError(error) {
+  if (error instanceof ResilienceError) return false;
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * Fetch financial data from Oracle via ORDS. The summary is a read, so a
+ * failed call is retried; when ORDS cannot answer, the last good summary
+ * is used if the stale cache is on.
+ * @returns {Promise<Object>} { data, source: 'oracle-ords' | 'stale-cache', staleAgeMs }
+ */
+async function fetchOracleFinancialData(customer_id, period, correlationId, deadline) {
   return tracer.startActiveSpan('fetch_oracle_financial_data', { kind: SpanKind.CLIENT }, async (span) => {
+    // Per tenant: one tenant must never be served another's cached report
+    const tenant = currentTenant();
+    const cacheKey = `${tenant ? `${tenant.id}|` : ''}${customer_id}|${period}`;
+    let attempts = 0;
     try {
       span.setAttributes({
         'http.method': 'POST',
@@ -171,9 +265,17 @@ async function fetchOracleFinancialData(customer_id, period, correlationId) {
         'oracle.customer_id': customer_id,
         'oracle.period': period,
         'oracle.service': 'ords',
-        'correlation.id': correlationId
+        'correlation.id': correlationId,
+        'ords.max_attempts': ordsRetry.retries + 1,
+        'ords.attempt_timeout_ms': ordsTimeoutMs,
+        'deadline.remaining_ms': deadline.remaining()
       });
 
+      deadline.check('the ORDS call');
+      if (ordsCircuit.isOpen()) {
+        throw new ResilienceError('ORDS circuit breaker is open', 503, 'CIRCUIT_OPEN');
+      }
+
       // Get current trace context to pass to Oracle
       const traceContext = getTraceContext();
       
@@ -183,32 +285,67 @@ async function fetchOracleFinancialData(customer_id, period, correlationId) {
       });
 
       // Call Oracle ORDS with trace context in headers
-      const response = await axios.post(
-        `${oracleOrdsUrl}/ords/pltdb/financial/reports/summary`,
-        {
-          customer_id: customer_id,
-          period: period,
-          include_metrics: true
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Correlation-ID': correlationId,
-            // W3C Trace Context headers for distributed tracing
-            'traceparent': traceContext.traceparent,
-            'tracestate': traceContext.tracestate || '',
-            'X-PLT-Trace-ID': traceContext.traceId,
-            'X-PLT-Span-ID': traceContext.spanId
-          },
-          timeout: 30000
+      const response = await retry(async (attempt) => {
+        deadline.check(`ORDS attempt ${attempt}`);
+        // A retry may find the breaker opened by other requests meanwhile
+        if (attempt > 1 && ordsCircuit.isOpen()) {
+          throw new ResilienceError('ORDS circuit breaker opened between attempts', 503, 'CIRCUIT_OPEN');
+        }
+        try {
+          const result = await axios.post(
+            `${oracleOrdsUrl}/ords/pltdb/financial/reports/summary`,
+            {
+              customer_id: customer_id,
+              period: period,
+              include_metrics: true
+            },
+            {
+              // Tenant headers and baggage added; the ORDS handler passes them
+              // to PLTelemetry.set_tenant_context
+              headers: withTenantHeaders({
+                'Content-Type': 'application/json',
+                'X-Correlation-ID': correlationId,
+                // W3C Trace Context headers for distributed tracing
+                'traceparent': traceContext.traceparent,
+                'tracestate': traceContext.tracestate || '',
+                'X-PLT-Trace-ID': traceContext.traceId,
+                'X-PLT-Span-ID': traceContext.spanId
+              }),
+              timeout: deadline.timeout(ordsTimeoutMs)
+            }
+          );
+          ordsCircuit.record(true);
+          return result;
+        } catch (error) {
+          // A 4xx is ORDS answering: only what a retry could fix counts
+          // against the breaker
+          ordsCircuit.record(!isRetryableOrdsError(error));
+          throw error;
+        }
+      }, {
+        ...ordsRetry,
+        deadline,
+        isRetryable: isRetryableOrdsError,
+        onAttempt: ({ attempt, error, durationMs, delayMs }) => {
+          attempts = attempt;
+          span.addEvent('ords.attempt', {
+            'ords.attempt': attempt,
+            'ords.outcome': error ? 'error' : 'success',
+            'ords.duration_ms': durationMs,
+            ...(error && { 'error.message': error.message }),
+            ...(error?.response && { 'http.response.status_code': error.response.status }),
+            ...(delayMs !== null && { 'ords.retry_in_ms': delayMs })
+          });
         }
-      );
+      });
 
       span.setAttributes({
         'http.response.status_code': response.status,
         'http.response.content_length': JSON.stringify(response.data).length,
         'oracle.response.success': true,
-        'oracle.data.transactions_count': response.data.transactions?.length || 0
+        'oracle.data.transactions_count': response.data.transactions?.length || 0,
+        'ords.attempts': attempts,
+        'circuit_breaker.state': ordsCircuit.state
       });
 
       span.addEvent('oracle_response_received', {
@@ -216,14 +353,17 @@ async function fetchOracleFinancialData(customer_id, period, correlationId) {
         'response.transactions': response.data.transactions?.length || 0
       });
 
+      ordsCache?.set(cacheKey, response.data);
       span.setStatus({ code: SpanStatusCode.OK });
-      return response.data;
+      return { data: response.data, source: 'oracle-ords' };
 
     } catch (error) {
       span.setAttributes({
         'error.type': error.constructor.name,
         'error.message': error.message,
-        'oracle.response.success': false
+        'oracle.response.success': false,
+        'ords.attempts': attempts,
+        'circuit_breaker.state': ordsCircuit.state
       });
 
       if (error.response) {
@@ -234,6 +374,22 @@ async function fetchOracleFinancialData(customer_id, period, correlationId) {
       }
 
       span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+
+      const cached = ordsCache?.get(cacheKey);
+      if (cached) {
+        span.addEvent('stale_cache_fallback', {
+          'cache.key': cacheKey,
+          'cache.age_ms': cached.ageMs,
+          'fallback.reason': error.code || 'ORDS_ERROR'
+        });
+        span.setAttributes({ 'report.degraded': true, 'report.stale_age_ms': cached.ageMs });
+        return { data: cached.value, source: 'stale-cache', staleAgeMs: cached.ageMs };
+      }
+
+      if (error instanceof ResilienceError) throw error;
+      if (deadline.expired()) {
+        throw new ResilienceError(`Oracle ORDS call failed within the ${deadline.budgetMs}ms deadline: ${error.message}`, 504, 'DEADLINE_EXCEEDED');
+      }
       throw new Error(`Oracle ORDS call failed: ${error.message}`);
     } finally {
       span.end();
@@ -367,21 +523,17 @@ function getTraceContext() {
   };
 }
 
-// Add request timing middleware
-app.use((req, res, next) => {
-  req.startTime = Date.now();
-  next();
-});
-
 // Start the server
 app.listen(port, () => {
-  console.log('🚀 Financial Reports API started');
-  console.log(`📊 Server running on port ${port}`);
-  console.log(`🔗 Oracle ORDS URL: ${oracleOrdsUrl}`);
-  console.log(`🎯 Ready for distributed tracing!`);
-  console.log('');
-  console.log('📋 Available endpoints:');
-  console.log(`   GET  http://localhost:${port}/health`);
-  console.log(`   POST http://localhost:${port}/api/reports/financial-summary`);
-  console.log('');
+  logger.log('🚀 Financial Reports API started');
+  logger.log(`📊 Server running on port ${port}`);
+  logger.log(`🔗 Oracle ORDS URL: ${oracleOrdsUrl}`);
+  logger.log(`🎯 Ready for distributed tracing!`);
+  logger.log('');
+  logger.log('📋 Available endpoints:');
+  logger.log(`   GET  http://localhost:${port}/health`);
+  logger.log(`   GET  http://localhost:${port}/health/live`);
+  logger.log(`   GET  http://localhost:${port}/health/ready`);
+  logger.log(`   POST http://localhost:${port}/api/reports/financial-summary`);
+  logger.log('');
 });
\ No newline at end of file
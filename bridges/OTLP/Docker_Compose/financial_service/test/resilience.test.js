@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Deadline, backoffDelay, retry, CircuitBreaker, StaleCache, ResilienceError } = require('../resilience');
+
+// Date.now under test control: returns `clock.now`
+function fakeClock(t, start = 1_000_000) {
+  const clock = { now: start };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+// -----------------------------------------------------------------------------
+// DEADLINE
+// -----------------------------------------------------------------------------
+
+test('a deadline cuts step timeouts and fails once spent', (t) => {
+  const clock = fakeClock(t);
+  const deadline = new Deadline(1000);
+
+  clock.now += 700;
+  assert.strictEqual(deadline.remaining(), 300);
+  assert.strictEqual(deadline.timeout(5000), 300);
+  assert.strictEqual(deadline.timeout(100), 100);
+  deadline.check('fetch');
+
+  clock.now += 400;
+  assert.strictEqual(deadline.expired(), true);
+  // 0 would mean no timeout to axios
+  assert.strictEqual(deadline.timeout(5000), 1);
+  assert.throws(() => deadline.check('fetch'), (error) => error instanceof ResilienceError
+    && error.status === 504 && error.code === 'DEADLINE_EXCEEDED' && /before fetch/.test(error.message));
+});
+
+// -----------------------------------------------------------------------------
+// RETRIES
+// -----------------------------------------------------------------------------
+
+test('backoff doubles per attempt up to the cap, with full jitter', () => {
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map((n) => backoffDelay(n, 100, 500, () => 1)), [100, 200, 400, 500, 500]);
+  assert.strictEqual(backoffDelay(3, 100, 500, () => 0), 0);
+  assert.strictEqual(backoffDelay(2, 100, 500, () => 0.5), 100);
+});
+
+test('retry gives up after the extra attempts', async () => {
+  const attempts = [];
+  await assert.rejects(
+    retry(async (attempt) => { throw new Error(`fail ${attempt}`); }, {
+      retries: 2, baseDelayMs: 1, maxDelayMs: 1, onAttempt: (info) => attempts.push(info)
+    }),
+    /fail 3/
+  );
+  assert.deepStrictEqual(attempts.map((info) => info.attempt), [1, 2, 3]);
+  assert.strictEqual(attempts[2].delayMs, null);
+});
+
+test('retry returns the first success', async () => {
+  const result = await retry(async (attempt) => {
+    if (attempt < 3) throw new Error('flaky');
+    return 'ok';
+  }, { retries: 5, baseDelayMs: 1, maxDelayMs: 1 });
+  assert.strictEqual(result, 'ok');
+});
+
+test('retry stops at errors that are not retryable', async () => {
+  let calls = 0;
+  await assert.rejects(retry(async () => {
+    calls++;
+    throw Object.assign(new Error('bad request'), { status: 400 });
+  }, { retries: 3, baseDelayMs: 1, maxDelayMs: 1, isRetryable: (error) => error.status >= 500 }), /bad request/);
+  assert.strictEqual(calls, 1);
+});
+
+test('retry does not wait past the deadline', async () => {
+  let calls = 0;
+  await assert.rejects(retry(async () => {
+    calls++;
+    throw new Error('slow');
+  }, { retries: 3, baseDelayMs: 60000, maxDelayMs: 60000, deadline: new Deadline(50) }), /slow/);
+  assert.strictEqual(calls, 1);
+});
+
+// -----------------------------------------------------------------------------
+// CIRCUIT BREAKER
+// -----------------------------------------------------------------------------
+
+function failing(breaker, calls, errors) {
+  for (let i = 0; i < calls; i++) breaker.record(i >= errors);
+}
+
+test('the circuit opens above the error threshold with enough calls', (t) => {
+  fakeClock(t);
+  const changes = [];
+  const breaker = new CircuitBreaker({ minAttempts: 10, onStateChange: (change) => changes.push(change) });
+
+  failing(breaker, 10, 10);
+  assert.strictEqual(breaker.isOpen(), false, 'not more than minAttempts yet');
+
+  failing(breaker, 1, 1);
+  assert.strictEqual(breaker.isOpen(), true);
+  assert.deepStrictEqual(changes.map(({ from, to }) => [from, to]), [['CLOSED', 'OPEN']]);
+});
+
+test('the circuit stays closed at or below the threshold', (t) => {
+  fakeClock(t);
+  const breaker = new CircuitBreaker({ minAttempts: 10 });
+  failing(breaker, 20, 10);
+  assert.strictEqual(breaker.isOpen(), false);
+});
+
+test('old calls leave the window', (t) => {
+  const clock = fakeClock(t);
+  const breaker = new CircuitBreaker({ minAttempts: 10, windowMs: 1000 });
+  failing(breaker, 20, 20);
+  clock.now += 1001;
+  assert.strictEqual(breaker.isOpen(), false);
+  assert.strictEqual(breaker.stats().attempts, 0);
+});
+
+test('half open closes after good probes and reopens after bad ones', (t) => {
+  const clock = fakeClock(t);
+  const breaker = new CircuitBreaker({ minAttempts: 2, recoveryMs: 5000, halfOpenAttempts: 4 });
+
+  failing(breaker, 3, 3);
+  assert.strictEqual(breaker.isOpen(), true);
+  assert.ok(breaker.stats().retry_at);
+
+  clock.now += 5000;
+  assert.strictEqual(breaker.isOpen(), false);
+  assert.strictEqual(breaker.state, 'HALF_OPEN');
+  failing(breaker, 4, 2);
+  assert.strictEqual(breaker.isOpen(), true, '2 of 4 failed: above half the threshold');
+
+  clock.now += 5000;
+  breaker.isOpen();
+  failing(breaker, 4, 1);
+  assert.strictEqual(breaker.isOpen(), false);
+  assert.strictEqual(breaker.state, 'CLOSED');
+});
+
+// -----------------------------------------------------------------------------
+// STALE CACHE
+// -----------------------------------------------------------------------------
+
+test('the stale cache serves answers until they expire', (t) => {
+  const clock = fakeClock(t);
+  const cache = new StaleCache({ ttlMs: 1000 });
+  cache.set('CUST-001', { total: 1 });
+
+  clock.now += 400;
+  assert.deepStrictEqual(cache.get('CUST-001'), { value: { total: 1 }, ageMs: 400 });
+  clock.now += 601;
+  assert.strictEqual(cache.get('CUST-001'), null);
+  assert.strictEqual(cache.get('CUST-002'), null);
+});
+
+test('the stale cache drops the least recently stored entry first', () => {
+  const cache = new StaleCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.set('a', 3);
+  cache.set('c', 4);
+
+  assert.strictEqual(cache.get('b'), null);
+  assert.strictEqual(cache.get('a').value, 3);
+  assert.strictEqual(cache.get('c').value, 4);
+});
@@ -3,11 +3,12 @@
 // Native OTEL instrumentation for Node.js
 // =============================================================================
 
-const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { NodeSDK, tracing } = require('@opentelemetry/sdk-node');
 const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
 const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
 const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
 const { SemanticResourceAttributes } = require('@opentelemetry/semantic-conventions');
+const tenant = require('../services/lib/tenant');
 
 // Configure OTLP exporter to send to Tempo
 const traceExporter = new OTLPTraceExporter({
@@ -32,8 +33,11 @@ const sdk = new NodeSDK({
     'plt.bridge.target': 'oracle-plsql'
   },
   
-  // Configure trace exporter
-  traceExporter,
+  // Stamp tenant.id / tenant.name on every span, then export
+  spanProcessors: [
+    new tenant.TenantSpanProcessor(),
+    new tracing.BatchSpanProcessor(traceExporter)
+  ],
   
   // Auto-instrumentation for HTTP and Express
   instrumentations: [
@@ -43,7 +47,9 @@ const sdk = new NodeSDK({
         span.setAttributes({
           'http.request.method': request.method,
           'http.url': request.url,
-          'user_agent': request.headers['user-agent'] || 'unknown'
+          'user_agent': request.headers['user-agent'] || 'unknown',
+          // Server spans start before the tenant middleware runs
+          ...tenant.tenantAttributes(tenant.tenantFromHeaders(request.headers))
         });
       },
       responseHook: (span, response) => {
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// =============================================================================
+// Mock legacy services launcher
+//   npm start                                    every enabled service in configs/services.json
+//   npm start -- weblogic-erp email-service      only these
+//   npm start -- --mode process                  all in this Node.js process
+//   npm start -- --config my-services.json --control-port 9000
+// Control API (status, start, stop, restart, crash, health) on the control
+// port, 8000 by default. See services/README.md.
+// =============================================================================
+
+const path = require('path');
+const { Launcher, loadConfig, LauncherError } = require('./services/lib/launcher');
+
+const USAGE = `Usage: node index.js [SERVICE ...] [--config FILE] [--mode child|process] [--control-port PORT]
+
+  SERVICE               Start only these (default: every service with "enabled": true)
+  --config FILE         Services config (default configs/services.json, or MOCK_SERVICES_CONFIG)
+  --mode MODE           child: one process per service (default); process: all in this one
+  --control-port PORT   Control API port (default from the config, or MOCK_CONTROL_PORT, or 8000)`;
+
+function parseArgs(argv) {
+    const args = { names: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new LauncherError(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--config': args.config = value(); break;
+            case '--mode': args.mode = value(); break;
+            case '--control-port': args.controlPort = Number(value()); break;
+            case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new LauncherError(`Unknown option ${arg}`);
+                args.names.push(arg);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const file = path.resolve(args.config || process.env.MOCK_SERVICES_CONFIG || path.join(__dirname, 'configs', 'services.json'));
+    const config = loadConfig(file, __dirname);
+    if (args.mode) config.mode = args.mode;
+    if (!['child', 'process'].includes(config.mode)) throw new LauncherError('--mode must be child or process');
+    config.controlPort = args.controlPort || Number(process.env.MOCK_CONTROL_PORT) || config.controlPort;
+
+    const launcher = new Launcher(config);
+    console.log(`🚀 PLTelemetry mock services (${config.mode} mode, ${path.relative(process.cwd(), file)})`);
+    await launcher.startAll(args.names);
+
+    // Loaded after the services: in process mode the first one starts
+    // tracing, which must happen before express is loaded (see lib/tracing.js)
+    const server = startControlApi(launcher);
+
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`\n🔴 ${signal}: stopping mock services...`);
+        server.close();
+        await launcher.stopAll();
+        if (config.mode === 'process') await require('./services/lib/tracing').shutdownTracing();
+        process.exit(0);
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+function startControlApi(launcher) {
+    const express = require('express');
+    const app = express();
+    app.use(express.json());
+
+    const handle = (action) => async (req, res) => {
+        try {
+            res.json(await action(req));
+        } catch (error) {
+            const status = error instanceof LauncherError ? error.status : 500;
+            res.status(status).json({
+                error: error.message,
+                code: error.code || 'LAUNCHER_ERROR',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Runs an action on one service, or on each of them for 'all'
+    const each = (action) => handle(async (req) => {
+        const services = launcher.select(req.params.name);
+        const results = [];
+        for (const service of services) {
+            try {
+                const outcome = await action(service, req);
+                results.push({ ...(await service.view()), ...(outcome && { result: outcome }) });
+            } catch (error) {
+                if (services.length === 1) throw error;
+                results.push({ ...(await service.view(false)), error: error.message, code: error.code });
+            }
+        }
+        return req.params.name === 'all' ? { services: results } : results[0];
+    });
+
+    app.get('/services', handle(async () => ({
+        mode: launcher.mode,
+        services: await Promise.all([...launcher.services.values()].map((service) => service.view()))
+    })));
+
+    app.get('/services/:name', handle((req) => launcher.get(req.params.name).view()));
+
+    app.post('/services/:name/start', each((service) => service.start()));
+    app.post('/services/:name/stop', each((service) => service.stop()));
+    app.post('/services/:name/restart', each((service) => service.restart()));
+    app.post('/services/:name/crash', each((service) => service.crash()));
+    app.post('/services/:name/health/:status', each((service, req) =>
+        service.setHealth(req.params.status, req.body && req.body.reason)));
+
+    // Worst status of the running services; 503 when one is unhealthy or down
+    app.get('/health', async (req, res) => {
+        const services = [...launcher.services.values()].filter((service) => service.state !== 'stopped');
+        const probes = await Promise.all(services.map((service) => service.probe()));
+        const statuses = Object.fromEntries(services.map((service, i) => [service.name, probes[i].status]));
+        const values = Object.values(statuses);
+        const status = values.some((value) => value === 'unhealthy' || value === 'down')
+            ? 'unhealthy'
+            : (values.includes('degraded') ? 'degraded' : 'healthy');
+        res.status(status === 'unhealthy' ? 503 : 200).json({ status, mode: launcher.mode, services: statuses });
+    });
+
+    return app.listen(launcher.controlPort, () => {
+        console.log(`\n🎛️  Control API on http://localhost:${launcher.controlPort}`);
+        console.log(`   Status: http://localhost:${launcher.controlPort}/services`);
+        console.log(`   Health: http://localhost:${launcher.controlPort}/health`);
+        console.log(`   Crash: curl -X POST http://localhost:${launcher.controlPort}/services/email-service/crash\n`);
+    });
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    if (error instanceof LauncherError && error.code === 'INVALID_CONFIG') console.error(USAGE);
+    process.exit(1);
+});
@@ -0,0 +1,289 @@
+// =============================================================================
+// Load profiles for the mock legacy services and the financial API
+// A profile is a weighted mix of requests and a rate plan (constant or ramping
+// stages). The plan is open-loop: requests go out on schedule whether or not
+// the earlier ones have answered, so a slow service shows up as latency and
+// in-flight requests instead of a lower rate.
+// =============================================================================
+
+const crypto = require('crypto');
+const { createRandom } = require('../services/lib/seeded-random');
+const { ScenarioError, parseDuration } = require('../scenarios/scenario');
+
+// Where the targets live when the profile does not say (docker-compose ports)
+const DEFAULT_URLS = {
+    'oracle-reports': 'http://localhost:8001',
+    'weblogic-erp': 'http://localhost:8002',
+    'email-service': 'http://localhost:8003',
+    'batch-processor': 'http://localhost:8004',
+    'document-service': 'http://localhost:8005',
+    'financial-service': 'http://localhost:3001'
+};
+
+// Ready-made requests, usable by name in a profile or with --target
+const PRESETS = {
+    reports: {
+        service: 'oracle-reports',
+        method: 'POST',
+        path: '/reports/generate',
+        body: { template: '{{pick:MONTHLY_SALES,INVENTORY,AGED_DEBT}}', format: '{{pick:PDF,CSV}}', data: { run: '{{n}}' } }
+    },
+    email: {
+        service: 'email-service',
+        method: 'POST',
+        path: '/send',
+        body: { to: 'load-{{n}}@example.com', subject: 'Load test {{n}}', body: 'Sent by load/run-load.js', priority: '{{pick:high,normal,normal,low}}' }
+    },
+    'financial-summary': {
+        service: 'financial-service',
+        method: 'POST',
+        path: '/api/reports/financial-summary',
+        body: { customer_id: 'CUST-{{pick:001,002,003}}', period: '2025-Q{{pick:1,2,3,4}}', include_forecasts: false }
+    },
+    health: {
+        service: 'oracle-reports',
+        method: 'GET',
+        path: '/health'
+    }
+};
+
+class LoadError extends ScenarioError {
+    constructor(message) {
+        super(message);
+        this.name = 'LoadError';
+    }
+}
+
+function positive(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new LoadError(`${field} must be a number >= 0`);
+    return number;
+}
+
+/**
+ * Stages as { fromRps, toRps, durationMs }. A stage has `for` and either
+ * `rate` (constant) or `to` (linear ramp from where the last stage ended)
+ */
+function normalizeStages(json) {
+    const stages = json.stages || [{
+        rate: json.to === undefined ? json.rate : undefined,
+        from: json.to === undefined ? undefined : json.rate,
+        to: json.to,
+        for: json.duration
+    }];
+    if (!Array.isArray(stages) || stages.length === 0) throw new LoadError('stages must be a non-empty array');
+
+    let previous = 0;
+    return stages.map((stage, index) => {
+        const where = `Stage ${index + 1}`;
+        if (stage.for === undefined) throw new LoadError(`${where}: for (or duration) is required`);
+        const durationMs = parseDuration(stage.for, `${where}.for`);
+        if (stage.rate === undefined && stage.to === undefined) throw new LoadError(`${where}: rate or to is required`);
+
+        const fromRps = stage.rate !== undefined
+            ? positive(stage.rate, `${where}.rate`)
+            : (stage.from !== undefined ? positive(stage.from, `${where}.from`) : previous);
+        const toRps = stage.rate !== undefined ? fromRps : positive(stage.to, `${where}.to`);
+        previous = toRps;
+        return { fromRps, toRps, durationMs };
+    });
+}
+
+function normalizeRequest(request, index, urls) {
+    const where = `Request ${index + 1}`;
+    const preset = typeof request === 'string' ? { preset: request } : request;
+    if (!preset || typeof preset !== 'object') throw new LoadError(`${where} must be an object or a preset name`);
+    if (preset.preset && !PRESETS[preset.preset]) {
+        throw new LoadError(`${where}: unknown preset ${preset.preset} (known: ${Object.keys(PRESETS).join(', ')})`);
+    }
+
+    const merged = { ...PRESETS[preset.preset], ...preset };
+    const base = merged.url || urls[merged.service];
+    if (!base) throw new LoadError(`${where}: unknown service "${merged.service}", give a url`);
+    if (!merged.path && !merged.url) throw new LoadError(`${where}: path is required`);
+
+    const weight = merged.weight === undefined ? 1 : positive(merged.weight, `${where}.weight`);
+    return {
+        name: merged.name || merged.preset || `${merged.service}${merged.path}`,
+        method: (merged.method || 'GET').toUpperCase(),
+        url: `${base.replace(/\/$/, '')}${merged.path || ''}`,
+        headers: merged.headers || {},
+        body: merged.body,
+        weight
+    };
+}
+
+/**
+ * Validate a load profile and fill in defaults
+ * @param {Object} json { name, seed, rate, to, duration, stages, timeout, maxInFlight, interval, services, requests }
+ */
+function normalizeProfile(json) {
+    if (!json || typeof json !== 'object') throw new LoadError('Profile must be a JSON object');
+    if (!Array.isArray(json.requests) || json.requests.length === 0) throw new LoadError('Profile needs a requests array');
+
+    const urls = { ...DEFAULT_URLS, ...json.services };
+    const requests = json.requests.map((request, index) => normalizeRequest(request, index, urls));
+    if (!requests.some((request) => request.weight > 0)) throw new LoadError('At least one request needs a weight above 0');
+
+    const stages = normalizeStages(json);
+    return {
+        name: json.name || 'load',
+        seed: json.seed ?? 0,
+        stages,
+        durationMs: stages.reduce((sum, stage) => sum + stage.durationMs, 0),
+        timeoutMs: json.timeout === undefined ? 10000 : parseDuration(json.timeout, 'timeout'),
+        maxInFlight: json.maxInFlight === undefined ? 500 : positive(json.maxInFlight, 'maxInFlight'),
+        intervalMs: json.interval === undefined ? 5000 : parseDuration(json.interval, 'interval'),
+        requests
+    };
+}
+
+/**
+ * Requests that should have gone out after `ms` (the area under the rate plan)
+ */
+function expectedCount(stages, ms) {
+    let count = 0;
+    let left = ms;
+    for (const stage of stages) {
+        const t = Math.min(left, stage.durationMs);
+        if (t <= 0) break;
+        const slope = stage.durationMs ? (stage.toRps - stage.fromRps) / stage.durationMs : 0;
+        count += (stage.fromRps * t + slope * t * t / 2) / 1000;
+        left -= t;
+    }
+    return count;
+}
+
+/**
+ * Planned requests per second at `ms`
+ */
+function rateAt(stages, ms) {
+    let left = ms;
+    for (const stage of stages) {
+        if (left < stage.durationMs) return stage.fromRps + (stage.toRps - stage.fromRps) * (left / stage.durationMs);
+        left -= stage.durationMs;
+    }
+    return 0;
+}
+
+/**
+ * Weighted pick of the next request, repeatable for a seed
+ */
+function createPicker(requests, seed) {
+    const random = createRandom(`load:${seed}`);
+    const total = requests.reduce((sum, request) => sum + request.weight, 0);
+    const pick = () => {
+        let roll = random() * total;
+        for (const request of requests) {
+            roll -= request.weight;
+            if (roll < 0) return request;
+        }
+        return requests[requests.length - 1];
+    };
+    return { pick, random };
+}
+
+/**
+ * Fill {{n}}, {{uuid}} and {{pick:a,b,c}} in every string of a body
+ */
+function renderBody(value, n, random) {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{\s*(n|uuid|pick:([^}]*))\s*\}\}/g, (match, token, choices) => {
+            if (token === 'n') return String(n);
+            if (token === 'uuid') return crypto.randomUUID();
+            const list = choices.split(',');
+            return list[Math.floor(random() * list.length)];
+        });
+    }
+    if (Array.isArray(value)) return value.map((item) => renderBody(item, n, random));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderBody(item, n, random)]));
+    }
+    return value;
+}
+
+/**
+ * What went wrong with a request, as a short stable key
+ */
+function errorKind(error) {
+    if (error.name === 'TimeoutError') return 'timeout';
+    const cause = error.cause;
+    if (cause && cause.code) return cause.code.toLowerCase().replace(/^und_err_/, '');
+    return error.name === 'AbortError' ? 'aborted' : 'network_error';
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// ---------------------------------------------------------------------------
+// RESULTS
+// ---------------------------------------------------------------------------
+
+class Stats {
+    constructor() {
+        this.sent = 0;
+        this.ok = 0;
+        this.failed = 0;
+        this.latencies = [];
+        this.statuses = {};
+        this.errors = {};
+    }
+
+    record(result) {
+        this.sent++;
+        if (result.status) this.statuses[result.status] = (this.statuses[result.status] || 0) + 1;
+        if (result.error) {
+            this.failed++;
+            this.errors[result.error] = (this.errors[result.error] || 0) + 1;
+        } else {
+            this.ok++;
+        }
+        // Timeouts and refused connections have no latency worth averaging
+        if (result.status) this.latencies.push(result.ms);
+    }
+
+    summary(elapsedMs) {
+        const sorted = [...this.latencies].sort((a, b) => a - b);
+        const mean = sorted.length ? sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length : null;
+        return {
+            requests: this.sent,
+            ok: this.ok,
+            failed: this.failed,
+            error_rate: this.sent ? Math.round((this.failed / this.sent) * 10000) / 10000 : 0,
+            rps: elapsedMs ? round(this.sent / (elapsedMs / 1000)) : 0,
+            latency_ms: {
+                min: round(sorted[0] ?? null),
+                mean: round(mean),
+                p50: round(percentile(sorted, 50)),
+                p90: round(percentile(sorted, 90)),
+                p95: round(percentile(sorted, 95)),
+                p99: round(percentile(sorted, 99)),
+                max: round(sorted[sorted.length - 1] ?? null)
+            },
+            statuses: this.statuses,
+            errors: this.errors
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_URLS,
+    PRESETS,
+    LoadError,
+    normalizeProfile,
+    expectedCount,
+    rateAt,
+    createPicker,
+    renderBody,
+    errorKind,
+    percentile,
+    Stats
+};
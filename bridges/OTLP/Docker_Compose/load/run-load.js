@@ -0,0 +1,266 @@
+// =============================================================================
+// Load generator for the mock legacy services and the financial API
+//
+//   node load/run-load.js load/legacy-mix.json
+//   node load/run-load.js --target reports --target email:3 --rate 20 --duration 60s
+//   node load/run-load.js --target financial-summary --rate 5 --to 50 --duration 5m
+//
+// Sends a weighted mix of requests at a constant or ramping rate, then prints
+// a JSON report (latency percentiles, statuses, errors, per-interval timeline)
+// on stdout. Progress goes to stderr. See services/README.md.
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { parseDuration } = require('../scenarios/scenario');
+const {
+    PRESETS,
+    LoadError,
+    normalizeProfile,
+    expectedCount,
+    rateAt,
+    createPicker,
+    renderBody,
+    errorKind,
+    Stats
+} = require('./load');
+
+// How often the scheduler wakes up to send what is due
+const TICK_MS = 10;
+
+const USAGE = `Usage: node load/run-load.js [profile.json] [options]
+
+Options:
+  --target <name[:weight]>  Add a preset request (${Object.keys(PRESETS).join(', ')})
+                            or a GET like weblogic-erp/health; repeat for a mix,
+                            e.g. --target reports:3 --target email
+  --rate <rps>              Requests per second, or the start of a ramp (default 10)
+  --to <rps>                Ramp linearly from --rate to this over --duration
+  --duration <d>            How long to send, e.g. 30s, 5m (default 30s)
+  --seed <seed>             Seed for the request mix (default 0)
+  --timeout <d>             Per-request timeout (default 10s)
+  --max-in-flight <n>       Skip sends beyond this many open requests (default 500)
+  --interval <d>            Timeline bucket size (default 5s)
+  --url <service=url>       Override a service URL, e.g. oracle-reports=http://host:8001
+  --out <file>              Also write the report to this file
+  --help                    Show this help
+
+Command-line values override the profile's.`;
+
+function parseArgs(argv) {
+    const args = { file: null, targets: [], services: {}, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new LoadError(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--target': {
+                const [target, weight] = value().split(':');
+                const slash = target.indexOf('/');
+                const request = slash === -1
+                    ? { preset: target }
+                    : { service: target.slice(0, slash), method: 'GET', path: target.slice(slash) };
+                args.targets.push({ ...request, weight: weight === undefined ? 1 : Number(weight) });
+                break;
+            }
+            case '--rate': args.rate = Number(value()); break;
+            case '--to': args.to = Number(value()); break;
+            case '--duration': args.duration = value(); break;
+            case '--seed': args.seed = value(); break;
+            case '--timeout': args.timeout = value(); break;
+            case '--max-in-flight': args.maxInFlight = Number(value()); break;
+            case '--interval': args.interval = value(); break;
+            case '--url': {
+                const [service, url] = value().split(/=(.*)/);
+                if (!url) throw new LoadError('--url must look like service=http://host:port');
+                args.services[service] = url;
+                break;
+            }
+            case '--out': args.out = value(); break;
+            case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('--') || args.file) throw new LoadError(`Unexpected argument ${arg}`);
+                args.file = arg;
+        }
+    }
+    return args;
+}
+
+function loadProfile(args) {
+    const json = args.file ? JSON.parse(fs.readFileSync(args.file, 'utf8')) : { name: 'cli', rate: 10, duration: '30s' };
+    if (args.targets.length) json.requests = args.targets;
+    if (!json.requests) throw new LoadError('Give a profile file or at least one --target');
+    if (args.rate !== undefined || args.to !== undefined || args.duration !== undefined) {
+        // A rate plan from the command line replaces the profile's stages
+        if (args.rate === undefined && json.stages) throw new LoadError('--to and --duration need --rate to replace the profile stages');
+        delete json.stages;
+        for (const key of ['rate', 'to', 'duration']) if (args[key] !== undefined) json[key] = args[key];
+    }
+    for (const key of ['seed', 'timeout', 'maxInFlight', 'interval']) if (args[key] !== undefined) json[key] = args[key];
+    json.services = { ...json.services, ...args.services };
+    return normalizeProfile(json);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} args From parseArgs
+ * @param {AbortSignal} [signal] Stops sending early; the report covers what was sent
+ * @returns {Promise<Object>} The report
+ */
+async function run(args, signal) {
+    const profile = loadProfile(args);
+    const { pick, random } = createPicker(profile.requests, profile.seed);
+    const plan = profile.stages.map((stage) => (stage.fromRps === stage.toRps
+        ? `${stage.fromRps} rps`
+        : `${stage.fromRps}→${stage.toRps} rps`) + ` for ${stage.durationMs / 1000}s`).join(', ');
+    console.error(`🔥 Load ${profile.name}: ${plan}, ${profile.requests.length} request type(s), seed ${profile.seed}`);
+
+    const total = new Stats();
+    const byRequest = new Map(profile.requests.map((request) => [request.name, new Stats()]));
+    const windows = [];
+    const inFlight = new Set();
+    let scheduled = 0;
+    let skipped = 0;
+
+    const windowAt = (ms) => {
+        const index = Math.floor(ms / profile.intervalMs);
+        while (windows.length <= index) windows.push({ stats: new Stats(), skipped: 0, maxInFlight: 0 });
+        return windows[index];
+    };
+
+    const send = async (request, n, window) => {
+        const init = {
+            method: request.method,
+            headers: { 'User-Agent': 'pltelemetry-load', ...request.headers },
+            signal: AbortSignal.timeout(profile.timeoutMs)
+        };
+        if (request.body !== undefined && request.method !== 'GET') {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(renderBody(request.body, n, random));
+        }
+
+        const start = performance.now();
+        let result;
+        try {
+            const response = await fetch(request.url, init);
+            await response.arrayBuffer();
+            result = { status: response.status, error: response.status >= 400 ? `http_${response.status}` : null };
+        } catch (error) {
+            result = { status: null, error: errorKind(error) };
+        }
+        result.ms = performance.now() - start;
+
+        total.record(result);
+        byRequest.get(request.name).record(result);
+        window.stats.record(result);
+    };
+
+    const startedAt = new Date();
+    const start = performance.now();
+    let lastProgress = 0;
+    while (!(signal && signal.aborted)) {
+        const elapsed = performance.now() - start;
+        if (elapsed >= profile.durationMs) break;
+
+        const window = windowAt(elapsed);
+        const due = Math.floor(expectedCount(profile.stages, elapsed));
+        while (scheduled < due) {
+            scheduled++;
+            if (inFlight.size >= profile.maxInFlight) {
+                skipped++;
+                window.skipped++;
+                continue;
+            }
+            const pending = send(pick(), scheduled, window);
+            inFlight.add(pending);
+            pending.finally(() => inFlight.delete(pending));
+        }
+        window.maxInFlight = Math.max(window.maxInFlight, inFlight.size);
+
+        if (elapsed - lastProgress >= profile.intervalMs) {
+            lastProgress = elapsed;
+            process.stderr.write(`[t+${Math.round(elapsed / 1000)}s] ${scheduled} sent, ${rateAt(profile.stages, elapsed).toFixed(1)} rps planned, ${inFlight.size} in flight, ${total.failed} failed\n`);
+        }
+        await sleep(TICK_MS);
+    }
+    const sendingMs = performance.now() - start;
+
+    // Let the stragglers answer (or time out) so every request is counted
+    if (inFlight.size) console.error(`⏳ Waiting for ${inFlight.size} request(s) in flight...`);
+    await Promise.allSettled([...inFlight]);
+
+    const report = {
+        name: profile.name,
+        seed: profile.seed,
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        duration_s: Math.round(sendingMs) / 1000,
+        interrupted: Boolean(signal && signal.aborted),
+        stages: profile.stages.map((stage) => ({ from_rps: stage.fromRps, to_rps: stage.toRps, duration_s: stage.durationMs / 1000 })),
+        planned: Math.floor(expectedCount(profile.stages, profile.durationMs)),
+        scheduled,
+        skipped,
+        total: total.summary(sendingMs),
+        requests: Object.fromEntries([...byRequest].map(([name, stats]) => [name, stats.summary(sendingMs)])),
+        timeline: windows.map((window, index) => {
+            const from = index * profile.intervalMs;
+            const length = Math.min(profile.intervalMs, sendingMs - from);
+            const summary = window.stats.summary(length);
+            return {
+                t_s: from / 1000,
+                planned_rps: Math.round(rateAt(profile.stages, from + length / 2) * 10) / 10,
+                rps: summary.rps,
+                requests: summary.requests,
+                failed: summary.failed,
+                skipped: window.skipped,
+                max_in_flight: window.maxInFlight,
+                p50_ms: summary.latency_ms.p50,
+                p95_ms: summary.latency_ms.p95,
+                p99_ms: summary.latency_ms.p99,
+                errors: summary.errors
+            };
+        })
+    };
+
+    if (args.out) {
+        fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+        fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+    }
+    const latency = report.total.latency_ms;
+    console.error(`✅ ${report.total.requests} requests, ${report.total.rps} rps, ${report.total.failed} failed, p50 ${latency.p50}ms, p95 ${latency.p95}ms, p99 ${latency.p99}ms${args.out ? `, report in ${args.out}` : ''}`);
+    return report;
+}
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        if (args.duration !== undefined) parseDuration(args.duration, '--duration');
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (args.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const controller = new AbortController();
+    process.on('SIGINT', () => controller.abort());
+    process.on('SIGTERM', () => controller.abort());
+
+    run(args, controller.signal)
+        .then((report) => console.log(JSON.stringify(report, null, 2)))
+        .catch((error) => {
+            console.error('❌ Load run failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { run, parseArgs, loadProfile };
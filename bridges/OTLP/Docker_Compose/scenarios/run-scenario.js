@@ -0,0 +1,190 @@
+// =============================================================================
+// Chaos scenario runner for the mock legacy services
+//
+//   node scenarios/run-scenario.js scenarios/email-outage.json
+//   node scenarios/run-scenario.js --seed 42 --steps 6 --duration 30m
+//   node scenarios/run-scenario.js scenarios/email-outage.json --dry-run
+//
+// Applies the timeline through /admin/faults and writes the expected-outcome
+// log (JSON lines) as it goes. See services/README.md.
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ScenarioError,
+    parseDuration,
+    normalizeScenario,
+    generateScenario,
+    expectedOutcome
+} = require('./scenario');
+
+const USAGE = `Usage: node scenarios/run-scenario.js [scenario.json] [options]
+
+Options:
+  --seed <seed>        Seed for the services' random numbers; without a
+                       scenario file, also generates the timeline
+  --steps <n>          Faults in a generated timeline (default 4)
+  --duration <d>       Length of a generated timeline (default 20m)
+  --out <file>         Expected-outcome log (default <name>.expected.jsonl)
+  --dry-run            Write the log without touching the services or waiting
+  --help               Show this help`;
+
+function parseArgs(argv) {
+    const args = { file: null, seed: undefined, steps: undefined, duration: undefined, out: null, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new ScenarioError(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--seed': args.seed = value(); break;
+            case '--steps': args.steps = Number(value()); break;
+            case '--duration': args.duration = parseDuration(value(), '--duration'); break;
+            case '--out': args.out = value(); break;
+            case '--dry-run': args.dryRun = true; break;
+            case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('--') || args.file) throw new ScenarioError(`Unexpected argument ${arg}`);
+                args.file = arg;
+        }
+    }
+    return args;
+}
+
+function loadScenario(args) {
+    if (args.file) {
+        const json = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+        return normalizeScenario(args.seed === undefined ? json : { ...json, seed: args.seed });
+    }
+    if (args.seed === undefined) throw new ScenarioError('Give a scenario file or --seed');
+    return normalizeScenario(generateScenario(args.seed, { steps: args.steps, durationMs: args.duration }));
+}
+
+async function request(service, method, urlPath, body) {
+    const response = await fetch(`${service.url}${urlPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok && response.status !== 404) {
+        throw new Error(`${method} ${service.url}${urlPath} -> HTTP ${response.status}: ${await response.text()}`);
+    }
+    return response;
+}
+
+/**
+ * What the runner has to do for a log event (null when it only describes)
+ */
+function actionFor(scenario, event) {
+    const service = scenario.services[event.service];
+    if (event.event === 'fault') return () => request(service, 'POST', '/admin/faults/rules', event.rule);
+    if (event.event === 'recover') return () => request(service, 'DELETE', `/admin/faults/rules/${encodeURIComponent(event.rule_id)}`);
+    return null;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(new Error('Interrupted'));
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new Error('Interrupted'));
+            }, { once: true });
+        }
+        return undefined;
+    });
+}
+
+/**
+ * @param {Object} args From parseArgs
+ * @param {AbortSignal} [signal] Stops the timeline (the applied rules are still removed)
+ */
+async function run(args, signal) {
+    const scenario = loadScenario(args);
+    const events = expectedOutcome(scenario);
+    const out = args.out || `${scenario.name}.expected.jsonl`;
+    const services = Object.values(scenario.services);
+
+    console.log(`🎬 Scenario ${scenario.name}: ${scenario.steps.length} fault(s) over ${scenario.durationMs / 1000}s, seed ${scenario.seed}`);
+
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    const log = fs.openSync(out, 'w');
+    const startedAt = Date.now();
+    const write = (event) => {
+        const at = new Date(startedAt + event.t * 1000).toISOString();
+        fs.writeSync(log, `${JSON.stringify({ ...event, at })}\n`);
+    };
+
+    if (args.dryRun) {
+        events.forEach(write);
+        fs.closeSync(log);
+        console.log(`📝 Expected outcome written to ${out} (dry run)`);
+        return;
+    }
+
+    // Same starting point on every run: no rules, default triggers, the scenario seed
+    for (const service of services) {
+        await request(service, 'POST', '/admin/faults', { seed: scenario.seed, rules: [] });
+    }
+
+    const applied = new Map();
+    try {
+        for (const event of events) {
+            const wait = startedAt + event.t * 1000 - Date.now();
+            if (wait > 0) await sleep(wait, signal);
+
+            const action = actionFor(scenario, event);
+            if (action) {
+                await action();
+                if (event.event === 'fault') applied.set(event.rule.id, event.service);
+                if (event.event === 'recover') applied.delete(event.rule_id);
+                const what = event.event === 'fault' ? `${event.fault} (${event.rule.id})` : `recovered (${event.rule_id})`;
+                console.log(`[t+${event.t}s] ${event.service}: ${what}`);
+            } else if (event.event === 'check' && event.status !== 'HEALTHY') {
+                console.log(`[t+${event.t}s] ${event.service}: expect ${event.status}, consecutive_failures=${event.consecutive_failures}`);
+            }
+            write(event);
+        }
+        console.log(`✅ Scenario ${scenario.name} finished, expected outcome in ${out}`);
+    } catch (error) {
+        const t = Math.round(Date.now() - startedAt) / 1000;
+        fs.writeSync(log, `${JSON.stringify({ event: 'aborted', t, error: error.message, at: new Date().toISOString() })}\n`);
+        throw error;
+    } finally {
+        fs.closeSync(log);
+        // Leave the services as we found them, even when interrupted
+        for (const [ruleId, name] of applied) {
+            await request(scenario.services[name], 'DELETE', `/admin/faults/rules/${encodeURIComponent(ruleId)}`)
+                .catch((error) => console.error(`⚠️ Could not remove ${ruleId} from ${name}:`, error.message));
+        }
+    }
+}
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (args.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const controller = new AbortController();
+    process.on('SIGINT', () => controller.abort());
+    process.on('SIGTERM', () => controller.abort());
+
+    run(args, controller.signal).catch((error) => {
+        console.error('❌ Scenario failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { run, parseArgs, loadScenario };
@@ -0,0 +1,365 @@
+// =============================================================================
+// Chaos scenarios for the mock legacy services
+// A timeline of faults (from a script file or generated from a seed) and the
+// PLT_SERVICE_DISCOVERY outcome it should produce: every health check the
+// discovery job makes and the consecutive_failures it leaves behind
+// =============================================================================
+
+const { createRandom } = require('../services/lib/seeded-random');
+
+// plt_service_discovery_crit_levels (example_02 PLT_SERVICE_DISCOVERY_DML.SQL)
+const CRITICALITY_LEVELS = {
+    CRITICAL: { checkIntervalMinutes: 1, escalationMultiplier: 0.5, maxEscalationFailures: 5 },
+    HIGH: { checkIntervalMinutes: 2, escalationMultiplier: 0.5, maxEscalationFailures: 4 },
+    MEDIUM: { checkIntervalMinutes: 5, escalationMultiplier: 0.6, maxEscalationFailures: 5 },
+    LOW: { checkIntervalMinutes: 10, escalationMultiplier: 0.5, maxEscalationFailures: 8 }
+};
+
+// plt_service_discovery_config rows for the mocks, at their default ports
+const DEFAULT_SERVICES = {
+    'oracle-reports': { url: 'http://localhost:8001', criticality: 'CRITICAL', timeoutSeconds: 10 },
+    'weblogic-erp': { url: 'http://localhost:8002', criticality: 'CRITICAL', timeoutSeconds: 15 },
+    'email-service': { url: 'http://localhost:8003', criticality: 'HIGH', timeoutSeconds: 8 },
+    'batch-processor': { url: 'http://localhost:8004', criticality: 'MEDIUM', timeoutSeconds: 12 },
+    'document-service': { url: 'http://localhost:8005', criticality: 'LOW', timeoutSeconds: 20 }
+};
+
+// Only faults with a certain outcome: every health check inside the window fails
+// (or is slow) the same way, so the expected counters do not depend on luck
+const FAULTS = ['unhealthy', 'slow', 'hang', 'flapping'];
+
+// DBMS_SCHEDULER job interval (example_02 job.sql)
+const DEFAULT_CHECK_EVERY_MS = 30000;
+
+// Shortest --duration generateScenario accepts: one 30s start slot plus 5 minutes to recover
+const GENERATED_MIN_DURATION_S = 330;
+
+class ScenarioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioError';
+    }
+}
+
+/**
+ * '90s', '5m', '1h', '500ms' or a number of seconds -> milliseconds
+ */
+function parseDuration(value, field) {
+    if (typeof value === 'number' && value >= 0) return value * 1000;
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)$/.exec(String(value).trim());
+    if (!match) throw new ScenarioError(`${field} must be a duration like "90s", "5m" or a number of seconds`);
+    const factor = { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2]];
+    return Number(match[1]) * factor;
+}
+
+function optionalDuration(value, field) {
+    return value === undefined || value === null ? null : parseDuration(value, field);
+}
+
+function normalizeService(name, overrides = {}) {
+    const service = { ...DEFAULT_SERVICES[name], ...overrides };
+    if (!service.url) throw new ScenarioError(`Service ${name}: url is required for services without defaults`);
+    const level = CRITICALITY_LEVELS[service.criticality];
+    if (!level) {
+        throw new ScenarioError(`Service ${name}: criticality must be one of ${Object.keys(CRITICALITY_LEVELS).join(', ')}`);
+    }
+    return {
+        name,
+        url: service.url.replace(/\/$/, ''),
+        criticality: service.criticality,
+        timeoutMs: (service.timeoutSeconds ?? 30) * 1000,
+        ...level
+    };
+}
+
+function normalizeStep(step, index, services) {
+    if (!step || typeof step !== 'object') throw new ScenarioError(`Step ${index + 1} must be an object`);
+    const where = `Step ${index + 1}`;
+    const service = services[step.service];
+    if (!service) throw new ScenarioError(`${where}: unknown service "${step.service}"`);
+    if (!FAULTS.includes(step.fault)) throw new ScenarioError(`${where}: fault must be one of ${FAULTS.join(', ')}`);
+
+    const normalized = {
+        id: step.id || `${step.service}-${step.fault}-${index + 1}`,
+        service: step.service,
+        fault: step.fault,
+        atMs: parseDuration(step.at, `${where}.at`),
+        forMs: optionalDuration(step.for, `${where}.for`),
+        path: step.path || '*',
+        status: step.status || 503
+    };
+
+    if (step.fault === 'slow') {
+        // Default: just past the service timeout, so every check times out
+        normalized.latencyMs = optionalDuration(step.latency, `${where}.latency`) ?? service.timeoutMs + 5000;
+    }
+    if (step.fault === 'hang') {
+        normalized.hangMs = optionalDuration(step.hang, `${where}.hang`) ?? 5 * 60 * 1000;
+    }
+    if (step.fault === 'flapping') {
+        normalized.periodMs = optionalDuration(step.period, `${where}.period`) ?? 120000;
+        normalized.activeMs = optionalDuration(step.active, `${where}.active`) ?? 60000;
+        if (!normalized.periodMs) throw new ScenarioError(`${where}: period must be greater than 0`);
+    }
+    return normalized;
+}
+
+/**
+ * Validate a scenario script and fill in defaults
+ * @param {Object} json { name, seed, duration, checkEvery, checkOffset, services, steps }
+ */
+function normalizeScenario(json) {
+    if (!json || typeof json !== 'object') throw new ScenarioError('Scenario must be a JSON object');
+    if (!Array.isArray(json.steps)) throw new ScenarioError('Scenario needs a steps array');
+
+    const names = json.services ? Object.keys(json.services) : Object.keys(DEFAULT_SERVICES);
+    const services = {};
+    for (const name of names) services[name] = normalizeService(name, json.services && json.services[name]);
+
+    const steps = json.steps
+        .map((step, index) => normalizeStep(step, index, services))
+        .map((step, index) => ({ ...step, order: index }))
+        .sort((a, b) => a.atMs - b.atMs || a.order - b.order);
+    const ids = new Set();
+    for (const step of steps) {
+        if (ids.has(step.id)) throw new ScenarioError(`Duplicate step id ${step.id}`);
+        ids.add(step.id);
+    }
+
+    const lastEnd = Math.max(0, ...steps.map((s) => s.atMs + (s.forMs || 0)));
+    return {
+        name: json.name || 'scenario',
+        seed: json.seed ?? 0,
+        durationMs: optionalDuration(json.duration, 'duration') ?? lastEnd + 5 * 60 * 1000,
+        checkEveryMs: optionalDuration(json.checkEvery, 'checkEvery') ?? DEFAULT_CHECK_EVERY_MS,
+        checkOffsetMs: optionalDuration(json.checkOffset, 'checkOffset') ?? 15000,
+        services,
+        steps
+    };
+}
+
+/**
+ * A random scenario: the same seed always gives the same timeline
+ * @param {number|string} seed
+ * @param {Object} [options]
+ * @param {number} [options.durationMs] Default 20 minutes
+ * @param {number} [options.steps] Number of faults, default 4
+ * @param {string[]} [options.services] Default: all mock services
+ */
+function generateScenario(seed, options = {}) {
+    const random = createRandom(`scenario:${seed}`);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const durationMs = options.durationMs || 20 * 60 * 1000;
+    const names = options.services || Object.keys(DEFAULT_SERVICES);
+
+    // Faults start on a 30s boundary from 30s on, leaving 5 minutes to recover before the end
+    const slots = Math.floor((durationMs / 1000 - 300) / 30);
+    if (slots < 1) {
+        throw new ScenarioError(`A generated scenario needs a duration of at least ${GENERATED_MIN_DURATION_S}s ` +
+            `(faults start after 30s and get 5m to recover), got ${durationMs / 1000}s`);
+    }
+
+    const steps = [];
+    for (let i = 0; i < (options.steps || 4); i++) {
+        const service = normalizeService(pick(names));
+        const fault = pick(FAULTS);
+        const atS = 30 * (1 + Math.floor(random() * slots));
+        const step = { service: service.name, fault, at: `${atS}s`, for: `${pick([1, 2, 3, 5, 8])}m` };
+        if (fault === 'slow') {
+            // Either under the timeout (slow but healthy) or well past it
+            step.latency = `${Math.round(service.timeoutMs * pick([0.5, 1.5]))}ms`;
+        }
+        steps.push(step);
+    }
+
+    return { name: `seed-${seed}`, seed, duration: `${durationMs / 1000}s`, steps };
+}
+
+// ---------------------------------------------------------------------------
+// FAULT RULES (applied through /admin/faults/rules)
+// ---------------------------------------------------------------------------
+
+function ruleFor(step) {
+    const base = { id: step.id, method: 'GET', path: step.path };
+    const errorBody = { error: 'Scenario fault', code: 'SCENARIO_FAULT' };
+    switch (step.fault) {
+        case 'slow':
+            return { ...base, latency: { distribution: 'fixed', ms: step.latencyMs } };
+        case 'hang':
+            return { ...base, hangRate: 1, hangMs: step.hangMs };
+        case 'flapping':
+            return {
+                ...base,
+                errorRate: 1,
+                errorStatus: step.status,
+                errorBody,
+                schedule: { periodMs: step.periodMs, activeMs: step.activeMs }
+            };
+        default:
+            return { ...base, errorRate: 1, errorStatus: step.status, errorBody };
+    }
+}
+
+// ---------------------------------------------------------------------------
+// EXPECTED OUTCOME (mirrors PLT_SERVICE_DISCOVERY)
+// ---------------------------------------------------------------------------
+
+/**
+ * calculate_escalated_interval, in minutes
+ */
+function escalatedInterval(service, failures) {
+    if (failures === 0) return service.checkIntervalMinutes;
+    return Math.max(1, service.checkIntervalMinutes * service.escalationMultiplier);
+}
+
+function escalationLevel(service, failures) {
+    if (failures >= service.maxEscalationFailures) return 2;
+    if (failures >= service.maxEscalationFailures / 2) return 1;
+    return 0;
+}
+
+function isActive(step, t) {
+    if (t < step.atMs || (step.forMs !== null && t >= step.atMs + step.forMs)) return false;
+    if (step.fault !== 'flapping') return true;
+    return (t - step.atMs) % step.periodMs < step.activeMs;
+}
+
+/**
+ * What a health check of the service sees at time t. Walks the active rules
+ * in the order the fault middleware does: hang, error, then summed latency.
+ * @returns {{status: string, durationMs: number}}
+ */
+function healthAt(scenario, service, t) {
+    let delayMs = 0;
+    for (const step of scenario.steps) {
+        if (step.service !== service.name || !isActive(step, t)) continue;
+        if (step.fault === 'hang') {
+            // UTL_HTTP gives up first, unless the service drops the connection sooner
+            return step.hangMs >= service.timeoutMs
+                ? { status: 'TIMEOUT', durationMs: service.timeoutMs }
+                : { status: 'DOWN', durationMs: step.hangMs };
+        }
+        if (step.fault === 'unhealthy' || step.fault === 'flapping') {
+            return delayMs >= service.timeoutMs
+                ? { status: 'TIMEOUT', durationMs: service.timeoutMs }
+                : { status: 'UNHEALTHY', durationMs: delayMs };
+        }
+        delayMs += step.latencyMs;
+    }
+    return delayMs >= service.timeoutMs
+        ? { status: 'TIMEOUT', durationMs: service.timeoutMs }
+        : { status: 'HEALTHY', durationMs: delayMs };
+}
+
+const seconds = (ms) => Math.round(ms) / 1000;
+
+/**
+ * The expected-outcome log: what the runner does and what the discovery job
+ * should record, ordered by time from the start of the scenario.
+ *
+ * Model: the job runs perform_discovery_checks(FALSE) at checkOffset +
+ * n * checkEvery (a run that overruns delays the next one). A service is due
+ * when last_check_time + calculate_escalated_interval <= run start; due
+ * services are checked one after the other, ordered by interval then name,
+ * and last_check_time is set when each check returns.
+ *
+ * @returns {Object[]} Events: scenario, fault, recover, check, expect
+ */
+function expectedOutcome(scenario) {
+    const events = [];
+    const services = Object.values(scenario.services);
+
+    events.push({
+        event: 'scenario',
+        t: 0,
+        name: scenario.name,
+        seed: scenario.seed,
+        duration_s: seconds(scenario.durationMs),
+        check_every_s: seconds(scenario.checkEveryMs),
+        check_offset_s: seconds(scenario.checkOffsetMs),
+        services: Object.fromEntries(services.map((s) => [s.name, {
+            url: s.url,
+            criticality: s.criticality,
+            timeout_seconds: s.timeoutMs / 1000,
+            check_interval_minutes: s.checkIntervalMinutes,
+            escalation_multiplier: s.escalationMultiplier,
+            max_escalation_failures: s.maxEscalationFailures
+        }]))
+    });
+
+    for (const step of scenario.steps) {
+        events.push({
+            event: 'fault',
+            t: seconds(step.atMs),
+            service: step.service,
+            fault: step.fault,
+            rule: ruleFor(step),
+            until_s: step.forMs === null ? null : seconds(step.atMs + step.forMs)
+        });
+        if (step.forMs !== null && step.atMs + step.forMs < scenario.durationMs) {
+            events.push({ event: 'recover', t: seconds(step.atMs + step.forMs), service: step.service, rule_id: step.id });
+        }
+    }
+
+    const state = Object.fromEntries(services.map((s) => [s.name, { failures: 0, lastCheckMs: null }]));
+    let runStart = scenario.checkOffsetMs;
+    while (runStart <= scenario.durationMs) {
+        const due = services
+            .filter((s) => {
+                const { failures, lastCheckMs } = state[s.name];
+                return lastCheckMs === null || lastCheckMs + escalatedInterval(s, failures) * 60000 <= runStart;
+            })
+            .sort((a, b) => escalatedInterval(a, state[a.name].failures) - escalatedInterval(b, state[b.name].failures)
+                || a.name.localeCompare(b.name));
+
+        let clock = runStart;
+        for (const service of due) {
+            const { status, durationMs } = healthAt(scenario, service, clock);
+            const s = state[service.name];
+            s.failures = status === 'HEALTHY' ? 0 : s.failures + 1;
+            s.lastCheckMs = clock + durationMs;
+            events.push({
+                event: 'check',
+                t: seconds(clock),
+                service: service.name,
+                status,
+                duration_s: seconds(durationMs),
+                consecutive_failures: s.failures,
+                escalation_level: escalationLevel(service, s.failures),
+                next_due_s: seconds(s.lastCheckMs + escalatedInterval(service, s.failures) * 60000)
+            });
+            clock += durationMs;
+        }
+
+        const next = runStart + scenario.checkEveryMs;
+        runStart = clock > next ? clock : next;
+    }
+
+    events.push({
+        event: 'expect',
+        t: seconds(scenario.durationMs),
+        consecutive_failures: Object.fromEntries(services.map((s) => [s.name, state[s.name].failures])),
+        escalation_level: Object.fromEntries(services.map((s) => [s.name, escalationLevel(s, state[s.name].failures)]))
+    });
+
+    // Faults and recoveries at the same instant come before the checks they affect
+    const rank = { scenario: 0, recover: 1, fault: 2, check: 3, expect: 4 };
+    return events
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) => a.event.t - b.event.t || rank[a.event.event] - rank[b.event.event] || a.index - b.index)
+        .map(({ event }) => event);
+}
+
+module.exports = {
+    ScenarioError,
+    parseDuration,
+    normalizeScenario,
+    generateScenario,
+    ruleFor,
+    healthAt,
+    escalatedInterval,
+    expectedOutcome,
+    CRITICALITY_LEVELS,
+    DEFAULT_SERVICES,
+    FAULTS
+};
@@ -1,5 +1,19 @@
+// Tracing must start before express is loaded (see lib/tracing.js)
+const tracing = require('./lib/tracing');
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '3.1.0';
+tracing.startTracing({ serviceName: 'batch-processor', serviceVersion: SERVICE_VERSION });
+
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
+const { v4: uuidv4 } = require('uuid');
+const { useFaultInjection } = require('./lib/fault-injection');
+const { useMetrics, boundedLabel } = require('./lib/metrics');
+const { useTenant, runWithTenant, tenantFromHeaders, logger } = require('./lib/tenant');
+const { useHealth } = require('./lib/health');
+const { serviceLifecycle } = require('./lib/lifecycle');
+const { parseCron, nextRun, CronError } = require('./lib/cron');
+const { postWebhook } = require('./lib/webhook');
 
 const app = express();
 const PORT = process.env.SERVICE_PORT || 8004;
@@ -7,17 +21,649 @@ const SERVICE_NAME = 'Batch Processor';
 
 app.use(cors());
 app.use(express.json());
+app.use(tracing.traceHeaders());
+// Tenant of each request, kept for its spans, logs, metrics and outbound calls
+// (see lib/tenant.js); installed before metrics so they get the tenant label
+useTenant(app);
+
+// Prometheus metrics on /metrics (see lib/metrics.js); registered before fault
+// injection so faulted responses are counted
+const metrics = useMetrics(app, { service: 'batch-processor' });
+metrics.health(() => health.lastStatus);
+metrics.gauge('batch_jobs', 'Batch jobs kept in memory, by status', ['status'], function collect() {
+    this.reset();
+    for (const job of jobs.values()) this.inc({ status: job.status });
+});
+// Job and schedule names come from callers, so their labels are bounded like tenant ids
+const jobLabel = boundedLabel({ allow: process.env.BATCH_JOB_LABELS, limit: process.env.BATCH_JOB_LABEL_LIMIT });
+const scheduleLabel = boundedLabel({ allow: process.env.BATCH_SCHEDULE_LABELS, limit: process.env.BATCH_SCHEDULE_LABEL_LIMIT });
+const itemsProcessed = metrics.counter('batch_items_total', 'Batch items processed', ['job', 'result']);
+const jobDuration = metrics.histogram('batch_job_duration_seconds', 'Batch job run time, pauses included',
+    ['status'], [1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600]);
+const webhooksSent = metrics.counter('batch_webhooks_total', 'Webhook callbacks', ['event', 'result']);
+const scheduleRuns = metrics.counter('batch_schedule_runs_total', 'Scheduled runs started or skipped', ['schedule', 'result']);
+
+// Fault injection (see lib/fault-injection.js); chunk-failure rolls back a whole chunk
+const faults = useFaultInjection(app, {
+    service: 'batch-processor',
+    triggers: { 'chunk-failure': 0.02 }
+});
+
+let serviceState = {
+    jobsCompleted: 0,
+    itemsProcessed: 0,
+    lastJobTime: null,
+    errors: []
+};
+
+app.use((req, res, next) => {
+    logger.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// Health endpoints (see lib/health.js)
+const health = useHealth(app, {
+    service: 'batch-processor',
+    version: SERVICE_VERSION,
+    checks: {
+        // More than 5 waiting jobs per worker: jobs still run, only late
+        workers: () => ({
+            status: queue.length > WORKERS * 5 ? 'degraded' : 'healthy',
+            ...(queue.length > WORKERS * 5 && { message: `${queue.length} jobs waiting for ${WORKERS} workers` }),
+            details: { workers: WORKERS, running: activeJobs('running'), paused: activeJobs('paused'), queued: queue.length }
+        })
+    },
+    details: () => ({
+        jobs_completed: serviceState.jobsCompleted,
+        items_processed: serviceState.itemsProcessed,
+        schedules: schedules.size,
+        last_job: serviceState.lastJobTime
+    }),
+    onReport: (report) => tracing.annotate({ 'health.status': report.status, 'batch.queue_size': queue.length })
+});
+
+// =============================================================================
+// Batch jobs: queued -> running <-> paused -> completed | completed_with_errors
+// | failed | cancelled. Items are processed in chunks of chunk_size.
+// =============================================================================
+
+const WORKERS = Number(process.env.BATCH_WORKERS) || 2;
+const MAX_JOBS = Number(process.env.BATCH_MAX_JOBS) || 1000;
+const MAX_ITEM_ERRORS = 20;
+const FINISHED = ['completed', 'completed_with_errors', 'failed', 'cancelled'];
+
+const ITEM_ERRORS = [
+    'ORA-01400: cannot insert NULL into ("GL"."JOURNAL_LINES"."ACCOUNT_ID")',
+    'ORA-00001: unique constraint (GL.PK_JOURNAL_LINES) violated',
+    'ORA-02291: integrity constraint (GL.FK_PERIOD) violated - parent key not found',
+    'ORA-12899: value too large for column "GL"."JOURNAL_LINES"."DESCRIPTION"'
+];
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+function activeJobs(status) {
+    return [...jobs.values()].filter((job) => job.status === status).length;
+}
+
+/**
+ * Validate a job request (POST /jobs or a schedule's job)
+ * @returns {{spec: Object}|{error: string}}
+ */
+function jobSpec(body) {
+    const input = body || {};
+    const number = (field, fallback, min, max) => {
+        const value = input[field] === undefined ? fallback : Number(input[field]);
+        if (!Number.isFinite(value) || value < min || value > max) throw new Error(`${field} must be a number between ${min} and ${max}`);
+        return value;
+    };
+
+    try {
+        if (!input.name || typeof input.name !== 'string') throw new Error('name is required');
+        const totalItems = Math.floor(number('total_items', 1000, 1, 1000000));
+        const spec = {
+            name: input.name,
+            totalItems,
+            chunkSize: Math.floor(number('chunk_size', Math.min(100, totalItems), 1, totalItems)),
+            itemMs: number('item_ms', 10, 0, 1000),
+            failureRate: number('failure_rate', 0, 0, 1),
+            maxFailureRatio: number('max_failure_ratio', 0.1, 0, 1),
+            callbackUrl: input.callback_url || null,
+            params: input.params || {}
+        };
+        if (spec.callbackUrl && !/^https?:\/\//.test(spec.callbackUrl)) throw new Error('callback_url must be an http(s) URL');
+        return { spec };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+function jobView(job, now = Date.now()) {
+    const remainingMs = (job.totalItems - job.processedItems) * job.itemMs;
+    return {
+        job_id: job.id,
+        name: job.name,
+        status: job.status,
+        schedule_id: job.scheduleId,
+        total_items: job.totalItems,
+        processed_items: job.processedItems,
+        failed_items: job.failedItems,
+        progress: Math.floor((job.processedItems / job.totalItems) * 100),
+        chunk_size: job.chunkSize,
+        chunks_done: job.chunksDone,
+        chunks_total: Math.ceil(job.totalItems / job.chunkSize),
+        item_ms: job.itemMs,
+        failure_rate: job.failureRate,
+        max_failure_ratio: job.maxFailureRatio,
+        params: job.params,
+        queue_position: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+        created_at: new Date(job.createdAt).toISOString(),
+        started_at: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+        paused_at: job.pausedAt ? new Date(job.pausedAt).toISOString() : null,
+        completed_at: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+        // Paused jobs have no estimate: nobody knows when they resume
+        estimated_completion: ['queued', 'running'].includes(job.status) ? new Date(now + remainingMs).toISOString() : null,
+        error: job.error,
+        item_errors: job.itemErrors,
+        callback: job.callbackUrl ? { url: job.callbackUrl, ...job.callbackStats } : null
+    };
+}
+
+/**
+ * Queue a job
+ * @param {Object} spec From jobSpec
+ * @param {Object} traceHeaders Trace to continue (empty for scheduled runs)
+ * @param {string} [scheduleId]
+ */
+function submitJob(spec, traceHeaders, scheduleId = null) {
+    const job = {
+        ...spec,
+        id: uuidv4(),
+        scheduleId,
+        status: 'queued',
+        processedItems: 0,
+        failedItems: 0,
+        chunksDone: 0,
+        itemErrors: [],
+        createdAt: Date.now(),
+        startedAt: null,
+        pausedAt: null,
+        completedAt: null,
+        error: null,
+        cancelRequested: false,
+        wake: null,
+        resume: null,
+        span: null,
+        traceHeaders,
+        callbacks: Promise.resolve(),
+        callbackStats: { delivered: 0, failed: 0, last_error: null }
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    pruneJobs();
+    startNextJobs();
+    return job;
+}
+
+function startNextJobs() {
+    while (running < WORKERS && queue.length > 0) {
+        const job = queue.shift();
+        running++;
+        // In the tenant of the request that submitted the job (none for
+        // scheduled runs), not of whatever started the worker
+        runWithTenant(tenantFromHeaders(job.traceHeaders), () => runJob(job))
+            .catch((error) => {
+                job.status = 'failed';
+                job.error = `Batch engine error: ${error.message}`;
+            })
+            .finally(() => {
+                running--;
+                startNextJobs();
+            });
+    }
+}
+
+/**
+ * Wait, unless the job is cancelled first
+ * @returns {Promise<boolean>} true when woken early
+ */
+function sleepFor(job, ms) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            job.wake = null;
+            resolve(false);
+        }, ms);
+        job.wake = () => {
+            clearTimeout(timer);
+            job.wake = null;
+            resolve(true);
+        };
+    });
+}
+
+/**
+ * POST a lifecycle event to the job's callback_url, in order, with the trace
+ * headers of the span it reports on
+ */
+function notify(job, event, span = job.span) {
+    if (!job.callbackUrl) return;
+    const payload = { event, job: jobView(job), timestamp: new Date().toISOString() };
+    // A job cancelled while queued never had a span: use the submitting request's trace
+    const headers = { ...(span ? tracing.spanHeaders(span) : job.traceHeaders), 'X-PLT-Job-ID': job.id };
+
+    job.callbacks = job.callbacks.then(async () => {
+        const result = await postWebhook(job.callbackUrl, payload, { headers });
+        webhooksSent.inc({ event, result: result.delivered ? 'delivered' : 'failed' });
+        if (result.delivered) {
+            job.callbackStats.delivered++;
+        } else {
+            job.callbackStats.failed++;
+            job.callbackStats.last_error = `${event}: ${result.error}`;
+            logger.error(`[${SERVICE_NAME}] Callback ${event} for ${job.id} failed after ${result.attempts} attempt(s): ${result.error}`);
+        }
+    });
+}
+
+async function processChunk(job) {
+    const size = Math.min(job.chunkSize, job.totalItems - job.processedItems);
+    const index = job.chunksDone + 1;
+    const span = tracing.startBackgroundSpan('batch.chunk', {
+        'batch.job_id': job.id,
+        'batch.chunk.index': index,
+        'batch.chunk.size': size,
+        'batch.chunk.first_item': job.processedItems + 1
+    }, tracing.contextFromHeaders(tracing.spanHeaders(job.span)));
+
+    if (await sleepFor(job, size * job.itemMs)) {
+        // Cancelled mid-chunk: nothing of it is committed
+        span.setAttribute('batch.chunk.interrupted', true);
+        tracing.endSpan(span);
+        return;
+    }
+
+    let failed = 0;
+    let chunkError = null;
+    // Simulate a rolled-back chunk (2% by default, see triggers in /admin/faults)
+    if (faults.trigger('chunk-failure')) {
+        failed = size;
+        chunkError = `Chunk ${index} rolled back: ORA-00060: deadlock detected while waiting for resource`;
+        job.itemErrors.push({ chunk: index, items: size, error: chunkError });
+    } else {
+        for (let item = 1; item <= size; item++) {
+            if (faults.random() < job.failureRate) {
+                failed++;
+                if (job.itemErrors.length < MAX_ITEM_ERRORS) {
+                    job.itemErrors.push({ item: job.processedItems + item, error: ITEM_ERRORS[Math.floor(faults.random() * ITEM_ERRORS.length)] });
+                }
+            }
+        }
+    }
+    job.itemErrors = job.itemErrors.slice(0, MAX_ITEM_ERRORS);
+
+    job.processedItems += size;
+    job.failedItems += failed;
+    job.chunksDone++;
+    serviceState.itemsProcessed += size;
+    itemsProcessed.inc({ job: jobLabel(job.name), result: 'ok' }, size - failed);
+    if (failed > 0) itemsProcessed.inc({ job: jobLabel(job.name), result: 'failed' }, failed);
+
+    span.setAttributes({ 'batch.chunk.failed_items': failed, 'batch.progress': Math.floor((job.processedItems / job.totalItems) * 100) });
+    tracing.endSpan(span, chunkError);
+    notify(job, 'job.progress', span);
+}
+
+async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.span = tracing.startBackgroundSpan('batch.job', {
+        'batch.job_id': job.id,
+        'batch.name': job.name,
+        'batch.total_items': job.totalItems,
+        'batch.chunk_size': job.chunkSize,
+        'batch.queue_wait_ms': job.startedAt - job.createdAt,
+        ...(job.scheduleId && { 'batch.schedule_id': job.scheduleId })
+    }, tracing.contextFromHeaders(job.traceHeaders));
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} (${job.name}) running: ${job.totalItems} items in chunks of ${job.chunkSize}`);
+    notify(job, 'job.started');
+
+    // Failures allowed over the whole job before it is aborted
+    const failureBudget = Math.floor(job.totalItems * job.maxFailureRatio);
+
+    while (job.processedItems < job.totalItems && !job.cancelRequested) {
+        if (job.status === 'paused') {
+            await new Promise((resolve) => { job.resume = resolve; });
+            job.resume = null;
+            continue;
+        }
+        await processChunk(job);
+        if (job.failedItems > failureBudget) {
+            job.error = `${job.failedItems} failed items exceed max_failure_ratio ${job.maxFailureRatio} (${failureBudget} of ${job.totalItems})`;
+            break;
+        }
+    }
+
+    finishJob(job);
+}
+
+function finishJob(job) {
+    job.completedAt = Date.now();
+    if (job.cancelRequested) {
+        job.status = 'cancelled';
+    } else if (job.error) {
+        job.status = 'failed';
+        serviceState.errors.push({ timestamp: new Date(), error: job.error, job: job.name, job_id: job.id });
+        metrics.recordError('job_failed');
+    } else {
+        job.status = job.failedItems > 0 ? 'completed_with_errors' : 'completed';
+        serviceState.jobsCompleted++;
+    }
+    serviceState.lastJobTime = new Date();
+
+    job.span.setAttributes({
+        'batch.status': job.status,
+        'batch.processed_items': job.processedItems,
+        'batch.failed_items': job.failedItems
+    });
+    tracing.endSpan(job.span, job.status === 'failed' ? job.error : null);
+    jobDuration.observe({ status: job.status }, (job.completedAt - job.startedAt) / 1000);
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} ${job.status}: ${job.processedItems}/${job.totalItems} items, ${job.failedItems} failed`);
+    notify(job, `job.${job.status}`);
+}
+
+/**
+ * Keep at most MAX_JOBS, dropping the oldest finished ones first
+ */
+function pruneJobs() {
+    for (const [id, job] of jobs) {
+        if (jobs.size <= MAX_JOBS) break;
+        if (FINISHED.includes(job.status)) jobs.delete(id);
+    }
+}
+
+// Submit a job
+app.post('/jobs', (req, res) => {
+    const { spec, error } = jobSpec(req.body);
+    if (error) {
+        return res.status(400).json({ error, code: 'INVALID_JOB' });
+    }
+
+    const job = submitJob(spec, tracing.contextHeaders());
+    tracing.annotate({ 'batch.job_id': job.id, 'batch.name': job.name, 'batch.queue_size': queue.length });
+
+    res.status(202).json({
+        ...jobView(job),
+        status_url: `/jobs/${job.id}`
+    });
+});
+
+// List jobs, newest first (?status=running,paused&limit=50)
+app.get('/jobs', (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, MAX_JOBS));
+
+    const matching = [...jobs.values()]
+        .reverse()
+        .filter((job) => !statuses || statuses.includes(job.status));
 
-app.get('/health', (req, res) => {
     res.json({
-        service: 'batch-processor',
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        version: '3.1.0'
+        jobs: matching.slice(0, limit).map((job) => jobView(job)),
+        total: matching.length,
+        workers: WORKERS,
+        running,
+        queued: queue.length
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`🟢 ${SERVICE_NAME} running on port ${PORT}`);
+// Look up a job or answer 404
+function findJob(req, res) {
+    const job = jobs.get(req.params.jobId);
+    tracing.annotate({ 'batch.job_id': req.params.jobId, 'batch.status': job ? job.status : 'not_found' });
+    if (!job) {
+        res.status(404).json({
+            error: `Batch job ${req.params.jobId} not found`,
+            code: 'JOB_NOT_FOUND'
+        });
+    }
+    return job;
+}
+
+// Answer 409 unless the job is in one of the given states
+function requireStatus(job, res, statuses, code) {
+    if (statuses.includes(job.status) && !job.cancelRequested) return true;
+    res.status(409).json({
+        error: `Batch job ${job.id} is ${job.cancelRequested ? 'being cancelled' : job.status}`,
+        code,
+        status: job.status
+    });
+    return false;
+}
+
+app.get('/jobs/:jobId', (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json(jobView(job));
+});
+
+// Pause after the chunk in progress; the job keeps its worker
+app.post('/jobs/:jobId/pause', (req, res) => {
+    const job = findJob(req, res);
+    if (!job || !requireStatus(job, res, ['running'], 'JOB_NOT_RUNNING')) return;
+
+    job.status = 'paused';
+    job.pausedAt = Date.now();
+    job.span.addEvent('batch.paused', { 'batch.processed_items': job.processedItems });
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} paused at ${job.processedItems}/${job.totalItems}`);
+    notify(job, 'job.paused');
+    res.json(jobView(job));
+});
+
+app.post('/jobs/:jobId/resume', (req, res) => {
+    const job = findJob(req, res);
+    if (!job || !requireStatus(job, res, ['paused'], 'JOB_NOT_PAUSED')) return;
+
+    job.span.addEvent('batch.resumed', { 'batch.paused_ms': Date.now() - job.pausedAt });
+    job.status = 'running';
+    job.pausedAt = null;
+    if (job.resume) job.resume();
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} resumed`);
+    notify(job, 'job.resumed');
+    res.json(jobView(job));
+});
+
+// Cancel a queued job at once, a running one at the end of the chunk in progress
+app.post('/jobs/:jobId/cancel', (req, res) => {
+    const job = findJob(req, res);
+    if (!job || !requireStatus(job, res, ['queued', 'running', 'paused'], 'JOB_ALREADY_FINISHED')) return;
+
+    if (job.status === 'queued') {
+        queue.splice(queue.indexOf(job), 1);
+        job.status = 'cancelled';
+        job.completedAt = Date.now();
+        notify(job, 'job.cancelled');
+        logger.log(`[${SERVICE_NAME}] Job ${job.id} cancelled before it started`);
+        return res.json(jobView(job));
+    }
+
+    job.cancelRequested = true;
+    job.span.addEvent('batch.cancel_requested', { 'batch.processed_items': job.processedItems });
+    if (job.wake) job.wake();
+    if (job.resume) job.resume();
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} cancel requested`);
+    res.status(202).json(jobView(job));
+});
+
+// =============================================================================
+// Schedules: cron expressions (lib/cron.js) that submit a job when due.
+// A run is skipped while the previous run of the same schedule is active.
+// =============================================================================
+
+// setTimeout fires at once beyond ~24.8 days
+const MAX_TIMER_MS = 2147483647;
+
+const schedules = new Map();
+
+function scheduleView(schedule) {
+    return {
+        schedule_id: schedule.id,
+        name: schedule.name,
+        cron: schedule.cron.expression,
+        enabled: schedule.enabled,
+        job: schedule.job,
+        next_run_at: schedule.nextRunAt ? schedule.nextRunAt.toISOString() : null,
+        last_run_at: schedule.lastRunAt ? schedule.lastRunAt.toISOString() : null,
+        last_job_id: schedule.lastJobId,
+        runs: schedule.runs,
+        skipped: schedule.skipped
+    };
+}
+
+/**
+ * @param {Object} definition { id, name, cron, enabled, job: { POST /jobs fields } }
+ * @returns {{schedule: Object}|{error: string}}
+ */
+function addSchedule(definition) {
+    const input = definition || {};
+    if (!input.name || typeof input.name !== 'string') return { error: 'name is required' };
+
+    let cron;
+    try {
+        cron = parseCron(input.cron);
+    } catch (error) {
+        if (error instanceof CronError) return { error: `cron: ${error.message}` };
+        throw error;
+    }
+
+    const { spec, error } = jobSpec({ name: input.name, ...input.job });
+    if (error) return { error: `job: ${error}` };
+
+    const id = input.id || uuidv4();
+    if (schedules.has(id)) clearTimeout(schedules.get(id).timer);
+    const schedule = {
+        id,
+        name: input.name,
+        cron,
+        enabled: input.enabled !== false,
+        job: input.job || {},
+        spec,
+        nextRunAt: null,
+        lastRunAt: null,
+        lastJobId: null,
+        runs: 0,
+        skipped: 0,
+        timer: null
+    };
+    schedules.set(id, schedule);
+    armSchedule(schedule);
+    return { schedule };
+}
+
+function armSchedule(schedule) {
+    clearTimeout(schedule.timer);
+    schedule.nextRunAt = schedule.enabled ? nextRun(schedule.cron) : null;
+    if (!schedule.nextRunAt) return;
+
+    const delay = schedule.nextRunAt.getTime() - Date.now();
+    schedule.timer = delay > MAX_TIMER_MS
+        ? setTimeout(() => armSchedule(schedule), MAX_TIMER_MS)
+        : setTimeout(() => runSchedule(schedule), Math.max(delay, 0));
+}
+
+function runSchedule(schedule) {
+    const previous = schedule.lastJobId && jobs.get(schedule.lastJobId);
+    if (previous && !FINISHED.includes(previous.status)) {
+        schedule.skipped++;
+        scheduleRuns.inc({ schedule: scheduleLabel(schedule.name), result: 'skipped' });
+        logger.log(`[${SERVICE_NAME}] Schedule ${schedule.name} skipped: job ${previous.id} is still ${previous.status}`);
+    } else {
+        const job = submitJob(schedule.spec, {}, schedule.id);
+        schedule.lastRunAt = new Date();
+        schedule.lastJobId = job.id;
+        schedule.runs++;
+        scheduleRuns.inc({ schedule: scheduleLabel(schedule.name), result: 'started' });
+        logger.log(`[${SERVICE_NAME}] Schedule ${schedule.name} started job ${job.id}`);
+    }
+    armSchedule(schedule);
+}
+
+function loadSchedules(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const definition of config.schedules || []) {
+        const { error } = addSchedule(definition);
+        if (error) throw new Error(`Schedule ${definition.name || definition.id}: ${error}`);
+    }
+    logger.log(`[${SERVICE_NAME}] Loaded ${schedules.size} schedule(s) from ${file}`);
+}
+
+app.post('/schedules', (req, res) => {
+    const { schedule, error } = addSchedule(req.body);
+    if (error) {
+        return res.status(400).json({ error, code: 'INVALID_SCHEDULE' });
+    }
+    logger.log(`[${SERVICE_NAME}] Schedule ${schedule.name} (${schedule.cron.expression}) next run ${schedule.nextRunAt ? schedule.nextRunAt.toISOString() : 'never'}`);
+    res.status(201).json(scheduleView(schedule));
+});
+
+app.get('/schedules', (req, res) => {
+    res.json({ schedules: [...schedules.values()].map(scheduleView) });
+});
+
+function findSchedule(req, res) {
+    const schedule = schedules.get(req.params.scheduleId);
+    if (!schedule) {
+        res.status(404).json({
+            error: `Schedule ${req.params.scheduleId} not found`,
+            code: 'SCHEDULE_NOT_FOUND'
+        });
+    }
+    return schedule;
+}
+
+app.get('/schedules/:scheduleId', (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (schedule) res.json(scheduleView(schedule));
+});
+
+// Run now, outside the cron timing (same skip rule)
+app.post('/schedules/:scheduleId/run', (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    runSchedule(schedule);
+    res.status(202).json(scheduleView(schedule));
+});
+
+app.delete('/schedules/:scheduleId', (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    clearTimeout(schedule.timer);
+    schedules.delete(schedule.id);
+    logger.log(`[${SERVICE_NAME}] Schedule ${schedule.name} removed`);
+    res.json({ message: `Schedule ${schedule.name} removed`, schedule_id: schedule.id });
+});
+
+// Admin endpoints for testing failure scenarios (/admin/health/:status is in lib/health.js)
+app.get('/admin/errors', (req, res) => {
+    res.json({
+        errors: serviceState.errors,
+        error_count: serviceState.errors.length
+    });
+});
+
+if (process.env.BATCH_SCHEDULES_CONFIG) loadSchedules(process.env.BATCH_SCHEDULES_CONFIG);
+
+const server = app.listen(PORT, () => {
+    logger.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
+    logger.log(`   Health: http://localhost:${PORT}/health`);
+    logger.log(`   Jobs: http://localhost:${PORT}/jobs`);
+    logger.log(`   Schedules: http://localhost:${PORT}/schedules`);
+    logger.log(`   Faults: http://localhost:${PORT}/admin/faults`);
+    logger.log(`   Metrics: http://localhost:${PORT}/metrics\n`);
+});
+
+// SIGTERM and crashes, alone or hosted by index.js (see lib/lifecycle.js)
+const lifecycle = module.exports = serviceLifecycle(module, {
+    name: SERVICE_NAME,
+    server,
+    stop: () => {
+        for (const schedule of schedules.values()) clearTimeout(schedule.timer);
+    }
 });
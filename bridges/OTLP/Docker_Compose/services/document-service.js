@@ -1,23 +1,498 @@
+// Tracing must start before express is loaded (see lib/tracing.js)
+const tracing = require('./lib/tracing');
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '1.5.2';
+tracing.startTracing({ serviceName: 'document-service', serviceVersion: SERVICE_VERSION });
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { useFaultInjection } = require('./lib/fault-injection');
+const { useMetrics } = require('./lib/metrics');
+const { useTenant, logger } = require('./lib/tenant');
+const { useHealth } = require('./lib/health');
+const { serviceLifecycle } = require('./lib/lifecycle');
+const { DocumentStore } = require('./lib/document-store');
+const { TEMPLATES } = require('./lib/document-templates');
+const { compile, htmlToText, escapeHtml, TemplateError } = require('./lib/template');
+const { buildPdf, FORMATS: REPORT_FORMATS } = require('./lib/report-output');
 
 const app = express();
 const PORT = process.env.SERVICE_PORT || 8005;
 const SERVICE_NAME = 'Document Service';
 
+const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR || path.join(os.tmpdir(), 'document-service');
+const MAX_BYTES = Number(process.env.DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const QUOTA_BYTES = Number(process.env.DOCUMENT_STORAGE_QUOTA_BYTES) || 1024 * 1024 * 1024;
+// Scales every simulated delay; 0 turns them off
+const LATENCY_FACTOR = process.env.DOCUMENT_LATENCY_FACTOR !== undefined ? Number(process.env.DOCUMENT_LATENCY_FACTOR) : 1;
+
+const FORMATS = {
+    HTML: { contentType: 'text/html; charset=utf-8', extension: 'html', msPerKb: 2 },
+    TEXT: { contentType: 'text/plain; charset=utf-8', extension: 'txt', msPerKb: 1 },
+    PDF: { ...REPORT_FORMATS.PDF, msPerKb: 6 }
+};
+
 app.use(cors());
-app.use(express.json());
+// Template data can be large (a thousand invoice lines)
+app.use(express.json({ limit: '5mb' }));
+app.use(tracing.traceHeaders());
+// Tenant of each request, kept for its spans, logs, metrics and outbound calls
+// (see lib/tenant.js); installed before metrics so they get the tenant label
+useTenant(app);
+
+// Prometheus metrics on /metrics (see lib/metrics.js); registered before fault
+// injection so faulted responses are counted
+const metrics = useMetrics(app, { service: 'document-service' });
+metrics.health(() => health.lastStatus);
+metrics.gauge('documents_stored', 'Documents in storage', [], function collect() {
+    this.set(store.usage().documents);
+});
+metrics.gauge('document_storage_bytes', 'Bytes used by stored document versions', [], function collect() {
+    this.set(store.usage().bytes);
+});
+const documentsGenerated = metrics.counter('documents_generated_total', 'Documents and versions rendered', ['template', 'format']);
+const renderSeconds = metrics.histogram('document_render_seconds', 'Time to render a document',
+    ['format'], [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const documentBytes = metrics.histogram('document_size_bytes', 'Size of rendered documents',
+    ['format'], [1024, 10240, 102400, 1048576, 10485760]);
+
+// Fault injection (see lib/fault-injection.js); render-failure crashes the
+// renderer (2% by default), storage-full fails the write as if the disk were full (1%)
+const faults = useFaultInjection(app, {
+    service: 'document-service',
+    triggers: { 'render-failure': 0.02, 'storage-full': 0.01 }
+});
+
+const store = new DocumentStore({ dir: DOCUMENTS_DIR });
+
+class DocumentError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Rendering and reading take longer for bigger documents, PDF most of all,
+ * with +/-20% jitter
+ */
+function sizeDelayMs(bytes, baseMs, msPerKb) {
+    return (baseMs + (bytes / 1024) * msPerKb) * (0.8 + faults.random() * 0.4) * LATENCY_FACTOR;
+}
+
+/**
+ * Built-in template by name, or the one sent inline with the request
+ * @returns {{name: string, type: string, title: string, body: string}}
+ */
+function resolveTemplate(body, previous) {
+    if (body.template_body !== undefined) {
+        const type = body.template_type || 'text';
+        if (!['html', 'text'].includes(type)) {
+            throw new DocumentError(400, 'INVALID_TEMPLATE_TYPE', 'template_type must be html or text');
+        }
+        return { name: 'inline', type, title: '', body: String(body.template_body) };
+    }
+    if (body.template === undefined && previous) return previous;
+
+    const template = typeof body.template === 'string' && Object.hasOwn(TEMPLATES, body.template) ? TEMPLATES[body.template] : null;
+    if (!template) {
+        throw new DocumentError(404, 'TEMPLATE_NOT_FOUND',
+            `Template ${body.template} not found (available: ${Object.keys(TEMPLATES).join(', ')}, or send template_body)`);
+    }
+    return { name: body.template, ...template };
+}
+
+/**
+ * Render a template to HTML, TEXT or PDF
+ * @returns {{body: Buffer, title: string}}
+ */
+function render(template, data, format) {
+    let fill;
+    let title;
+    try {
+        fill = compile(template.body);
+        title = compile(template.title)(data).trim();
+    } catch (error) {
+        if (error instanceof TemplateError) throw new DocumentError(422, 'TEMPLATE_ERROR', `Template ${template.name}: ${error.message}`);
+        throw error;
+    }
+
+    const html = template.type === 'html' ? fill(data, { escape: true }) : null;
+    const text = template.type === 'text' ? fill(data) : htmlToText(html);
+
+    if (format === 'HTML') {
+        return {
+            title,
+            body: Buffer.from(html || `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>\n<body><pre>${escapeHtml(text)}</pre></body>\n</html>\n`, 'utf8')
+        };
+    }
+    if (format === 'TEXT') return { title, body: Buffer.from(text, 'utf8') };
+    return { title, body: buildPdf(text.replace(/\t/g, '    ').split('\n')) };
+}
+
+/**
+ * Render a version in a document.render span under the request
+ * @returns {Promise<Object>} The content for DocumentStore
+ */
+async function produce(template, data, format) {
+    const parent = tracing.activeContext();
+    const renderSpan = tracing.startBackgroundSpan('document.render', {
+        'document.template': template.name,
+        'document.format': format
+    }, parent);
+    const started = Date.now();
+
+    let output;
+    try {
+        output = render(template, data, format);
+        if (output.body.length > MAX_BYTES) {
+            throw new DocumentError(413, 'DOCUMENT_TOO_LARGE', `Rendered document is ${output.body.length} bytes, over the ${MAX_BYTES} byte limit`);
+        }
+        await sleep(sizeDelayMs(output.body.length, 50, FORMATS[format].msPerKb));
+        if (faults.trigger('render-failure')) {
+            throw new DocumentError(500, 'RENDER_FAILED', `Renderer crashed while rendering ${template.name} to ${format}`);
+        }
+    } catch (error) {
+        tracing.endSpan(renderSpan, error.message);
+        throw error;
+    }
+    const renderMs = Date.now() - started;
+    renderSpan.setAttribute('document.size_bytes', output.body.length);
+    tracing.endSpan(renderSpan);
+
+    renderSeconds.observe({ format }, renderMs / 1000);
+    documentBytes.observe({ format }, output.body.length);
+    documentsGenerated.inc({ template: template.name, format });
+
+    return {
+        title: output.title,
+        body: output.body,
+        format,
+        contentType: FORMATS[format].contentType,
+        extension: FORMATS[format].extension,
+        template: template.name,
+        source: template.name === 'inline' ? { type: template.type, body: template.body } : null,
+        data,
+        renderMs
+    };
+}
+
+/**
+ * Run a store write in a document.store span; storage-full and the quota
+ * fail it the way a full disk would
+ */
+async function write(content, documentId, operation) {
+    const span = tracing.startBackgroundSpan('document.store', {
+        ...(documentId && { 'document.id': documentId }),
+        'document.size_bytes': content.body.length
+    }, tracing.activeContext());
+
+    try {
+        if (faults.trigger('storage-full') || store.usage().bytes + content.body.length > QUOTA_BYTES) {
+            throw new DocumentError(507, 'STORAGE_FULL', `ENOSPC: no space left on device, write ${DOCUMENTS_DIR}`);
+        }
+        await sleep(sizeDelayMs(content.body.length, 10, 0.5));
+        const result = operation();
+        tracing.endSpan(span);
+        return result;
+    } catch (error) {
+        tracing.endSpan(span, error.message);
+        throw error;
+    }
+}
+
+/**
+ * The document name sent with the request, null when none was
+ */
+function parseName(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw new DocumentError(400, 'INVALID_NAME', 'name must be a string');
+    return value;
+}
+
+function parseFormat(value, fallback) {
+    const format = String(value || fallback).toUpperCase();
+    if (!FORMATS[format]) {
+        throw new DocumentError(400, 'INVALID_FORMAT', `format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+function versionView(document, version) {
+    return {
+        version: version.version,
+        format: version.format,
+        content_type: version.contentType,
+        template: version.template,
+        size_bytes: version.sizeBytes,
+        sha256: version.sha256,
+        render_ms: version.renderMs,
+        created_at: version.createdAt,
+        content_url: `/documents/${document.id}/content?version=${version.version}`
+    };
+}
+
+function documentView(document) {
+    const latest = store.version(document);
+    return {
+        document_id: document.id,
+        name: document.name,
+        template: document.template,
+        metadata: document.metadata,
+        latest_version: latest.version,
+        format: latest.format,
+        size_bytes: latest.sizeBytes,
+        created_at: document.createdAt,
+        updated_at: document.updatedAt,
+        versions: document.versions.map((version) => versionView(document, version)),
+        content_url: `/documents/${document.id}/content`
+    };
+}
+
+function sendError(res, error) {
+    if (!(error instanceof DocumentError)) {
+        logger.error(`[${SERVICE_NAME}] Unexpected error:`, error.message);
+        error = new DocumentError(500, 'DOCUMENT_SERVICE_ERROR', error.message);
+    }
+    if (error.status >= 500 || error.code === 'TEMPLATE_ERROR') {
+        metrics.recordError(error.code.toLowerCase());
+        logger.error(`[${SERVICE_NAME}] ${error.code}: ${error.message}`);
+    }
+    tracing.annotate({ 'document.error_code': error.code });
+    res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function findDocument(id) {
+    const document = store.get(id);
+    tracing.annotate({ 'document.id': id });
+    if (!document) throw new DocumentError(404, 'DOCUMENT_NOT_FOUND', `Document ${id} not found`);
+    return document;
+}
+
+function findVersion(document, value) {
+    const number = Number(value);
+    const version = Number.isInteger(number) ? store.version(document, number) : null;
+    if (!version) throw new DocumentError(404, 'VERSION_NOT_FOUND', `Document ${document.id} has no version ${value}`);
+    return version;
+}
+
+app.use((req, res, next) => {
+    logger.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// Health endpoints (see lib/health.js)
+const health = useHealth(app, {
+    service: 'document-service',
+    version: SERVICE_VERSION,
+    checks: {
+        // Write and remove a probe file; degraded past 90% of the quota
+        storage: {
+            check: async () => {
+                const probe = path.join(DOCUMENTS_DIR, `.health-${process.pid}`);
+                try {
+                    await fs.promises.writeFile(probe, 'ok');
+                    await fs.promises.unlink(probe);
+                } catch (error) {
+                    return { status: 'unhealthy', message: `Cannot write to ${DOCUMENTS_DIR}: ${error.code || error.message}` };
+                }
+                const { bytes } = store.usage();
+                const nearlyFull = bytes > QUOTA_BYTES * 0.9;
+                return {
+                    status: nearlyFull ? 'degraded' : 'healthy',
+                    ...(nearlyFull && { message: `Storage ${Math.round((bytes / QUOTA_BYTES) * 100)}% full` }),
+                    details: { dir: DOCUMENTS_DIR, used_bytes: bytes, quota_bytes: QUOTA_BYTES }
+                };
+            }
+        }
+    },
+    details: () => {
+        const usage = store.usage();
+        return {
+            documents_stored: usage.documents,
+            versions_stored: usage.versions,
+            storage_bytes: usage.bytes,
+            templates: Object.keys(TEMPLATES)
+        };
+    },
+    onReport: (report) => tracing.annotate({
+        'health.status': report.status,
+        'document.stored': store.usage().documents
+    })
+});
+
+app.get('/templates', (req, res) => {
+    res.json({
+        templates: Object.entries(TEMPLATES).map(([name, template]) => ({
+            name,
+            type: template.type,
+            description: template.description
+        })),
+        formats: Object.keys(FORMATS)
+    });
+});
+
+app.post('/documents', async (req, res) => {
+    try {
+        const { data = {}, metadata = {} } = req.body;
+        const format = parseFormat(req.body.format, 'PDF');
+        const template = resolveTemplate(req.body);
+        const name = parseName(req.body.name);
+        tracing.annotate({ 'document.template': template.name, 'document.format': format });
+
+        const content = await produce(template, data, format);
+        const document = await write(content, null, () => store.create({
+            name: name || content.title || template.name,
+            template: template.name,
+            metadata
+        }, content));
+
+        tracing.annotate({
+            'document.id': document.id,
+            'document.version': 1,
+            'document.size_bytes': content.body.length
+        });
+        logger.log(`[${SERVICE_NAME}] Created ${document.id} (${template.name}, ${format}, ${content.body.length} bytes)`);
+        res.status(201).json(documentView(document));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/documents', (req, res) => {
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 500));
+    const matching = store.list({ template: req.query.template });
 
-app.get('/health', (req, res) => {
     res.json({
-        service: 'document-service',
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        version: '1.5.2'
+        documents: matching.slice(0, limit).map(documentView),
+        total: matching.length,
+        storage_bytes: store.usage().bytes
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`🟢 ${SERVICE_NAME} running on port ${PORT}`);
+app.get('/documents/:id', (req, res) => {
+    try {
+        res.json(documentView(findDocument(req.params.id)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Re-render with new data, format or template; anything omitted is taken
+// from the latest version
+app.post('/documents/:id/versions', async (req, res) => {
+    try {
+        const document = findDocument(req.params.id);
+        const latest = store.version(document);
+        const previous = latest.source
+            ? { name: 'inline', title: '', ...latest.source }
+            : { name: latest.template, ...TEMPLATES[latest.template] };
+        const format = parseFormat(req.body.format, latest.format);
+        const template = resolveTemplate(req.body, previous);
+
+        const content = await produce(template, req.body.data ?? latest.data, format);
+        const version = await write(content, document.id, () => store.addVersion(document, content));
+
+        tracing.annotate({
+            'document.version': version.version,
+            'document.format': format,
+            'document.size_bytes': version.sizeBytes
+        });
+        logger.log(`[${SERVICE_NAME}] Stored version ${version.version} of ${document.id}`);
+        res.status(201).json(documentView(document));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/documents/:id/versions/:version', (req, res) => {
+    try {
+        const document = findDocument(req.params.id);
+        res.json(versionView(document, findVersion(document, req.params.version)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// The stored file; latest version unless ?version= is given
+app.get('/documents/:id/content', async (req, res) => {
+    try {
+        const document = findDocument(req.params.id);
+        const version = req.query.version === undefined ? store.version(document) : findVersion(document, req.query.version);
+
+        await sleep(sizeDelayMs(version.sizeBytes, 5, 0.5));
+        const body = store.read(document, version);
+        tracing.annotate({ 'document.version': version.version, 'document.size_bytes': body.length });
+
+        const filename = `${document.name.replace(/[^\w.-]+/g, '_')}-v${version.version}.${FORMATS[version.format].extension}`;
+        res.set({
+            'Content-Type': version.contentType,
+            'Content-Disposition': `inline; filename="${filename}"`,
+            'ETag': `"${version.sha256}"`,
+            'X-Document-Version': String(version.version)
+        });
+        res.send(body);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/documents/:id/versions/:version', (req, res) => {
+    try {
+        const document = findDocument(req.params.id);
+        const version = findVersion(document, req.params.version);
+        if (document.versions.length === 1) {
+            throw new DocumentError(409, 'LAST_VERSION', `Version ${version.version} is the only one left; DELETE /documents/${document.id} instead`);
+        }
+        store.removeVersion(document, version);
+        logger.log(`[${SERVICE_NAME}] Deleted version ${version.version} of ${document.id}`);
+        res.json(documentView(document));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/documents/:id', (req, res) => {
+    try {
+        const document = findDocument(req.params.id);
+        store.remove(document);
+        logger.log(`[${SERVICE_NAME}] Deleted ${document.id}`);
+        res.json({
+            message: `Document ${document.id} deleted`,
+            document_id: document.id,
+            versions_deleted: document.versions.length
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+const loaded = store.load();
+if (loaded > 0) logger.log(`[${SERVICE_NAME}] Loaded ${loaded} document(s) from ${DOCUMENTS_DIR}`);
+
+const server = app.listen(PORT, () => {
+    logger.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
+    logger.log(`   Health: http://localhost:${PORT}/health`);
+    logger.log(`   Templates: http://localhost:${PORT}/templates`);
+    logger.log(`   Documents: http://localhost:${PORT}/documents`);
+    logger.log(`   Storage: ${DOCUMENTS_DIR}`);
+    logger.log(`   Faults: http://localhost:${PORT}/admin/faults`);
+    logger.log(`   Metrics: http://localhost:${PORT}/metrics\n`);
+});
+
+// SIGTERM and crashes, alone or hosted by index.js (see lib/lifecycle.js)
+const lifecycle = module.exports = serviceLifecycle(module, {
+    name: SERVICE_NAME,
+    server
 });
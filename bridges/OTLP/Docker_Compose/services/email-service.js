@@ -1,132 +1,342 @@
+// Tracing must start before express is loaded (see lib/tracing.js)
+const tracing = require('./lib/tracing');
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '2.1.0';
+tracing.startTracing({ serviceName: 'email-service', serviceVersion: SERVICE_VERSION });
+
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
+const nodemailer = require('nodemailer');
+const { useFaultInjection } = require('./lib/fault-injection');
+const { useMetrics } = require('./lib/metrics');
+const { useTenant, runWithTenant, tenantFromHeaders, logger } = require('./lib/tenant');
+const { useHealth } = require('./lib/health');
+const { serviceLifecycle } = require('./lib/lifecycle');
+const { EmailQueue, PRIORITIES, isConnectionError } = require('./lib/email-queue');
 
 const app = express();
 const PORT = process.env.SERVICE_PORT || 8003;
 const SERVICE_NAME = 'Email Service';
 
+// SMTP relay: MailHog in docker-compose (UI on :8025)
+const SMTP = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    from: process.env.EMAIL_FROM || 'PLTelemetry <pltelemetry@localhost>'
+};
+
 app.use(cors());
 app.use(express.json());
+app.use(tracing.traceHeaders());
+// Tenant of each request, kept for its spans, logs, metrics and outbound calls
+// (see lib/tenant.js); installed before metrics so they get the tenant label
+useTenant(app);
+
+// Prometheus metrics on /metrics (see lib/metrics.js); registered before fault
+// injection so faulted responses are counted
+const metrics = useMetrics(app, { service: 'email-service' });
+metrics.health(() => health.lastStatus);
+metrics.gauge('email_queue_depth', 'Emails queued and not sent yet', [], function collect() {
+    this.set(emailQueue.pending());
+});
+metrics.gauge('email_smtp_connected', 'SMTP connection state (1 connected, 0 disconnected)', [], function collect() {
+    this.set(emailState.smtpConnected ? 1 : 0);
+});
+const emailsQueued = metrics.counter('emails_queued_total', 'Emails accepted by POST /send', ['priority']);
+const emailsSent = metrics.counter('emails_sent_total', 'Emails delivered', ['priority']);
+const emailsFailed = metrics.counter('emails_failed_total', 'Emails given up on', ['priority']);
+const deliveryRetries = metrics.counter('email_delivery_retries_total', 'Delivery attempts that will be retried', ['reason']);
+const deliverySeconds = metrics.histogram('email_delivery_seconds', 'Time from POST /send to delivery',
+    ['priority'], [0.1, 0.5, 1, 5, 15, 60, 300, 900]);
+
+// Fault injection (see lib/fault-injection.js); smtp-disconnect fails a delivery
+// attempt as if the connection dropped (3% by default)
+const faults = useFaultInjection(app, {
+    service: 'email-service',
+    triggers: { 'smtp-disconnect': 0.03 }
+});
 
 let emailState = {
-    isHealthy: true,
     emailsSent: 0,
-    emailQueue: 0,
     lastEmailTime: new Date(),
     smtpConnected: true,
+    // Set by POST /admin/smtp/disconnected: every attempt fails until reconnected
+    smtpOutage: false,
     errors: []
 };
 
-app.use((req, res, next) => {
-    console.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
+const transport = nodemailer.createTransport({
+    host: SMTP.host,
+    port: SMTP.port,
+    secure: SMTP.secure,
+    ...(SMTP.user && { auth: { user: SMTP.user, pass: process.env.SMTP_PASS } }),
+    connectionTimeout: 5000,
+    greetingTimeout: 5000,
+    socketTimeout: 10000
 });
 
-app.get('/health', (req, res) => {
-    const health = {
-        service: SERVICE_NAME.toLowerCase().replace(' ', '-'),
-        status: emailState.isHealthy && emailState.smtpConnected ? 'healthy' : 'unhealthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        emails_sent: emailState.emailsSent,
-        queue_size: emailState.emailQueue,
-        smtp_connected: emailState.smtpConnected,
-        last_email: emailState.lastEmailTime,
-        version: '2.1.0'
+function connectionLost() {
+    const error = new Error('SMTP server connection lost');
+    error.code = 'ECONNECTION';
+    return error;
+}
+
+/**
+ * One delivery attempt, traced as a child of the POST /send request. The
+ * email carries the attempt's trace headers, so MailHog shows them.
+ */
+async function sendEmail(message) {
+    const span = tracing.startBackgroundSpan('email.deliver', {
+        'email.message_id': message.id,
+        'email.priority': message.priority,
+        'email.attempt': message.attempts,
+        'server.address': SMTP.host,
+        'server.port': SMTP.port
+    }, tracing.contextFromHeaders(message.traceHeaders), tracing.SpanKind.CLIENT);
+
+    try {
+        if (emailState.smtpOutage || faults.trigger('smtp-disconnect')) throw connectionLost();
+
+        const info = await transport.sendMail({
+            from: SMTP.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.body,
+            priority: message.priority,
+            headers: { ...tracing.spanHeaders(span), 'X-PLT-Message-ID': message.id }
+        });
+
+        emailState.smtpConnected = true;
+        span.setAttribute('email.smtp_message_id', info.messageId);
+        tracing.endSpan(span);
+        return { messageId: info.messageId, response: info.response };
+    } catch (error) {
+        if (isConnectionError(error)) emailState.smtpConnected = false;
+        span.setAttribute('email.smtp_response_code', error.responseCode || 0);
+        tracing.endSpan(span, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Queued messages are sent and reported in the tenant of the request that
+ * queued them, not of whatever the queue was doing before
+ */
+function inMessageTenant(fn) {
+    return (message, ...args) => runWithTenant(tenantFromHeaders(message.traceHeaders), () => fn(message, ...args));
+}
+
+const emailQueue = new EmailQueue({
+    send: inMessageTenant(sendEmail),
+    file: process.env.EMAIL_QUEUE_FILE || path.join(os.tmpdir(), 'email-service-queue.json'),
+    maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || 8,
+    retryBaseMs: Number(process.env.EMAIL_RETRY_BASE_MS) || 1000,
+    retryMaxMs: Number(process.env.EMAIL_RETRY_MAX_MS) || 60000,
+    random: () => faults.random()
+});
+
+emailQueue.on('sent', inMessageTenant((message) => {
+    emailState.emailsSent++;
+    emailState.lastEmailTime = new Date();
+    emailsSent.inc({ priority: message.priority });
+    deliverySeconds.observe({ priority: message.priority }, (message.sentAt - message.createdAt) / 1000);
+    logger.log(`[${SERVICE_NAME}] Delivered ${message.id} to ${message.to} (attempt ${message.attempts})`);
+}));
+
+emailQueue.on('retry', inMessageTenant((message, error) => {
+    deliveryRetries.inc({ reason: isConnectionError(error) ? 'connection' : 'smtp_reply' });
+    logger.log(`[${SERVICE_NAME}] Attempt ${message.attempts} for ${message.id} failed (${error.message}), retrying at ${new Date(message.nextAttemptAt).toISOString()}`);
+}));
+
+emailQueue.on('failed', inMessageTenant((message, error) => {
+    emailsFailed.inc({ priority: message.priority });
+    emailState.errors.push({
+        timestamp: new Date(),
+        error: error.message,
+        recipient: message.to,
+        message_id: message.id
+    });
+    metrics.recordError('send_failed');
+    logger.error(`[${SERVICE_NAME}] Giving up on ${message.id} after ${message.attempts} attempt(s):`, error.message);
+}));
+
+function messageView(message) {
+    return {
+        message_id: message.id,
+        status: message.status,
+        to: message.to,
+        subject: message.subject,
+        priority: message.priority,
+        attempts: message.attempts,
+        max_attempts: emailQueue.maxAttempts,
+        queue_position: emailQueue.position(message),
+        created_at: new Date(message.createdAt).toISOString(),
+        next_attempt_at: message.status === 'retrying' ? new Date(message.nextAttemptAt).toISOString() : null,
+        sent_at: message.sentAt ? new Date(message.sentAt).toISOString() : null,
+        failed_at: message.failedAt ? new Date(message.failedAt).toISOString() : null,
+        last_error: message.lastError,
+        smtp_message_id: message.smtp ? message.smtp.messageId : null,
+        smtp_response: message.smtp ? message.smtp.response : null
     };
+}
 
-    const statusCode = health.status === 'healthy' ? 200 : 503;
-    res.status(statusCode).json(health);
+app.use((req, res, next) => {
+    logger.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
 });
 
-app.post('/send', async (req, res) => {
-    try {
-        const { to, subject, body, priority = 'normal' } = req.body;
-        
-        if (!to || !subject || !body) {
-            return res.status(400).json({
-                error: 'to, subject and body are required',
-                code: 'MISSING_FIELDS'
-            });
+// Health endpoints (see lib/health.js)
+const MAX_QUEUE = 100;
+const health = useHealth(app, {
+    service: 'email-service',
+    version: SERVICE_VERSION,
+    checks: {
+        // EHLO against the relay; a simulated outage fails without asking.
+        // Only critical when a relay is configured: a plain `npm start` has
+        // none, and mail just waits in the queue
+        smtp: {
+            critical: Boolean(process.env.SMTP_HOST),
+            budgetMs: 500,
+            timeoutMs: 3000,
+            check: async () => {
+                if (emailState.smtpOutage) return { status: 'unhealthy', message: 'SMTP connection lost (simulated)' };
+                try {
+                    await transport.verify();
+                    emailState.smtpConnected = true;
+                    return { status: 'healthy', details: { host: `${SMTP.host}:${SMTP.port}` } };
+                } catch (error) {
+                    emailState.smtpConnected = false;
+                    return { status: 'unhealthy', message: `SMTP ${SMTP.host}:${SMTP.port}: ${error.message}` };
+                }
+            }
+        },
+        // Mail still goes out with a long queue, only later
+        queue: {
+            critical: false,
+            check: () => {
+                const pending = emailQueue.pending();
+                return {
+                    status: pending > MAX_QUEUE ? 'degraded' : 'healthy',
+                    ...(pending > MAX_QUEUE && { message: `${pending} emails queued` }),
+                    details: { queued: pending, limit: MAX_QUEUE }
+                };
+            }
         }
+    },
+    details: () => ({
+        emails_sent: emailState.emailsSent,
+        queue_size: emailQueue.pending(),
+        smtp_connected: emailState.smtpConnected,
+        last_email: emailState.lastEmailTime
+    }),
+    onReport: (report) => tracing.annotate({
+        'health.status': report.status,
+        'email.queue_size': emailQueue.pending(),
+        'email.smtp_connected': emailState.smtpConnected
+    })
+});
 
-        // Simulate SMTP disconnection (3% chance)
-        if (Math.random() < 0.03) {
-            emailState.smtpConnected = false;
-            throw new Error('SMTP server connection lost');
-        }
+app.post('/send', (req, res) => {
+    const { to, subject, body, priority = 'normal' } = req.body;
 
-        // Simulate delivery delay based on priority
-        const delays = { high: 500, normal: 1500, low: 3000 };
-        const delay = delays[priority] || delays.normal;
-        
-        emailState.emailQueue++;
-        const messageId = uuidv4();
-
-        // Simulate async sending
-        setTimeout(() => {
-            emailState.emailQueue--;
-            emailState.emailsSent++;
-            emailState.lastEmailTime = new Date();
-            
-            // Random chance to reconnect SMTP if disconnected
-            if (!emailState.smtpConnected && Math.random() < 0.7) {
-                emailState.smtpConnected = true;
-                console.log(`[${SERVICE_NAME}] SMTP connection restored`);
-            }
-        }, delay);
-
-        res.json({
-            message_id: messageId,
-            status: 'queued',
-            to: to,
-            subject: subject,
-            priority: priority,
-            estimated_delivery: new Date(Date.now() + delay).toISOString()
+    if (!to || !subject || !body) {
+        return res.status(400).json({
+            error: 'to, subject and body are required',
+            code: 'MISSING_FIELDS'
         });
-
-    } catch (error) {
-        emailState.errors.push({
-            timestamp: new Date(),
-            error: error.message,
-            recipient: req.body.to
+    }
+    if (!PRIORITIES.includes(priority)) {
+        return res.status(400).json({
+            error: `priority must be one of ${PRIORITIES.join(', ')}`,
+            code: 'INVALID_PRIORITY'
         });
-        
-        console.error(`[${SERVICE_NAME}] Error sending email:`, error.message);
-        res.status(500).json({
-            error: error.message,
-            code: 'SEND_FAILED'
+    }
+
+    const message = emailQueue.enqueue({ to, subject, body, priority, traceHeaders: tracing.contextHeaders() });
+    emailsQueued.inc({ priority });
+    tracing.annotate({
+        'email.priority': priority,
+        'email.message_id': message.id,
+        'email.queue_size': emailQueue.pending()
+    });
+
+    res.json({
+        ...messageView(message),
+        status_url: `/messages/${message.id}`
+    });
+});
+
+app.get('/messages', (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, emailQueue.maxMessages));
+    const matching = emailQueue.list({ statuses });
+
+    res.json({
+        messages: matching.slice(0, limit).map(messageView),
+        total: matching.length,
+        pending: emailQueue.pending(),
+        smtp_connected: emailState.smtpConnected
+    });
+});
+
+// Delivery status of one message
+app.get('/messages/:id', (req, res) => {
+    const message = emailQueue.get(req.params.id);
+    tracing.annotate({ 'email.message_id': req.params.id, 'email.status': message ? message.status : 'not_found' });
+    if (!message) {
+        return res.status(404).json({
+            error: `Message ${req.params.id} not found`,
+            code: 'MESSAGE_NOT_FOUND'
         });
     }
+    res.json(messageView(message));
 });
 
 // Admin endpoints
 app.post('/admin/smtp/:status', (req, res) => {
     const { status } = req.params;
-    emailState.smtpConnected = status === 'connected';
-    
-    console.log(`[${SERVICE_NAME}] SMTP status changed to: ${status}`);
+    emailState.smtpOutage = status !== 'connected';
+    emailState.smtpConnected = !emailState.smtpOutage;
+    // Back online: do not wait out the backoff
+    if (!emailState.smtpOutage) emailQueue.retryNow();
+
+    logger.log(`[${SERVICE_NAME}] SMTP status changed to: ${status}`);
     res.json({
         message: `SMTP status set to ${status}`,
-        smtp_connected: emailState.smtpConnected
+        smtp_connected: emailState.smtpConnected,
+        pending: emailQueue.pending()
     });
 });
 
 app.post('/admin/simulate-crash', (req, res) => {
-    console.log(`[${SERVICE_NAME}] Simulating crash - service will exit in 2 seconds`);
+    logger.log(`[${SERVICE_NAME}] Simulating crash - service will exit in 2 seconds`);
     res.json({ message: 'Service crash simulation initiated' });
     
-    setTimeout(() => {
-        console.log(`[${SERVICE_NAME}] CRASH SIMULATION - Exiting process`);
-        process.exit(1);
-    }, 2000);
+    setTimeout(() => lifecycle.crash(), 2000);
+});
+
+const restored = emailQueue.load();
+if (restored > 0) logger.log(`[${SERVICE_NAME}] Restored ${restored} pending email(s) from ${emailQueue.file}`);
+emailQueue.start();
+
+const server = app.listen(PORT, () => {
+    logger.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
+    logger.log(`   Health: http://localhost:${PORT}/health`);
+    logger.log(`   Send: http://localhost:${PORT}/send`);
+    logger.log(`   Messages: http://localhost:${PORT}/messages`);
+    logger.log(`   SMTP relay: ${SMTP.host}:${SMTP.port}`);
+    logger.log(`   SMTP: http://localhost:${PORT}/admin/smtp/disconnected`);
+    logger.log(`   Faults: http://localhost:${PORT}/admin/faults`);
+    logger.log(`   Metrics: http://localhost:${PORT}/metrics`);
+    logger.log(`   Crash: http://localhost:${PORT}/admin/simulate-crash\n`);
 });
 
-app.listen(PORT, () => {
-    console.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
-    console.log(`   Health: http://localhost:${PORT}/health`);
-    console.log(`   Send: http://localhost:${PORT}/send`);
-    console.log(`   SMTP: http://localhost:${PORT}/admin/smtp/disconnected`);
-    console.log(`   Crash: http://localhost:${PORT}/admin/simulate-crash\n`);
+// SIGTERM and crashes, alone or hosted by index.js (see lib/lifecycle.js)
+const lifecycle = module.exports = serviceLifecycle(module, {
+    name: SERVICE_NAME,
+    server,
+    stop: () => emailQueue.stop()
 });
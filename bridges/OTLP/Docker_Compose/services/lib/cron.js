@@ -0,0 +1,133 @@
+// =============================================================================
+// Cron expressions for scheduled mock jobs
+// Five fields (minute hour day-of-month month day-of-week) in local time, with
+// *, lists, ranges and steps, plus @hourly/@daily/@weekly/@monthly and
+// "@every 30s" for schedules shorter than a minute.
+// =============================================================================
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// Give up looking for a match after this long (e.g. "0 0 31 2 *")
+const SEARCH_LIMIT_MS = 366 * 24 * 3600000;
+
+class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw new CronError(`Invalid ${field.name} "${part}"`);
+
+        const step = match[4] === undefined ? 1 : Number(match[4]);
+        let from = field.min;
+        let to = field.max;
+        if (match[1] !== '*') {
+            from = Number(match[2]);
+            // "5/15" means from 5 to the end, every 15
+            to = match[3] !== undefined ? Number(match[3]) : (match[4] !== undefined ? field.max : from);
+        }
+        if (step < 1 || from < field.min || to > field.max || from > to) {
+            throw new CronError(`${field.name} "${part}" is outside ${field.min}-${field.max}`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * @param {string} expression
+ * @returns {Object} { expression, everyMs } or { expression, fields }
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+
+    const every = /^@every\s+(\d+)(ms|s|m|h)$/.exec(text);
+    if (every) {
+        const everyMs = Number(every[1]) * UNITS[every[2]];
+        if (everyMs < 1000) throw new CronError(`"${text}" is shorter than 1s`);
+        return { expression: text, everyMs };
+    }
+
+    const parts = (ALIASES[text] || text).split(/\s+/);
+    if (parts.length !== 5) throw new CronError(`"${text}" needs 5 fields (minute hour day-of-month month day-of-week)`);
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    // 7 is Sunday too
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        expression: text,
+        fields: {
+            minutes,
+            hours,
+            days,
+            months,
+            weekdays,
+            // Classic cron: when both day fields are restricted, either may match
+            anyDay: parts[2] !== '*' && parts[4] !== '*'
+        }
+    };
+}
+
+function dayMatches(fields, date) {
+    const dom = fields.days.has(date.getDate());
+    const dow = fields.weekdays.has(date.getDay());
+    return fields.anyDay ? dom || dow : dom && dow;
+}
+
+/**
+ * First run strictly after `from`
+ * @param {Object} cron From parseCron
+ * @param {Date|number} [from] Defaults to now
+ * @returns {Date|null} null when nothing matches within a year
+ */
+function nextRun(cron, from = Date.now()) {
+    const start = new Date(from).getTime();
+    if (cron.everyMs) return new Date(start + cron.everyMs);
+
+    const { fields } = cron;
+    const date = new Date(start);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Skip whole months, days and hours that cannot match
+    while (date.getTime() - start <= SEARCH_LIMIT_MS) {
+        if (!fields.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(fields, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!fields.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!fields.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, nextRun, CronError };
@@ -0,0 +1,186 @@
+// =============================================================================
+// Document storage for document-service
+// One directory per document under the storage root: meta.json plus one file
+// per version (v1.pdf, v2.html, ...). The index lives in memory and is
+// rebuilt from the meta files at start, so documents survive a restart.
+// =============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+class DocumentStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir Storage root, created when missing
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.documents = new Map();
+    }
+
+    /**
+     * Read every meta.json under the storage root. Versions whose file has
+     * gone missing are dropped, and so are documents whose meta.json cannot
+     * be read (see readMeta).
+     * @returns {number} Documents loaded
+     */
+    load() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+            const file = path.join(this.dir, entry.name, 'meta.json');
+            if (!entry.isDirectory() || !fs.existsSync(file)) continue;
+            const document = this.readMeta(file, entry.name);
+            if (!document) continue;
+            document.versions = document.versions.filter((version) =>
+                version && typeof version.file === 'string' && fs.existsSync(this.versionFile(document, version)));
+            if (document.versions.length > 0) this.documents.set(document.id, document);
+        }
+        return this.documents.size;
+    }
+
+    /**
+     * A document's meta.json, or null when it is not valid JSON or not a
+     * document stored under `id`. The file is moved to meta.json.corrupt, so
+     * one bad document neither stops the service nor is read again.
+     */
+    readMeta(file, id) {
+        try {
+            const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!document || document.id !== id || typeof document.name !== 'string' || !Array.isArray(document.versions)) {
+                throw new Error('not a document');
+            }
+            return document;
+        } catch (error) {
+            const corrupt = `${file}.corrupt`;
+            fs.renameSync(file, corrupt);
+            console.error(`[DocumentStore] Could not read ${file} (${error.message}), moved it to ${corrupt} and skipping the document`);
+            return null;
+        }
+    }
+
+    versionFile(document, version) {
+        return path.join(this.dir, document.id, version.file);
+    }
+
+    saveMeta(document) {
+        // Write then rename, so a crash never leaves half a file
+        const file = path.join(this.dir, document.id, 'meta.json');
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(document, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    /**
+     * @param {Object} fields { name, template, metadata }
+     * @param {Object} content See addVersion()
+     * @returns {Object} The document, with its first version
+     */
+    create(fields, content) {
+        const now = new Date().toISOString();
+        const document = {
+            id: uuidv4(),
+            name: fields.name,
+            template: fields.template,
+            metadata: fields.metadata || {},
+            createdAt: now,
+            updatedAt: now,
+            nextVersion: 1,
+            versions: []
+        };
+        fs.mkdirSync(path.join(this.dir, document.id), { recursive: true });
+        try {
+            this.addVersion(document, content);
+        } catch (error) {
+            fs.rmSync(path.join(this.dir, document.id), { recursive: true, force: true });
+            throw error;
+        }
+        this.documents.set(document.id, document);
+        return document;
+    }
+
+    /**
+     * Store a new version. Numbers are never reused, even after a delete.
+     * @param {Object} document
+     * @param {Object} content { body: Buffer, format, contentType, extension, template, source, data, renderMs }
+     * @returns {Object} The version
+     */
+    addVersion(document, content) {
+        const version = {
+            version: document.nextVersion,
+            file: `v${document.nextVersion}.${content.extension}`,
+            format: content.format,
+            contentType: content.contentType,
+            template: content.template,
+            // Inline template { type, body }, kept to render later versions
+            source: content.source || null,
+            sizeBytes: content.body.length,
+            sha256: crypto.createHash('sha256').update(content.body).digest('hex'),
+            renderMs: content.renderMs,
+            data: content.data,
+            createdAt: new Date().toISOString()
+        };
+        fs.writeFileSync(this.versionFile(document, version), content.body);
+
+        document.versions.push(version);
+        document.nextVersion++;
+        document.updatedAt = version.createdAt;
+        this.saveMeta(document);
+        return version;
+    }
+
+    get(id) {
+        return this.documents.get(id) || null;
+    }
+
+    /**
+     * @param {Object} document
+     * @param {number} [number] Latest when omitted
+     * @returns {Object|null}
+     */
+    version(document, number) {
+        if (number === undefined) return document.versions[document.versions.length - 1];
+        return document.versions.find((version) => version.version === number) || null;
+    }
+
+    read(document, version) {
+        return fs.readFileSync(this.versionFile(document, version));
+    }
+
+    /**
+     * Documents, most recently updated first
+     * @param {Object} [filter] { template }
+     */
+    list(filter = {}) {
+        return [...this.documents.values()]
+            .filter((document) => !filter.template || document.template === filter.template)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    remove(document) {
+        fs.rmSync(path.join(this.dir, document.id), { recursive: true, force: true });
+        this.documents.delete(document.id);
+    }
+
+    removeVersion(document, version) {
+        fs.rmSync(this.versionFile(document, version), { force: true });
+        document.versions = document.versions.filter((other) => other !== version);
+        document.updatedAt = new Date().toISOString();
+        this.saveMeta(document);
+    }
+
+    /**
+     * @returns {{documents: number, versions: number, bytes: number}}
+     */
+    usage() {
+        let versions = 0;
+        let bytes = 0;
+        for (const document of this.documents.values()) {
+            versions += document.versions.length;
+            bytes += document.versions.reduce((sum, version) => sum + version.sizeBytes, 0);
+        }
+        return { documents: this.documents.size, versions, bytes };
+    }
+}
+
+module.exports = { DocumentStore };
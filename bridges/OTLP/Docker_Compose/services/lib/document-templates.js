@@ -0,0 +1,57 @@
+// =============================================================================
+// Built-in templates for document-service (syntax in lib/template.js)
+// 'html' templates are escaped as HTML; 'text' ones render as they are.
+// =============================================================================
+
+const TEMPLATES = {
+    invoice: {
+        type: 'html',
+        description: 'Customer invoice with one row per line',
+        title: 'Invoice {{ invoice_number }}',
+        body: `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Invoice {{ invoice_number }}</title></head>
+<body>
+<h1>{{ company }} - Invoice {{ invoice_number }}</h1>
+<p>Date: {{ date }}<br>Customer: {{ customer.name }}<br>{{ customer.address }}</p>
+<table>
+<tr><th>#</th><th>Description</th><th>Qty</th><th>Unit price</th><th>Amount</th></tr>
+{{#each lines}}<tr><td>{{ @number }}</td><td>{{ description }}</td><td>{{ quantity }}</td><td>{{ unit_price }}</td><td>{{ amount }}</td></tr>
+{{/each}}</table>
+<p>Total: {{ total }} {{ currency }}</p>
+{{#if notes}}<p>{{ notes }}</p>{{/if}}
+</body>
+</html>
+`
+    },
+    purchase_order: {
+        type: 'text',
+        description: 'Purchase order sent to a supplier',
+        title: 'Purchase order {{ po_number }}',
+        body: `PURCHASE ORDER {{ po_number }}
+Supplier: {{ supplier.name }}
+Ship to:  {{ ship_to }}
+Ordered:  {{ date }}
+
+{{#each items}}{{ @number }}. {{ sku }}  {{ description }}  x{{ quantity }}
+{{/each}}
+{{#if approved_by}}Approved by {{ approved_by }}{{else}}PENDING APPROVAL{{/if}}
+`
+    },
+    customer_letter: {
+        type: 'text',
+        description: 'Free-form letter to a customer',
+        title: 'Letter to {{ customer.name }}',
+        body: `{{ date }}
+
+Dear {{ customer.name }},
+
+{{#each paragraphs}}{{ this }}
+
+{{/each}}Kind regards,
+{{ signature }}
+`
+    }
+};
+
+module.exports = { TEMPLATES };
@@ -0,0 +1,281 @@
+// =============================================================================
+// Email delivery queue for email-service
+// In-process queue, saved to a JSON file shortly after each change so pending
+// mail survives a restart. Delivers one message at a time, high before normal
+// before low, and retries with exponential backoff when SMTP fails.
+// =============================================================================
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+const PENDING = ['queued', 'sending', 'retrying'];
+
+// nodemailer error codes for "could not talk to the server at all"
+const CONNECTION_ERRORS = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNREFUSED', 'ECONNRESET'];
+
+/**
+ * Connection errors hold the whole queue: every other message would fail the
+ * same way
+ */
+function isConnectionError(error) {
+    return CONNECTION_ERRORS.includes(error.code);
+}
+
+/**
+ * SMTP 5xx replies are permanent (bad recipient, rejected message)
+ */
+function isPermanentError(error) {
+    return Number(error.responseCode) >= 500;
+}
+
+class EmailQueue extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send async (message) => { messageId, response }
+     * @param {string} [options.file] Where the queue is saved (none: memory only)
+     * @param {number} [options.maxAttempts] Attempts before a message fails (default 8)
+     * @param {number} [options.retryBaseMs] First retry delay, doubled per attempt (default 1000)
+     * @param {number} [options.retryMaxMs] Longest retry delay (default 60000)
+     * @param {number} [options.maxMessages] Sent/failed messages kept for lookup (default 1000)
+     * @param {Function} [options.random] Jitter source (default Math.random)
+     * @param {number} [options.saveDelayMs] Changes within this window are saved in one write (default 200)
+     *
+     * Emits 'sent' (message), 'retry' (message, error) and 'failed' (message, error)
+     */
+    constructor(options) {
+        super();
+        this.send = options.send;
+        this.file = options.file || null;
+        this.maxAttempts = options.maxAttempts || 8;
+        this.retryBaseMs = options.retryBaseMs || 1000;
+        this.retryMaxMs = options.retryMaxMs || 60000;
+        this.maxMessages = options.maxMessages || 1000;
+        this.random = options.random || Math.random;
+        this.saveDelayMs = options.saveDelayMs ?? 200;
+
+        this.messages = new Map();
+        this.holdUntil = 0;
+        this.busy = false;
+        this.stopped = true;
+        this.timer = null;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Read the saved queue. A message caught mid-send is sent again: SMTP
+     * gives no way to know whether the server took it. A file that cannot be
+     * read is moved to <file>.corrupt and the queue starts empty.
+     * @returns {number} Pending messages restored
+     */
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return 0;
+
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            if (!saved || !Array.isArray(saved.messages)) throw new Error('no messages array');
+        } catch (error) {
+            const corrupt = `${this.file}.corrupt`;
+            fs.renameSync(this.file, corrupt);
+            console.error(`[EmailQueue] Could not read ${this.file} (${error.message}), moved it to ${corrupt} and starting empty`);
+            return 0;
+        }
+
+        for (const message of saved.messages) {
+            if (!message || typeof message.id !== 'string') continue;
+            if (message.status === 'sending') message.status = 'queued';
+            this.messages.set(message.id, message);
+        }
+        return this.pending();
+    }
+
+    /**
+     * Save soon: every change within saveDelayMs goes out in one write
+     */
+    save() {
+        if (!this.file || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+    }
+
+    /**
+     * Write the queue now
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        // Write then rename, so a crash never leaves half a file
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ saved_at: new Date().toISOString(), messages: [...this.messages.values()] }));
+        fs.renameSync(tmp, this.file);
+    }
+
+    /**
+     * @param {Object} email { to, subject, body, priority, traceHeaders }
+     * @returns {Object} The queued message
+     */
+    enqueue(email) {
+        const message = {
+            id: uuidv4(),
+            to: email.to,
+            subject: email.subject,
+            body: email.body,
+            priority: email.priority,
+            status: 'queued',
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now(),
+            sentAt: null,
+            failedAt: null,
+            lastError: null,
+            smtp: null,
+            traceHeaders: email.traceHeaders || {}
+        };
+        this.messages.set(message.id, message);
+        this.prune();
+        this.save();
+        this.schedule();
+        return message;
+    }
+
+    get(id) {
+        return this.messages.get(id) || null;
+    }
+
+    /**
+     * Messages, newest first
+     * @param {Object} [filter] { statuses: ['queued', ...], limit }
+     */
+    list(filter = {}) {
+        return [...this.messages.values()]
+            .filter((message) => !filter.statuses || filter.statuses.includes(message.status))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, filter.limit);
+    }
+
+    pending() {
+        return [...this.messages.values()].filter((message) => PENDING.includes(message.status)).length;
+    }
+
+    /**
+     * Pending messages in delivery order
+     */
+    ordered() {
+        return [...this.messages.values()]
+            .filter((message) => message.status === 'queued' || message.status === 'retrying')
+            .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority)
+                || a.nextAttemptAt - b.nextAttemptAt || a.createdAt - b.createdAt);
+    }
+
+    /**
+     * 1-based place in the delivery order, null when not waiting
+     */
+    position(message) {
+        const index = this.ordered().indexOf(message);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Exponential backoff with jitter: base * 2^(attempt - 1), capped, then
+     * scaled by 0.5-1 so retries after an outage do not all land together
+     */
+    retryDelay(attempts) {
+        const delay = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempts - 1));
+        return Math.round(delay * (0.5 + this.random() / 2));
+    }
+
+    /**
+     * Retry every waiting message now (e.g. after SMTP came back)
+     */
+    retryNow() {
+        const now = Date.now();
+        this.holdUntil = 0;
+        for (const message of this.messages.values()) {
+            if (message.status === 'retrying') message.nextAttemptAt = now;
+        }
+        this.save();
+        this.schedule();
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedule();
+    }
+
+    /**
+     * Stop picking up messages and save; a send in flight finishes on its own
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.flush();
+    }
+
+    schedule() {
+        if (this.stopped || this.busy) return;
+        clearTimeout(this.timer);
+
+        const now = Date.now();
+        const ordered = this.ordered();
+        if (ordered.length === 0) return;
+
+        const next = ordered.find((message) => message.nextAttemptAt <= now);
+        if (!next || this.holdUntil > now) {
+            const wakeAt = Math.max(this.holdUntil, Math.min(...ordered.map((message) => message.nextAttemptAt)));
+            this.timer = setTimeout(() => this.schedule(), Math.max(wakeAt - now, 10));
+            return;
+        }
+
+        this.busy = true;
+        this.deliver(next).finally(() => {
+            this.busy = false;
+            this.schedule();
+        });
+    }
+
+    async deliver(message) {
+        message.status = 'sending';
+        message.attempts++;
+        this.save();
+
+        try {
+            message.smtp = await this.send(message);
+            message.status = 'sent';
+            message.sentAt = Date.now();
+            message.lastError = null;
+            this.emit('sent', message);
+        } catch (error) {
+            message.lastError = error.message;
+            if (isPermanentError(error) || message.attempts >= this.maxAttempts) {
+                message.status = 'failed';
+                message.failedAt = Date.now();
+                this.emit('failed', message, error);
+            } else {
+                message.status = 'retrying';
+                message.nextAttemptAt = Date.now() + this.retryDelay(message.attempts);
+                if (isConnectionError(error)) this.holdUntil = message.nextAttemptAt;
+                this.emit('retry', message, error);
+            }
+        }
+        this.prune();
+        this.save();
+    }
+
+    /**
+     * Drop the oldest sent/failed messages beyond maxMessages
+     */
+    prune() {
+        const finished = [...this.messages.values()]
+            .filter((message) => !PENDING.includes(message.status))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        for (const message of finished.slice(0, Math.max(0, finished.length - this.maxMessages))) {
+            this.messages.delete(message.id);
+        }
+    }
+}
+
+module.exports = { EmailQueue, PRIORITIES, isConnectionError, isPermanentError };
@@ -0,0 +1,101 @@
+// =============================================================================
+// Simulated WebLogic execute threads for weblogic-erp
+// Requests take a thread from a fixed pool and queue when none is idle. A
+// thread busy for longer than StuckThreadMaxTime is stuck: it is logged once
+// with the BEA-000337 message WebLogic writes, and counted until it finishes.
+// =============================================================================
+
+const QUEUE_NAME = 'weblogic.kernel.Default (self-tuning)';
+
+class ExecuteThreads {
+    /**
+     * @param {Object} options
+     * @param {number} [options.max] Threads in the pool (default 40)
+     * @param {number} [options.stuckThreadMaxTimeMs] Busy longer than this is stuck (default 600000, as WebLogic)
+     * @param {Function} [options.onStuck] Called once per thread when it becomes stuck
+     */
+    constructor(options = {}) {
+        this.max = options.max || 40;
+        this.stuckThreadMaxTimeMs = options.stuckThreadMaxTimeMs || 600000;
+        this.onStuck = options.onStuck || (() => {});
+
+        this.busy = new Map();
+        this.queue = [];
+        this.timer = null;
+    }
+
+    take(work) {
+        // Lowest idle thread number, as in thread dumps
+        let id = 0;
+        while (this.busy.has(id)) id++;
+        const thread = { id, work, startedAt: Date.now(), stuck: false };
+        this.busy.set(id, thread);
+        return thread;
+    }
+
+    /**
+     * @param {string} work What the thread works on (the request line)
+     * @returns {Promise<Object>} The thread, once one is idle
+     */
+    acquire(work) {
+        if (this.busy.size < this.max) return Promise.resolve(this.take(work));
+        return new Promise((resolve) => this.queue.push({ work, resolve }));
+    }
+
+    release(thread) {
+        if (this.busy.get(thread.id) !== thread) return;
+        this.busy.delete(thread.id);
+        const next = this.queue.shift();
+        if (next) next.resolve(this.take(next.work));
+    }
+
+    /**
+     * Look for stuck threads every few seconds
+     */
+    start(intervalMs = 5000) {
+        this.timer = setInterval(() => this.detect(), intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    detect() {
+        const now = Date.now();
+        for (const thread of this.busy.values()) {
+            if (thread.stuck || now - thread.startedAt <= this.stuckThreadMaxTimeMs) continue;
+            thread.stuck = true;
+            this.onStuck(thread, this.stuckMessage(thread, now));
+        }
+    }
+
+    stuckMessage(thread, now = Date.now()) {
+        return `<BEA-000337> <[STUCK] ExecuteThread: '${thread.id}' for queue: '${QUEUE_NAME}' has been busy for "${Math.round((now - thread.startedAt) / 1000)}" seconds working on the request "${thread.work}", which is more than the configured time (StuckThreadMaxTime) of "${Math.round(this.stuckThreadMaxTimeMs / 1000)}" seconds.>`;
+    }
+
+    stuckThreads() {
+        this.detect();
+        return [...this.busy.values()].filter((thread) => thread.stuck);
+    }
+
+    stats() {
+        const stuck = this.stuckThreads();
+        return {
+            queue: QUEUE_NAME,
+            execute_thread_total: this.max,
+            execute_thread_idle: this.max - this.busy.size,
+            active_threads: this.busy.size,
+            stuck_threads: stuck.length,
+            queue_length: this.queue.length,
+            stuck_thread_max_time_s: Math.round(this.stuckThreadMaxTimeMs / 1000),
+            stuck: stuck.map((thread) => ({
+                thread: thread.id,
+                work: thread.work,
+                busy_s: Math.round((Date.now() - thread.startedAt) / 1000)
+            }))
+        };
+    }
+}
+
+module.exports = { ExecuteThreads };
@@ -0,0 +1,423 @@
+// =============================================================================
+// Fault Injection for the mock legacy services
+// Per-route errors, latency, timeouts, hangs and flapping, configured from a
+// JSON file (FAULTS_CONFIG) or at runtime through /admin/faults. Every random
+// draw comes from a seeded generator (FAULTS_SEED) so runs can be replayed.
+// =============================================================================
+
+const fs = require('fs');
+const express = require('express');
+const { createRandom, randomSeed } = require('./seeded-random');
+
+const DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'exponential'];
+const DEFAULT_HANG_MS = 5 * 60 * 1000;
+
+class FaultConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FaultConfigError';
+    }
+}
+
+/**
+ * '/reports/:jobId/status' or '/reports/*' -> RegExp matched against req.path
+ */
+function pathPattern(path) {
+    if (!path || path === '*') return /^.*$/;
+    const escaped = path
+        .split('/')
+        .map((part) => {
+            if (part.startsWith(':')) return '[^/]+';
+            if (part === '*') return '.*';
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return new RegExp(`^${escaped}/?$`);
+}
+
+function rate(value, field, id) {
+    if (value === undefined) return 0;
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+        throw new FaultConfigError(`Rule ${id}: ${field} must be a number between 0 and 1`);
+    }
+    return value;
+}
+
+function seedValue(value) {
+    if (typeof value === 'number' ? !Number.isFinite(value) : typeof value !== 'string' || value === '') {
+        throw new FaultConfigError('seed must be a number or a non-empty string');
+    }
+    return value;
+}
+
+function duration(value, field, id) {
+    if (value === undefined) return undefined;
+    if (typeof value !== 'number' || value < 0) {
+        throw new FaultConfigError(`Rule ${id}: ${field} must be a non-negative number of milliseconds`);
+    }
+    return value;
+}
+
+/**
+ * HTTP status of injected errors: res.status() throws outside 100-599,
+ * inside a timer where it would take the whole service down
+ */
+function httpStatus(value, id) {
+    if (value === undefined) return 500;
+    if (!Number.isInteger(value) || value < 100 || value > 599) {
+        throw new FaultConfigError(`Rule ${id}: errorStatus must be an integer from 100 to 599`);
+    }
+    return value;
+}
+
+function routePath(value, id) {
+    if (value === undefined || value === null || value === '') return '*';
+    if (typeof value !== 'string') {
+        throw new FaultConfigError(`Rule ${id}: path must be a string`);
+    }
+    return value;
+}
+
+/**
+ * Optional nested object of a rule (latency, schedule): null when absent
+ */
+function section(value, field, id) {
+    if (value == null) return null;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new FaultConfigError(`Rule ${id}: ${field} must be an object`);
+    }
+    return value;
+}
+
+/**
+ * Validate one rule and fill in defaults
+ */
+function normalizeRule(rule, index) {
+    if (!rule || typeof rule !== 'object') throw new FaultConfigError(`Rule ${index} must be an object`);
+    const id = rule.id || `rule-${index + 1}`;
+    const path = routePath(rule.path, id);
+
+    const latencyRule = section(rule.latency, 'latency', id);
+    const latency = latencyRule && { distribution: 'fixed', ...latencyRule };
+    if (latency && !DISTRIBUTIONS.includes(latency.distribution)) {
+        throw new FaultConfigError(`Rule ${id}: latency.distribution must be one of ${DISTRIBUTIONS.join(', ')}`);
+    }
+
+    const scheduleRule = section(rule.schedule, 'schedule', id);
+    const schedule = scheduleRule && {
+        periodMs: duration(scheduleRule.periodMs, 'schedule.periodMs', id),
+        activeMs: duration(scheduleRule.activeMs, 'schedule.activeMs', id),
+        offsetMs: duration(scheduleRule.offsetMs, 'schedule.offsetMs', id) || 0
+    };
+    if (schedule && (!schedule.periodMs || schedule.activeMs === undefined)) {
+        throw new FaultConfigError(`Rule ${id}: schedule needs periodMs and activeMs`);
+    }
+
+    return {
+        id,
+        method: rule.method ? String(rule.method).toUpperCase() : null,
+        path,
+        pattern: pathPattern(path),
+        errorRate: rate(rule.errorRate, 'errorRate', id),
+        errorStatus: httpStatus(rule.errorStatus, id),
+        errorBody: rule.errorBody || { error: 'Injected fault', code: 'FAULT_INJECTED' },
+        latency,
+        timeoutRate: rate(rule.timeoutRate, 'timeoutRate', id),
+        timeoutMs: duration(rule.timeoutMs, 'timeoutMs', id) ?? 30000,
+        hangRate: rate(rule.hangRate, 'hangRate', id),
+        hangMs: duration(rule.hangMs, 'hangMs', id) ?? DEFAULT_HANG_MS,
+        schedule,
+        enabled: rule.enabled !== false
+    };
+}
+
+/**
+ * Public view of a rule (no compiled pattern)
+ */
+function describeRule({ pattern, since, ...rule }) {
+    return { ...rule, since: new Date(since).toISOString() };
+}
+
+class FaultInjector {
+    /**
+     * @param {Object} options
+     * @param {string} options.service Service name (selects services.<name> in the config file)
+     * @param {Object} [options.triggers] In-service failure points and their default rates, e.g. { 'smtp-disconnect': 0.03 }
+     * @param {string} [options.configFile] JSON config (defaults to FAULTS_CONFIG)
+     * @param {number|string} [options.seed] Random seed (defaults to FAULTS_SEED, or a random one that is logged)
+     * @param {Function} [options.random] Returns a number in [0, 1); replaces the seeded generator
+     * @param {Function} [options.now] Returns the current time in ms
+     */
+    constructor(options) {
+        this.service = options.service;
+        this.defaultTriggers = { ...options.triggers };
+        this.customRandom = options.random || null;
+        this.now = options.now || Date.now;
+        this.seed = options.seed ?? process.env.FAULTS_SEED ?? randomSeed();
+
+        this.reset();
+        const configFile = options.configFile || process.env.FAULTS_CONFIG;
+        if (configFile) this.loadFile(configFile);
+        console.log(`[Faults] ${this.service}: seed ${this.seed}`);
+    }
+
+    /**
+     * Restart the random sequence, optionally from a new seed
+     */
+    reseed(seed = this.seed) {
+        this.seed = seedValue(seed);
+        this.random = this.customRandom || createRandom(`${this.service}:${this.seed}`);
+    }
+
+    /**
+     * A random number tied to a key (e.g. a job id): the same key always gets
+     * the same value for a given seed, however many requests came before
+     */
+    randomFor(key) {
+        return createRandom(`${this.service}:${this.seed}:${key}`)();
+    }
+
+    /**
+     * Drop all rules, go back to the default trigger rates and restart the
+     * random sequence
+     */
+    reset() {
+        this.reseed();
+        this.rules = [];
+        this.triggers = { ...this.defaultTriggers };
+        this.enabled = true;
+        this.loadedAt = this.now();
+        this.stats = { requests: 0, errors: 0, timeouts: 0, hangs: 0, delayed: 0, triggers: {} };
+    }
+
+    loadFile(file) {
+        const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+        // Top-level rules/triggers apply to every service; services.<name> adds its own
+        const own = (json.services && json.services[this.service]) || {};
+        this.configure({
+            seed: own.seed ?? json.seed,
+            enabled: own.enabled ?? json.enabled,
+            rules: [...(json.rules || []), ...(own.rules || [])],
+            triggers: { ...json.triggers, ...own.triggers }
+        });
+        console.log(`[Faults] ${this.service}: loaded ${this.rules.length} rule(s) from ${file}`);
+    }
+
+    /**
+     * Replace the configuration. Validates everything before changing anything.
+     * Setting a seed restarts the random sequence.
+     * @param {Object} config { seed?, enabled?, rules?: [], triggers?: { name: rate } }
+     */
+    configure(config = {}) {
+        const seed = config.seed === undefined ? undefined : seedValue(config.seed);
+        const rules = (config.rules || []).map(normalizeRule);
+        const now = this.now();
+        rules.forEach((rule) => { rule.since = now; });
+        const triggers = { ...this.defaultTriggers };
+        for (const [name, value] of Object.entries(config.triggers || {})) {
+            triggers[name] = rate(value, `triggers.${name}`, 'triggers');
+        }
+
+        if (seed !== undefined) this.reseed(seed);
+        this.rules = rules;
+        this.triggers = triggers;
+        this.enabled = config.enabled !== false;
+        this.loadedAt = now;
+    }
+
+    addRule(rule) {
+        const normalized = normalizeRule(rule, this.rules.length);
+        normalized.since = this.now();
+        this.rules = this.rules.filter((r) => r.id !== normalized.id).concat(normalized);
+        return normalized;
+    }
+
+    removeRule(id) {
+        const before = this.rules.length;
+        this.rules = this.rules.filter((r) => r.id !== id);
+        return this.rules.length < before;
+    }
+
+    describe() {
+        return {
+            service: this.service,
+            seed: this.seed,
+            enabled: this.enabled,
+            loaded_at: new Date(this.loadedAt).toISOString(),
+            rules: this.rules.map(describeRule),
+            triggers: this.triggers,
+            stats: this.stats
+        };
+    }
+
+    /**
+     * Flapping rules are only active during the first activeMs of every
+     * periodMs, counted from when the rule was set
+     */
+    isActive(rule) {
+        if (!rule.enabled) return false;
+        if (!rule.schedule) return true;
+        const elapsed = this.now() - rule.since - rule.schedule.offsetMs;
+        if (elapsed < 0) return false;
+        return elapsed % rule.schedule.periodMs < rule.schedule.activeMs;
+    }
+
+    matchingRules(req) {
+        return this.rules.filter((rule) =>
+            (!rule.method || rule.method === req.method) && rule.pattern.test(req.path) && this.isActive(rule));
+    }
+
+    /**
+     * Decide whether an in-service failure point fires (e.g. an SMTP drop)
+     * @param {string} name Trigger name
+     * @returns {boolean}
+     */
+    trigger(name) {
+        if (!this.enabled) return false;
+        const fired = this.random() < (this.triggers[name] || 0);
+        if (fired) this.stats.triggers[name] = (this.stats.triggers[name] || 0) + 1;
+        return fired;
+    }
+
+    sampleLatency(latency) {
+        switch (latency.distribution) {
+            case 'uniform': {
+                const min = latency.min || 0;
+                return min + this.random() * ((latency.max ?? min) - min);
+            }
+            case 'normal': {
+                // Box-Muller
+                const u = 1 - this.random();
+                const v = this.random();
+                const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+                return Math.max(0, (latency.mean || 0) + z * (latency.stddev || 0));
+            }
+            case 'exponential':
+                return -Math.log(1 - this.random()) * (latency.mean || 0);
+            default:
+                return latency.ms || 0;
+        }
+    }
+
+    /**
+     * The fault to apply to a request, in order: hang, timeout, error, then latency
+     * @returns {{type: string, rule: Object, delayMs: number}|null}
+     */
+    decide(req) {
+        if (!this.enabled) return null;
+        let delayMs = 0;
+        let delayRule = null;
+
+        for (const rule of this.matchingRules(req)) {
+            if (rule.hangRate && this.random() < rule.hangRate) return { type: 'hang', rule, delayMs: rule.hangMs };
+            if (rule.timeoutRate && this.random() < rule.timeoutRate) return { type: 'timeout', rule, delayMs: rule.timeoutMs };
+            if (rule.errorRate && this.random() < rule.errorRate) {
+                return { type: 'error', rule, delayMs: delayMs + (rule.latency ? this.sampleLatency(rule.latency) : 0) };
+            }
+            if (rule.latency) {
+                delayMs += this.sampleLatency(rule.latency);
+                delayRule = rule;
+            }
+        }
+        return delayRule ? { type: 'delay', rule: delayRule, delayMs } : null;
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            // Never break the endpoints used to repair the service
+            if (req.path.startsWith('/admin/faults')) return next();
+
+            this.stats.requests++;
+            const fault = this.decide(req);
+            if (!fault) return next();
+
+            const tag = `[Faults] ${this.service}: ${fault.type} (${fault.rule.id}) on ${req.method} ${req.path}`;
+            switch (fault.type) {
+                case 'hang': {
+                    this.stats.hangs++;
+                    console.log(`${tag} for ${fault.delayMs}ms`);
+                    const timer = setTimeout(() => req.socket.destroy(), fault.delayMs);
+                    res.on('close', () => clearTimeout(timer));
+                    return undefined;
+                }
+                case 'timeout':
+                    this.stats.timeouts++;
+                    console.log(`${tag} after ${fault.delayMs}ms`);
+                    return setTimeout(() => {
+                        if (!res.headersSent) {
+                            res.status(504).json({ error: 'Upstream timed out', code: 'FAULT_TIMEOUT', rule: fault.rule.id });
+                        }
+                    }, fault.delayMs);
+                case 'error':
+                    this.stats.errors++;
+                    console.log(`${tag} -> HTTP ${fault.rule.errorStatus}`);
+                    return setTimeout(() => {
+                        res.status(fault.rule.errorStatus).json({ ...fault.rule.errorBody, rule: fault.rule.id });
+                    }, fault.delayMs);
+                default:
+                    this.stats.delayed++;
+                    return setTimeout(next, fault.delayMs);
+            }
+        };
+    }
+
+    /**
+     * Admin routes, mounted at /admin/faults
+     */
+    router() {
+        const router = express.Router();
+        const handle = (fn) => (req, res) => {
+            try {
+                fn(req, res);
+            } catch (error) {
+                const status = error instanceof FaultConfigError ? 400 : 500;
+                res.status(status).json({ error: error.message, code: 'INVALID_FAULT_CONFIG' });
+            }
+        };
+
+        router.get('/', (req, res) => res.json(this.describe()));
+
+        // Replace the whole configuration
+        router.post('/', handle((req, res) => {
+            this.configure(req.body);
+            console.log(`[Faults] ${this.service}: configured ${this.rules.length} rule(s)`);
+            res.json(this.describe());
+        }));
+
+        // Add or replace one rule by id
+        router.post('/rules', handle((req, res) => {
+            const rule = this.addRule(req.body);
+            console.log(`[Faults] ${this.service}: rule ${rule.id} set`);
+            res.status(201).json(describeRule(rule));
+        }));
+
+        router.delete('/rules/:id', (req, res) => {
+            if (!this.removeRule(req.params.id)) {
+                return res.status(404).json({ error: `No rule ${req.params.id}`, code: 'RULE_NOT_FOUND' });
+            }
+            return res.json(this.describe());
+        });
+
+        router.delete('/', (req, res) => {
+            this.reset();
+            console.log(`[Faults] ${this.service}: all faults cleared`);
+            res.json(this.describe());
+        });
+
+        return router;
+    }
+}
+
+/**
+ * Install fault injection on an express app: middleware for every route and
+ * the /admin/faults endpoints. Call after express.json() and before the routes.
+ * @returns {FaultInjector}
+ */
+function useFaultInjection(app, options) {
+    const faults = new FaultInjector(options);
+    app.use('/admin/faults', faults.router());
+    app.use(faults.middleware());
+    return faults;
+}
+
+module.exports = { FaultInjector, FaultConfigError, useFaultInjection, pathPattern };
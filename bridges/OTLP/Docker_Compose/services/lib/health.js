@@ -0,0 +1,337 @@
+// =============================================================================
+// Health contract for the mock legacy services and the financial API
+// One /health shape for PLT_SERVICE_DISCOVERY.parse_health_response: an
+// overall healthy / degraded / unhealthy status from per-dependency checks,
+// each with a response-time budget, plus liveness and readiness probes.
+// Node.js built-ins only, so services outside services/ can load it too.
+// =============================================================================
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// Ordered from best to worst
+const STATUSES = ['healthy', 'degraded', 'unhealthy'];
+
+// Discovery only parses the body of a 200, so degraded must stay 200 to be
+// told apart from down
+const HTTP_STATUS = { healthy: 200, degraded: 200, unhealthy: 503 };
+
+const DEFAULT_BUDGET_MS = 1000;
+const DEFAULT_CHECK_BUDGET_MS = 250;
+const DEFAULT_CHECK_TIMEOUT_MS = 2000;
+const EVENT_LOOP_LAG_MS = 200;
+
+function worst(statuses) {
+    return statuses.reduce((current, status) =>
+        (STATUSES.indexOf(status) > STATUSES.indexOf(current) ? status : current), 'healthy');
+}
+
+function elapsedMs(start) {
+    return Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * A check may return nothing (healthy), a status string or
+ * { status, message, details }
+ */
+function checkOutcome(value) {
+    if (value === undefined || value === null) return { status: 'healthy' };
+    if (typeof value === 'string') return { status: value };
+    return value;
+}
+
+class ServiceHealth {
+    /**
+     * @param {Object} options
+     * @param {string} options.service Name reported in the body
+     * @param {string} options.version Reported as version (discovery stores it)
+     * @param {number} [options.budgetMs] Slower health reports are degraded (default 1000)
+     * @param {Object} [options.checks] name -> check function or check options (see addCheck)
+     * @param {Function} [options.details] Service-specific fields for the body
+     * @param {boolean} [options.eventLoop] Add the event_loop check (default true)
+     */
+    constructor(options) {
+        this.service = options.service;
+        this.version = options.version;
+        this.budgetMs = options.budgetMs || DEFAULT_BUDGET_MS;
+        this.details = options.details || null;
+        this.checks = new Map();
+        this.override = null;
+        this.lastReport = null;
+
+        if (options.eventLoop !== false) this.addEventLoopCheck();
+        for (const [name, check] of Object.entries(options.checks || {})) {
+            this.addCheck(name, typeof check === 'function' ? { check } : check);
+        }
+    }
+
+    /**
+     * @param {string} name Key under checks in the body
+     * @param {Object} options
+     * @param {Function} options.check Sync or async; throwing makes the check unhealthy
+     * @param {boolean} [options.critical] Unhealthy makes the service unhealthy (default true);
+     *   a failing non-critical check only degrades it
+     * @param {number} [options.budgetMs] Slower answers are degraded (default 250)
+     * @param {number} [options.timeoutMs] Slower answers are unhealthy (default 2000)
+     */
+    addCheck(name, options) {
+        this.checks.set(name, {
+            check: options.check,
+            critical: options.critical !== false,
+            budgetMs: options.budgetMs || DEFAULT_CHECK_BUDGET_MS,
+            timeoutMs: options.timeoutMs || DEFAULT_CHECK_TIMEOUT_MS
+        });
+        return this;
+    }
+
+    addEventLoopCheck() {
+        const delay = monitorEventLoopDelay({ resolution: 20 });
+        delay.enable();
+        this.addCheck('event_loop', {
+            critical: false,
+            check: () => {
+                // Delay since the previous health report, in ms
+                const p99 = Math.round(delay.percentile(99) / 1e6);
+                delay.reset();
+                return {
+                    status: p99 > EVENT_LOOP_LAG_MS ? 'degraded' : 'healthy',
+                    ...(p99 > EVENT_LOOP_LAG_MS && { message: `Event loop lag p99 ${p99}ms` }),
+                    details: { lag_p99_ms: p99 }
+                };
+            }
+        });
+    }
+
+    async runCheck(name, definition) {
+        const start = process.hrtime.bigint();
+        let outcome;
+        try {
+            outcome = checkOutcome(await withTimeout(Promise.resolve().then(definition.check), definition.timeoutMs));
+            if (!STATUSES.includes(outcome.status)) {
+                outcome = { status: 'unhealthy', message: `Check returned unknown status ${outcome.status}` };
+            }
+        } catch (error) {
+            outcome = { status: 'unhealthy', message: error.message };
+        }
+
+        const responseTimeMs = elapsedMs(start);
+        if (outcome.status === 'healthy' && responseTimeMs > definition.budgetMs) {
+            outcome = { ...outcome, status: 'degraded', message: `Took ${responseTimeMs}ms, budget ${definition.budgetMs}ms` };
+        }
+
+        return [name, {
+            status: outcome.status,
+            critical: definition.critical,
+            response_time_ms: responseTimeMs,
+            budget_ms: definition.budgetMs,
+            ...(outcome.message && { message: outcome.message }),
+            ...(outcome.details && { details: outcome.details })
+        }];
+    }
+
+    /**
+     * Run every check (in parallel) and build the /health body
+     */
+    async evaluate() {
+        const start = process.hrtime.bigint();
+        const checks = Object.fromEntries(await Promise.all(
+            [...this.checks].map(([name, definition]) => this.runCheck(name, definition))));
+
+        const problems = [];
+        const statuses = Object.entries(checks).map(([name, check]) => {
+            if (check.status !== 'healthy') problems.push(`${name}: ${check.message || check.status}`);
+            // A non-critical dependency can only degrade the service
+            return check.status === 'unhealthy' && !check.critical ? 'degraded' : check.status;
+        });
+
+        const responseTimeMs = elapsedMs(start);
+        if (responseTimeMs > this.budgetMs) {
+            statuses.push('degraded');
+            problems.push(`health report took ${responseTimeMs}ms, budget ${this.budgetMs}ms`);
+        }
+
+        let status = worst(statuses);
+        if (this.override) {
+            status = this.override.status;
+            problems.unshift(`forced ${this.override.status}: ${this.override.reason}`);
+        }
+
+        this.lastReport = {
+            service: this.service,
+            status,
+            version: this.version,
+            uptime: Math.round(process.uptime()),
+            timestamp: new Date().toISOString(),
+            response_time_ms: responseTimeMs,
+            reason: problems.length > 0 ? problems.join('; ') : null,
+            checks,
+            ...(this.details && { details: this.details() })
+        };
+        return this.lastReport;
+    }
+
+    /**
+     * The report when evaluate() itself fails (e.g. details() throws), so
+     * discovery still gets the contract: unhealthy, and why
+     */
+    failedReport(error) {
+        this.lastReport = {
+            service: this.service,
+            status: 'unhealthy',
+            version: this.version,
+            uptime: Math.round(process.uptime()),
+            timestamp: new Date().toISOString(),
+            response_time_ms: null,
+            reason: `Health report failed: ${error.message}`,
+            checks: {}
+        };
+        return this.lastReport;
+    }
+
+    /**
+     * Status of the latest report, or the forced one ('healthy' before the
+     * first report). Does not run the checks, so scraping it is free.
+     */
+    get lastStatus() {
+        if (this.override) return this.override.status;
+        return this.lastReport ? this.lastReport.status : 'healthy';
+    }
+
+    /**
+     * Force the reported status (e.g. from /admin/health). 'healthy' clears it.
+     */
+    setOverride(status, reason) {
+        const previous = this.override;
+        this.override = status === 'healthy' ? null : { status, reason: reason || 'set via /admin/health', since: new Date().toISOString() };
+        return previous;
+    }
+
+    liveness() {
+        return {
+            service: this.service,
+            status: 'healthy',
+            version: this.version,
+            uptime: Math.round(process.uptime()),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * GET /health: the full report, 503 when unhealthy
+     * @param {Function} [onReport] Called with each report (e.g. to annotate the span)
+     */
+    handler(onReport) {
+        return async (req, res) => {
+            // Express 4 does not catch a rejected handler
+            try {
+                const report = await this.evaluate();
+                if (onReport) onReport(report);
+                res.status(HTTP_STATUS[report.status]).json(report);
+            } catch (error) {
+                console.error(`[${this.service}] Health report failed:`, error.message);
+                res.status(HTTP_STATUS.unhealthy).json(this.failedReport(error));
+            }
+        };
+    }
+
+    /**
+     * GET /health/ready: whether the service can take traffic, without details
+     */
+    readinessHandler() {
+        return async (req, res) => {
+            let report;
+            try {
+                report = await this.evaluate();
+            } catch (error) {
+                console.error(`[${this.service}] Health report failed:`, error.message);
+                report = this.failedReport(error);
+            }
+            res.status(HTTP_STATUS[report.status]).json({
+                service: report.service,
+                status: report.status,
+                ready: report.status !== 'unhealthy',
+                reason: report.reason
+            });
+        };
+    }
+
+    /**
+     * GET /health/live: the process answers; no dependency is checked
+     */
+    livenessHandler() {
+        return (req, res) => res.json(this.liveness());
+    }
+
+    /**
+     * POST /admin/health/:status with optional { "reason": "..." }
+     */
+    adminHandler() {
+        return (req, res) => {
+            const { status } = req.params;
+            if (!STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: `Unknown status ${status}`,
+                    code: 'INVALID_HEALTH_STATUS',
+                    allowed: STATUSES
+                });
+            }
+            const previous = this.setOverride(status, req.body && req.body.reason);
+            console.log(`[${this.service}] Health status changed to: ${status}`);
+            return res.json({
+                message: status === 'healthy' ? 'Health override cleared' : `Service health forced to ${status}`,
+                override: this.override,
+                previous_override: previous
+            });
+        };
+    }
+}
+
+/**
+ * Check that an HTTP dependency answers below 500
+ * @param {string} url
+ * @param {Object} [options] { method: 'GET', timeoutMs: 2000, headers }
+ */
+function httpCheck(url, options = {}) {
+    return async () => {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: options.method || 'GET',
+                headers: options.headers,
+                signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_CHECK_TIMEOUT_MS)
+            });
+        } catch (error) {
+            // fetch only says "fetch failed"; the cause has ECONNREFUSED & co.
+            const cause = error.cause ? (error.cause.code || error.cause.message) : error.message;
+            throw new Error(`${url} unreachable: ${cause}`);
+        }
+        // Drain the body so the connection is released
+        await response.arrayBuffer();
+        if (response.status >= 500) return { status: 'unhealthy', message: `${url} answered HTTP ${response.status}` };
+        return { status: 'healthy', details: { http_status: response.status } };
+    };
+}
+
+/**
+ * Install the health endpoints on an express app: GET /health,
+ * /health/live, /health/ready and POST /admin/health/:status
+ * @param {Object} options ServiceHealth options, plus onReport for GET /health
+ * @returns {ServiceHealth}
+ */
+function useHealth(app, options) {
+    const health = new ServiceHealth(options);
+    app.get('/health', health.handler(options.onReport));
+    app.get('/health/live', health.livenessHandler());
+    app.get('/health/ready', health.readinessHandler());
+    app.post('/admin/health/:status', health.adminHandler());
+    return health;
+}
+
+module.exports = { ServiceHealth, useHealth, httpCheck, STATUSES, HTTP_STATUS };
@@ -0,0 +1,177 @@
+// =============================================================================
+// Simulated JDBC data source for weblogic-erp
+// Behaves like a WebLogic generic data source: grows from the initial to the
+// maximum capacity on demand, then makes callers wait up to the connection
+// reserve timeout, failing at once when too many are already waiting. Leaked
+// connections are held until released through the admin API.
+// =============================================================================
+
+class PoolError extends Error {
+    /**
+     * @param {string} code POOL_EXHAUSTED (too many waiters) or RESERVE_TIMEOUT
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'PoolError';
+        this.code = code;
+    }
+}
+
+class ConnectionPool {
+    /**
+     * @param {Object} options
+     * @param {string} options.name Data source name, used in error messages
+     * @param {number} [options.initialCapacity] Connections opened at start (default 5)
+     * @param {number} [options.maxCapacity] Most connections ever open (default 15)
+     * @param {number} [options.reserveTimeoutMs] Longest wait for a connection (default 10000, as WebLogic)
+     * @param {number} [options.maxWaiters] More waiters fail at once (default 50)
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.initialCapacity = options.initialCapacity ?? 5;
+        this.maxCapacity = options.maxCapacity ?? 15;
+        this.reserveTimeoutMs = options.reserveTimeoutMs ?? 10000;
+        this.maxWaiters = options.maxWaiters ?? 50;
+
+        this.nextId = 1;
+        this.available = [];
+        this.reserved = new Set();
+        this.waiters = [];
+        this.counters = { reserves: 0, failedReserves: 0, highestActive: 0, highestWaiting: 0, waitMsHigh: 0 };
+
+        for (let i = 0; i < Math.min(this.initialCapacity, this.maxCapacity); i++) this.available.push(this.open());
+    }
+
+    open() {
+        return { id: this.nextId++, label: null, reservedAt: null, leaked: false };
+    }
+
+    capacity() {
+        return this.available.length + this.reserved.size;
+    }
+
+    hand(connection, label) {
+        connection.label = label;
+        connection.reservedAt = Date.now();
+        this.reserved.add(connection);
+        this.counters.reserves++;
+        this.counters.highestActive = Math.max(this.counters.highestActive, this.reserved.size);
+        return connection;
+    }
+
+    /**
+     * @param {string} label What the connection is for (shown in stats)
+     * @param {number} [timeoutMs] Defaults to the pool's reserve timeout
+     * @returns {Promise<Object>} The connection, with waitMs
+     * @throws {PoolError}
+     */
+    reserve(label, timeoutMs = this.reserveTimeoutMs) {
+        if (this.available.length > 0) return Promise.resolve({ ...this.hand(this.available.pop(), label), waitMs: 0 });
+        if (this.capacity() < this.maxCapacity) return Promise.resolve({ ...this.hand(this.open(), label), waitMs: 0 });
+
+        if (this.waiters.length >= this.maxWaiters) {
+            this.counters.failedReserves++;
+            return Promise.reject(new PoolError('POOL_EXHAUSTED',
+                `weblogic.jdbc.extensions.PoolLimitSQLException: weblogic.common.resourcepool.ResourceLimitException: No resources currently available in pool ${this.name} to allocate to applications, please increase the size of the pool and retry..`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { label, since: Date.now(), resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                this.counters.failedReserves++;
+                reject(new PoolError('RESERVE_TIMEOUT',
+                    `weblogic.common.resourcepool.ResourceUnavailableException: Connection reserve timed out after ${Math.round(timeoutMs / 1000)} seconds in pool ${this.name}`));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+            this.counters.highestWaiting = Math.max(this.counters.highestWaiting, this.waiters.length);
+        });
+    }
+
+    /**
+     * Return a connection; the longest waiter gets it first
+     */
+    release(reservation) {
+        const connection = [...this.reserved].find((candidate) => candidate.id === reservation.id);
+        if (!connection) return;
+        this.reserved.delete(connection);
+        connection.leaked = false;
+
+        // Shrunk below what is open: close it
+        if (this.capacity() >= this.maxCapacity) return;
+
+        const waiter = this.waiters.shift();
+        if (!waiter) {
+            this.available.push(connection);
+            return;
+        }
+        clearTimeout(waiter.timer);
+        const waitMs = Date.now() - waiter.since;
+        this.counters.waitMsHigh = Math.max(this.counters.waitMsHigh, waitMs);
+        waiter.resolve({ ...this.hand(connection, waiter.label), waitMs });
+    }
+
+    /**
+     * Reserve connections nobody will give back
+     * @returns {number} Connections leaked (fewer when the pool runs out)
+     */
+    leak(count) {
+        let leaked = 0;
+        for (let i = 0; i < count; i++) {
+            const connection = this.available.pop() || (this.capacity() < this.maxCapacity ? this.open() : null);
+            if (!connection) break;
+            this.hand(connection, 'leaked').leaked = true;
+            leaked++;
+        }
+        return leaked;
+    }
+
+    /**
+     * @returns {number} Leaked connections given back
+     */
+    releaseLeaked() {
+        const leaked = [...this.reserved].filter((connection) => connection.leaked);
+        leaked.forEach((connection) => this.release(connection));
+        return leaked.length;
+    }
+
+    /**
+     * Change the maximum capacity. Growing hands new connections to waiters;
+     * shrinking closes available connections, and reserved ones on release.
+     */
+    resize(maxCapacity) {
+        this.maxCapacity = maxCapacity;
+        while (this.capacity() > this.maxCapacity && this.available.length > 0) this.available.pop();
+        while (this.waiters.length > 0 && this.capacity() < this.maxCapacity) {
+            const waiter = this.waiters.shift();
+            clearTimeout(waiter.timer);
+            waiter.resolve({ ...this.hand(this.open(), waiter.label), waitMs: Date.now() - waiter.since });
+        }
+    }
+
+    /**
+     * Counters named after JDBCDataSourceRuntimeMBean attributes
+     */
+    stats() {
+        const now = Date.now();
+        return {
+            name: this.name,
+            current_capacity: this.capacity(),
+            max_capacity: this.maxCapacity,
+            active_connections: this.reserved.size,
+            available_connections: this.available.length,
+            leaked_connections: [...this.reserved].filter((connection) => connection.leaked).length,
+            waiting_for_connection: this.waiters.length,
+            longest_wait_ms: this.waiters.length > 0 ? now - this.waiters[0].since : 0,
+            active_connections_high: this.counters.highestActive,
+            waiting_for_connection_high: this.counters.highestWaiting,
+            wait_ms_high: this.counters.waitMsHigh,
+            reserve_requests: this.counters.reserves,
+            failed_reserve_requests: this.counters.failedReserves,
+            reserve_timeout_ms: this.reserveTimeoutMs,
+            max_waiters: this.maxWaiters
+        };
+    }
+}
+
+module.exports = { ConnectionPool, PoolError };
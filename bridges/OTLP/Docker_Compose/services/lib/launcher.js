@@ -0,0 +1,411 @@
+// =============================================================================
+// Launcher for the mock legacy services (used by ../../index.js)
+// Starts the services of a config file either as child processes, each with
+// its own pid, or all in this process, each with its own tracer provider, and
+// starts, stops, crashes and restarts them on request.
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const tracing = require('./tracing');
+
+const MODES = ['child', 'process'];
+const RESTART_POLICIES = ['no', 'on-failure'];
+const HEALTH_STATUSES = ['healthy', 'degraded', 'unhealthy'];
+
+const START_TIMEOUT_MS = 15000;
+const STOP_TIMEOUT_MS = 10000;
+const RESTART_DELAY_MS = 2000;
+
+class LauncherError extends Error {
+    constructor(message, status = 400, code = 'INVALID_CONFIG') {
+        super(message);
+        this.name = 'LauncherError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function normalizeService(name, service, baseDir) {
+    const where = `Service ${name}`;
+    if (!service || typeof service !== 'object') throw new LauncherError(`${where} must be an object`);
+    if (!service.script) throw new LauncherError(`${where}: script is required`);
+    if (!Number.isInteger(service.port) || service.port <= 0) throw new LauncherError(`${where}: port must be a positive integer`);
+
+    const restart = service.restart || 'no';
+    if (!RESTART_POLICIES.includes(restart)) throw new LauncherError(`${where}: restart must be one of ${RESTART_POLICIES.join(', ')}`);
+    const health = service.health || 'healthy';
+    if (!HEALTH_STATUSES.includes(health)) throw new LauncherError(`${where}: health must be one of ${HEALTH_STATUSES.join(', ')}`);
+
+    return {
+        name,
+        script: path.resolve(baseDir, service.script),
+        port: service.port,
+        version: service.version || null,
+        enabled: service.enabled !== false,
+        restart,
+        health,
+        env: Object.fromEntries(Object.entries(service.env || {}).map(([key, value]) => [key, String(value)])),
+        faults: service.faults ? path.resolve(baseDir, service.faults) : null,
+        seed: service.seed ?? null
+    };
+}
+
+/**
+ * Read and check a services config
+ * @param {string} file
+ * @param {string} baseDir Scripts and fault files are relative to it
+ * @returns {Object} { mode, controlPort, services: [...] }
+ */
+function loadConfig(file, baseDir) {
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new LauncherError(`Cannot read ${file}: ${error.message}`);
+    }
+    if (!json.services || typeof json.services !== 'object') throw new LauncherError(`${file}: services must be an object`);
+
+    const mode = json.mode || 'child';
+    if (!MODES.includes(mode)) throw new LauncherError(`${file}: mode must be one of ${MODES.join(', ')}`);
+
+    const services = Object.entries(json.services).map(([name, service]) => normalizeService(name, service, baseDir));
+    const ports = new Set();
+    for (const service of services) {
+        if (ports.has(service.port)) throw new LauncherError(`${file}: port ${service.port} is used twice`);
+        ports.add(service.port);
+    }
+
+    return { mode, controlPort: json.controlPort || 8000, services };
+}
+
+class MockService {
+    constructor(config) {
+        this.config = config;
+        this.name = config.name;
+        this.url = `http://localhost:${config.port}`;
+        this.state = 'stopped';
+        this.startedAt = null;
+        this.restarts = 0;
+        this.crashes = 0;
+        this.lastExit = null;
+        this.lastError = null;
+        this.restartTimer = null;
+        this.exitWaiters = [];
+        // Set while the launcher shuts down: whatever exits is stopped, not crashed
+        this.shuttingDown = false;
+    }
+
+    /**
+     * What the service reads from process.env at startup
+     */
+    env() {
+        return {
+            SERVICE_NAME: this.name,
+            SERVICE_PORT: String(this.config.port),
+            ...(this.config.version && { SERVICE_VERSION: this.config.version }),
+            ...(this.config.faults && { FAULTS_CONFIG: this.config.faults }),
+            ...(this.config.seed !== null && { FAULTS_SEED: String(this.config.seed) }),
+            ...this.config.env
+        };
+    }
+
+    isUp() {
+        return this.state === 'starting' || this.state === 'running';
+    }
+
+    async start() {
+        if (this.isUp()) return;
+        clearTimeout(this.restartTimer);
+        this.state = 'starting';
+        this.lastError = null;
+        try {
+            await this.launch();
+            await this.waitUntilLive();
+        } catch (error) {
+            this.state = 'failed';
+            this.lastError = error.message;
+            await this.terminate().catch(() => {});
+            throw new LauncherError(`${this.name} did not start: ${error.message}`, 500, 'START_FAILED');
+        }
+        this.state = 'running';
+        this.startedAt = Date.now();
+        console.log(`[Launcher] ${this.name} running on ${this.url} (${this.mode}${this.pid ? `, pid ${this.pid}` : ''})`);
+
+        if (this.config.health !== 'healthy') await this.setHealth(this.config.health, 'Set by the launcher config');
+    }
+
+    async stop() {
+        clearTimeout(this.restartTimer);
+        if (!this.isUp()) {
+            this.state = 'stopped';
+            return;
+        }
+        this.state = 'stopping';
+        await this.terminate();
+        this.state = 'stopped';
+        this.startedAt = null;
+        console.log(`[Launcher] ${this.name} stopped`);
+    }
+
+    async restart() {
+        await this.stop();
+        this.restarts++;
+        await this.start();
+    }
+
+    /**
+     * Kill the service without letting it shut down
+     * @returns {Promise} Once it is down
+     */
+    async crash() {
+        if (this.state !== 'running') {
+            throw new LauncherError(`${this.name} is ${this.state}, not running`, 409, 'NOT_RUNNING');
+        }
+        console.log(`[Launcher] 💥 Crashing ${this.name}`);
+        const down = new Promise((resolve) => this.exitWaiters.push(resolve));
+        this.kill();
+        await down;
+    }
+
+    /**
+     * Called when the service ends on its own (or from crash()). Exit code 0
+     * is a clean stop, anything else a crash, restarted with on-failure.
+     */
+    exited(exit) {
+        this.lastExit = { ...exit, at: new Date().toISOString() };
+        this.exitWaiters.splice(0).forEach((resolve) => resolve());
+        if (this.state === 'stopping' || this.state === 'stopped') return;
+        if (this.state === 'starting') {
+            this.state = 'failed';
+            return;
+        }
+
+        this.startedAt = null;
+        if (this.shuttingDown || exit.code === 0) {
+            this.state = 'stopped';
+            console.log(`[Launcher] ${this.name} exited`);
+            return;
+        }
+
+        this.state = 'crashed';
+        this.crashes++;
+        const restart = this.config.restart === 'on-failure';
+        const why = exit.error || (exit.signal ? `signal ${exit.signal}` : `exit code ${exit.code}`);
+        console.error(`[Launcher] ${this.name} crashed (${why})${restart ? `, restarting in ${RESTART_DELAY_MS / 1000}s` : ''}`);
+
+        if (!restart) return;
+        this.restartTimer = setTimeout(() => {
+            this.restart().catch((error) => console.error(`[Launcher] ${error.message}`));
+        }, RESTART_DELAY_MS);
+    }
+
+    async waitUntilLive() {
+        const deadline = Date.now() + START_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            if (this.state !== 'starting') throw new Error(this.lastExit ? `exited (${this.lastExit.error || `code ${this.lastExit.code}`})` : 'stopped');
+            try {
+                const response = await fetch(`${this.url}/health/live`, { signal: AbortSignal.timeout(1000) });
+                if (response.ok) return;
+            } catch (error) {
+                // Not listening yet
+            }
+            await sleep(200);
+        }
+        throw new Error(`no answer on ${this.url}/health/live within ${START_TIMEOUT_MS / 1000}s`);
+    }
+
+    /**
+     * POST /admin/health/:status on the service
+     */
+    async setHealth(status, reason) {
+        if (!HEALTH_STATUSES.includes(status)) {
+            throw new LauncherError(`status must be one of ${HEALTH_STATUSES.join(', ')}`, 400, 'INVALID_HEALTH_STATUS');
+        }
+        if (this.state !== 'running') {
+            throw new LauncherError(`${this.name} is ${this.state}, not running`, 409, 'NOT_RUNNING');
+        }
+        const response = await fetch(`${this.url}/admin/health/${status}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(reason ? { reason } : {}),
+            signal: AbortSignal.timeout(5000)
+        });
+        return response.json();
+    }
+
+    /**
+     * The service's own /health, or why it could not be asked
+     */
+    async probe() {
+        if (this.state !== 'running') return { status: 'down', reason: this.state };
+        try {
+            const response = await fetch(`${this.url}/health`, { signal: AbortSignal.timeout(3000) });
+            const body = await response.json();
+            return { status: body.status, http_status: response.status, reason: body.reason };
+        } catch (error) {
+            return { status: 'down', reason: error.cause ? (error.cause.code || error.cause.message) : error.message };
+        }
+    }
+
+    async view(withHealth = true) {
+        return {
+            name: this.name,
+            state: this.state,
+            mode: this.mode,
+            url: this.url,
+            port: this.config.port,
+            version: this.config.version,
+            pid: this.isUp() ? this.pid : null,
+            started_at: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            uptime_s: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : null,
+            restart: this.config.restart,
+            restarts: this.restarts,
+            crashes: this.crashes,
+            last_exit: this.lastExit,
+            last_error: this.lastError,
+            ...(withHealth && { health: await this.probe() })
+        };
+    }
+}
+
+/**
+ * One child process per service, like one container each
+ */
+class ChildService extends MockService {
+    get mode() {
+        return 'child';
+    }
+
+    get pid() {
+        return this.child ? this.child.pid : null;
+    }
+
+    launch() {
+        this.child = fork(this.config.script, [], { env: { ...process.env, ...this.env() } });
+        const child = this.child;
+        child.once('exit', (code, signal) => {
+            if (this.child === child) this.child = null;
+            this.exited({ code, signal });
+        });
+        child.once('error', (error) => this.exited({ error: error.message }));
+    }
+
+    async terminate() {
+        const child = this.child;
+        if (!child) return;
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+        await exited;
+        clearTimeout(timer);
+    }
+
+    kill() {
+        this.child.kill('SIGKILL');
+    }
+}
+
+/**
+ * The service module required into this process. Services read their
+ * settings from process.env while loading, so it is set just for that.
+ */
+class HostedService extends MockService {
+    get mode() {
+        return 'process';
+    }
+
+    get pid() {
+        return process.pid;
+    }
+
+    async launch() {
+        const env = this.env();
+        const saved = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+        Object.assign(process.env, env);
+        try {
+            // A fresh copy on every start: a restart gets new state. Its spans
+            // go to its own tracer provider (see lib/tracing.js)
+            delete require.cache[require.resolve(this.config.script)];
+            this.lifecycle = tracing.hostService(() => require(this.config.script));
+        } finally {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+        }
+
+        const lifecycle = this.lifecycle;
+        lifecycle.on('crash', () => this.exited({ code: 1 }));
+        lifecycle.on('failed', (error) => this.exited({ error: error.message }));
+        await lifecycle.listening();
+    }
+
+    async terminate() {
+        if (this.lifecycle) await this.lifecycle.shutdown();
+    }
+
+    kill() {
+        this.lifecycle.crash();
+    }
+}
+
+class Launcher {
+    /**
+     * @param {Object} config From loadConfig()
+     */
+    constructor(config) {
+        this.mode = config.mode;
+        this.controlPort = config.controlPort;
+        const Service = config.mode === 'process' ? HostedService : ChildService;
+        this.services = new Map(config.services.map((service) => [service.name, new Service(service)]));
+    }
+
+    get(name) {
+        const service = this.services.get(name);
+        if (!service) {
+            throw new LauncherError(`Unknown service ${name} (known: ${[...this.services.keys()].join(', ')})`, 404, 'SERVICE_NOT_FOUND');
+        }
+        return service;
+    }
+
+    /**
+     * @param {string} name A service name or 'all'
+     */
+    select(name) {
+        return name === 'all' ? [...this.services.values()] : [this.get(name)];
+    }
+
+    /**
+     * Start services one at a time (hosted ones share process.env)
+     * @param {string[]} [names] Default: every enabled service
+     */
+    async startAll(names) {
+        const selected = names && names.length > 0
+            ? names.map((name) => this.get(name))
+            : [...this.services.values()].filter((service) => service.config.enabled);
+        for (const service of selected) {
+            try {
+                await service.start();
+            } catch (error) {
+                console.error(`[Launcher] ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Stop everything, last started first, without restarting what dies
+     */
+    async stopAll() {
+        const all = [...this.services.values()];
+        all.forEach((service) => { service.shuttingDown = true; });
+        for (const service of all.reverse()) await service.stop();
+    }
+}
+
+module.exports = { Launcher, loadConfig, LauncherError, HEALTH_STATUSES };
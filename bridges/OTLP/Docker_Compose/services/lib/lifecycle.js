@@ -0,0 +1,100 @@
+// =============================================================================
+// Process lifecycle for the mock legacy services
+// Run as a script (node services/x.js, or forked by index.js), a service owns
+// its process: SIGTERM shuts it down and a simulated crash exits with code 1.
+// Required by index.js to share one process, it only stops its own server and
+// timers, and reports the crash to the launcher instead of exiting.
+// =============================================================================
+
+const EventEmitter = require('events');
+const tracing = require('./tracing');
+
+// Keep-alive connections get this long to finish on shutdown
+const CLOSE_GRACE_MS = 5000;
+
+class ServiceLifecycle extends EventEmitter {
+    /**
+     * @param {Module} mod The service's `module`
+     * @param {Object} options
+     * @param {string} options.name For log lines
+     * @param {http.Server} options.server From app.listen()
+     * @param {Function} [options.stop] Stops the service's own timers and queues
+     *
+     * Hosted services emit 'crash' and 'failed' (error, e.g. port in use)
+     */
+    constructor(mod, options) {
+        super();
+        this.name = options.name;
+        this.server = options.server;
+        this.stopService = options.stop || (() => {});
+        this.hosted = require.main !== mod;
+        this.sockets = new Set();
+
+        this.server.on('connection', (socket) => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+        this.server.on('error', (error) => {
+            console.error(`[${this.name}] Server error:`, error.message);
+            if (!this.hosted) process.exit(1);
+            this.emit('failed', error);
+        });
+
+        if (!this.hosted) {
+            process.on('SIGTERM', async () => {
+                console.log(`\n🔴 ${this.name} shutting down gracefully...`);
+                await this.shutdown();
+                await tracing.shutdownTracing();
+                process.exit(0);
+            });
+        }
+    }
+
+    /**
+     * Resolves once the server accepts connections
+     */
+    listening() {
+        if (this.server.listening) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            this.server.once('listening', resolve);
+            this.server.once('error', reject);
+        });
+    }
+
+    /**
+     * Stop accepting requests and let the ones in flight finish
+     */
+    async shutdown() {
+        await this.stopService();
+        if (!this.server.listening) return;
+
+        const closed = new Promise((resolve) => this.server.close(resolve));
+        this.server.closeIdleConnections();
+        const grace = setTimeout(() => this.server.closeAllConnections(), CLOSE_GRACE_MS);
+        await closed;
+        clearTimeout(grace);
+    }
+
+    /**
+     * Die like a killed JVM: connections drop, nothing is flushed
+     */
+    crash() {
+        console.log(`[${this.name}] CRASH SIMULATION - ${this.hosted ? 'Closing server' : 'Exiting process'}`);
+        if (!this.hosted) process.exit(1);
+
+        for (const socket of this.sockets) socket.destroy();
+        this.server.close();
+        Promise.resolve(this.stopService()).finally(() => this.emit('crash'));
+    }
+}
+
+/**
+ * @param {Module} mod The service's `module`
+ * @param {Object} options See ServiceLifecycle
+ * @returns {ServiceLifecycle} Also the service's module.exports
+ */
+function serviceLifecycle(mod, options) {
+    return new ServiceLifecycle(mod, options);
+}
+
+module.exports = { serviceLifecycle, ServiceLifecycle };
@@ -0,0 +1,170 @@
+// =============================================================================
+// Prometheus metrics for the mock legacy services
+// RED metrics per route (rate, errors, duration) plus each service's domain
+// gauges and counters, served as Prometheus text on /metrics. Counters and
+// histograms carry the tenant of the work they count (lib/tenant.js).
+// =============================================================================
+
+const client = require('prom-client');
+const { tenantLabel } = require('./tenant');
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const HEALTH_VALUES = { healthy: 1, degraded: 0.5, unhealthy: 0 };
+const OTHER_LABEL = 'other';
+const DEFAULT_LABEL_LIMIT = 20;
+
+/**
+ * Route template of a request ('/reports/:jobId/status'), so job ids do not
+ * become label values. Requests answered before routing (e.g. by fault
+ * injection) are matched against the app's routes; anything else is
+ * 'unmatched'.
+ */
+function routeOf(app, req) {
+    if (req.route) return `${req.baseUrl || ''}${req.route.path}`;
+
+    const method = req.method.toLowerCase();
+    const layer = ((app._router && app._router.stack) || []).find((l) =>
+        l.route && (l.route.methods[method] || l.route.methods._all) && l.match(req.path));
+    return layer ? layer.route.path : 'unmatched';
+}
+
+/**
+ * Fill the tenant label of every inc / observe / startTimer call from the
+ * current tenant, unless the call gives one
+ */
+function stampTenant(metric, methods) {
+    for (const method of methods) {
+        const original = metric[method].bind(metric);
+        metric[method] = (labels, ...rest) => (labels !== null && typeof labels === 'object'
+            ? original({ tenant: tenantLabel(), ...labels }, ...rest)
+            : original({ tenant: tenantLabel() }, ...(labels === undefined ? rest : [labels, ...rest])));
+    }
+    return metric;
+}
+
+/**
+ * Bound a label whose values come from callers (job or schedule names), the
+ * way lib/tenant.js bounds the tenant label: values on the allow-list, or
+ * else the first `limit` distinct values, keep a label of their own and the
+ * rest share 'other'
+ * @param {Object} [options]
+ * @param {string|string[]} [options.allow] These values only (comma-separated)
+ * @param {number} [options.limit] Otherwise the first this many distinct values (default 20)
+ * @returns {Function} (value) => label value
+ */
+function boundedLabel(options = {}) {
+    const allow = typeof options.allow === 'string' ? options.allow.split(',') : options.allow || [];
+    const values = allow.map((value) => String(value).trim()).filter(Boolean);
+    const allowed = values.length > 0 ? new Set(values) : null;
+    const limit = Number(options.limit);
+    const maxSeen = Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_LABEL_LIMIT;
+    const seen = new Set();
+
+    return (value) => {
+        const label = String(value);
+        if (allowed) return allowed.has(label) ? label : OTHER_LABEL;
+        if (seen.has(label)) return label;
+        if (seen.size >= maxSeen) return OTHER_LABEL;
+        seen.add(label);
+        return label;
+    };
+}
+
+class ServiceMetrics {
+    /**
+     * @param {Object} options
+     * @param {string} options.service Value of the service label on every metric
+     */
+    constructor(options) {
+        this.service = options.service;
+        this.registry = new client.Registry();
+        this.registry.setDefaultLabels({ service: this.service });
+        client.collectDefaultMetrics({ register: this.registry });
+
+        this.requests = this.counter('http_requests_total', 'HTTP requests handled', ['method', 'route', 'status']);
+        this.duration = this.histogram('http_request_duration_seconds', 'HTTP request duration',
+            ['method', 'route', 'status'], DURATION_BUCKETS);
+        this.errors = this.counter('service_errors_total', 'Errors recorded by the service (serviceState.errors)', ['type']);
+    }
+
+    counter(name, help, labelNames = []) {
+        return stampTenant(new client.Counter({ name, help, labelNames: [...labelNames, 'tenant'], registers: [this.registry] }), ['inc']);
+    }
+
+    /**
+     * Gauges describe the service as a whole, so they have no tenant label
+     * @param {Function} [collect] Sets the value right before each scrape
+     */
+    gauge(name, help, labelNames = [], collect) {
+        return new client.Gauge({ name, help, labelNames, registers: [this.registry], ...(collect && { collect }) });
+    }
+
+    histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+        return stampTenant(new client.Histogram({ name, help, labelNames: [...labelNames, 'tenant'], buckets, registers: [this.registry] }),
+            ['observe', 'startTimer']);
+    }
+
+    /**
+     * service_healthy: 1 healthy, 0.5 degraded, 0 unhealthy, as discovery
+     * scores them
+     * @param {Function} status Returns (a promise of) the /health status. Give
+     *   it ServiceHealth.lastStatus: a scrape that runs the checks would reset
+     *   the event-loop histogram /health reports on
+     */
+    health(status) {
+        return this.gauge('service_healthy', 'Health the service reports on /health (1 healthy, 0.5 degraded, 0 unhealthy)', [],
+            async function collect() { this.set(HEALTH_VALUES[await status()] ?? 0); });
+    }
+
+    /**
+     * Count an error (call wherever one is added to serviceState.errors)
+     * @param {string} type Short error kind, e.g. 'template_compilation'
+     */
+    recordError(type) {
+        this.errors.inc({ type });
+    }
+
+    /**
+     * Times every request except scrapes of /metrics itself. Install after
+     * useTenant so requests are counted under their tenant.
+     */
+    middleware(app) {
+        return (req, res, next) => {
+            if (req.path === '/metrics') return next();
+            const end = this.duration.startTimer();
+            // 'finish' may fire outside the request's async context
+            const tenant = tenantLabel();
+            res.on('finish', () => {
+                const labels = { method: req.method, route: routeOf(app, req), status: String(res.statusCode), tenant };
+                this.requests.inc(labels);
+                end(labels);
+            });
+            return next();
+        };
+    }
+
+    handler() {
+        return async (req, res) => {
+            try {
+                res.set('Content-Type', this.registry.contentType);
+                res.end(await this.registry.metrics());
+            } catch (error) {
+                res.status(500).end(error.message);
+            }
+        };
+    }
+}
+
+/**
+ * Install metrics on an express app: the RED middleware and GET /metrics.
+ * Call before fault injection so faulted responses are counted too.
+ * @returns {ServiceMetrics}
+ */
+function useMetrics(app, options) {
+    const metrics = new ServiceMetrics(options);
+    app.get('/metrics', metrics.handler());
+    app.use(metrics.middleware(app));
+    return metrics;
+}
+
+module.exports = { ServiceMetrics, useMetrics, routeOf, boundedLabel };
@@ -0,0 +1,203 @@
+// =============================================================================
+// Report job store for oracle-reports
+// In-memory jobs moving through queued -> processing -> completed | failed, or
+// cancelled. A fixed number of workers process jobs in the order they were
+// queued; finished jobs are kept for lookup up to a limit.
+// =============================================================================
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+const RENDER_ERROR = 'Report rendering failed: REP-1401 fatal PL/SQL error in formula';
+
+class ReportJobs extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.workers] Jobs processed at once (default 2)
+     * @param {number} [options.maxJobs] Jobs kept, oldest finished dropped first (default 1000)
+     * @param {Function} [options.processingTime] () => ms a new job takes (default 1-4 seconds)
+     * @param {Function} [options.renderFails] () => true when a job should end failed
+     * @param {Function} [options.runInContext] (job, fn) => fn(), wraps the start of a job so
+     *   its timer and 'processing' listeners run in the context of the request that queued it
+     *
+     * Emits 'processing' (job), 'completed' (job), 'failed' (job) and 'cancelled' (job, wasProcessing)
+     */
+    constructor(options = {}) {
+        super();
+        this.workers = options.workers || 2;
+        this.maxJobs = options.maxJobs || 1000;
+        this.processingTime = options.processingTime || (() => Math.random() * 3000 + 1000);
+        this.renderFails = options.renderFails || (() => false);
+        this.runInContext = options.runInContext || ((job, fn) => fn());
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+    }
+
+    /**
+     * Queue a job and start it if a worker is free
+     * @param {Object} request { template, format, data, traceContext }
+     * @returns {Object} The job
+     */
+    submit({ template, format, data, traceContext = null }) {
+        const job = {
+            id: uuidv4(),
+            template,
+            format,
+            data,
+            status: 'queued',
+            processingTime: this.processingTime(),
+            createdAt: Date.now(),
+            startedAt: null,
+            completedAt: null,
+            error: null,
+            timer: null,
+            span: null,
+            traceContext
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.startNextJobs();
+        this.prune();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    /**
+     * Jobs, newest first
+     * @param {Object} [filter]
+     * @param {string[]} [filter.statuses] Only jobs in these statuses
+     * @param {number} [filter.limit] Most jobs returned (default 50)
+     * @returns {{jobs: Object[], total: number}} total counts every match
+     */
+    list({ statuses = null, limit = 50 } = {}) {
+        const matching = [...this.jobs.values()]
+            .reverse()
+            .filter((job) => !statuses || statuses.includes(job.status));
+        return { jobs: matching.slice(0, limit), total: matching.length };
+    }
+
+    /**
+     * Jobs queued or processing
+     */
+    get depth() {
+        return this.queue.length + this.running;
+    }
+
+    isFinished(job) {
+        return FINISHED.includes(job.status);
+    }
+
+    /**
+     * Cancel a queued or processing job
+     * @returns {boolean} false when the job had already finished
+     */
+    cancel(job) {
+        if (this.isFinished(job)) return false;
+
+        const wasProcessing = job.status === 'processing';
+        if (wasProcessing) {
+            clearTimeout(job.timer);
+            job.timer = null;
+            this.running--;
+        } else {
+            this.queue.splice(this.queue.indexOf(job), 1);
+        }
+        job.status = 'cancelled';
+        job.completedAt = Date.now();
+        this.emit('cancelled', job, wasProcessing);
+        this.startNextJobs();
+        return true;
+    }
+
+    startNextJobs() {
+        while (this.running < this.workers && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.running++;
+            job.status = 'processing';
+            job.startedAt = Date.now();
+            this.runInContext(job, () => {
+                job.timer = setTimeout(() => this.finish(job), job.processingTime);
+                this.emit('processing', job);
+            });
+        }
+    }
+
+    finish(job) {
+        this.running--;
+        job.timer = null;
+        job.completedAt = Date.now();
+
+        if (this.renderFails()) {
+            job.status = 'failed';
+            job.error = RENDER_ERROR;
+        } else {
+            job.status = 'completed';
+        }
+        this.emit(job.status, job);
+        this.startNextJobs();
+    }
+
+    /**
+     * Keep at most maxJobs, dropping the oldest finished ones first
+     */
+    prune() {
+        for (const [id, job] of this.jobs) {
+            if (this.jobs.size <= this.maxJobs) break;
+            if (this.isFinished(job)) this.jobs.delete(id);
+        }
+    }
+
+    /**
+     * When the job should finish: running jobs free the workers in order, then
+     * every queued job ahead of this one takes a worker for its processing time
+     */
+    estimateCompletion(job, now = Date.now()) {
+        if (job.status === 'processing') return job.startedAt + job.processingTime;
+
+        const workers = [...this.jobs.values()]
+            .filter((j) => j.status === 'processing')
+            .map((j) => j.startedAt + j.processingTime);
+        while (workers.length < this.workers) workers.push(now);
+
+        for (const queued of this.queue) {
+            workers.sort((a, b) => a - b);
+            const done = Math.max(now, workers[0]) + queued.processingTime;
+            if (queued === job) return done;
+            workers[0] = done;
+        }
+        return now + job.processingTime;
+    }
+
+    /**
+     * The job as the API returns it
+     */
+    view(job, now = Date.now()) {
+        const progress = job.status === 'processing'
+            ? Math.min(99, Math.floor(((now - job.startedAt) / job.processingTime) * 100))
+            : (job.status === 'completed' ? 100 : 0);
+
+        return {
+            job_id: job.id,
+            status: job.status,
+            template: job.template,
+            format: job.format,
+            progress,
+            queue_position: job.status === 'queued' ? this.queue.indexOf(job) + 1 : null,
+            created_at: new Date(job.createdAt).toISOString(),
+            started_at: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+            completed_at: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+            estimated_completion: this.isFinished(job) ? null : new Date(this.estimateCompletion(job, now)).toISOString(),
+            error: job.error,
+            result_url: job.status === 'completed' ? `/reports/${job.id}/download` : null
+        };
+    }
+}
+
+module.exports = { ReportJobs, FINISHED };
@@ -0,0 +1,105 @@
+// =============================================================================
+// Report output stubs for the mock legacy services
+// Small but valid PDF and CSV files, so downloads open in real viewers
+// (also used by document-service)
+// =============================================================================
+
+const FORMATS = {
+    PDF: { contentType: 'application/pdf', extension: 'pdf' },
+    CSV: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+function pdfText(value) {
+    // Helvetica in a Type1 font only covers Latin-1; PDF strings escape \ ( )
+    return String(value)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/[\\()]/g, '\\$&');
+}
+
+const LINES_PER_PAGE = 45;
+
+/**
+ * PDF with one line of text per entry, 45 lines per page
+ * @param {string[]} lines
+ * @returns {Buffer}
+ */
+function buildPdf(lines) {
+    const pages = [];
+    for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) pages.push(lines.slice(i, i + LINES_PER_PAGE));
+
+    // 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+    const pageRef = (index) => 4 + index * 2;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((page, index) => `${pageRef(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    pages.forEach((page, index) => {
+        const text = page.map((line) => `(${pdfText(line).slice(0, 90)}) Tj T*`).join('\n');
+        const content = `BT\n/F1 11 Tf\n14 TL\n72 740 Td\n${text}\nET`;
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageRef(index) + 1} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+        );
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? ''
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV from report data: an array of rows becomes a table, an object becomes
+ * key,value pairs
+ * @returns {Buffer}
+ */
+function buildCsv(data) {
+    let rows;
+    if (Array.isArray(data) && data.length > 0 && data.every((row) => row && typeof row === 'object')) {
+        const columns = [...new Set(data.flatMap((row) => Object.keys(row)))];
+        rows = [columns, ...data.map((row) => columns.map((column) => row[column]))];
+    } else if (data && typeof data === 'object' && !Array.isArray(data)) {
+        rows = [['key', 'value'], ...Object.entries(data)];
+    } else {
+        rows = [['value'], ...(Array.isArray(data) ? data : [data]).map((value) => [value])];
+    }
+    return Buffer.from(rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n', 'utf8');
+}
+
+/**
+ * Render a report stub
+ * @param {Object} report { title, format, data, details: { label: value } }
+ * @returns {{contentType: string, extension: string, body: Buffer}}
+ */
+function renderReport(report) {
+    const format = FORMATS[report.format];
+    if (!format) throw new Error(`Unsupported report format ${report.format}`);
+
+    if (report.format === 'CSV') return { ...format, body: buildCsv(report.data ?? {}) };
+
+    const lines = [
+        report.title,
+        '',
+        ...Object.entries(report.details || {}).map(([label, value]) => `${label}: ${value}`),
+        '',
+        ...JSON.stringify(report.data ?? {}, null, 2).split('\n')
+    ];
+    return { ...format, body: buildPdf(lines) };
+}
+
+module.exports = { renderReport, buildPdf, buildCsv, FORMATS };
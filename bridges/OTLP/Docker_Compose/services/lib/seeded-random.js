@@ -0,0 +1,41 @@
+// =============================================================================
+// Seeded random numbers for the mock legacy services
+// Same seed, same sequence: makes fault injection and chaos scenarios repeatable
+// =============================================================================
+
+/**
+ * 32-bit FNV-1a hash, turns any seed (number or string) into a PRNG state
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * mulberry32 generator
+ * @param {number|string} seed
+ * @returns {Function} Returns a number in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A seed for runs that did not ask for one, so they can still be replayed
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 0x7fffffff);
+}
+
+module.exports = { createRandom, hashSeed, randomSeed };
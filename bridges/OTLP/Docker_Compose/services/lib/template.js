@@ -0,0 +1,153 @@
+// =============================================================================
+// Minimal mustache-style templates for document-service
+//   {{ customer.name }}   value, HTML-escaped when rendering HTML
+//   {{{ notes }}}         value, never escaped
+//   {{#each lines}} {{ description }} {{ @index }} {{/each}}
+//   {{#if paid}} ... {{else}} ... {{/if}}
+// Missing values render as ''. Syntax errors throw TemplateError.
+// =============================================================================
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+const TAG = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([^}]+?)\s*\}\}/g;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse into a tree of text, value, each and if nodes
+ */
+function parse(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let last = 0;
+    let match;
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        const target = current.inElse ? current.otherwise : current.children;
+        if (match.index > last) target.push({ type: 'text', text: source.slice(last, match.index) });
+        last = TAG.lastIndex;
+
+        if (match[1] !== undefined) {
+            target.push({ type: 'value', path: match[1], raw: true });
+            continue;
+        }
+
+        const tag = match[2];
+        const line = source.slice(0, match.index).split('\n').length;
+        const block = /^#(each|if)\s+(\S+)$/.exec(tag);
+        if (block) {
+            const node = { type: block[1], path: block[2], children: [], otherwise: [], line };
+            target.push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            if (current.type !== 'if' || current.inElse) throw new TemplateError(`Line ${line}: {{else}} outside {{#if}}`);
+            current.inElse = true;
+        } else if (/^\/(each|if)$/.test(tag)) {
+            if (current.type !== tag.slice(1)) {
+                throw new TemplateError(`Line ${line}: {{${tag}}} does not close ${current.type === 'root' ? 'anything' : `{{#${current.type}}} from line ${current.line}`}`);
+            }
+            stack.pop();
+        } else if (/^[#/]/.test(tag)) {
+            throw new TemplateError(`Line ${line}: unknown block {{${tag}}}`);
+        } else {
+            target.push({ type: 'value', path: tag, raw: false });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new TemplateError(`Line ${open.line}: {{#${open.type} ${open.path}}} is never closed`);
+    }
+    if (last < source.length) root.children.push({ type: 'text', text: source.slice(last) });
+    return root;
+}
+
+/**
+ * Look a path up in the innermost scope that has its first segment
+ */
+function lookup(scopes, path) {
+    if (path === 'this') return scopes[scopes.length - 1].value;
+    const [head, ...rest] = path.split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        let value;
+        if (head.startsWith('@')) value = scope.meta && scope.meta[head.slice(1)];
+        else if (scope.value !== null && typeof scope.value === 'object' && head in scope.value) value = scope.value[head];
+        else continue;
+        return rest.reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), value);
+    }
+    return undefined;
+}
+
+function truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, escape) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out += node.text;
+        } else if (node.type === 'value') {
+            const value = lookup(scopes, node.path);
+            if (value === undefined || value === null) continue;
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            out += escape && !node.raw ? escapeHtml(text) : text;
+        } else if (node.type === 'if') {
+            out += renderNodes(truthy(lookup(scopes, node.path)) ? node.children : node.otherwise, scopes, escape);
+        } else if (node.type === 'each') {
+            const items = lookup(scopes, node.path);
+            if (!Array.isArray(items)) continue;
+            items.forEach((item, index) => {
+                const meta = { index, number: index + 1, first: index === 0, last: index === items.length - 1 };
+                out += renderNodes(node.children, [...scopes, { value: item, meta }], escape);
+            });
+        }
+    }
+    return out;
+}
+
+/**
+ * @param {string} source
+ * @returns {Function} (data, { escape }) => string
+ */
+function compile(source) {
+    const tree = parse(String(source));
+    return (data, options = {}) => renderNodes(tree.children, [{ value: data || {} }], options.escape === true);
+}
+
+/**
+ * Plain text of an HTML document: block ends become line breaks, tags go
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|table|pre|title)>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = { compile, htmlToText, escapeHtml, TemplateError };
@@ -0,0 +1,251 @@
+// =============================================================================
+// Tenant context for the mock legacy services and the financial API
+// The Node side of PLTelemetry.set_tenant_context: the tenant of a request
+// comes from X-PLT-Tenant-ID (and X-PLT-Tenant-Name) or from W3C baggage
+// (tenant.id, tenant.name), is kept in async context while the request is
+// handled, goes on its spans, metrics and the log lines written through
+// `logger`, and is forwarded on the calls it makes. Node.js built-ins only,
+// so services outside services/ can load it too.
+// =============================================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const TENANT_HEADER = 'X-PLT-Tenant-ID';
+const TENANT_NAME_HEADER = 'X-PLT-Tenant-Name';
+// Metric label value for work without a tenant, as PLTelemetry's NVL(tenant, 'default')
+const DEFAULT_LABEL = 'default';
+// Metric label value for tenants past the label limit (see tenantLabel)
+const OTHER_LABEL = 'other';
+const DEFAULT_LABEL_LIMIT = 20;
+
+// plt tenant ids are VARCHAR2(100); the pattern also keeps them safe as
+// header values and metric labels
+const TENANT_ID = /^[\w.:@-]{1,100}$/;
+const TENANT_NAME_MAX = 255;
+
+// Same key as createContextKey('PLTelemetry tenant'), so OpenTelemetry
+// contexts can carry the tenant of work that outlives its request
+const CONTEXT_KEY = Symbol.for('PLTelemetry tenant');
+
+const storage = new AsyncLocalStorage();
+let labels = null;
+
+function headerValue(headers, name) {
+    if (!headers) return undefined;
+    const lower = name.toLowerCase();
+    const key = Object.keys(headers).find((k) => k.toLowerCase() === lower);
+    const value = key === undefined ? undefined : headers[key];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * W3C baggage header -> Map of decoded values (properties after ';' dropped)
+ */
+function parseBaggage(header) {
+    const entries = new Map();
+    if (typeof header !== 'string') return entries;
+    for (const member of header.split(',')) {
+        const [pair] = member.split(';');
+        const index = pair.indexOf('=');
+        if (index <= 0) continue;
+        try {
+            entries.set(pair.slice(0, index).trim(), decodeURIComponent(pair.slice(index + 1).trim()));
+        } catch (error) {
+            // Malformed percent-encoding: skip the member, as the W3C propagator does
+        }
+    }
+    return entries;
+}
+
+function formatBaggage(entries) {
+    return [...entries].map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join(',');
+}
+
+/**
+ * @returns {Object|null} { id, name } when id is a valid tenant id
+ */
+function tenantOf(id, name) {
+    const tenantId = typeof id === 'string' ? id.trim() : '';
+    if (!TENANT_ID.test(tenantId)) return null;
+    const tenantName = typeof name === 'string' ? name.trim().replace(/[\u0000-\u001f]/g, '').slice(0, TENANT_NAME_MAX) : '';
+    return { id: tenantId, name: tenantName || null };
+}
+
+/**
+ * The tenant a request or stored carrier names: X-PLT-Tenant-ID first, then
+ * tenant.id in baggage
+ * @param {Object} headers Incoming request headers or stored propagation headers
+ * @returns {Object|null} { id, name, source: 'header' | 'baggage' }
+ */
+function tenantFromHeaders(headers) {
+    const fromHeader = tenantOf(headerValue(headers, TENANT_HEADER), headerValue(headers, TENANT_NAME_HEADER));
+    if (fromHeader) return { ...fromHeader, source: 'header' };
+
+    const baggage = parseBaggage(headerValue(headers, 'baggage'));
+    const fromBaggage = tenantOf(baggage.get('tenant.id'), baggage.get('tenant.name'));
+    return fromBaggage ? { ...fromBaggage, source: 'baggage' } : null;
+}
+
+/**
+ * Tenant of the work running now, null when there is none
+ */
+function currentTenant() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Run fn with this tenant (or explicitly none) as the current one, e.g. for
+ * queued work that would otherwise see the tenant of whatever scheduled it
+ */
+function runWithTenant(tenant, fn) {
+    return storage.run(tenant || null, fn);
+}
+
+/**
+ * Tenant carried by an OpenTelemetry context (see CONTEXT_KEY)
+ */
+function tenantFromContext(ctx) {
+    return (ctx && typeof ctx.getValue === 'function' && ctx.getValue(CONTEXT_KEY)) || null;
+}
+
+/**
+ * tenant.id / tenant.name, the attribute names the PL/SQL and the OTLP bridge use
+ */
+function tenantAttributes(tenant = currentTenant()) {
+    if (!tenant) return {};
+    return { 'tenant.id': tenant.id, ...(tenant.name && { 'tenant.name': tenant.name }) };
+}
+
+/**
+ * Choose which tenants get a metric label of their own. Tenant ids come from
+ * the caller, so without a bound every new id would be a new series.
+ * @param {Object} [options]
+ * @param {string|string[]} [options.allow] These ids only (TENANT_LABELS, comma-separated)
+ * @param {number} [options.limit] Otherwise the first this many distinct ids (TENANT_LABEL_LIMIT, default 20)
+ */
+function configureTenantLabels(options = {}) {
+    const allow = typeof options.allow === 'string' ? options.allow.split(',') : options.allow || [];
+    const ids = allow.map((id) => String(id).trim()).filter(Boolean);
+    const limit = Number(options.limit);
+    labels = {
+        allowed: ids.length > 0 ? new Set(ids) : null,
+        limit: Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_LABEL_LIMIT,
+        seen: new Set()
+    };
+}
+
+/**
+ * Value of the tenant metric label: the tenant id when it has a label of its
+ * own (see configureTenantLabels), 'other' when not, 'default' without a tenant
+ */
+function tenantLabel(tenant = currentTenant()) {
+    if (!tenant) return DEFAULT_LABEL;
+    if (!labels) configureTenantLabels({ allow: process.env.TENANT_LABELS, limit: process.env.TENANT_LABEL_LIMIT });
+
+    if (labels.allowed) return labels.allowed.has(tenant.id) ? tenant.id : OTHER_LABEL;
+    if (labels.seen.has(tenant.id)) return tenant.id;
+    if (labels.seen.size >= labels.limit) return OTHER_LABEL;
+    labels.seen.add(tenant.id);
+    return tenant.id;
+}
+
+/**
+ * Outgoing headers with the tenant added: X-PLT-Tenant-ID / -Name, and
+ * tenant.id / tenant.name merged into any baggage already there
+ * @param {Object} [headers] Headers to add to (not modified)
+ * @param {Object} [tenant] Defaults to the current tenant
+ */
+function withTenantHeaders(headers = {}, tenant = currentTenant()) {
+    if (!tenant) return { ...headers };
+
+    const result = {};
+    let baggage = '';
+    for (const [key, value] of Object.entries(headers)) {
+        const lower = key.toLowerCase();
+        if (lower === 'baggage') baggage = value;
+        else if (lower !== TENANT_HEADER.toLowerCase() && lower !== TENANT_NAME_HEADER.toLowerCase()) result[key] = value;
+    }
+
+    const entries = parseBaggage(baggage);
+    entries.set('tenant.id', tenant.id);
+    if (tenant.name) entries.set('tenant.name', tenant.name);
+    else entries.delete('tenant.name');
+
+    result[TENANT_HEADER] = tenant.id;
+    if (tenant.name) result[TENANT_NAME_HEADER] = tenant.name;
+    result.baggage = formatBaggage(entries);
+    return result;
+}
+
+/**
+ * The console methods, with tenant=<id> appended while a tenant is current.
+ * Services log through it; output of the libraries they use is left alone.
+ */
+const logger = Object.fromEntries(['log', 'info', 'warn', 'error', 'debug'].map((method) => [method, (...args) => {
+    const tenant = currentTenant();
+    return tenant ? console[method](...args, `tenant=${tenant.id}`) : console[method](...args);
+}]));
+
+/**
+ * Span processor that puts tenant.id / tenant.name on every span started
+ * while a tenant is current, or whose parent context carries one. Register
+ * it ahead of the exporting processor.
+ */
+class TenantSpanProcessor {
+    onStart(span, parentContext) {
+        const tenant = tenantFromContext(parentContext) || currentTenant();
+        if (tenant) span.setAttributes(tenantAttributes(tenant));
+    }
+
+    onEnd() {}
+
+    forceFlush() {
+        return Promise.resolve();
+    }
+
+    shutdown() {
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Install the tenant context on an express app. Register it before
+ * useMetrics so request metrics get the tenant label.
+ * @param {Object} app
+ * @param {Object} [options]
+ * @param {Function} [options.onTenant] (tenant, req) once the request's tenant is known
+ * @returns {Function} The middleware (already installed)
+ */
+function useTenant(app, options = {}) {
+    const onTenant = options.onTenant || (() => {});
+
+    const middleware = (req, res, next) => {
+        const tenant = tenantFromHeaders(req.headers);
+        req.tenant = tenant;
+        if (!tenant) return runWithTenant(null, next);
+
+        res.set(TENANT_HEADER, tenant.id);
+        onTenant(tenant, req);
+        return runWithTenant(tenant, next);
+    };
+    app.use(middleware);
+    return middleware;
+}
+
+module.exports = {
+    TENANT_HEADER,
+    TENANT_NAME_HEADER,
+    CONTEXT_KEY,
+    parseBaggage,
+    tenantFromHeaders,
+    currentTenant,
+    runWithTenant,
+    tenantFromContext,
+    tenantAttributes,
+    tenantLabel,
+    configureTenantLabels,
+    withTenantHeaders,
+    logger,
+    TenantSpanProcessor,
+    useTenant
+};
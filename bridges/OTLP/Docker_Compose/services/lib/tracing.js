@@ -0,0 +1,340 @@
+// =============================================================================
+// Tracing for the mock legacy services
+// OpenTelemetry bootstrap shared by every service: continues the caller's trace
+// (W3C traceparent/tracestate, or the X-PLT-Trace-ID / X-PLT-Span-ID headers
+// PLTelemetry sends), creates server spans, stamps them with the request's
+// tenant (lib/tenant.js) and exports them over OTLP/HTTP. Each service has a
+// tracer provider of its own, also when the launcher hosts several in one
+// process (see hostService). Must be started before express is required.
+// =============================================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { tracing: sdkTracing } = require('@opentelemetry/sdk-node');
+const { AsyncLocalStorageContextManager } = require('@opentelemetry/context-async-hooks');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation, ExpressLayerType } = require('@opentelemetry/instrumentation-express');
+const { resourceFromAttributes, detectResources, envDetector, hostDetector, processDetector } = require('@opentelemetry/resources');
+const {
+    CompositePropagator,
+    W3CTraceContextPropagator,
+    W3CBaggagePropagator,
+    getRPCMetadata
+} = require('@opentelemetry/core');
+const {
+    trace,
+    context,
+    propagation,
+    ProxyTracerProvider,
+    ROOT_CONTEXT,
+    SpanKind,
+    SpanStatusCode,
+    TraceFlags,
+    isSpanContextValid
+} = require('@opentelemetry/api');
+const tenant = require('./tenant');
+
+const TRACER_NAME = 'plt-legacy-services';
+
+// Node lowercases incoming header names
+const PLT_TRACE_HEADER = 'x-plt-trace-id';
+const PLT_SPAN_HEADER = 'x-plt-span-id';
+// Sent by PLT_SERVICE_DISCOVERY health checks (trace id only, no parent span)
+const DISCOVERY_TRACE_HEADER = 'x-trace-id';
+
+// service.name -> tracer provider, for every service that started tracing here
+const providers = new Map();
+// The hosted service that work belongs to: set by hostService while a service
+// loads, and inherited by its servers and timers and everything they run
+const hostedService = new AsyncLocalStorage();
+// Without a delegate its tracers start non-recording spans
+const untraced = new ProxyTracerProvider();
+let instrumentations = null;
+let hosting = false;
+
+function headerValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function hexId(value, length) {
+    const id = headerValue(value);
+    return typeof id === 'string' && new RegExp(`^[0-9a-f]{${length}}$`, 'i').test(id) ? id.toLowerCase() : null;
+}
+
+/**
+ * PLTelemetry headers, for callers that do not send traceparent. When both are
+ * present, traceparent wins.
+ */
+class PltHeadersPropagator {
+    inject(ctx, carrier, setter) {
+        const spanContext = trace.getSpanContext(ctx);
+        if (!spanContext || !isSpanContextValid(spanContext)) return;
+        setter.set(carrier, 'X-PLT-Trace-ID', spanContext.traceId);
+        setter.set(carrier, 'X-PLT-Span-ID', spanContext.spanId);
+    }
+
+    extract(ctx, carrier, getter) {
+        const current = trace.getSpanContext(ctx);
+        if (current && isSpanContextValid(current)) return ctx;
+
+        const traceId = hexId(getter.get(carrier, PLT_TRACE_HEADER), 32);
+        const spanId = hexId(getter.get(carrier, PLT_SPAN_HEADER), 16);
+        if (!traceId || !spanId) return ctx;
+
+        // PLTelemetry records every span, so the remote parent is always sampled
+        return trace.setSpanContext(ctx, { traceId, spanId, traceFlags: TraceFlags.SAMPLED, isRemote: true });
+    }
+
+    fields() {
+        return ['X-PLT-Trace-ID', 'X-PLT-Span-ID'];
+    }
+}
+
+/**
+ * W3C trace context and baggage, then the PLTelemetry headers
+ */
+function createPropagator() {
+    return new CompositePropagator({
+        propagators: [new W3CTraceContextPropagator(), new W3CBaggagePropagator(), new PltHeadersPropagator()]
+    });
+}
+
+/**
+ * Tracer provider for a new span: the one of the hosted service it runs
+ * under, or the service's own when it runs alone. Work of the launcher
+ * itself is not traced.
+ */
+function currentProvider() {
+    const hosted = hostedService.getStore();
+    if (hosted) return hosted.provider || untraced;
+    return (!hosting && providers.values().next().value) || untraced;
+}
+
+/**
+ * The process-wide tracer provider, handing each span to currentProvider()
+ */
+const serviceTracerProvider = {
+    getTracer(name, version, options) {
+        const tracer = () => currentProvider().getTracer(name, version, options);
+        return {
+            startSpan: (...args) => tracer().startSpan(...args),
+            startActiveSpan: (...args) => tracer().startActiveSpan(...args)
+        };
+    }
+};
+
+/**
+ * Context manager, propagators and the http and express instrumentations,
+ * once per process
+ */
+function instrument() {
+    context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+    propagation.setGlobalPropagator(createPropagator());
+    trace.setGlobalTracerProvider(serviceTracerProvider);
+
+    // Instrumentations patch http and express as soon as they are created
+    instrumentations = [
+        new HttpInstrumentation({
+            requestHook: (span, request) => {
+                // Only incoming requests have headers to read here
+                if (!request.headers) return;
+                const pltTraceId = hexId(request.headers[PLT_TRACE_HEADER], 32)
+                    || hexId(request.headers[DISCOVERY_TRACE_HEADER], 32);
+                span.setAttributes({
+                    // The server span starts before the tenant middleware runs
+                    ...tenant.tenantAttributes(tenant.tenantFromHeaders(request.headers)),
+                    ...(pltTraceId && { 'plt.trace_id': pltTraceId }),
+                    ...(request.headers['x-monitor-source'] && { 'plt.monitor_source': headerValue(request.headers['x-monitor-source']) })
+                });
+            }
+        }),
+        // Route handler spans only: one span per cors/json/faults middleware is noise
+        new ExpressInstrumentation({ ignoreLayersType: [ExpressLayerType.MIDDLEWARE] })
+    ];
+}
+
+/**
+ * Start tracing a service. Each service name gets a tracer provider of its
+ * own, with its own resource and exporter; a service started again (a hosted
+ * restart) keeps its provider.
+ * @param {Object} options
+ * @param {string} options.serviceName service.name (OTEL_SERVICE_NAME overrides it)
+ * @param {string} [options.serviceVersion] service.version
+ */
+function startTracing(options) {
+    const serviceName = process.env.OTEL_SERVICE_NAME || options.serviceName;
+    if (process.env.OTEL_SDK_DISABLED === 'true') {
+        console.log(`[Tracing] ${serviceName}: disabled (OTEL_SDK_DISABLED)`);
+        return;
+    }
+    if (!instrumentations) instrument();
+
+    let provider = providers.get(serviceName);
+    if (!provider) {
+        provider = new sdkTracing.BasicTracerProvider({
+            resource: resourceFromAttributes({
+                'service.version': options.serviceVersion || '1.0.0',
+                'service.namespace': 'plt-legacy-services',
+                'deployment.environment': process.env.NODE_ENV || 'development'
+            })
+                // OTEL_RESOURCE_ATTRIBUTES, host and process
+                .merge(detectResources({ detectors: [envDetector, hostDetector, processDetector] }))
+                .merge(resourceFromAttributes({ 'service.name': serviceName })),
+            spanProcessors: [
+                new tenant.TenantSpanProcessor(),
+                // OTEL_EXPORTER_OTLP_ENDPOINT (+ /v1/traces) or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+                new sdkTracing.BatchSpanProcessor(new OTLPTraceExporter())
+            ]
+        });
+        providers.set(serviceName, provider);
+
+        const endpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+            || `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`;
+        console.log(`[Tracing] ${serviceName}: exporting spans to ${endpoint}`);
+    }
+
+    const hosted = hostedService.getStore();
+    if (hosted) hosted.provider = provider;
+}
+
+/**
+ * Load a service into this process (used by the launcher). Spans of the
+ * service's requests, timers and queues go to the provider it starts, so each
+ * hosted service reports under its own service.name.
+ * @param {Function} load Requires the service
+ * @returns {*} What load returns
+ */
+function hostService(load) {
+    hosting = true;
+    return hostedService.run({ provider: null }, load);
+}
+
+/**
+ * Flush pending spans. Call before the process exits.
+ */
+async function shutdownTracing() {
+    await Promise.all([...providers].map(async ([serviceName, provider]) => {
+        try {
+            await provider.shutdown();
+        } catch (error) {
+            console.error(`[Tracing] ${serviceName}: shutdown failed:`, error.message);
+        }
+    }));
+}
+
+function getTracer() {
+    return trace.getTracer(TRACER_NAME);
+}
+
+/**
+ * The server span of the current request (route handlers run inside express
+ * child spans, but business attributes belong on the request itself)
+ */
+function requestSpan() {
+    const metadata = getRPCMetadata(context.active());
+    return (metadata && metadata.span) || trace.getActiveSpan();
+}
+
+/**
+ * Add business attributes to the current request span. Undefined and null
+ * values are skipped.
+ */
+function annotate(attributes) {
+    const span = requestSpan();
+    if (!span) return;
+    for (const [key, value] of Object.entries(attributes)) {
+        if (value !== undefined && value !== null) span.setAttribute(key, value);
+    }
+}
+
+/**
+ * The current context, to parent spans that start after the request ends.
+ * It carries the current tenant along.
+ */
+function activeContext() {
+    const current = tenant.currentTenant();
+    return current ? context.active().setValue(tenant.CONTEXT_KEY, current) : context.active();
+}
+
+/**
+ * Start a span for work that outlives the request (e.g. a queued job)
+ * @param {string} name
+ * @param {Object} attributes
+ * @param {Context} parent From activeContext() while the request was handled
+ * @param {SpanKind} [kind] INTERNAL unless the work calls out (e.g. SMTP)
+ */
+function startBackgroundSpan(name, attributes, parent, kind = SpanKind.INTERNAL) {
+    return getTracer().startSpan(name, { attributes, kind }, parent);
+}
+
+/**
+ * Propagation headers for a context (traceparent, tracestate, baggage,
+ * X-PLT-*), as a plain object that can be stored or copied into outgoing
+ * messages. The tenant is the context's, or else the current one.
+ * @param {Context} [ctx] Defaults to the active context
+ */
+function contextHeaders(ctx = context.active()) {
+    const headers = {};
+    propagation.inject(ctx, headers);
+    return tenant.withTenantHeaders(headers, tenant.tenantFromContext(ctx) || tenant.currentTenant());
+}
+
+/**
+ * Propagation headers naming a span as the parent (e.g. for an outgoing email)
+ */
+function spanHeaders(span) {
+    return contextHeaders(trace.setSpan(context.active(), span));
+}
+
+/**
+ * The context stored with contextHeaders(), to parent later spans
+ */
+function contextFromHeaders(headers) {
+    // Propagators look headers up lowercased, as Node hands them over
+    const carrier = Object.fromEntries(Object.entries(headers || {}).map(([key, value]) => [key.toLowerCase(), value]));
+    const ctx = propagation.extract(ROOT_CONTEXT, carrier);
+    const stored = tenant.tenantFromHeaders(carrier);
+    return stored ? ctx.setValue(tenant.CONTEXT_KEY, stored) : ctx;
+}
+
+/**
+ * End a span, marking it as failed when an error message is given
+ */
+function endSpan(span, errorMessage) {
+    if (errorMessage) span.setStatus({ code: SpanStatusCode.ERROR, message: errorMessage });
+    span.end();
+}
+
+/**
+ * Echo the request's trace and span ids (X-PLT-Trace-ID / X-PLT-Span-ID) so
+ * PL/SQL callers can log which span served them
+ */
+function traceHeaders() {
+    return (req, res, next) => {
+        const span = requestSpan();
+        const spanContext = span && span.spanContext();
+        if (spanContext && isSpanContextValid(spanContext)) {
+            res.set('X-PLT-Trace-ID', spanContext.traceId);
+            res.set('X-PLT-Span-ID', spanContext.spanId);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    startTracing,
+    shutdownTracing,
+    hostService,
+    getTracer,
+    annotate,
+    activeContext,
+    startBackgroundSpan,
+    contextHeaders,
+    contextFromHeaders,
+    spanHeaders,
+    endSpan,
+    traceHeaders,
+    createPropagator,
+    PltHeadersPropagator,
+    SpanKind
+};
@@ -0,0 +1,46 @@
+// =============================================================================
+// Webhook callbacks for the mock legacy services
+// POSTs a JSON event to a caller-supplied URL with the trace headers of the
+// work it reports on, retrying a few times before giving up.
+// =============================================================================
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {string} url
+ * @param {Object} payload Sent as JSON
+ * @param {Object} [options]
+ * @param {Object} [options.headers] Extra headers, e.g. tracing.spanHeaders(span)
+ * @param {number} [options.attempts] Tries before giving up (default 3)
+ * @param {number} [options.timeoutMs] Per try (default 5000)
+ * @param {number} [options.backoffMs] Wait before the second try, doubled after (default 500)
+ * @returns {Promise<{delivered: boolean, attempts: number, status: ?number, error: ?string}>} Never rejects
+ */
+async function postWebhook(url, payload, options = {}) {
+    const attempts = options.attempts || 3;
+    const backoffMs = options.backoffMs || 500;
+    let result = { delivered: false, attempts: 0, status: null, error: null };
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        if (attempt > 1) await sleep(backoffMs * 2 ** (attempt - 2));
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...options.headers },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(options.timeoutMs || 5000)
+            });
+            await response.arrayBuffer();
+            result = { delivered: response.ok, attempts: attempt, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+            // A 4xx will not get better by asking again
+            if (response.ok || response.status < 500) return result;
+        } catch (error) {
+            result = { delivered: false, attempts: attempt, status: null, error: error.cause ? (error.cause.code || error.cause.message) : error.message };
+        }
+    }
+    return result;
+}
+
+module.exports = { postWebhook };
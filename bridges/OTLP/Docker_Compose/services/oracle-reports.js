@@ -1,6 +1,17 @@
+// Tracing must start before express is loaded (see lib/tracing.js)
+const tracing = require('./lib/tracing');
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '1.0.0';
+tracing.startTracing({ serviceName: 'oracle-reports', serviceVersion: SERVICE_VERSION });
+
 const express = require('express');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
+const { useFaultInjection } = require('./lib/fault-injection');
+const { useMetrics } = require('./lib/metrics');
+const { useTenant, runWithTenant, tenantFromContext, logger } = require('./lib/tenant');
+const { useHealth } = require('./lib/health');
+const { serviceLifecycle } = require('./lib/lifecycle');
+const { renderReport, FORMATS } = require('./lib/report-output');
+const { ReportJobs } = require('./lib/report-jobs');
 
 const app = express();
 const PORT = process.env.SERVICE_PORT || 8001;
@@ -8,10 +19,35 @@ const SERVICE_NAME = 'Oracle Reports';
 
 app.use(cors());
 app.use(express.json());
+app.use(tracing.traceHeaders());
+// Tenant of each request, kept for its spans, logs, metrics and outbound calls
+// (see lib/tenant.js); installed before metrics so they get the tenant label
+useTenant(app);
+
+// Prometheus metrics on /metrics (see lib/metrics.js); registered before fault
+// injection so faulted responses are counted
+const metrics = useMetrics(app, { service: 'oracle-reports' });
+metrics.health(() => health.lastStatus);
+metrics.gauge('report_queue_depth', 'Report jobs queued or processing', [], function collect() {
+    this.set(serviceState.reportQueue);
+});
+metrics.gauge('report_jobs', 'Report jobs kept in memory, by status', ['status'], function collect() {
+    this.reset();
+    for (const job of jobs.jobs.values()) this.inc({ status: job.status });
+});
+const jobsSubmitted = metrics.counter('report_jobs_submitted_total', 'Report jobs accepted by POST /reports/generate', ['format']);
+const jobsFinished = metrics.counter('report_jobs_finished_total', 'Report jobs that completed, failed or were cancelled', ['status']);
+const processingSeconds = metrics.histogram('report_processing_seconds', 'Time a report job spends processing',
+    ['status'], [0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 5]);
+
+// Fault injection (see lib/fault-injection.js); template-failure keeps the old 10% default
+const faults = useFaultInjection(app, {
+    service: 'oracle-reports',
+    triggers: { 'template-failure': 0.1, 'render-failure': 0.05 }
+});
 
 // Service state simulation
 let serviceState = {
-    isHealthy: true,
     reportQueue: 0,
     processedReports: 0,
     lastReportTime: new Date(),
@@ -20,28 +56,91 @@ let serviceState = {
 
 // Middleware to log all requests
 app.use((req, res, next) => {
-    console.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
+    logger.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
     next();
 });
 
-// Health endpoint - core for heartbeat monitoring
-app.get('/health', (req, res) => {
-    const health = {
-        service: SERVICE_NAME.toLowerCase().replace(' ', '-'),
-        status: serviceState.isHealthy ? 'healthy' : 'unhealthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
+// Health endpoints - core for heartbeat monitoring (see lib/health.js)
+const health = useHealth(app, {
+    service: 'oracle-reports',
+    version: SERVICE_VERSION,
+    checks: {
+        // A backlog of more than 10 jobs per worker still answers, just late
+        report_engine: () => ({
+            status: jobs.queue.length > jobs.workers * 10 ? 'degraded' : 'healthy',
+            ...(jobs.queue.length > jobs.workers * 10 && { message: `${jobs.queue.length} jobs waiting for ${jobs.workers} workers` }),
+            details: { workers: jobs.workers, running: jobs.running, queued: jobs.queue.length }
+        })
+    },
+    details: () => ({
         queue_size: serviceState.reportQueue,
         processed_count: serviceState.processedReports,
-        last_activity: serviceState.lastReportTime,
-        version: '1.0.0'
-    };
+        last_activity: serviceState.lastReportTime
+    }),
+    onReport: (report) => tracing.annotate({ 'health.status': report.status, 'report.queue_size': serviceState.reportQueue })
+});
+
+// =============================================================================
+// Report jobs: queued -> processing -> completed | failed, or cancelled
+// (see lib/report-jobs.js)
+// =============================================================================
+
+const MAX_JOBS = Number(process.env.REPORTS_MAX_JOBS) || 1000;
+
+const jobs = new ReportJobs({
+    workers: Number(process.env.REPORTS_WORKERS) || 2,
+    maxJobs: MAX_JOBS,
+    processingTime: () => faults.random() * 3000 + 1000, // 1-4 seconds
+    // Simulate rendering failures (5% by default, see triggers in /admin/faults)
+    renderFails: () => faults.trigger('render-failure'),
+    // In the tenant of the request that queued the job, not of the job that
+    // just finished
+    runInContext: (job, fn) => runWithTenant(tenantFromContext(job.traceContext), fn)
+});
+
+jobs.on('processing', (job) => {
+    serviceState.reportQueue = jobs.depth;
+    job.span = tracing.startBackgroundSpan('report.render', {
+        'report.job_id': job.id,
+        'report.template': String(job.template),
+        'report.format': job.format,
+        'report.queue_wait_ms': job.startedAt - job.createdAt
+    }, job.traceContext);
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} processing (${Math.round(job.processingTime)}ms)`);
+});
+
+jobs.on('failed', (job) => {
+    serviceState.errors.push({ timestamp: new Date(), error: job.error, template: job.template, job_id: job.id });
+    metrics.recordError('render_failure');
+    logger.error(`[${SERVICE_NAME}] Job ${job.id} failed: ${job.error}`);
+    tracing.endSpan(job.span, job.error);
+    jobFinished(job);
+});
+
+jobs.on('completed', (job) => {
+    serviceState.processedReports++;
+    serviceState.lastReportTime = new Date();
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} completed`);
+    tracing.endSpan(job.span);
+    jobFinished(job);
+});
 
-    const statusCode = serviceState.isHealthy ? 200 : 503;
-    res.status(statusCode).json(health);
+jobs.on('cancelled', (job, wasProcessing) => {
+    if (wasProcessing) {
+        job.span.setAttribute('report.cancelled', true);
+        tracing.endSpan(job.span);
+    }
+    jobsFinished.inc({ status: job.status });
+    serviceState.reportQueue = jobs.depth;
+    logger.log(`[${SERVICE_NAME}] Job ${job.id} cancelled`);
 });
 
+function jobFinished(job) {
+    jobsFinished.inc({ status: job.status });
+    processingSeconds.observe({ status: job.status }, (job.completedAt - job.startedAt) / 1000);
+    serviceState.reportQueue = jobs.depth;
+}
+
 // Generate report endpoint
 app.post('/reports/generate', async (req, res) => {
     try {
@@ -54,39 +153,52 @@ app.post('/reports/generate', async (req, res) => {
             });
         }
 
-        // Simulate random failures (10% chance)
-        if (Math.random() < 0.1) {
+        const outputFormat = String(format).toUpperCase();
+        if (!FORMATS[outputFormat]) {
+            return res.status(400).json({
+                error: `Unsupported format ${format}, expected one of ${Object.keys(FORMATS).join(', ')}`,
+                code: 'UNSUPPORTED_FORMAT'
+            });
+        }
+
+        tracing.annotate({ 'report.template': String(template), 'report.format': outputFormat });
+
+        // Simulate template failures (10% by default, see triggers in /admin/faults)
+        if (faults.trigger('template-failure')) {
             serviceState.errors.push({
                 timestamp: new Date(),
                 error: 'Template compilation failed',
                 template: template
             });
+            metrics.recordError('template_compilation');
             throw new Error('Template compilation failed');
         }
 
-        // Simulate processing time
-        const processingTime = Math.random() * 3000 + 1000; // 1-4 seconds
-        
-        const jobId = uuidv4();
-        serviceState.reportQueue++;
+        const job = jobs.submit({
+            template,
+            format: outputFormat,
+            data,
+            // The render span continues the trace of the request that queued the job
+            traceContext: tracing.activeContext()
+        });
+        jobsSubmitted.inc({ format: job.format });
+        serviceState.reportQueue = jobs.depth;
         serviceState.lastReportTime = new Date();
 
-        // Simulate async processing
-        setTimeout(() => {
-            serviceState.reportQueue--;
-            serviceState.processedReports++;
-        }, processingTime);
+        tracing.annotate({
+            'report.job_id': job.id,
+            'report.queue_size': serviceState.reportQueue,
+            'report.status': job.status
+        });
 
+        // 200 as before the job store: existing clients check for it
         res.json({
-            job_id: jobId,
-            status: 'processing',
-            template: template,
-            format: format,
-            estimated_completion: new Date(Date.now() + processingTime).toISOString()
+            ...jobs.view(job),
+            status_url: `/reports/${job.id}/status`
         });
 
     } catch (error) {
-        console.error(`[${SERVICE_NAME}] Error generating report:`, error.message);
+        logger.error(`[${SERVICE_NAME}] Error generating report:`, error.message);
         res.status(500).json({
             error: error.message,
             code: 'GENERATION_FAILED',
@@ -95,34 +207,88 @@ app.post('/reports/generate', async (req, res) => {
     }
 });
 
-// Report status endpoint
-app.get('/reports/:jobId/status', (req, res) => {
-    const { jobId } = req.params;
-    
-    // Simulate job status lookup
-    const statuses = ['processing', 'completed', 'failed'];
-    const status = statuses[Math.floor(Math.random() * statuses.length)];
-    
+// List jobs, newest first (?status=queued,processing&limit=50)
+app.get('/reports', (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, MAX_JOBS));
+
+    const { jobs: matching, total } = jobs.list({ statuses, limit });
+
     res.json({
-        job_id: jobId,
-        status: status,
-        progress: status === 'processing' ? Math.floor(Math.random() * 100) : 100,
-        result_url: status === 'completed' ? `/reports/${jobId}/download` : null
+        jobs: matching.map((job) => jobs.view(job)),
+        total,
+        workers: jobs.workers,
+        running: jobs.running,
+        queued: jobs.queue.length
     });
 });
 
-// Admin endpoints for testing failure scenarios
-app.post('/admin/health/:status', (req, res) => {
-    const { status } = req.params;
-    serviceState.isHealthy = status === 'healthy';
-    
-    console.log(`[${SERVICE_NAME}] Health status changed to: ${status}`);
-    res.json({
-        message: `Service health set to ${status}`,
-        previous_state: !serviceState.isHealthy
+// Look up a job or answer 404
+function findJob(req, res) {
+    const job = jobs.get(req.params.jobId);
+    tracing.annotate({ 'report.job_id': req.params.jobId, 'report.status': job ? job.status : 'not_found' });
+    if (!job) {
+        res.status(404).json({
+            error: `Report job ${req.params.jobId} not found`,
+            code: 'JOB_NOT_FOUND'
+        });
+    }
+    return job;
+}
+
+// Report status endpoint
+app.get('/reports/:jobId/status', (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json(jobs.view(job));
+});
+
+// Download a finished report
+app.get('/reports/:jobId/download', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+        res.status(409).json({
+            error: `Report job ${job.id} is ${job.status}`,
+            code: 'JOB_NOT_COMPLETED',
+            status: job.status
+        });
+        return;
+    }
+
+    const output = renderReport({
+        title: `Oracle Reports - ${job.template}`,
+        format: job.format,
+        data: job.data,
+        details: {
+            'Job ID': job.id,
+            Template: job.template,
+            Generated: new Date(job.completedAt).toISOString()
+        }
     });
+    res.set('Content-Type', output.contentType);
+    res.set('Content-Disposition', `attachment; filename="${String(job.template).replace(/[^\w.-]/g, '_')}-${job.id}.${output.extension}"`);
+    res.send(output.body);
+});
+
+// Cancel a queued or running job
+app.post('/reports/:jobId/cancel', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    if (!jobs.cancel(job)) {
+        res.status(409).json({
+            error: `Report job ${job.id} is already ${job.status}`,
+            code: 'JOB_ALREADY_FINISHED',
+            status: job.status
+        });
+        return;
+    }
+
+    res.json(jobs.view(job));
 });
 
+// Admin endpoints for testing failure scenarios (/admin/health/:status is in lib/health.js)
 app.get('/admin/errors', (req, res) => {
     res.json({
         errors: serviceState.errors,
@@ -131,26 +297,26 @@ app.get('/admin/errors', (req, res) => {
 });
 
 app.post('/admin/simulate-crash', (req, res) => {
-    console.log(`[${SERVICE_NAME}] Simulating crash - service will exit in 2 seconds`);
+    logger.log(`[${SERVICE_NAME}] Simulating crash - service will exit in 2 seconds`);
     res.json({ message: 'Service crash simulation initiated' });
     
-    setTimeout(() => {
-        console.log(`[${SERVICE_NAME}] CRASH SIMULATION - Exiting process`);
-        process.exit(1);
-    }, 2000);
+    setTimeout(() => lifecycle.crash(), 2000);
 });
 
 // Start server
-app.listen(PORT, () => {
-    console.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
-    console.log(`   Health: http://localhost:${PORT}/health`);
-    console.log(`   Reports: http://localhost:${PORT}/reports/generate`);
-    console.log(`   Admin: http://localhost:${PORT}/admin/health/unhealthy`);
-    console.log(`   Crash: http://localhost:${PORT}/admin/simulate-crash\n`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log(`\n🔴 ${SERVICE_NAME} shutting down gracefully...`);
-    process.exit(0);
-});
\ No newline at end of file
+const server = app.listen(PORT, () => {
+    logger.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
+    logger.log(`   Health: http://localhost:${PORT}/health`);
+    logger.log(`   Reports: http://localhost:${PORT}/reports/generate`);
+    logger.log(`   Jobs: http://localhost:${PORT}/reports`);
+    logger.log(`   Admin: http://localhost:${PORT}/admin/health/unhealthy`);
+    logger.log(`   Faults: http://localhost:${PORT}/admin/faults`);
+    logger.log(`   Metrics: http://localhost:${PORT}/metrics`);
+    logger.log(`   Crash: http://localhost:${PORT}/admin/simulate-crash\n`);
+});
+
+// SIGTERM and crashes, alone or hosted by index.js (see lib/lifecycle.js)
+const lifecycle = module.exports = serviceLifecycle(module, {
+    name: SERVICE_NAME,
+    server
+});
@@ -0,0 +1,485 @@
+// Stand-in for Oracle + ORDS in Example 04 (bridges/OTLP/examples/example_04):
+// serves the routes ords_financial.sql defines and answers the way
+// FINANCIAL_API does, so financial_service runs without a database. No
+// OpenTelemetry here: like the database, it reports its work as the span JSON
+// PLTelemetry.end_span sends.
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '1.0.0';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const express = require('express');
+const cors = require('cors');
+const { useFaultInjection } = require('./lib/fault-injection');
+const { useMetrics } = require('./lib/metrics');
+const { useTenant, tenantAttributes, logger } = require('./lib/tenant');
+const { useHealth } = require('./lib/health');
+const { serviceLifecycle } = require('./lib/lifecycle');
+const { createRandom } = require('./lib/seeded-random');
+
+const app = express();
+const PORT = process.env.SERVICE_PORT || 8080;
+const SERVICE_NAME = 'ORDS Stand-in';
+
+// SYS_CONTEXT('USERENV', 'DB_NAME') and INSTANCE_NAME on the gvenzl/oracle-free image
+const DB_NAME = process.env.ORDS_DB_NAME || 'FREE';
+// Scales the 300ms query and 150ms calculation; 0 turns them off
+const LATENCY_FACTOR = process.env.ORDS_LATENCY_FACTOR !== undefined ? Number(process.env.ORDS_LATENCY_FACTOR) : 1;
+// Spans also go here: one JSON per line, and/or POSTed like send_to_backend
+const SPANS_FILE = process.env.ORDS_SPANS_FILE || null;
+const BACKEND_URL = process.env.ORDS_BACKEND_URL || null;
+const BACKEND_API_KEY = process.env.ORDS_BACKEND_API_KEY || 'not-configured';
+const SPANS_KEPT = Number(process.env.ORDS_SPANS_KEPT) || 1000;
+
+const BASE_PATH = '/ords/pltdb';
+
+// Transactions are drawn from these, per customer and period
+const CATALOG = {
+    Software: ['License renewal', 'Cloud subscription', 'Database options'],
+    Consulting: ['Technical consulting', 'Architecture review', 'Migration assessment'],
+    Training: ['Staff training program', 'Certification course'],
+    Hardware: ['Server upgrade', 'Storage expansion'],
+    Support: ['Annual support contract', 'Incident response retainer']
+};
+
+app.use(cors());
+app.use(express.json());
+
+// X-PLT-Tenant-ID / -Name, which the ORDS handler passes to
+// PLTelemetry.set_tenant_context (see lib/tenant.js)
+useTenant(app);
+
+// Prometheus metrics on /metrics (see lib/metrics.js)
+const metrics = useMetrics(app, { service: 'ords-standin' });
+metrics.health(() => health.lastStatus);
+const summariesGenerated = metrics.counter('ords_financial_summaries_total', 'Financial summaries answered', ['trace', 'status']);
+const spansEmitted = metrics.counter('plt_spans_emitted_total', 'PLTelemetry spans ended', ['operation', 'status']);
+
+// Fault injection (see lib/fault-injection.js); plsql-exception makes
+// FINANCIAL_API fail after it started its span (off by default, the data is
+// meant to be repeatable)
+const faults = useFaultInjection(app, {
+    service: 'ords-standin',
+    triggers: { 'plsql-exception': 0 }
+});
+
+// Ended spans, newest last
+const spans = [];
+const delivery = { sent: 0, failed: 0, lastError: null };
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms * LATENCY_FACTOR));
+}
+
+// TO_CHAR(SYSTIMESTAMP, 'YYYY-MM-DD"T"HH24:MI:SS.FF3"Z"')
+function isoTimestamp(date = new Date()) {
+    return date.toISOString();
+}
+
+function headerId(value, length) {
+    return typeof value === 'string' && new RegExp(`^[0-9a-f]{${length}}$`, 'i').test(value) && !/^0+$/.test(value)
+        ? value.toLowerCase()
+        : null;
+}
+
+/**
+ * The trace to continue: X-PLT-Trace-ID, which is what the ORDS handler passes
+ * to FINANCIAL_API, or else the trace id of a W3C traceparent
+ */
+function incomingTrace(req) {
+    const pltTraceId = headerId(req.get('x-plt-trace-id'), 32);
+    if (pltTraceId) return { traceId: pltTraceId, source: 'x-plt-trace-id' };
+
+    const match = /^[0-9a-f]{2}-([0-9a-f]{32})-[0-9a-f]{16}-[0-9a-f]{2}$/i.exec(req.get('traceparent') || '');
+    const traceId = match && headerId(match[1], 32);
+    return traceId ? { traceId, source: 'traceparent' } : null;
+}
+
+// -----------------------------------------------------------------------------
+// PLTELEMETRY SPANS
+// -----------------------------------------------------------------------------
+
+// PLTelemetry.add_attribute / attributes_to_json: every value is a string, and
+// tenant.id / tenant.name come first from the tenant context, never from values
+function attributes(values) {
+    return {
+        ...tenantAttributes(),
+        ...Object.fromEntries(Object.entries(values)
+            .filter(([key, value]) => value !== undefined && value !== null && key !== 'tenant.id' && key !== 'tenant.name')
+            .map(([key, value]) => [key, String(value)]))
+    };
+}
+
+function startSpan(traceId, operation) {
+    return {
+        traceId,
+        spanId: crypto.randomBytes(8).toString('hex'),
+        operation,
+        startedAt: new Date(),
+        start: performance.now(),
+        events: []
+    };
+}
+
+// add_event only calls attributes_to_json when there are attributes
+function addEvent(span, name, values = {}) {
+    span.events.push({ name, time: isoTimestamp(), attributes: Object.keys(values).length ? attributes(values) : {} });
+}
+
+/**
+ * End a span and emit the JSON end_span builds, fields in the same order.
+ * Parents stay empty: FINANCIAL_API starts every span without one.
+ */
+function endSpan(span, status, values = {}) {
+    const json = {
+        trace_id: span.traceId,
+        span_id: span.spanId,
+        parent_span_id: '',
+        operation_name: span.operation,
+        start_time: isoTimestamp(span.startedAt),
+        end_time: isoTimestamp(),
+        duration_ms: Math.round((performance.now() - span.start) * 1000) / 1000,
+        status,
+        events: span.events,
+        attributes: attributes(values)
+    };
+
+    spans.push(json);
+    if (spans.length > SPANS_KEPT) spans.shift();
+    spansEmitted.inc({ operation: span.operation, status });
+    if (SPANS_FILE) fs.appendFile(SPANS_FILE, `${JSON.stringify(json)}\n`, (error) => {
+        if (error) logger.error(`[${SERVICE_NAME}] Cannot write ${SPANS_FILE}: ${error.message}`);
+    });
+    if (BACKEND_URL) sendToBackend(json);
+    return json;
+}
+
+/**
+ * POST a span like send_to_backend_sync, headers included. One try: the
+ * PL/SQL does not retry either.
+ */
+async function sendToBackend(json) {
+    try {
+        const response = await fetch(BACKEND_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-OTel-Source': 'PLTelemetry',
+                'X-PLSQL-API-KEY': BACKEND_API_KEY,
+                'X-PLSQL-DB': DB_NAME
+            },
+            body: JSON.stringify(json),
+            signal: AbortSignal.timeout(5000)
+        });
+        await response.arrayBuffer();
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        delivery.sent++;
+        delivery.lastError = null;
+    } catch (error) {
+        delivery.failed++;
+        delivery.lastError = error.cause ? (error.cause.code || error.cause.message) : error.message;
+        logger.error(`[${SERVICE_NAME}] Span ${json.span_id} not delivered to ${BACKEND_URL}: ${delivery.lastError}`);
+    }
+}
+
+// -----------------------------------------------------------------------------
+// FINANCIAL_API
+// -----------------------------------------------------------------------------
+
+/**
+ * First and last day of a period: 2025-Q3, 2025-07 or 2025. Anything else
+ * gets Q4 2024, where the PL/SQL's hardcoded transactions fall.
+ */
+function periodRange(period) {
+    const quarter = /^(\d{4})-Q([1-4])$/i.exec(period);
+    const month = /^(\d{4})-(\d{2})$/.exec(period);
+    const year = /^(\d{4})$/.exec(period);
+    if (quarter) return [Date.UTC(quarter[1], (quarter[2] - 1) * 3, 1), Date.UTC(quarter[1], quarter[2] * 3, 0)];
+    if (month && month[2] >= 1 && month[2] <= 12) return [Date.UTC(month[1], month[2] - 1, 1), Date.UTC(month[1], month[2], 0)];
+    if (year) return [Date.UTC(year[1], 0, 1), Date.UTC(year[1], 11, 31)];
+    return [Date.UTC(2024, 9, 1), Date.UTC(2024, 11, 31)];
+}
+
+/**
+ * Same customer and period, same transactions
+ */
+function fetchTransactions(customerId, period) {
+    const random = createRandom(`${customerId}|${period}`);
+    const [from, to] = periodRange(period);
+    const days = Math.round((to - from) / 86400000) + 1;
+    const categories = Object.keys(CATALOG);
+
+    const count = 3 + Math.floor(random() * 6);
+    const transactions = Array.from({ length: count }, () => {
+        const category = categories[Math.floor(random() * categories.length)];
+        const descriptions = CATALOG[category];
+        return {
+            date: new Date(from + Math.floor(random() * days) * 86400000).toISOString().slice(0, 10),
+            amount: Math.round(100 + random() * 4900) + (random() < 0.5 ? 0 : 0.5),
+            category,
+            description: descriptions[Math.floor(random() * descriptions.length)]
+        };
+    });
+
+    return transactions
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((transaction, index) => ({ id: `TXN${String(index + 1).padStart(3, '0')}`, ...transaction }));
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// get_top_categories
+function topCategories(transactions, limit = 5) {
+    const total = transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+    const byCategory = new Map();
+    for (const transaction of transactions) {
+        byCategory.set(transaction.category, (byCategory.get(transaction.category) || 0) + transaction.amount);
+    }
+    return [...byCategory]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([category, amount]) => ({ category, amount: round2(amount), percentage: round2((amount / total) * 100) }));
+}
+
+/**
+ * FINANCIAL_API.generate_financial_summary, spans and events included
+ * @param {Object} options { customerId, period, includeMetrics, traceId }
+ * @returns {Promise<{ summary: Object, trace: Object }>} summary is what the PL/SQL returns,
+ *   success or not; trace the ids of the root span
+ */
+async function generateFinancialSummary({ customerId, period, includeMetrics, traceId }) {
+    const startedAt = performance.now();
+    const elapsed = () => Math.round(performance.now() - startedAt);
+
+    // continue_distributed_trace, or start_span on a new trace
+    const root = traceId
+        ? startSpan(traceId, 'oracle_financial_summary_generation')
+        : startSpan(crypto.randomBytes(16).toString('hex'), 'financial_summary_standalone');
+    if (traceId) {
+        // Its tenant.id ('financial_dept') is dropped by attributes_to_json,
+        // which only writes the tenant of set_tenant_context
+        addEvent(root, 'distributed_trace_continued', {
+            'trace.source': 'external',
+            'system.previous': 'oracle-forms'
+        });
+    }
+    const trace = { traceId: root.traceId, spanId: root.spanId };
+
+    addEvent(root, 'financial_processing_started', {
+        'customer.id': customerId,
+        'report.period': period,
+        'oracle.package': 'FINANCIAL_API',
+        'oracle.function': 'generate_financial_summary',
+        'system.type': 'oracle-plsql'
+    });
+    // The PL/SQL reuses l_attrs: later assignments overwrite positions 1-3
+    // and keep the rest, hence oracle.function and system.type below
+    const leftover = { 'oracle.function': 'generate_financial_summary', 'system.type': 'oracle-plsql' };
+
+    try {
+        addEvent(root, 'fetching_transactions_started');
+        const query = startSpan(root.traceId, 'fetch_historical_transactions');
+        addEvent(query, 'query_execution_started', {
+            'db.operation': 'SELECT',
+            'db.table': 'financial_transactions',
+            'customer.id': customerId,
+            'query.period': period
+        });
+        await sleep(300);
+        const transactions = fetchTransactions(customerId, period);
+        const fetched = {
+            'query.rows_returned': transactions.length,
+            'query.duration_ms': '300',
+            'customer.id': customerId,
+            'query.period': period
+        };
+        addEvent(query, 'query_execution_completed', fetched);
+        endSpan(query, 'OK', fetched);
+        addEvent(root, 'transactions_fetched');
+
+        addEvent(root, 'calculating_metrics_started');
+        const calculation = startSpan(root.traceId, 'calculate_financial_metrics');
+        addEvent(calculation, 'metric_calculation_started', {
+            'calculation.type': 'financial_ratios',
+            'input.transactions': transactions.length,
+            'customer.id': customerId
+        });
+        await sleep(150);
+        const totalRevenue = round2(transactions.reduce((sum, transaction) => sum + transaction.amount, 0));
+        const averageTransaction = transactions.length ? round2(totalRevenue / transactions.length) : 0;
+        const calculated = {
+            'metrics.total_revenue': totalRevenue,
+            'metrics.avg_transaction': averageTransaction,
+            'calculation.duration_ms': '150'
+        };
+        addEvent(calculation, 'metrics_calculation_completed', calculated);
+        endSpan(calculation, 'OK', calculated);
+        addEvent(root, 'metrics_calculated');
+
+        if (faults.trigger('plsql-exception')) {
+            throw new Error('ORA-06502: PL/SQL: numeric or value error: character string buffer too small');
+        }
+
+        let categories = [];
+        if (includeMetrics) {
+            addEvent(root, 'generating_categories_analysis');
+            categories = topCategories(transactions);
+        }
+
+        const summary = {
+            success: true,
+            customer_id: customerId,
+            period,
+            total_revenue: totalRevenue,
+            transaction_count: transactions.length,
+            average_transaction: averageTransaction,
+            top_categories: categories,
+            transactions,
+            metadata: {
+                generated_at: isoTimestamp(),
+                processing_time_ms: elapsed(),
+                data_source: 'oracle-plsql',
+                trace_id: traceId || 'none',
+                db_instance: DB_NAME
+            }
+        };
+
+        const completed = {
+            'response.size_bytes': Buffer.byteLength(JSON.stringify(summary)),
+            'transactions.processed': transactions.length,
+            'processing.duration_ms': elapsed(),
+            ...leftover
+        };
+        addEvent(root, 'financial_summary_completed', completed);
+        endSpan(root, 'OK', completed);
+        return { summary, trace };
+    } catch (error) {
+        const failed = {
+            'error.type': 'oracle_exception',
+            'error.message': error.message.slice(0, 200),
+            'oracle.package': 'FINANCIAL_API',
+            ...leftover
+        };
+        addEvent(root, 'financial_summary_failed', failed);
+        endSpan(root, 'ERROR', failed);
+        return { summary: { success: false, error: error.message, timestamp: isoTimestamp() }, trace };
+    }
+}
+
+// Request logging middleware
+app.use((req, res, next) => {
+    logger.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// Health endpoints (see lib/health.js)
+const health = useHealth(app, {
+    service: 'ords-standin',
+    version: SERVICE_VERSION,
+    checks: BACKEND_URL ? {
+        // Spans that do not reach the backend are lost, the answers are not
+        span_delivery: {
+            critical: false,
+            check: () => ({
+                status: delivery.lastError ? 'degraded' : 'healthy',
+                ...(delivery.lastError && { message: `Last span not delivered: ${delivery.lastError}` }),
+                details: { backend_url: BACKEND_URL, sent: delivery.sent, failed: delivery.failed }
+            })
+        }
+    } : {},
+    details: () => ({
+        db_name: DB_NAME,
+        spans_kept: spans.length,
+        spans_file: SPANS_FILE,
+        backend_url: BACKEND_URL
+    })
+});
+
+// ORDS answers the schema root with its module catalog; financial_service
+// health-checks this path
+app.get(`${BASE_PATH}/`, (req, res) => {
+    res.json({
+        items: [{ name: 'financial.reports', uri_prefix: '/financial/reports/', status: 'PUBLISHED' }],
+        links: [{ rel: 'self', href: `${req.protocol}://${req.get('host')}${BASE_PATH}/` }]
+    });
+});
+
+app.post(`${BASE_PATH}/financial/reports/summary`, async (req, res) => {
+    const body = req.body || {};
+    const customerId = body.customer_id;
+    const period = body.period;
+    // JSON_VALUE(:body, '$.include_metrics') = 'false'
+    const includeMetrics = String(body.include_metrics) !== 'false';
+
+    if (!customerId || !period) {
+        return res.status(400).json({
+            error: 'Missing required parameters',
+            details: 'customer_id and period are required'
+        });
+    }
+
+    const incoming = incomingTrace(req);
+    const correlationId = req.get('x-correlation-id');
+    if (incoming) {
+        logger.log(`[${SERVICE_NAME}] 🔗 Continuing trace ${incoming.traceId} (from ${incoming.source})${correlationId ? `, correlation ${correlationId}` : ''}`);
+    }
+
+    try {
+        const { summary, trace } = await generateFinancialSummary({
+            customerId: String(customerId),
+            period: String(period),
+            includeMetrics,
+            traceId: incoming && incoming.traceId
+        });
+        summariesGenerated.inc({ trace: incoming ? 'distributed' : 'standalone', status: summary.success ? 'ok' : 'error' });
+
+        if (correlationId) res.set('X-Correlation-ID', correlationId);
+        res.set({ 'X-PLT-Trace-ID': trace.traceId, 'X-PLT-Span-ID': trace.spanId });
+        // FINANCIAL_API returns its error JSON instead of raising, so ORDS answers 200
+        res.json(summary);
+    } catch (error) {
+        logger.error(`[${SERVICE_NAME}] ❌ ORDS Handler Error: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error', details: error.message, timestamp: isoTimestamp() });
+    }
+});
+
+app.get(`${BASE_PATH}/financial/reports/health`, (req, res) => {
+    res.json({ status: 'healthy', service: 'financial-api', timestamp: isoTimestamp(), version: '1.0.0' });
+});
+
+// Spans ended so far, oldest first; ?trace_id=, ?operation= and ?tenant_id= filter them
+app.get('/admin/spans', (req, res) => {
+    const matching = spans.filter((span) =>
+        (!req.query.trace_id || span.trace_id === req.query.trace_id)
+        && (!req.query.operation || span.operation_name === req.query.operation)
+        && (!req.query.tenant_id || span.attributes['tenant.id'] === req.query.tenant_id));
+    res.json({ count: matching.length, spans: matching });
+});
+
+app.delete('/admin/spans', (req, res) => {
+    const cleared = spans.length;
+    spans.length = 0;
+    res.json({ message: `${cleared} span(s) cleared` });
+});
+
+if (SPANS_FILE) fs.mkdirSync(path.dirname(path.resolve(SPANS_FILE)), { recursive: true });
+
+const server = app.listen(PORT, () => {
+    logger.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
+    logger.log(`   Health: http://localhost:${PORT}/health`);
+    logger.log(`   Summary: POST http://localhost:${PORT}${BASE_PATH}/financial/reports/summary`);
+    logger.log(`   Spans: http://localhost:${PORT}/admin/spans`);
+    if (SPANS_FILE) logger.log(`   Spans file: ${SPANS_FILE}`);
+    if (BACKEND_URL) logger.log(`   Backend: ${BACKEND_URL}`);
+    logger.log(`   Faults: http://localhost:${PORT}/admin/faults`);
+    logger.log(`   Metrics: http://localhost:${PORT}/metrics\n`);
+});
+
+// SIGTERM and crashes, alone or hosted by index.js (see lib/lifecycle.js)
+const lifecycle = module.exports = serviceLifecycle(module, {
+    name: SERVICE_NAME,
+    server
+});
@@ -1,23 +1,734 @@
+// Tracing must start before express is loaded (see lib/tracing.js)
+const tracing = require('./lib/tracing');
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '12.2.1.4';
+tracing.startTracing({ serviceName: 'weblogic-erp', serviceVersion: SERVICE_VERSION });
+
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const { useFaultInjection } = require('./lib/fault-injection');
+const { useMetrics } = require('./lib/metrics');
+const { useTenant, logger } = require('./lib/tenant');
+const { useHealth } = require('./lib/health');
+const { serviceLifecycle } = require('./lib/lifecycle');
+const { ConnectionPool, PoolError } = require('./lib/jdbc-pool');
+const { ExecuteThreads } = require('./lib/execute-threads');
 
 const app = express();
 const PORT = process.env.SERVICE_PORT || 8002;
 const SERVICE_NAME = 'WebLogic ERP';
 
+const DB_NAME = process.env.ERP_DB_NAME || 'ERPDB';
+const STATEMENT_MS = Number(process.env.JDBC_STATEMENT_MS) || 15;
+const STUCK_THREAD_FAIL_COUNT = Number(process.env.WLS_STUCK_THREAD_FAIL_COUNT) || 5;
+const SESSION_TIMEOUT_MS = (Number(process.env.WLS_SESSION_TIMEOUT_S) || 3600) * 1000;
+// Orders and invoices kept in memory, oldest dropped first
+const MAX_RECORDS = Number(process.env.ERP_MAX_RECORDS) || 5000;
+
 app.use(cors());
 app.use(express.json());
+app.use(tracing.traceHeaders());
+// Tenant of each request, kept for its spans, logs, metrics and outbound calls
+// (see lib/tenant.js); installed before metrics so they get the tenant label
+useTenant(app);
+
+// Prometheus metrics on /metrics (see lib/metrics.js); registered before fault
+// injection so faulted responses are counted
+const metrics = useMetrics(app, { service: 'weblogic-erp' });
+metrics.health(() => health.lastStatus);
+metrics.gauge('weblogic_jdbc_connections', 'JDBC connections by state', ['state'], function collect() {
+    const stats = pool.stats();
+    this.set({ state: 'active' }, stats.active_connections);
+    this.set({ state: 'available' }, stats.available_connections);
+    this.set({ state: 'leaked' }, stats.leaked_connections);
+});
+metrics.gauge('weblogic_jdbc_waiting', 'Requests waiting for a JDBC connection', [], function collect() {
+    this.set(pool.waiters.length);
+});
+metrics.gauge('weblogic_threads', 'Execute threads by state', ['state'], function collect() {
+    const stats = threads.stats();
+    this.set({ state: 'active' }, stats.active_threads);
+    this.set({ state: 'idle' }, stats.execute_thread_idle);
+    this.set({ state: 'stuck' }, stats.stuck_threads);
+    this.set({ state: 'queued' }, stats.queue_length);
+});
+metrics.gauge('weblogic_sessions', 'Open HTTP sessions', [], function collect() {
+    this.set(activeSessions());
+});
+const reserveFailures = metrics.counter('weblogic_jdbc_reserve_failures_total', 'Connection reserves that failed', ['reason']);
+const reserveWait = metrics.histogram('weblogic_jdbc_wait_seconds', 'Time waited for a JDBC connection',
+    [], [0.001, 0.01, 0.1, 0.5, 1, 2.5, 5, 10]);
+const transactions = metrics.counter('erp_transactions_total', 'ERP transactions', ['operation', 'result']);
+
+// Fault injection (see lib/fault-injection.js); ora-deadlock rolls back an
+// UPDATE (1% by default), stuck-thread hangs a transaction past StuckThreadMaxTime (0.01%)
+const faults = useFaultInjection(app, {
+    service: 'weblogic-erp',
+    triggers: { 'ora-deadlock': 0.01, 'stuck-thread': 0.0001 }
+});
+
+const pool = new ConnectionPool({
+    name: process.env.JDBC_POOL_NAME || 'ERPDataSource',
+    initialCapacity: Number(process.env.JDBC_INITIAL_CAPACITY) || 5,
+    maxCapacity: Number(process.env.JDBC_MAX_CAPACITY) || 15,
+    reserveTimeoutMs: Number(process.env.JDBC_RESERVE_TIMEOUT_MS) || 10000,
+    maxWaiters: Number(process.env.JDBC_MAX_WAITERS) || 50
+});
+
+const threads = new ExecuteThreads({
+    max: Number(process.env.WLS_THREADS) || 40,
+    stuckThreadMaxTimeMs: (Number(process.env.WLS_STUCK_THREAD_MAX_TIME_S) || 600) * 1000,
+    onStuck: (thread, message) => logger.error(`[${SERVICE_NAME}] ${message}`)
+});
+
+let erpState = {
+    orders: new Map(),
+    invoices: new Map(),
+    sessions: new Map(),
+    // Row locks taken by SELECT ... FOR UPDATE: record -> end of its queue
+    locks: new Map(),
+    // Oracle sequences
+    nextOrder: 100001,
+    nextInvoice: 200001,
+    nextPayment: 300001,
+    // Simulated stuck threads from POST /admin/stuck-threads
+    held: new Set()
+};
+
+class ErpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function money(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function remember(map, id, record) {
+    map.set(id, record);
+    if (map.size > MAX_RECORDS) map.delete(map.keys().next().value);
+}
+
+/**
+ * Run work holding the record's row lock, as SELECT ... FOR UPDATE would:
+ * requests for the same order or invoice take turns, so each one checks the
+ * status and balance the one before it left
+ */
+async function withRowLock(record, work) {
+    const result = (erpState.locks.get(record) || Promise.resolve()).then(() => work());
+    const done = result.then(() => {}, () => {});
+    erpState.locks.set(record, done);
+    try {
+        return await result;
+    } finally {
+        if (erpState.locks.get(record) === done) erpState.locks.delete(record);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// JDBC
+// ---------------------------------------------------------------------------
+
+/**
+ * One SQL statement on a reserved connection, as a CLIENT span under the
+ * request. Statement time is exponential around JDBC_STATEMENT_MS; a hanging
+ * statement blocks until well past StuckThreadMaxTime.
+ */
+async function execute(connection, parent, hang, operation, table, sql) {
+    const span = tracing.startBackgroundSpan(table ? `${operation} ${DB_NAME}.${table}` : operation, {
+        'db.system': 'oracle',
+        'db.name': DB_NAME,
+        'db.operation': operation,
+        ...(table && { 'db.sql.table': table }),
+        'db.statement': sql,
+        'weblogic.jdbc.connection_id': connection.id
+    }, parent, tracing.SpanKind.CLIENT);
+
+    try {
+        if (hang) {
+            await sleep(threads.stuckThreadMaxTimeMs * 1.5);
+            throw new ErpError(500, 'DATABASE_ERROR', 'ORA-03113: end-of-file on communication channel');
+        }
+        await sleep(-Math.log(1 - faults.random()) * STATEMENT_MS);
+        if (operation === 'UPDATE' && faults.trigger('ora-deadlock')) {
+            throw new ErpError(500, 'TRANSACTION_ROLLED_BACK', 'ORA-00060: deadlock detected while waiting for resource');
+        }
+        tracing.endSpan(span);
+    } catch (error) {
+        tracing.endSpan(span, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Reserve a connection, run work(tx) and commit, or roll back when it throws.
+ * tx.execute(operation, table, sql) runs one statement (table may be null).
+ */
+async function transaction(name, work) {
+    const parent = tracing.activeContext();
+    let connection;
+    try {
+        connection = await pool.reserve(name);
+    } catch (error) {
+        if (!(error instanceof PoolError)) throw error;
+        reserveFailures.inc({ reason: error.code.toLowerCase() });
+        transactions.inc({ operation: name, result: 'no_connection' });
+        throw new ErpError(503, error.code, error.message);
+    }
+    reserveWait.observe(connection.waitMs / 1000);
+    tracing.annotate({ 'weblogic.jdbc.wait_ms': connection.waitMs, 'weblogic.jdbc.connection_id': connection.id });
+
+    // The first statement of a stuck transaction hangs
+    let stuck = faults.trigger('stuck-thread');
+    const tx = {
+        execute: (operation, table, sql) => {
+            const hang = stuck;
+            stuck = false;
+            return execute(connection, parent, hang, operation, table, sql);
+        }
+    };
+    try {
+        const result = await work(tx);
+        await tx.execute('COMMIT', null, 'COMMIT');
+        transactions.inc({ operation: name, result: 'committed' });
+        return result;
+    } catch (error) {
+        transactions.inc({ operation: name, result: 'rolled_back' });
+        throw error;
+    } finally {
+        pool.release(connection);
+    }
+}
+
+/**
+ * Route handler run on an execute thread, which is held until the work is
+ * done even if the client gave up
+ */
+function onThread(handler) {
+    return async (req, res) => {
+        const thread = await threads.acquire(`${req.method} ${req.originalUrl}`);
+        tracing.annotate({ 'weblogic.thread': thread.id });
+        try {
+            await handler(req, res);
+        } catch (error) {
+            sendError(res, error);
+        } finally {
+            threads.release(thread);
+        }
+    };
+}
+
+function sendError(res, error) {
+    if (!(error instanceof ErpError)) {
+        logger.error(`[${SERVICE_NAME}] Unexpected error:`, error.message);
+        error = new ErpError(500, 'ERP_ERROR', error.message);
+    }
+    if (error.status >= 500) {
+        metrics.recordError(error.code.toLowerCase());
+        logger.error(`[${SERVICE_NAME}] ${error.code}: ${error.message}`);
+    }
+    tracing.annotate({ 'erp.error_code': error.code });
+    if (res.headersSent || res.destroyed) return;
+    res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+    });
+}
 
-app.get('/health', (req, res) => {
+// ---------------------------------------------------------------------------
+// SESSIONS
+// ---------------------------------------------------------------------------
+
+function activeSessions() {
+    const now = Date.now();
+    for (const [id, session] of erpState.sessions) {
+        if (now - session.lastAccessAt > SESSION_TIMEOUT_MS) erpState.sessions.delete(id);
+    }
+    return erpState.sessions.size;
+}
+
+function sessionId(req) {
+    const cookie = /(?:^|;\s*)JSESSIONID=([^;]+)/.exec(req.headers.cookie || '');
+    return req.get('X-Session-ID') || (cookie && cookie[1]) || null;
+}
+
+function sessionView(session) {
+    return {
+        session_id: session.id,
+        username: session.username,
+        created_at: new Date(session.createdAt).toISOString(),
+        last_access_at: new Date(session.lastAccessAt).toISOString(),
+        expires_at: new Date(session.lastAccessAt + SESSION_TIMEOUT_MS).toISOString()
+    };
+}
+
+// ---------------------------------------------------------------------------
+// ORDERS AND INVOICES
+// ---------------------------------------------------------------------------
+
+function orderView(order) {
+    return {
+        order_id: order.id,
+        customer_id: order.customerId,
+        status: order.status,
+        currency: order.currency,
+        total: order.total,
+        lines: order.lines,
+        invoice_id: order.invoiceId,
+        created_by: order.createdBy,
+        created_at: order.createdAt,
+        updated_at: order.updatedAt
+    };
+}
+
+function invoiceView(invoice) {
+    return {
+        invoice_id: invoice.id,
+        order_id: invoice.orderId,
+        customer_id: invoice.customerId,
+        status: invoice.status,
+        currency: invoice.currency,
+        amount: invoice.amount,
+        amount_paid: invoice.amountPaid,
+        balance: money(invoice.amount - invoice.amountPaid),
+        due_date: invoice.dueDate,
+        payments: invoice.payments,
+        created_at: invoice.createdAt,
+        updated_at: invoice.updatedAt
+    };
+}
+
+function findOrder(id) {
+    const order = erpState.orders.get(id);
+    tracing.annotate({ 'erp.order_id': id });
+    if (!order) throw new ErpError(404, 'ORDER_NOT_FOUND', `Order ${id} not found`);
+    return order;
+}
+
+function findInvoice(id) {
+    const invoice = erpState.invoices.get(id);
+    tracing.annotate({ 'erp.invoice_id': id });
+    if (!invoice) throw new ErpError(404, 'INVOICE_NOT_FOUND', `Invoice ${id} not found`);
+    return invoice;
+}
+
+function parseLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw new ErpError(400, 'INVALID_LINES', 'lines must be a non-empty array');
+    }
+    return lines.map((line, index) => {
+        const quantity = Number(line.quantity);
+        const unitPrice = Number(line.unit_price);
+        if (!line.sku || !(quantity > 0) || !(unitPrice >= 0)) {
+            throw new ErpError(400, 'INVALID_LINES', `Line ${index + 1} needs a sku, a quantity above 0 and a unit_price of 0 or more`);
+        }
+        return { line_number: index + 1, sku: String(line.sku), quantity, unit_price: unitPrice, amount: money(quantity * unitPrice) };
+    });
+}
+
+function listQuery(req, map, view) {
+    const statuses = req.query.status ? String(req.query.status).toUpperCase().split(',') : null;
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 500));
+    const matching = [...map.values()]
+        .filter((record) => !statuses || statuses.includes(record.status))
+        .filter((record) => !req.query.customer_id || record.customerId === req.query.customer_id)
+        .reverse();
+    return { items: matching.slice(0, limit).map(view), total: matching.length };
+}
+
+app.use((req, res, next) => {
+    logger.log(`[${SERVICE_NAME}] ${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// Health endpoints (see lib/health.js)
+const health = useHealth(app, {
+    service: 'weblogic-erp',
+    version: SERVICE_VERSION,
+    checks: {
+        // Test Connections On Reserve: SELECT 1 FROM DUAL on a pooled connection
+        jdbc: {
+            budgetMs: 500,
+            timeoutMs: 3000,
+            check: async () => {
+                const stats = pool.stats();
+                let connection;
+                try {
+                    connection = await pool.reserve('health check', Math.min(pool.reserveTimeoutMs, 2000));
+                } catch (error) {
+                    return { status: 'unhealthy', message: error.message, details: stats };
+                }
+                pool.release(connection);
+
+                const busy = stats.active_connections >= stats.max_capacity * 0.9 || stats.waiting_for_connection > 0;
+                return {
+                    status: busy ? 'degraded' : 'healthy',
+                    ...(busy && { message: `${stats.active_connections}/${stats.max_capacity} connections in use, ${stats.waiting_for_connection} waiting` }),
+                    details: stats
+                };
+            }
+        },
+        // Overload protection fails the server at WLS_STUCK_THREAD_FAIL_COUNT stuck threads
+        threads: () => {
+            const stats = threads.stats();
+            let status = 'healthy';
+            let message;
+            if (stats.stuck_threads >= STUCK_THREAD_FAIL_COUNT) {
+                status = 'unhealthy';
+                message = `${stats.stuck_threads} stuck threads (server FAILED at ${STUCK_THREAD_FAIL_COUNT})`;
+            } else if (stats.stuck_threads > 0 || stats.queue_length > 0) {
+                status = 'degraded';
+                message = `${stats.stuck_threads} stuck threads, ${stats.queue_length} requests queued`;
+            }
+            return { status, ...(message && { message }), details: stats };
+        }
+    },
+    details: () => ({
+        server_state: 'RUNNING',
+        jdbc: pool.stats(),
+        threads: threads.stats(),
+        sessions: activeSessions(),
+        orders: erpState.orders.size,
+        invoices: erpState.invoices.size
+    }),
+    onReport: (report) => tracing.annotate({
+        'health.status': report.status,
+        'weblogic.stuck_threads': threads.stuckThreads().length,
+        'weblogic.jdbc.active': pool.reserved.size
+    })
+});
+
+// A session is optional; an unknown or expired one is refused
+app.use((req, res, next) => {
+    const id = sessionId(req);
+    if (!id || req.path.startsWith('/admin') || req.path === '/sessions') return next();
+
+    activeSessions();
+    const session = erpState.sessions.get(id);
+    if (!session) {
+        return res.status(401).json({
+            error: `Session ${id} is invalid or has expired`,
+            code: 'SESSION_INVALID'
+        });
+    }
+    session.lastAccessAt = Date.now();
+    req.session = session;
+    tracing.annotate({ 'enduser.id': session.username });
+    next();
+});
+
+// Sessions
+app.post('/sessions', onThread(async (req, res) => {
+    const { username } = req.body;
+    if (!username) throw new ErpError(400, 'MISSING_FIELDS', 'username is required');
+
+    await transaction('login', async (tx) => {
+        await tx.execute('SELECT', 'FND_USER', 'SELECT user_id, end_date FROM fnd_user WHERE user_name = :1');
+        await tx.execute('INSERT', 'ICX_SESSIONS', 'INSERT INTO icx_sessions (session_id, user_id, first_connect) VALUES (:1, :2, SYSDATE)');
+    });
+
+    const now = Date.now();
+    const session = { id: crypto.randomBytes(24).toString('base64url'), username: String(username), createdAt: now, lastAccessAt: now };
+    erpState.sessions.set(session.id, session);
+    tracing.annotate({ 'enduser.id': session.username });
+
+    res.set('Set-Cookie', `JSESSIONID=${session.id}; Path=/; HttpOnly`);
+    res.status(201).json(sessionView(session));
+}));
+
+app.get('/sessions', (req, res) => {
+    activeSessions();
     res.json({
-        service: 'weblogic-erp',
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        version: '12.2.1.4'
+        sessions: [...erpState.sessions.values()].map(sessionView),
+        total: erpState.sessions.size,
+        timeout_s: SESSION_TIMEOUT_MS / 1000
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`🟢 ${SERVICE_NAME} running on port ${PORT}`);
+app.delete('/sessions/:id', (req, res) => {
+    if (!erpState.sessions.delete(req.params.id)) {
+        return res.status(404).json({
+            error: `Session ${req.params.id} not found`,
+            code: 'SESSION_NOT_FOUND'
+        });
+    }
+    res.json({ message: `Session ${req.params.id} invalidated` });
+});
+
+// Orders
+app.post('/orders', onThread(async (req, res) => {
+    const { customer_id: customerId, currency = 'EUR' } = req.body;
+    if (!customerId) throw new ErpError(400, 'MISSING_FIELDS', 'customer_id and lines are required');
+    const lines = parseLines(req.body.lines);
+
+    const order = await transaction('create_order', async (tx) => {
+        await tx.execute('SELECT', 'HZ_CUST_ACCOUNTS', 'SELECT cust_account_id, status FROM hz_cust_accounts WHERE account_number = :1');
+        await tx.execute('INSERT', 'OE_ORDER_HEADERS_ALL', 'INSERT INTO oe_order_headers_all (header_id, order_number, sold_to_org_id, flow_status_code) VALUES (oe_order_headers_s.NEXTVAL, :1, :2, \'BOOKED\')');
+        for (const line of lines) {
+            await tx.execute('INSERT', 'OE_ORDER_LINES_ALL', 'INSERT INTO oe_order_lines_all (line_id, header_id, line_number, ordered_item, ordered_quantity, unit_selling_price) VALUES (oe_order_lines_s.NEXTVAL, :1, :2, :3, :4, :5)');
+        }
+        const now = new Date().toISOString();
+        return {
+            id: `SO-${erpState.nextOrder++}`,
+            customerId: String(customerId),
+            status: 'BOOKED',
+            currency,
+            total: money(lines.reduce((sum, line) => sum + line.amount, 0)),
+            lines,
+            invoiceId: null,
+            createdBy: req.session ? req.session.username : 'anonymous',
+            createdAt: now,
+            updatedAt: now
+        };
+    });
+
+    remember(erpState.orders, order.id, order);
+    tracing.annotate({ 'erp.order_id': order.id, 'erp.order_total': order.total, 'erp.order_lines': lines.length });
+    logger.log(`[${SERVICE_NAME}] Booked ${order.id} for ${order.customerId} (${order.total} ${order.currency})`);
+    res.status(201).json(orderView(order));
+}));
+
+app.get('/orders', (req, res) => {
+    const { items, total } = listQuery(req, erpState.orders, orderView);
+    res.json({ orders: items, total });
+});
+
+app.get('/orders/:id', onThread(async (req, res) => {
+    const order = findOrder(req.params.id);
+    await transaction('get_order', (tx) =>
+        tx.execute('SELECT', 'OE_ORDER_HEADERS_ALL', 'SELECT * FROM oe_order_headers_all WHERE order_number = :1'));
+    res.json(orderView(order));
+}));
+
+app.post('/orders/:id/cancel', onThread(async (req, res) => {
+    const order = findOrder(req.params.id);
+    await withRowLock(order, async () => {
+        if (order.status !== 'BOOKED') {
+            throw new ErpError(409, 'INVALID_ORDER_STATUS', `Order ${order.id} is ${order.status}; only BOOKED orders can be cancelled`);
+        }
+
+        await transaction('cancel_order', async (tx) => {
+            await tx.execute('SELECT', 'OE_ORDER_HEADERS_ALL', 'SELECT flow_status_code FROM oe_order_headers_all WHERE order_number = :1 FOR UPDATE');
+            await tx.execute('UPDATE', 'OE_ORDER_HEADERS_ALL', 'UPDATE oe_order_headers_all SET flow_status_code = \'CANCELLED\', cancelled_flag = \'Y\' WHERE order_number = :1');
+        });
+
+        order.status = 'CANCELLED';
+        order.updatedAt = new Date().toISOString();
+    });
+    logger.log(`[${SERVICE_NAME}] Cancelled ${order.id}`);
+    res.json(orderView(order));
+}));
+
+app.post('/orders/:id/invoice', onThread(async (req, res) => {
+    const order = findOrder(req.params.id);
+    const invoice = await withRowLock(order, () => invoiceOrder(order));
+
+    tracing.annotate({ 'erp.invoice_id': invoice.id, 'erp.invoice_amount': invoice.amount });
+    logger.log(`[${SERVICE_NAME}] Invoiced ${order.id} as ${invoice.id}`);
+    res.status(201).json(invoiceView(invoice));
+}));
+
+/**
+ * Invoice a BOOKED order; the caller holds the order's row lock
+ */
+async function invoiceOrder(order) {
+    if (order.status !== 'BOOKED') {
+        throw new ErpError(409, 'INVALID_ORDER_STATUS', `Order ${order.id} is ${order.status}; only BOOKED orders can be invoiced`);
+    }
+
+    const invoice = await transaction('create_invoice', async (tx) => {
+        await tx.execute('SELECT', 'OE_ORDER_HEADERS_ALL', 'SELECT flow_status_code FROM oe_order_headers_all WHERE order_number = :1 FOR UPDATE');
+        await tx.execute('INSERT', 'RA_CUSTOMER_TRX_ALL', 'INSERT INTO ra_customer_trx_all (customer_trx_id, trx_number, interface_header_attribute1, term_due_date) VALUES (ra_customer_trx_s.NEXTVAL, :1, :2, SYSDATE + 30)');
+        await tx.execute('UPDATE', 'OE_ORDER_HEADERS_ALL', 'UPDATE oe_order_headers_all SET flow_status_code = \'INVOICED\' WHERE order_number = :1');
+        const now = new Date();
+        return {
+            id: `INV-${erpState.nextInvoice++}`,
+            orderId: order.id,
+            customerId: order.customerId,
+            status: 'OPEN',
+            currency: order.currency,
+            amount: order.total,
+            amountPaid: 0,
+            dueDate: new Date(now.getTime() + 30 * 86400000).toISOString().slice(0, 10),
+            payments: [],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+    });
+
+    order.status = 'INVOICED';
+    order.invoiceId = invoice.id;
+    order.updatedAt = invoice.createdAt;
+    remember(erpState.invoices, invoice.id, invoice);
+    return invoice;
+}
+
+// Invoices
+app.get('/invoices', (req, res) => {
+    const { items, total } = listQuery(req, erpState.invoices, invoiceView);
+    res.json({ invoices: items, total });
+});
+
+app.get('/invoices/:id', onThread(async (req, res) => {
+    const invoice = findInvoice(req.params.id);
+    await transaction('get_invoice', (tx) =>
+        tx.execute('SELECT', 'RA_CUSTOMER_TRX_ALL', 'SELECT * FROM ra_customer_trx_all WHERE trx_number = :1'));
+    res.json(invoiceView(invoice));
+}));
+
+app.post('/invoices/:id/payments', onThread(async (req, res) => {
+    const invoice = findInvoice(req.params.id);
+    const amount = money(Number(req.body.amount));
+    if (!(amount > 0)) throw new ErpError(400, 'INVALID_AMOUNT', 'amount must be greater than 0');
+
+    await withRowLock(invoice, async () => {
+        const balance = money(invoice.amount - invoice.amountPaid);
+        if (invoice.status === 'PAID') throw new ErpError(409, 'INVOICE_ALREADY_PAID', `Invoice ${invoice.id} is already paid`);
+        if (amount > balance) throw new ErpError(422, 'OVERPAYMENT', `Payment of ${amount} exceeds the balance of ${balance} ${invoice.currency}`);
+
+        await transaction('apply_payment', async (tx) => {
+            await tx.execute('SELECT', 'AR_PAYMENT_SCHEDULES_ALL', 'SELECT amount_due_remaining FROM ar_payment_schedules_all WHERE customer_trx_id = :1 FOR UPDATE');
+            await tx.execute('INSERT', 'AR_CASH_RECEIPTS_ALL', 'INSERT INTO ar_cash_receipts_all (cash_receipt_id, amount, currency_code) VALUES (ar_cash_receipts_s.NEXTVAL, :1, :2)');
+            await tx.execute('UPDATE', 'AR_PAYMENT_SCHEDULES_ALL', 'UPDATE ar_payment_schedules_all SET amount_due_remaining = amount_due_remaining - :1 WHERE customer_trx_id = :2');
+        });
+
+        const paidAt = new Date().toISOString();
+        invoice.payments.push({ payment_id: `RCPT-${erpState.nextPayment++}`, amount, paid_at: paidAt });
+        invoice.amountPaid = money(invoice.amountPaid + amount);
+        invoice.status = invoice.amountPaid >= invoice.amount ? 'PAID' : 'PARTIALLY_PAID';
+        invoice.updatedAt = paidAt;
+    });
+    tracing.annotate({ 'erp.payment_amount': amount, 'erp.invoice_status': invoice.status });
+    res.status(201).json(invoiceView(invoice));
+}));
+
+// Admin endpoints
+app.get('/admin/jdbc', (req, res) => {
+    res.json(pool.stats());
+});
+
+/**
+ * One setting from POST /admin/jdbc/pool, undefined when it was not sent
+ */
+function poolSetting(body, name, min, max = Infinity) {
+    const value = body[name];
+    if (value === undefined) return undefined;
+    if (!(Number.isInteger(value) && value >= min && value <= max)) {
+        throw new ErpError(400, 'INVALID_POOL_SETTINGS',
+            `${name} must be an integer of ${min} or more${max < Infinity ? ` and at most ${max}` : ''}`);
+    }
+    return value;
+}
+
+app.post('/admin/jdbc/pool', (req, res) => {
+    try {
+        const maxCapacity = poolSetting(req.body, 'max_capacity', 1);
+        // Longer than setTimeout can wait would time out at once
+        const reserveTimeoutMs = poolSetting(req.body, 'reserve_timeout_ms', 0, 2147483647);
+        const maxWaiters = poolSetting(req.body, 'max_waiters', 0);
+
+        if (maxCapacity !== undefined) pool.resize(maxCapacity);
+        if (reserveTimeoutMs !== undefined) pool.reserveTimeoutMs = reserveTimeoutMs;
+        if (maxWaiters !== undefined) pool.maxWaiters = maxWaiters;
+
+        logger.log(`[${SERVICE_NAME}] ${pool.name}: max ${pool.maxCapacity} connections, reserve timeout ${pool.reserveTimeoutMs}ms, ${pool.maxWaiters} waiters`);
+        res.json(pool.stats());
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Connections the application never closes
+app.post('/admin/jdbc/leak', (req, res) => {
+    const leaked = pool.leak(Number(req.body.count) || 1);
+    logger.log(`[${SERVICE_NAME}] Leaked ${leaked} connection(s) from ${pool.name}`);
+    res.json({ message: `${leaked} connection(s) leaked`, ...pool.stats() });
+});
+
+app.delete('/admin/jdbc/leak', (req, res) => {
+    const released = pool.releaseLeaked();
+    logger.log(`[${SERVICE_NAME}] Released ${released} leaked connection(s)`);
+    res.json({ message: `${released} leaked connection(s) released`, ...pool.stats() });
+});
+
+app.get('/admin/threads', (req, res) => {
+    res.json(threads.stats());
+});
+
+// Threads already busy past StuckThreadMaxTime, each holding a JDBC
+// connection (unless hold_connection is false) for hold_seconds
+app.post('/admin/stuck-threads', async (req, res) => {
+    // Never more than the idle threads, so the request itself is not queued
+    const count = Math.min(Number(req.body.count) || 1, threads.max - threads.busy.size);
+    const holdMs = (Number(req.body.hold_seconds) || 600) * 1000;
+    const holdConnection = req.body.hold_connection !== false;
+
+    for (let i = 0; i < count; i++) {
+        const held = { thread: await threads.acquire('POST /orders'), connection: null };
+        held.thread.startedAt = Date.now() - threads.stuckThreadMaxTimeMs - 1000;
+        erpState.held.add(held);
+        if (holdConnection) {
+            pool.reserve('stuck thread', 0).then((connection) => {
+                if (erpState.held.has(held)) held.connection = connection;
+                else pool.release(connection);
+            }, () => {});
+        }
+        held.timer = setTimeout(() => releaseHeld(held), holdMs);
+    }
+    threads.detect();
+
+    res.json({ message: `${count} stuck thread(s) for ${holdMs / 1000}s`, ...threads.stats() });
+});
+
+function releaseHeld(held) {
+    clearTimeout(held.timer);
+    erpState.held.delete(held);
+    threads.release(held.thread);
+    if (held.connection) pool.release(held.connection);
+}
+
+app.delete('/admin/stuck-threads', (req, res) => {
+    const released = erpState.held.size;
+    [...erpState.held].forEach(releaseHeld);
+    logger.log(`[${SERVICE_NAME}] Released ${released} stuck thread(s)`);
+    res.json({ message: `${released} stuck thread(s) released`, ...threads.stats() });
+});
+
+app.post('/admin/simulate-crash', (req, res) => {
+    logger.log(`[${SERVICE_NAME}] Simulating crash - service will exit in 2 seconds`);
+    res.json({ message: 'Service crash simulation initiated' });
+
+    setTimeout(() => lifecycle.crash(), 2000);
+});
+
+threads.start();
+
+const server = app.listen(PORT, () => {
+    logger.log(`\n🟢 ${SERVICE_NAME} running on port ${PORT}`);
+    logger.log(`   Health: http://localhost:${PORT}/health`);
+    logger.log(`   Orders: http://localhost:${PORT}/orders`);
+    logger.log(`   Invoices: http://localhost:${PORT}/invoices`);
+    logger.log(`   JDBC pool: http://localhost:${PORT}/admin/jdbc (${pool.name}, max ${pool.maxCapacity})`);
+    logger.log(`   Threads: http://localhost:${PORT}/admin/threads`);
+    logger.log(`   Faults: http://localhost:${PORT}/admin/faults`);
+    logger.log(`   Metrics: http://localhost:${PORT}/metrics`);
+    logger.log(`   Crash: http://localhost:${PORT}/admin/simulate-crash\n`);
+});
+
+// SIGTERM and crashes, alone or hosted by index.js (see lib/lifecycle.js)
+const lifecycle = module.exports = serviceLifecycle(module, {
+    name: SERVICE_NAME,
+    server,
+    stop: () => {
+        threads.stop();
+        [...erpState.held].forEach(releaseHeld);
+    }
 });
@@ -125,13 +125,6 @@ case "$1" in
             exit 1
         fi
 
-        # Better bc check - try to actually use it
-        if ! echo "1+1" | bc > /dev/null 2>&1; then
-            echo "❌ 'bc' calculator is required for stress testing"
-            echo "Install with: sudo apt-get install bc (Ubuntu/Debian) or brew install bc (macOS)"
-            exit 1
-        fi
-
         RPS=$2
         SERVICE=$3
         DURATION=${4:-30}  # Default 30 seconds if not specified
@@ -147,39 +140,19 @@ case "$1" in
             *) echo "❌ Unknown service: $SERVICE"; exit 1 ;;
         esac
 
-        INTERVAL=$(echo "scale=3; 1/$RPS" | bc -l)
-        TOTAL_REQUESTS=$((RPS * DURATION))
-
         echo "🔥 Starting stress test:"
         echo "   Service: $SERVICE (port $PORT)"
         echo "   Rate: $RPS requests/second"
         echo "   Duration: $DURATION seconds"
-        echo "   Total requests: $TOTAL_REQUESTS"
-        echo "   Interval: ${INTERVAL}s"
         echo ""
         echo "💡 Watch the magic in Grafana: http://localhost:3020"
+        echo "💡 Mixes and ramps: npm run load -- --help"
         echo ""
 
-        # Background stress loop
-        START_TIME=$(date +%s)
-        for i in $(seq 1 $TOTAL_REQUESTS); do
-            curl -s -o /dev/null "http://localhost:$PORT/health" &
-            sleep $INTERVAL
-            
-            # Progress indicator every 10 requests
-            if [ $((i % 10)) -eq 0 ]; then
-                echo -n "."
-            fi
-            
-            # Show progress every 100 requests
-            if [ $((i % 100)) -eq 0 ]; then
-                CURRENT_TIME=$(date +%s)
-                ELAPSED=$((CURRENT_TIME - START_TIME))
-                echo " [$i/$TOTAL_REQUESTS] ${ELAPSED}s elapsed"
-            fi
-        done
+        # Steady rate against /health; the JSON report goes to stress-$SERVICE.json
+        node load/run-load.js --target "$SERVICE/health" --rate "$RPS" --duration "${DURATION}s" \
+            --url "$SERVICE=http://localhost:$PORT" --out "stress-$SERVICE.json" > /dev/null || exit 1
 
-        echo ""
         echo "✅ Stress test completed! Check your Grafana dashboards 📊"
         echo "🎯 Look for response time spikes in the service metrics"
         ;;
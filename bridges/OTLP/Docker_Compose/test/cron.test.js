@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseCron, nextRun, CronError } = require('../services/lib/cron');
+
+// Local time, like the schedules themselves
+const at = (year, month, day, hour = 0, minute = 0, second = 0) => new Date(year, month - 1, day, hour, minute, second);
+const sorted = (values) => [...values].sort((a, b) => a - b);
+
+test('fields take *, lists, ranges and steps', () => {
+    const { fields } = parseCron('*/15 9-17/4 1,15 * 1-5');
+
+    assert.deepStrictEqual(sorted(fields.minutes), [0, 15, 30, 45]);
+    assert.deepStrictEqual(sorted(fields.hours), [9, 13, 17]);
+    assert.deepStrictEqual(sorted(fields.days), [1, 15]);
+    assert.strictEqual(fields.months.size, 12);
+    assert.deepStrictEqual(sorted(fields.weekdays), [1, 2, 3, 4, 5]);
+    // "5/20" runs from 5 to the end of the field
+    assert.deepStrictEqual(sorted(parseCron('5/20 * * * *').fields.minutes), [5, 25, 45]);
+});
+
+test('7 is Sunday too, and the aliases expand to five fields', () => {
+    assert.ok(parseCron('0 0 * * 7').fields.weekdays.has(0));
+    assert.deepStrictEqual(parseCron('@weekly').fields, parseCron('0 0 * * 0').fields);
+    assert.strictEqual(parseCron('@monthly').expression, '@monthly');
+    assert.deepStrictEqual(sorted(parseCron('@daily').fields.hours), [0]);
+});
+
+test('@every gives a fixed interval of at least 1s', () => {
+    assert.deepStrictEqual(parseCron('@every 30s'), { expression: '@every 30s', everyMs: 30000 });
+    assert.strictEqual(parseCron('@every 2h').everyMs, 7200000);
+    assert.throws(() => parseCron('@every 500ms'), CronError);
+    assert.strictEqual(nextRun(parseCron('@every 30s'), 1000).getTime(), 31000);
+});
+
+test('malformed or out of range expressions throw a CronError', () => {
+    for (const expression of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *',
+        '* * * 13 *', '* * * * 8', '10-5 * * * *', '*/0 * * * *', 'a * * * *', '1,,2 * * * *', null]) {
+        assert.throws(() => parseCron(expression), CronError, String(expression));
+    }
+});
+
+test('nextRun is the first matching minute strictly after from', () => {
+    const everyQuarter = parseCron('*/15 * * * *');
+    assert.deepStrictEqual(nextRun(everyQuarter, at(2026, 3, 10, 8, 7, 30)), at(2026, 3, 10, 8, 15));
+    // On a match the next one is still later
+    assert.deepStrictEqual(nextRun(everyQuarter, at(2026, 3, 10, 8, 15)), at(2026, 3, 10, 8, 30));
+    assert.deepStrictEqual(nextRun(everyQuarter, at(2026, 3, 10, 23, 50)), at(2026, 3, 11, 0, 0));
+
+    assert.deepStrictEqual(nextRun(parseCron('30 2 * * *'), at(2026, 3, 10, 3)), at(2026, 3, 11, 2, 30));
+    assert.deepStrictEqual(nextRun(parseCron('@monthly'), at(2026, 12, 15)), at(2027, 1, 1));
+    // Leap days are found as long as they fall within the year nextRun searches
+    assert.deepStrictEqual(nextRun(parseCron('0 0 29 2 *'), at(2027, 3, 1)), at(2028, 2, 29));
+});
+
+test('a date that never comes gives null', () => {
+    assert.strictEqual(nextRun(parseCron('0 0 31 2 *'), at(2026, 1, 1)), null);
+});
+
+test('with both day fields restricted either one matches, otherwise both must', () => {
+    // 2026-03-10 is a Tuesday; the 13th is a Friday and the 15th a Sunday
+    const fifteenthOrFriday = parseCron('0 12 15 * 5');
+    assert.strictEqual(fifteenthOrFriday.fields.anyDay, true);
+    assert.deepStrictEqual(nextRun(fifteenthOrFriday, at(2026, 3, 10)), at(2026, 3, 13, 12));
+    assert.deepStrictEqual(nextRun(fifteenthOrFriday, at(2026, 3, 13, 12)), at(2026, 3, 15, 12));
+
+    // Only the day of week is restricted: the day of month is no extra match
+    const fridays = parseCron('0 12 * * 5');
+    assert.strictEqual(fridays.fields.anyDay, false);
+    assert.deepStrictEqual(nextRun(fridays, at(2026, 3, 13, 12)), at(2026, 3, 20, 12));
+
+    // Only the day of month is restricted: any weekday will do
+    assert.deepStrictEqual(nextRun(parseCron('0 12 15 * *'), at(2026, 3, 10)), at(2026, 3, 15, 12));
+});
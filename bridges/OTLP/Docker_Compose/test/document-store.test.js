@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DocumentStore } = require('../services/lib/document-store');
+
+test.beforeEach((t) => {
+    t.mock.method(console, 'error', () => {});
+});
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const content = (text, format = 'TEXT') => ({
+    body: Buffer.from(text),
+    format,
+    contentType: 'text/plain',
+    extension: 'txt',
+    template: 'invoice',
+    data: { text },
+    renderMs: 3
+});
+
+test('a document is stored as meta.json plus one file per version', (t) => {
+    const dir = tempDir(t);
+    const store = new DocumentStore({ dir });
+    store.load();
+    const document = store.create({ name: 'INV-1', template: 'invoice' }, content('first'));
+    const second = store.addVersion(document, content('second'));
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, document.id)).sort(), ['meta.json', 'v1.txt', 'v2.txt']);
+    assert.strictEqual(second.version, 2);
+    assert.strictEqual(second.sizeBytes, 6);
+    assert.strictEqual(second.sha256, '16367aacb67a4a017c8da8ab95682ccb390863780f7114dda0a0e0c55644c7c4');
+    assert.strictEqual(store.read(document, store.version(document, 1)).toString(), 'first');
+    assert.strictEqual(store.version(document), second);
+    assert.strictEqual(store.version(document, 3), null);
+    assert.deepStrictEqual(store.usage(), { documents: 1, versions: 2, bytes: 11 });
+});
+
+test('version numbers are not reused after a version is removed', (t) => {
+    const store = new DocumentStore({ dir: tempDir(t) });
+    store.load();
+    const document = store.create({ name: 'INV-2', template: 'invoice' }, content('one'));
+    const two = store.addVersion(document, content('two'));
+
+    store.removeVersion(document, two);
+    assert.strictEqual(fs.existsSync(store.versionFile(document, two)), false);
+    assert.strictEqual(store.addVersion(document, content('three')).version, 3);
+    assert.deepStrictEqual(document.versions.map((version) => version.version), [1, 3]);
+});
+
+test('a document whose first version cannot be written leaves nothing behind', (t) => {
+    const dir = tempDir(t);
+    const store = new DocumentStore({ dir });
+    store.load();
+
+    assert.throws(() => store.create({ name: 'broken', template: 'invoice' }, { ...content('x'), body: null }));
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+    assert.strictEqual(store.documents.size, 0);
+});
+
+test('documents are listed most recently updated first and filtered by template', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const store = new DocumentStore({ dir: tempDir(t) });
+    store.load();
+    const invoice = store.create({ name: 'invoice', template: 'invoice' }, content('a'));
+    t.mock.timers.tick(1000);
+    const letter = store.create({ name: 'letter', template: 'customer_letter' }, content('b'));
+    t.mock.timers.tick(1000);
+    store.addVersion(invoice, content('c'));
+
+    assert.deepStrictEqual(store.list().map((document) => document.name), ['invoice', 'letter']);
+    assert.deepStrictEqual(store.list({ template: 'customer_letter' }), [letter]);
+});
+
+test('a restart reloads the documents, without versions whose file is gone', (t) => {
+    const dir = tempDir(t);
+    const saved = new DocumentStore({ dir });
+    saved.load();
+    const kept = saved.create({ name: 'kept', template: 'invoice' }, content('one'));
+    const lost = saved.addVersion(kept, content('two'));
+    const gone = saved.create({ name: 'gone', template: 'invoice' }, content('only'));
+    fs.rmSync(saved.versionFile(kept, lost));
+    fs.rmSync(saved.versionFile(gone, gone.versions[0]));
+
+    const restored = new DocumentStore({ dir });
+    assert.strictEqual(restored.load(), 1);
+    assert.deepStrictEqual(restored.get(kept.id).versions.map((version) => version.version), [1]);
+    assert.strictEqual(restored.get(gone.id), null);
+    assert.strictEqual(restored.get(kept.id).nextVersion, 3);
+});
+
+test('a corrupt meta.json is moved aside and the other documents still load', (t) => {
+    const dir = tempDir(t);
+    const saved = new DocumentStore({ dir });
+    saved.load();
+    const good = saved.create({ name: 'good', template: 'invoice' }, content('ok'));
+
+    const corrupt = {
+        truncated: '{"id": "truncated", "versions": [',
+        null: 'null',
+        'no-versions': JSON.stringify({ id: 'no-versions', name: 'n', versions: {} }),
+        'numeric-name': JSON.stringify({ id: 'numeric-name', name: 42, versions: [] }),
+        'wrong-id': JSON.stringify({ ...good, id: good.id.replace(/^./, '0') })
+    };
+    for (const [id, meta] of Object.entries(corrupt)) {
+        fs.mkdirSync(path.join(dir, id));
+        fs.writeFileSync(path.join(dir, id, 'meta.json'), meta);
+    }
+
+    const restored = new DocumentStore({ dir });
+    assert.strictEqual(restored.load(), 1);
+    assert.deepStrictEqual([...restored.documents.keys()], [good.id]);
+    for (const [id, meta] of Object.entries(corrupt)) {
+        assert.strictEqual(fs.existsSync(path.join(dir, id, 'meta.json')), false, id);
+        assert.strictEqual(fs.readFileSync(path.join(dir, id, 'meta.json.corrupt'), 'utf8'), meta, id);
+    }
+    assert.strictEqual(console.error.mock.callCount(), 5);
+
+    // The moved files are not read again
+    assert.strictEqual(new DocumentStore({ dir }).load(), 1);
+    assert.strictEqual(console.error.mock.callCount(), 5);
+});
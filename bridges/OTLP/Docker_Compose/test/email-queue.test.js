@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EmailQueue } = require('../services/lib/email-queue');
+
+test.beforeEach((t) => {
+    t.mock.method(console, 'error', () => {});
+});
+
+function smtpError(message, fields) {
+    return Object.assign(new Error(message), fields);
+}
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-queue-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'queue.json');
+}
+
+const email = (subject, priority = 'normal') => ({ to: 'ops@example.com', subject, body: 'b', priority });
+
+test('high goes before normal before low, then by due time and age', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const queue = new EmailQueue({ send: async () => ({}) });
+
+    const low = queue.enqueue(email('low', 'low'));
+    t.mock.timers.tick(1);
+    const normal = queue.enqueue(email('normal'));
+    t.mock.timers.tick(1);
+    const high = queue.enqueue(email('high', 'high'));
+    t.mock.timers.tick(1);
+    const laterNormal = queue.enqueue(email('later normal'));
+
+    assert.deepStrictEqual(queue.ordered().map((message) => message.subject), ['high', 'normal', 'later normal', 'low']);
+    assert.deepStrictEqual([high, normal, laterNormal, low].map((message) => queue.position(message)), [1, 2, 3, 4]);
+
+    // A retry waits its turn behind messages that are already due
+    normal.status = 'retrying';
+    normal.nextAttemptAt = Date.now() + 1000;
+    assert.deepStrictEqual(queue.ordered().map((message) => message.subject), ['high', 'later normal', 'normal', 'low']);
+});
+
+test('retries back off exponentially, capped, with 50-100% jitter', () => {
+    let random = 0;
+    const queue = new EmailQueue({ send: async () => ({}), retryBaseMs: 1000, retryMaxMs: 10000, random: () => random });
+
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map((attempt) => queue.retryDelay(attempt)), [500, 1000, 2000, 4000, 5000, 5000]);
+    random = 0.999999;
+    assert.deepStrictEqual([1, 4, 5].map((attempt) => queue.retryDelay(attempt)), [1000, 8000, 10000]);
+});
+
+test('a failed send is retried, and fails for good on a 5xx or after maxAttempts', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const errors = [smtpError('452 mailbox full', { responseCode: 452 }), smtpError('452 mailbox full', { responseCode: 452 })];
+    const queue = new EmailQueue({
+        send: async () => { throw errors.shift() || smtpError('550 no such user', { responseCode: 550 }); },
+        maxAttempts: 3,
+        random: () => 1
+    });
+    const events = [];
+    queue.on('retry', (message, error) => events.push(['retry', message.attempts, error.message]));
+    queue.on('failed', (message, error) => events.push(['failed', message.attempts, error.message]));
+
+    const message = queue.enqueue(email('full'));
+    await queue.deliver(message);
+    assert.deepStrictEqual([message.status, message.nextAttemptAt, queue.holdUntil], ['retrying', 1000, 0]);
+
+    const permanent = queue.enqueue(email('permanent'));
+    errors.length = 0;
+    await queue.deliver(permanent);
+    assert.strictEqual(permanent.status, 'failed');
+    assert.strictEqual(permanent.attempts, 1);
+
+    const limited = new EmailQueue({ send: async () => { throw smtpError('421 try later', { responseCode: 421 }); }, maxAttempts: 2 });
+    const last = limited.enqueue(email('limited'));
+    await limited.deliver(last);
+    await limited.deliver(last);
+    assert.deepStrictEqual([last.status, last.attempts, last.lastError], ['failed', 2, '421 try later']);
+
+    assert.deepStrictEqual(events, [['retry', 1, '452 mailbox full'], ['failed', 1, '550 no such user']]);
+});
+
+test('a connection error holds the whole queue until the retry is due', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const sent = [];
+    let connected = false;
+    const queue = new EmailQueue({
+        send: async (message) => {
+            if (!connected) throw smtpError('connect ECONNREFUSED', { code: 'ECONNECTION' });
+            sent.push(message.subject);
+            return { messageId: message.id };
+        },
+        retryBaseMs: 1000,
+        random: () => 1
+    });
+
+    const first = queue.enqueue(email('first'));
+    queue.enqueue(email('second'));
+    await queue.deliver(first);
+    assert.strictEqual(queue.holdUntil, 1000);
+
+    connected = true;
+    queue.start();
+    t.mock.timers.tick(999);
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(sent, []);
+
+    // The message held since it was queued goes first, then the retry
+    t.mock.timers.tick(1);
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(sent, ['second', 'first']);
+    queue.stop();
+});
+
+test('retryNow lifts the hold and makes every retry due', async () => {
+    const queue = new EmailQueue({ send: async () => { throw smtpError('timeout', { code: 'ETIMEDOUT' }); } });
+    const message = queue.enqueue(email('m'));
+    await queue.deliver(message);
+    assert.ok(queue.holdUntil > Date.now());
+
+    queue.retryNow();
+    assert.strictEqual(queue.holdUntil, 0);
+    assert.ok(message.nextAttemptAt <= Date.now());
+});
+
+test('changes are saved in one write after saveDelayMs, and at once on stop', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const file = tempFile(t);
+    const writes = t.mock.method(fs, 'writeFileSync');
+    const queue = new EmailQueue({ send: async () => ({}), file, saveDelayMs: 200 });
+
+    for (let i = 0; i < 5; i++) queue.enqueue(email(`m${i}`));
+    assert.strictEqual(writes.mock.callCount(), 0);
+    assert.strictEqual(fs.existsSync(file), false);
+
+    t.mock.timers.tick(200);
+    assert.strictEqual(writes.mock.callCount(), 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).messages.length, 5);
+
+    queue.enqueue(email('m5'));
+    queue.stop();
+    assert.strictEqual(writes.mock.callCount(), 2);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).messages.length, 6);
+    t.mock.timers.tick(200);
+    assert.strictEqual(writes.mock.callCount(), 2);
+});
+
+test('a saved queue is restored, and a message caught mid-send is sent again', (t) => {
+    const file = tempFile(t);
+    const saved = new EmailQueue({ send: async () => ({}), file });
+    const sending = saved.enqueue(email('sending'));
+    sending.status = 'sending';
+    saved.enqueue(email('sent')).status = 'sent';
+    saved.flush();
+
+    const restored = new EmailQueue({ send: async () => ({}), file });
+    assert.strictEqual(restored.load(), 1);
+    assert.strictEqual(restored.get(sending.id).status, 'queued');
+    assert.strictEqual(restored.list({ statuses: ['sent'] }).length, 1);
+});
+
+test('a corrupt queue file is moved aside and the queue starts empty', (t) => {
+    const file = tempFile(t);
+    for (const content of ['{"messages": [', 'null', '{"messages": {}}']) {
+        fs.writeFileSync(file, content);
+        const queue = new EmailQueue({ send: async () => ({}), file });
+
+        assert.strictEqual(queue.load(), 0, content);
+        assert.strictEqual(fs.existsSync(file), false);
+        assert.strictEqual(fs.readFileSync(`${file}.corrupt`, 'utf8'), content);
+    }
+
+    fs.writeFileSync(file, JSON.stringify({ messages: [null, { subject: 'no id' }, { id: 'ok', status: 'queued' }] }));
+    const queue = new EmailQueue({ send: async () => ({}), file });
+    assert.strictEqual(queue.load(), 1);
+    assert.deepStrictEqual([...queue.messages.keys()], ['ok']);
+});
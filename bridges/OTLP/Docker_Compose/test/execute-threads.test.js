@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ExecuteThreads } = require('../services/lib/execute-threads');
+
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+});
+
+test('requests take the lowest idle thread and queue when none is idle', async () => {
+    const threads = new ExecuteThreads({ max: 2 });
+    const first = await threads.acquire('GET /orders/1');
+    const second = await threads.acquire('GET /orders/2');
+    assert.deepStrictEqual([first.id, second.id], [0, 1]);
+
+    const queued = threads.acquire('GET /orders/3');
+    assert.deepStrictEqual([threads.stats().queue_length, threads.stats().execute_thread_idle], [1, 0]);
+
+    threads.release(first);
+    const third = await queued;
+    assert.deepStrictEqual([third.id, third.work], [0, 'GET /orders/3']);
+    assert.strictEqual(threads.stats().queue_length, 0);
+});
+
+test('releasing a thread that was already handed on changes nothing', async () => {
+    const threads = new ExecuteThreads({ max: 1 });
+    const first = await threads.acquire('first');
+    const queued = threads.acquire('second');
+    threads.release(first);
+    const second = await queued;
+
+    threads.release(first);
+    assert.strictEqual(threads.busy.get(0), second);
+    assert.strictEqual(threads.stats().active_threads, 1);
+});
+
+test('a thread busy past StuckThreadMaxTime is reported once with BEA-000337', async (t) => {
+    const stuck = [];
+    const threads = new ExecuteThreads({ max: 4, stuckThreadMaxTimeMs: 10000, onStuck: (thread, message) => stuck.push(message) });
+    threads.start(1000);
+    t.after(() => threads.stop());
+    const thread = await threads.acquire('POST /orders');
+
+    t.mock.timers.tick(10000);
+    assert.deepStrictEqual(stuck, []);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(stuck.length, 1);
+    assert.strictEqual(stuck[0], '<BEA-000337> <[STUCK] ExecuteThread: \'0\' for queue: \'weblogic.kernel.Default (self-tuning)\' '
+        + 'has been busy for "11" seconds working on the request "POST /orders", which is more than the configured time '
+        + '(StuckThreadMaxTime) of "10" seconds.>');
+
+    t.mock.timers.tick(5000);
+    assert.strictEqual(stuck.length, 1);
+    const stats = threads.stats();
+    assert.strictEqual(stats.stuck_threads, 1);
+    assert.deepStrictEqual(stats.stuck, [{ thread: 0, work: 'POST /orders', busy_s: 16 }]);
+
+    threads.release(thread);
+    assert.strictEqual(threads.stats().stuck_threads, 0);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { FaultInjector, FaultConfigError, pathPattern } = require('../services/lib/fault-injection');
+
+function injector(options = {}) {
+    return new FaultInjector({ service: 'test-service', seed: 42, ...options });
+}
+
+test('path patterns match parameters and wildcards', () => {
+    assert.ok(pathPattern('/reports/:jobId/status').test('/reports/abc-1/status'));
+    assert.ok(!pathPattern('/reports/:jobId/status').test('/reports/a/b/status'));
+    assert.ok(pathPattern('/reports/*').test('/reports/a/b'));
+    assert.ok(pathPattern('*').test('/anything'));
+});
+
+test('a null schedule or latency means none', () => {
+    const rule = injector().addRule({ path: '/health', errorRate: 1, schedule: null, latency: null });
+    assert.strictEqual(rule.schedule, null);
+    assert.strictEqual(rule.latency, null);
+});
+
+test('a schedule or latency that is not an object is a config error', () => {
+    const faults = injector();
+    for (const rule of [{ schedule: 5000 }, { schedule: 'flap' }, { schedule: [] }, { latency: 'slow' }]) {
+        assert.throws(() => faults.addRule(rule), FaultConfigError, JSON.stringify(rule));
+    }
+    assert.throws(() => faults.addRule({ schedule: { periodMs: 1000 } }), /schedule needs periodMs and activeMs/);
+});
+
+test('errorStatus must be an HTTP status res.status() accepts', () => {
+    const faults = injector();
+    for (const errorStatus of ['oops', '503', 42, 600, 503.5, null]) {
+        assert.throws(() => faults.addRule({ id: 'bad', errorStatus }),
+            /Rule bad: errorStatus must be an integer from 100 to 599/, String(errorStatus));
+    }
+    assert.strictEqual(faults.addRule({ errorStatus: 429 }).errorStatus, 429);
+    assert.strictEqual(faults.addRule({}).errorStatus, 500);
+});
+
+test('path must be a string', () => {
+    const faults = injector();
+    for (const path of [42, ['/health'], { prefix: '/' }]) {
+        assert.throws(() => faults.addRule({ id: 'bad', path }), /Rule bad: path must be a string/, JSON.stringify(path));
+    }
+    assert.strictEqual(faults.addRule({ path: '/health' }).path, '/health');
+    assert.strictEqual(faults.addRule({}).path, '*');
+});
+
+test('the admin API answers an invalid rule with 400 and keeps serving', async (t) => {
+    const app = express();
+    app.use(express.json());
+    const faults = injector();
+    app.use('/admin/faults', faults.router());
+    app.use(faults.middleware());
+    app.get('/ping', (req, res) => res.json({ ok: true }));
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const response = await fetch(`${url}/admin/faults/rules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: '/ping', errorRate: 1, errorStatus: 'oops' })
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).code, 'INVALID_FAULT_CONFIG');
+    assert.strictEqual((await fetch(`${url}/ping`)).status, 200);
+});
+
+test('configure validates every rule before replacing any', () => {
+    const faults = injector();
+    faults.configure({ rules: [{ id: 'keep', errorRate: 0.5 }] });
+
+    assert.throws(() => faults.configure({ rules: [{ id: 'ok' }, { id: 'bad', errorRate: 2 }] }), FaultConfigError);
+    assert.deepStrictEqual(faults.rules.map((rule) => rule.id), ['keep']);
+});
+
+test('flapping rules are only active during the first activeMs of each period', () => {
+    let now = 0;
+    const faults = injector({ now: () => now });
+    const rule = faults.addRule({ schedule: { periodMs: 1000, activeMs: 200 } });
+
+    const active = [0, 150, 250, 999, 1100, 1300].map((time) => {
+        now = time;
+        return faults.isActive(rule);
+    });
+    assert.deepStrictEqual(active, [true, true, false, false, true, false]);
+});
+
+test('the same seed replays the same decisions', () => {
+    const draws = (faults) => Array.from({ length: 20 }, () => faults.trigger('drop'));
+    const triggers = { drop: 0.5 };
+    assert.deepStrictEqual(draws(injector({ triggers })), draws(injector({ triggers })));
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { useHealth } = require('../services/lib/health');
+const { ServiceMetrics } = require('../services/lib/metrics');
+
+test.beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * What PLT_SERVICE_DISCOVERY.perform_health_check records for an answer:
+ * only a 200 body is parsed, UTL_HTTP.READ_TEXT keeps 4000 characters, and
+ * parse_health_response falls back to a regex when JSON_VALUE fails
+ */
+function discoveryStatus(statusCode, body) {
+    if (statusCode !== 200) return 'UNHEALTHY';
+    const text = body.slice(0, 4000);
+    let status;
+    try {
+        status = JSON.parse(text).status;
+    } catch {
+        status = (/"status"\s*:\s*"([^"]+)"/.exec(text) || [])[1];
+    }
+    const statuses = { HEALTHY: 'HEALTHY', DEGRADED: 'DEGRADED', UNHEALTHY: 'UNHEALTHY' };
+    return statuses[String(status ?? 'healthy').toUpperCase()] || 'HEALTHY';
+}
+
+// Discovery resets consecutive_failures for these, and counts a failure otherwise
+const recovers = (status) => ['HEALTHY', 'DEGRADED'].includes(status);
+
+function serviceApp(t, options = {}) {
+    const app = express();
+    app.use(express.json());
+    const health = useHealth(app, { service: 'test-service', version: '2.1.0', eventLoop: false, ...options });
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const get = async (path = '/health') => {
+        // A handler that never answers fails the test instead of hanging it
+        const response = await fetch(`${url}${path}`, { signal: AbortSignal.timeout(5000) });
+        const body = await response.text();
+        return { status: response.status, body, json: JSON.parse(body), discovery: discoveryStatus(response.status, body) };
+    };
+    return { health, url, get };
+}
+
+test('a healthy service answers 200 with the keys discovery reads', async (t) => {
+    const { get } = serviceApp(t, { checks: { database: () => 'healthy' } });
+    const { status, json, discovery } = await get();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(discovery, 'HEALTHY');
+    assert.ok(recovers(discovery));
+    assert.strictEqual(json.version, '2.1.0');
+    assert.ok(Number.isInteger(json.uptime));
+    assert.strictEqual(json.reason, null);
+    assert.strictEqual(json.checks.database.status, 'healthy');
+});
+
+test('a failing non-critical check degrades the service, which still counts as recovered', async (t) => {
+    const { get } = serviceApp(t, {
+        checks: {
+            database: () => 'healthy',
+            cache: { critical: false, check: () => { throw new Error('cache refused the connection'); } }
+        }
+    });
+    const { status, json, discovery } = await get();
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.status, 'degraded');
+    assert.strictEqual(json.reason, 'cache: cache refused the connection');
+    assert.strictEqual(discovery, 'DEGRADED');
+    assert.ok(recovers(discovery));
+});
+
+test('an unhealthy service answers 503, which discovery counts as a failure', async (t) => {
+    const { get } = serviceApp(t, { checks: { smtp: () => ({ status: 'unhealthy', message: 'SMTP connection lost' }) } });
+    const health = await get();
+    const ready = await get('/health/ready');
+
+    assert.strictEqual(health.status, 503);
+    assert.strictEqual(health.discovery, 'UNHEALTHY');
+    assert.ok(!recovers(health.discovery));
+    assert.deepStrictEqual([ready.status, ready.json.ready, ready.json.reason], [503, false, 'smtp: SMTP connection lost']);
+    assert.strictEqual((await get('/health/live')).status, 200);
+});
+
+test('a slow or hung check is degraded or unhealthy', async (t) => {
+    const { get } = serviceApp(t, {
+        checks: {
+            slow: { critical: false, budgetMs: 1, check: () => new Promise((resolve) => setTimeout(resolve, 20)) },
+            hung: { critical: false, timeoutMs: 20, check: () => new Promise(() => {}) }
+        }
+    });
+    const { json } = await get();
+
+    assert.strictEqual(json.checks.slow.status, 'degraded');
+    assert.match(json.checks.slow.message, /budget 1ms/);
+    assert.strictEqual(json.checks.hung.status, 'unhealthy');
+    assert.strictEqual(json.checks.hung.message, 'No answer within 20ms');
+    assert.strictEqual(json.status, 'degraded');
+});
+
+test('a report that cannot be built answers 503 unhealthy instead of hanging', async (t) => {
+    const rejections = [];
+    const onRejection = (error) => rejections.push(error);
+    process.on('unhandledRejection', onRejection);
+    t.after(() => process.off('unhandledRejection', onRejection));
+
+    const { health, get } = serviceApp(t, {
+        details: () => { throw new Error('serviceState is gone'); }
+    });
+    const report = await get();
+    const ready = await get('/health/ready');
+
+    assert.strictEqual(report.status, 503);
+    assert.strictEqual(report.discovery, 'UNHEALTHY');
+    assert.strictEqual(report.json.status, 'unhealthy');
+    assert.strictEqual(report.json.version, '2.1.0');
+    assert.strictEqual(report.json.reason, 'Health report failed: serviceState is gone');
+    assert.deepStrictEqual([ready.status, ready.json.ready], [503, false]);
+    assert.strictEqual(health.lastStatus, 'unhealthy');
+    assert.deepStrictEqual(rejections, []);
+});
+
+test('a report longer than UTL_HTTP reads still gives the top-level status', async (t) => {
+    const { get } = serviceApp(t, {
+        checks: { database: () => ({ status: 'degraded', message: 'slow', details: { note: 'x'.repeat(5000) } }) }
+    });
+    const { body, discovery } = await get();
+
+    assert.ok(body.length > 4000);
+    assert.throws(() => JSON.parse(body.slice(0, 4000)));
+    assert.strictEqual(discovery, 'DEGRADED');
+});
+
+test('a forced status is reported until healthy clears it', async (t) => {
+    const { health, url, get } = serviceApp(t);
+    const force = (status, body) => fetch(`${url}/admin/health/${status}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+
+    assert.strictEqual((await force('unhealthy', { reason: 'drill' })).status, 200);
+    assert.strictEqual(health.lastStatus, 'unhealthy');
+    const forced = await get();
+    assert.deepStrictEqual([forced.status, forced.discovery, forced.json.reason], [503, 'UNHEALTHY', 'forced unhealthy: drill']);
+
+    await force('healthy');
+    assert.strictEqual(health.lastStatus, 'unhealthy');
+    assert.strictEqual((await get()).discovery, 'HEALTHY');
+    assert.strictEqual(health.lastStatus, 'healthy');
+    assert.strictEqual((await force('sideways')).status, 400);
+});
+
+test('service_healthy scrapes reuse the last report instead of running the checks', async (t) => {
+    let runs = 0;
+    const { health, get } = serviceApp(t, { checks: { database: () => { runs++; return 'degraded'; } } });
+    const metrics = new ServiceMetrics({ service: 'test-service' });
+    metrics.health(() => health.lastStatus);
+    const scrape = async () => (await metrics.registry.getSingleMetric('service_healthy').get()).values[0].value;
+
+    assert.strictEqual(await scrape(), 1);
+    await get();
+    assert.strictEqual(await scrape(), 0.5);
+    await scrape();
+    assert.strictEqual(runs, 1);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { trace } = require('@opentelemetry/api');
+
+const tracing = require('../services/lib/tracing');
+
+test.before(() => {
+    delete process.env.OTEL_SDK_DISABLED;
+    delete process.env.OTEL_SERVICE_NAME;
+});
+
+test.beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+});
+
+const serviceName = (span) => (span.isRecording() ? span.resource.attributes['service.name'] : null);
+
+/**
+ * A service as the launcher hosts it: tracing started, then a server and a
+ * timer that each start a span of their own
+ */
+function hostedService(t, name) {
+    return tracing.hostService(() => {
+        tracing.startTracing({ serviceName: name, serviceVersion: '1.0.0' });
+        const http = require('http');
+        const server = http.createServer((req, res) => {
+            const request = trace.getActiveSpan();
+            setTimeout(() => {
+                const child = tracing.getTracer().startSpan('handler');
+                res.end(JSON.stringify({ request: serviceName(request), child: serviceName(child) }));
+            }, 1);
+        });
+        server.listen(0);
+        t.after(() => server.close());
+
+        const timerSpan = new Promise((resolve) => setTimeout(() => resolve(tracing.getTracer().startSpan('tick')), 1));
+        return { server, timerSpan };
+    });
+}
+
+async function spanServices({ server }) {
+    await new Promise((resolve) => (server.listening ? resolve() : server.once('listening', resolve)));
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`, { signal: AbortSignal.timeout(5000) });
+    return response.json();
+}
+
+test('each hosted service reports under its own service.name', async (t) => {
+    const reports = hostedService(t, 'oracle-reports');
+    const erp = hostedService(t, 'weblogic-erp');
+
+    assert.deepStrictEqual(await spanServices(reports), { request: 'oracle-reports', child: 'oracle-reports' });
+    assert.deepStrictEqual(await spanServices(erp), { request: 'weblogic-erp', child: 'weblogic-erp' });
+    assert.strictEqual(serviceName(await reports.timerSpan), 'oracle-reports');
+    assert.strictEqual(serviceName(await erp.timerSpan), 'weblogic-erp');
+});
+
+test('a restarted service keeps its provider, and the launcher itself is not traced', async (t) => {
+    const restarted = hostedService(t, 'oracle-reports');
+    assert.deepStrictEqual(await spanServices(restarted), { request: 'oracle-reports', child: 'oracle-reports' });
+    assert.strictEqual(console.log.mock.calls.filter((call) => /oracle-reports: exporting/.test(call.arguments[0])).length, 0);
+
+    assert.strictEqual(tracing.getTracer().startSpan('control api').isRecording(), false);
+});
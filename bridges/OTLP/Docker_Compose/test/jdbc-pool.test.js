@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ConnectionPool, PoolError } = require('../services/lib/jdbc-pool');
+
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+});
+
+function pool(options = {}) {
+    return new ConnectionPool({ name: 'TestDS', initialCapacity: 1, maxCapacity: 2, reserveTimeoutMs: 1000, maxWaiters: 1, ...options });
+}
+
+const settled = (promise) => promise.then((value) => ({ value }), (error) => ({ error }));
+
+test('the pool grows from the initial to the maximum capacity on demand', async () => {
+    const ds = pool();
+    assert.strictEqual(ds.stats().current_capacity, 1);
+
+    const first = await ds.reserve('a');
+    const second = await ds.reserve('b');
+    assert.deepStrictEqual([first.waitMs, second.waitMs], [0, 0]);
+    assert.notStrictEqual(first.id, second.id);
+
+    const stats = ds.stats();
+    assert.deepStrictEqual([stats.current_capacity, stats.active_connections, stats.available_connections], [2, 2, 0]);
+    assert.strictEqual(stats.active_connections_high, 2);
+});
+
+test('a released connection goes to the longest waiter', async (t) => {
+    const ds = pool({ maxCapacity: 1, maxWaiters: 2 });
+    const held = await ds.reserve('held');
+    const first = ds.reserve('first');
+    const second = ds.reserve('second');
+    assert.strictEqual(ds.stats().waiting_for_connection, 2);
+
+    t.mock.timers.tick(300);
+    assert.strictEqual(ds.stats().longest_wait_ms, 300);
+    ds.release(held);
+    const connection = await first;
+    assert.deepStrictEqual([connection.id, connection.label, connection.waitMs], [held.id, 'first', 300]);
+    assert.strictEqual(ds.stats().wait_ms_high, 300);
+
+    ds.release(connection);
+    assert.strictEqual((await second).label, 'second');
+    assert.strictEqual(ds.stats().waiting_for_connection, 0);
+});
+
+test('a waiter times out after the reserve timeout', async (t) => {
+    const ds = pool({ maxCapacity: 1 });
+    await ds.reserve('held');
+    const waiting = settled(ds.reserve('waiting'));
+
+    t.mock.timers.tick(1000);
+    const { error } = await waiting;
+    assert.ok(error instanceof PoolError);
+    assert.strictEqual(error.code, 'RESERVE_TIMEOUT');
+    assert.match(error.message, /timed out after 1 seconds in pool TestDS/);
+    assert.deepStrictEqual([ds.stats().waiting_for_connection, ds.stats().failed_reserve_requests], [0, 1]);
+});
+
+test('past maxWaiters a reserve fails at once', async () => {
+    const ds = pool({ maxCapacity: 1, maxWaiters: 1 });
+    await ds.reserve('held');
+    ds.reserve('waiting').catch(() => {});
+
+    const { error } = await settled(ds.reserve('refused'));
+    assert.strictEqual(error.code, 'POOL_EXHAUSTED');
+    assert.match(error.message, /No resources currently available in pool TestDS/);
+
+    const none = pool({ maxCapacity: 1, maxWaiters: 0 });
+    await none.reserve('held');
+    assert.strictEqual((await settled(none.reserve('refused'))).error.code, 'POOL_EXHAUSTED');
+});
+
+test('leaked connections stay reserved until released through the admin API', async () => {
+    const ds = pool();
+    assert.strictEqual(ds.leak(5), 2);
+    assert.deepStrictEqual([ds.stats().leaked_connections, ds.stats().available_connections], [2, 0]);
+
+    const waiting = ds.reserve('waiting');
+    assert.strictEqual(ds.releaseLeaked(), 2);
+    assert.strictEqual((await waiting).label, 'waiting');
+    assert.deepStrictEqual([ds.stats().leaked_connections, ds.stats().active_connections], [0, 1]);
+});
+
+test('growing hands new connections to waiters, shrinking closes connections as they come back', async () => {
+    const ds = pool({ maxCapacity: 1, maxWaiters: 5 });
+    const held = await ds.reserve('held');
+    const waiters = [ds.reserve('w1'), ds.reserve('w2')];
+
+    ds.resize(3);
+    const [w1, w2] = await Promise.all(waiters);
+    assert.deepStrictEqual([ds.stats().current_capacity, ds.stats().waiting_for_connection], [3, 0]);
+
+    ds.resize(1);
+    ds.release(held);
+    ds.release(w1);
+    assert.deepStrictEqual([ds.stats().current_capacity, ds.stats().available_connections], [1, 0]);
+    ds.release(w2);
+    assert.deepStrictEqual([ds.stats().current_capacity, ds.stats().available_connections], [1, 1]);
+});
+
+test('releasing a connection twice or one from elsewhere changes nothing', async () => {
+    const ds = pool();
+    const connection = await ds.reserve('a');
+    ds.release(connection);
+    ds.release(connection);
+    ds.release({ id: 99 });
+    assert.deepStrictEqual([ds.stats().current_capacity, ds.stats().available_connections], [1, 1]);
+});
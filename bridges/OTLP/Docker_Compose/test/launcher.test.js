@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Launcher, LauncherError } = require('../services/lib/launcher');
+
+const SERVICES = [{ name: 'oracle-reports', script: 'services/oracle-reports.js', port: 8001, enabled: true }];
+
+function withTracing(value, fn) {
+    const saved = process.env.OTEL_SDK_DISABLED;
+    if (value === undefined) delete process.env.OTEL_SDK_DISABLED;
+    else process.env.OTEL_SDK_DISABLED = value;
+    try {
+        return fn();
+    } finally {
+        if (saved === undefined) delete process.env.OTEL_SDK_DISABLED;
+        else process.env.OTEL_SDK_DISABLED = saved;
+    }
+}
+
+test('both modes run with tracing enabled or disabled', () => {
+    for (const value of [undefined, 'true']) {
+        withTracing(value, () => {
+            for (const mode of ['process', 'child']) {
+                const launcher = new Launcher({ mode, controlPort: 8000, services: SERVICES });
+                assert.strictEqual(launcher.mode, mode);
+                assert.strictEqual(launcher.get('oracle-reports').mode, mode);
+            }
+        });
+    }
+});
+
+test('an unknown service is a 404', () => {
+    const launcher = new Launcher({ mode: 'process', controlPort: 8000, services: SERVICES });
+    assert.throws(() => launcher.get('nope'), (error) => error instanceof LauncherError && error.status === 404 && error.code === 'SERVICE_NOT_FOUND');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeProfile, expectedCount, rateAt, createPicker, percentile, LoadError } = require('../load/load');
+
+const stagesOf = (json) => normalizeProfile({ requests: ['health'], ...json }).stages;
+
+// legacy-mix.json: 5 rps for 30s, ramp to 60 over 2m, hold 1m, ramp down to 5 over 30s
+const LEGACY_MIX = stagesOf({
+    stages: [{ rate: 5, for: '30s' }, { to: 60, for: '2m' }, { rate: 60, for: '1m' }, { to: 5, for: '30s' }]
+});
+
+test('a ramp starts where the stage before it ended', () => {
+    assert.deepStrictEqual(LEGACY_MIX.map(({ fromRps, toRps }) => [fromRps, toRps]), [[5, 5], [5, 60], [60, 60], [60, 5]]);
+    assert.deepStrictEqual(stagesOf({ rate: 2, to: 10, duration: '10s' }), [{ fromRps: 2, toRps: 10, durationMs: 10000 }]);
+    assert.throws(() => stagesOf({ stages: [{ rate: -1, for: '1s' }] }), LoadError);
+    assert.throws(() => stagesOf({ stages: [{ rate: 1 }] }), /for \(or duration\) is required/);
+});
+
+test('expectedCount is the area under the rate plan', () => {
+    assert.strictEqual(expectedCount(LEGACY_MIX, 0), 0);
+    assert.strictEqual(expectedCount(LEGACY_MIX, 10000), 50);
+    // 150 at 5 rps, then half way up the ramp: 60s from 5 to 32.5 rps
+    assert.strictEqual(expectedCount(LEGACY_MIX, 90000), 150 + 60 * (5 + 32.5) / 2);
+    // Whole plan: 150 + 3900 + 3600 + 975, and nothing more after it ends
+    assert.strictEqual(expectedCount(LEGACY_MIX, 270000), 8625);
+    assert.strictEqual(expectedCount(LEGACY_MIX, 600000), 8625);
+});
+
+test('expectedCount grows at the rate rateAt plans', () => {
+    for (const ms of [15000, 45000, 100000, 200000, 255000]) {
+        const perSecond = expectedCount(LEGACY_MIX, ms + 1) - expectedCount(LEGACY_MIX, ms);
+        assert.ok(Math.abs(perSecond * 1000 - rateAt(LEGACY_MIX, ms)) < 0.01, `at ${ms}ms`);
+    }
+    assert.strictEqual(rateAt(LEGACY_MIX, 90000), 32.5);
+    assert.strictEqual(rateAt(LEGACY_MIX, 270000), 0);
+});
+
+test('percentile takes the nearest rank', () => {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+    assert.strictEqual(percentile(sorted, 50), 50);
+    assert.strictEqual(percentile(sorted, 90), 90);
+    assert.strictEqual(percentile(sorted, 95), 100);
+    assert.strictEqual(percentile(sorted, 99), 100);
+    assert.strictEqual(percentile(sorted, 0), 10);
+    assert.strictEqual(percentile([7], 99), 7);
+    assert.strictEqual(percentile([], 50), null);
+});
+
+test('the picker follows the weights, never picks weight 0 and repeats for a seed', () => {
+    const requests = [{ name: 'reports', weight: 3 }, { name: 'email', weight: 1 }, { name: 'off', weight: 0 }];
+    const counts = { reports: 0, email: 0, off: 0 };
+    const { pick } = createPicker(requests, 42);
+    for (let i = 0; i < 4000; i++) counts[pick().name]++;
+
+    assert.strictEqual(counts.off, 0);
+    assert.ok(Math.abs(counts.reports / 4000 - 0.75) < 0.03, JSON.stringify(counts));
+
+    const sequence = (seed) => {
+        const picker = createPicker(requests, seed);
+        return Array.from({ length: 20 }, () => picker.pick().name).join();
+    };
+    assert.strictEqual(sequence(42), sequence(42));
+    assert.notStrictEqual(sequence(42), sequence(43));
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { ServiceMetrics, useMetrics, boundedLabel } = require('../services/lib/metrics');
+const { FaultInjector } = require('../services/lib/fault-injection');
+const { useTenant, runWithTenant, configureTenantLabels } = require('../services/lib/tenant');
+
+/**
+ * An app wired like the services: tenant, metrics, then fault injection
+ */
+function serviceApp(t) {
+    const app = express();
+    useTenant(app);
+    const metrics = useMetrics(app, { service: 'test-service' });
+    const faults = new FaultInjector({ service: 'test-service', seed: 1 });
+    app.use(faults.middleware());
+
+    const orders = express.Router();
+    orders.get('/:orderId', (req, res) => res.json({ id: req.params.orderId }));
+    app.use('/orders', orders);
+    app.get('/reports/:jobId/status', (req, res) => res.status(req.params.jobId === 'missing' ? 404 : 200).json({}));
+    app.post('/boom', () => {
+        throw new Error('boom');
+    });
+
+    const server = app.listen(0);
+    t.after(() => server.close());
+    return { metrics, faults, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * http_requests_total as 'METHOD route status tenant' -> count
+ */
+async function requestCounts(metrics) {
+    const { values } = await metrics.requests.get();
+    return Object.fromEntries(values.map(({ labels, value }) =>
+        [`${labels.method} ${labels.route} ${labels.status} ${labels.tenant}`, value]));
+}
+
+// 'finish' fires after the client has the response
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('counters fold tenants past the label limit into other', async () => {
+    configureTenantLabels({ limit: 1 });
+    const metrics = new ServiceMetrics({ service: 'test-service' });
+    const jobs = metrics.counter('test_jobs_total', 'Jobs', ['format']);
+
+    jobs.inc({ format: 'PDF' });
+    for (const id of ['acme', 'globex', 'initech']) {
+        runWithTenant({ id, name: null }, () => jobs.inc({ format: 'PDF' }));
+    }
+
+    const values = (await jobs.get()).values.map(({ labels, value }) => [labels.tenant, value]);
+    assert.deepStrictEqual(values.sort(), [['acme', 1], ['default', 1], ['other', 2]]);
+    configureTenantLabels();
+});
+
+test('a bounded label keeps the allow-list or the first names, and folds the rest into other', () => {
+    const firstTwo = boundedLabel({ limit: 2 });
+    assert.deepStrictEqual(['gl_posting', 'ar_aging', 'payroll', 'gl_posting'].map(firstTwo),
+        ['gl_posting', 'ar_aging', 'other', 'gl_posting']);
+
+    const allowed = boundedLabel({ allow: ' payroll, gl_posting ', limit: 0 });
+    assert.deepStrictEqual(['gl_posting', 'ar_aging', 'payroll'].map(allowed), ['gl_posting', 'other', 'payroll']);
+
+    const unset = boundedLabel({ allow: undefined, limit: undefined });
+    const names = Array.from({ length: 21 }, (_, i) => `job-${i}`).map(unset);
+    assert.strictEqual(names[19], 'job-19');
+    assert.strictEqual(names[20], 'other');
+});
+
+test('requests are counted by route template, status and tenant', async (t) => {
+    const { metrics, url } = serviceApp(t);
+
+    await fetch(`${url}/reports/job-1/status`);
+    await fetch(`${url}/reports/job-2/status`, { headers: { 'X-PLT-Tenant-ID': 'acme' } });
+    await fetch(`${url}/reports/missing/status`);
+    await fetch(`${url}/orders/42`);
+    await fetch(`${url}/boom`, { method: 'POST' });
+    await fetch(`${url}/no/such/route`);
+    await settle();
+
+    assert.deepStrictEqual(await requestCounts(metrics), {
+        'GET /reports/:jobId/status 200 default': 1,
+        'GET /reports/:jobId/status 200 acme': 1,
+        'GET /reports/:jobId/status 404 default': 1,
+        'GET /orders/:orderId 200 default': 1,
+        'POST /boom 500 default': 1,
+        'GET unmatched 404 default': 1
+    });
+});
+
+test('every counted request is also timed, and scrapes are neither', async (t) => {
+    const { metrics, url } = serviceApp(t);
+
+    await fetch(`${url}/orders/1`);
+    await settle();
+    const scrape = await fetch(`${url}/metrics`);
+    const text = await scrape.text();
+    await settle();
+
+    assert.match(scrape.headers.get('content-type'), /^text\/plain/);
+    assert.match(text, /^http_requests_total\{tenant="default",method="GET",route="\/orders\/:orderId",status="200",service="test-service"\} 1$/m);
+    assert.match(text, /^process_cpu_user_seconds_total\{service="test-service"\}/m);
+    assert.doesNotMatch(text, /route="\/metrics"/);
+
+    const { values } = await metrics.duration.get();
+    const count = values.find((v) => v.metricName === 'http_request_duration_seconds_count');
+    assert.deepStrictEqual([count.labels.route, count.value], ['/orders/:orderId', 1]);
+    assert.strictEqual(Object.keys(await requestCounts(metrics)).length, 1);
+});
+
+test('a faulted response is counted under the route it would have matched', async (t) => {
+    const { metrics, faults, url } = serviceApp(t);
+    faults.addRule({ path: '/reports/:jobId/status', errorRate: 1, errorStatus: 503 });
+
+    assert.strictEqual((await fetch(`${url}/reports/job-1/status`)).status, 503);
+    await settle();
+
+    assert.deepStrictEqual(await requestCounts(metrics), { 'GET /reports/:jobId/status 503 default': 1 });
+});
+
+test('recordError counts by type under the current tenant', async () => {
+    const metrics = new ServiceMetrics({ service: 'test-service' });
+    metrics.recordError('smtp');
+    runWithTenant({ id: 'acme', name: null }, () => metrics.recordError('smtp'));
+
+    const values = (await metrics.errors.get()).values.map(({ labels, value }) => [labels.type, labels.tenant, value]);
+    assert.deepStrictEqual(values.sort(), [['smtp', 'acme', 1], ['smtp', 'default', 1]]);
+});
+
+test('histograms take the tenant with or without labels', async () => {
+    const metrics = new ServiceMetrics({ service: 'test-service' });
+    const seconds = metrics.histogram('test_seconds', 'Test', ['status'], [1]);
+
+    seconds.observe(0.5);
+    seconds.observe({ status: 'ok' }, 2);
+    runWithTenant({ id: 'acme', name: null }, () => seconds.startTimer()({ status: 'ok' }));
+
+    const counts = (await seconds.get()).values
+        .filter((v) => v.metricName === 'test_seconds_count')
+        .map(({ labels, value }) => [labels.status || '', labels.tenant, value]);
+    assert.deepStrictEqual(counts.sort(), [['', 'default', 1], ['ok', 'acme', 1], ['ok', 'default', 1]]);
+});
+
+test('service_healthy scores the status like discovery does', async () => {
+    const metrics = new ServiceMetrics({ service: 'test-service' });
+    let status = 'healthy';
+    metrics.health(() => status);
+
+    const scrape = async () => (await metrics.registry.getSingleMetric('service_healthy').get()).values[0].value;
+    assert.strictEqual(await scrape(), 1);
+    status = 'degraded';
+    assert.strictEqual(await scrape(), 0.5);
+    status = 'unhealthy';
+    assert.strictEqual(await scrape(), 0);
+    status = 'unknown';
+    assert.strictEqual(await scrape(), 0);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const OTHER_TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = 'b7ad6b7169203331';
+const OPERATIONS = ['fetch_historical_transactions', 'calculate_financial_metrics', 'oracle_financial_summary_generation'];
+
+// end_span builds its JSON in this order
+const SPAN_FIELDS = ['trace_id', 'span_id', 'parent_span_id', 'operation_name', 'start_time', 'end_time',
+    'duration_ms', 'status', 'events', 'attributes'];
+
+// What the stand-in POSTs to ORDS_BACKEND_URL
+const delivered = [];
+let lifecycle;
+let url;
+
+test.before(async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const backend = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            delivered.push({ headers: req.headers, span: JSON.parse(body) });
+            res.end('{}');
+        });
+    });
+    await new Promise((resolve) => backend.listen(0, resolve));
+    backend.unref();
+
+    Object.assign(process.env, {
+        SERVICE_PORT: '0',
+        ORDS_LATENCY_FACTOR: '0',
+        ORDS_DB_NAME: 'TESTDB',
+        ORDS_BACKEND_URL: `http://127.0.0.1:${backend.address().port}/v1/plsql`,
+        ORDS_BACKEND_API_KEY: 'test-key'
+    });
+    lifecycle = require('../services/ords-standin');
+    await lifecycle.listening();
+    url = `http://127.0.0.1:${lifecycle.server.address().port}`;
+});
+
+test.after(() => lifecycle.shutdown());
+
+test.beforeEach(async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    await fetch(`${url}/admin/spans`, { method: 'DELETE', signal: AbortSignal.timeout(5000) });
+    delivered.length = 0;
+});
+
+async function summary(headers = {}, body = { customer_id: 'CUST-001', period: '2025-Q3' }) {
+    const response = await fetch(`${url}/ords/pltdb/financial/reports/summary`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(5000)
+    });
+    return { response, json: await response.json() };
+}
+
+async function endedSpans(query = '') {
+    const response = await fetch(`${url}/admin/spans${query}`, { signal: AbortSignal.timeout(5000) });
+    return (await response.json()).spans;
+}
+
+test('X-PLT-Trace-ID is continued as oracle_financial_summary_generation', async () => {
+    const { response, json } = await summary({ 'X-PLT-Trace-ID': TRACE_ID.toUpperCase(), 'X-PLT-Span-ID': SPAN_ID, 'X-Correlation-ID': 'corr-1' });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(json.metadata.trace_id, TRACE_ID);
+    assert.strictEqual(json.metadata.db_instance, 'TESTDB');
+    assert.strictEqual(response.headers.get('x-correlation-id'), 'corr-1');
+    assert.strictEqual(response.headers.get('x-plt-trace-id'), TRACE_ID);
+
+    const spans = await endedSpans();
+    assert.deepStrictEqual(spans.map((span) => span.operation_name), OPERATIONS);
+    assert.ok(spans.every((span) => span.trace_id === TRACE_ID && span.parent_span_id === '' && span.status === 'OK'));
+
+    const root = spans[2];
+    assert.strictEqual(response.headers.get('x-plt-span-id'), root.span_id);
+    assert.notStrictEqual(root.span_id, SPAN_ID);
+    assert.deepStrictEqual(root.events[0], {
+        name: 'distributed_trace_continued',
+        time: root.events[0].time,
+        attributes: { 'trace.source': 'external', 'system.previous': 'oracle-forms' }
+    });
+});
+
+test('traceparent is used only without X-PLT-Trace-ID', async () => {
+    const traceparent = `00-${OTHER_TRACE_ID}-${SPAN_ID}-01`;
+    assert.strictEqual((await summary({ traceparent })).json.metadata.trace_id, OTHER_TRACE_ID);
+    assert.strictEqual((await summary({ traceparent, 'X-PLT-Trace-ID': TRACE_ID })).json.metadata.trace_id, TRACE_ID);
+    // A malformed X-PLT-Trace-ID falls back to traceparent
+    assert.strictEqual((await summary({ traceparent, 'X-PLT-Trace-ID': 'not-a-trace' })).json.metadata.trace_id, OTHER_TRACE_ID);
+});
+
+test('without a valid trace id the summary runs standalone on a new trace', async () => {
+    for (const headers of [{}, { 'X-PLT-Trace-ID': '0'.repeat(32) }, { traceparent: `00-${TRACE_ID}-${SPAN_ID}` }]) {
+        const { response, json } = await summary(headers);
+        assert.strictEqual(json.metadata.trace_id, 'none', JSON.stringify(headers));
+
+        const traceId = response.headers.get('x-plt-trace-id');
+        assert.match(traceId, /^[0-9a-f]{32}$/);
+        assert.notStrictEqual(traceId, TRACE_ID);
+        const [root] = await endedSpans(`?trace_id=${traceId}&operation=financial_summary_standalone`);
+        assert.strictEqual(root.events[0].name, 'financial_processing_started');
+    }
+});
+
+test('end_span JSON keeps the PL/SQL field order, string attributes and the tenant of set_tenant_context', async () => {
+    await summary({ 'X-PLT-Trace-ID': TRACE_ID, 'X-PLT-Tenant-ID': 'acme', 'X-PLT-Tenant-Name': 'Acme Corp' });
+    const spans = await endedSpans('?tenant_id=acme');
+    assert.strictEqual(spans.length, 3);
+
+    for (const span of spans) {
+        assert.deepStrictEqual(Object.keys(span), SPAN_FIELDS);
+        assert.deepStrictEqual(Object.keys(span.attributes).slice(0, 2), ['tenant.id', 'tenant.name']);
+        assert.strictEqual(span.attributes['tenant.name'], 'Acme Corp');
+        assert.ok(Object.values(span.attributes).every((value) => typeof value === 'string'));
+        assert.ok(span.duration_ms >= 0);
+    }
+
+    // Events without attributes get {}, the others the tenant first
+    const root = spans[2];
+    assert.deepStrictEqual(root.events.find((event) => event.name === 'transactions_fetched').attributes, {});
+    assert.strictEqual(root.events.find((event) => event.name === 'financial_processing_started').attributes['tenant.id'], 'acme');
+    // The event's own tenant.id is dropped by attributes_to_json
+    assert.strictEqual(root.events[0].attributes['tenant.id'], 'acme');
+    assert.strictEqual(root.attributes['oracle.function'], 'generate_financial_summary');
+});
+
+test('a PL/SQL exception ends the root span ERROR and still answers 200', async (t) => {
+    const faults = (body) => fetch(`${url}/admin/faults`, {
+        method: body ? 'POST' : 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+        signal: AbortSignal.timeout(5000)
+    });
+    await faults({ triggers: { 'plsql-exception': 1 } });
+    t.after(() => faults());
+
+    const { response, json } = await summary({ 'X-PLT-Trace-ID': TRACE_ID });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(json.success, false);
+    assert.match(json.error, /^ORA-06502/);
+
+    const spans = await endedSpans();
+    assert.deepStrictEqual(spans.map((span) => span.status), ['OK', 'OK', 'ERROR']);
+    assert.strictEqual(spans[2].attributes['error.type'], 'oracle_exception');
+    assert.strictEqual(spans[2].events.at(-1).name, 'financial_summary_failed');
+});
+
+test('each ended span is POSTed to the backend with the send_to_backend headers', async () => {
+    await summary({ 'X-PLT-Trace-ID': TRACE_ID });
+    for (let i = 0; i < 50 && delivered.length < 3; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.deepStrictEqual(delivered.map(({ span }) => span.operation_name).sort(), [...OPERATIONS].sort());
+    const { headers } = delivered[0];
+    assert.strictEqual(headers['x-otel-source'], 'PLTelemetry');
+    assert.strictEqual(headers['x-plsql-api-key'], 'test-key');
+    assert.strictEqual(headers['x-plsql-db'], 'TESTDB');
+});
+
+test('a summary without customer_id or period is a 400 and ends no span', async () => {
+    const { response } = await summary({ 'X-PLT-Trace-ID': TRACE_ID }, { customer_id: 'CUST-001' });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await endedSpans(), []);
+});
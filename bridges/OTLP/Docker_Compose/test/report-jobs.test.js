@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ReportJobs } = require('../services/lib/report-jobs');
+
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+});
+
+function store(options = {}) {
+    return new ReportJobs({ workers: 2, processingTime: () => 1000, ...options });
+}
+
+const submit = (jobs, template = 'monthly') => jobs.submit({ template, format: 'PDF', data: {} });
+
+test('workers take jobs in order and the rest wait their turn', (t) => {
+    const jobs = store();
+    const started = [];
+    jobs.on('processing', (job) => started.push(job.template));
+    const [a, b, c] = ['a', 'b', 'c'].map((template) => submit(jobs, template));
+
+    assert.deepStrictEqual([a.status, b.status, c.status], ['processing', 'processing', 'queued']);
+    assert.strictEqual(jobs.depth, 3);
+    assert.strictEqual(jobs.view(c).queue_position, 1);
+
+    t.mock.timers.tick(1000);
+    assert.deepStrictEqual([a.status, b.status, c.status], ['completed', 'completed', 'processing']);
+    assert.deepStrictEqual(started, ['a', 'b', 'c']);
+
+    t.mock.timers.tick(1000);
+    assert.strictEqual(c.status, 'completed');
+    assert.strictEqual(jobs.depth, 0);
+});
+
+test('the view reports progress, the estimate and where to download', (t) => {
+    const jobs = store({ workers: 1 });
+    const first = submit(jobs);
+    const second = submit(jobs);
+
+    t.mock.timers.tick(250);
+    const processing = jobs.view(first);
+    assert.strictEqual(processing.progress, 25);
+    assert.strictEqual(processing.result_url, null);
+    assert.strictEqual(Date.parse(processing.estimated_completion), 1000);
+    // Waits for the first job, then takes its own second
+    assert.strictEqual(Date.parse(jobs.view(second).estimated_completion), 2000);
+    assert.strictEqual(jobs.view(second).progress, 0);
+
+    t.mock.timers.tick(750);
+    const done = jobs.view(first);
+    assert.strictEqual(done.progress, 100);
+    assert.strictEqual(done.estimated_completion, null);
+    assert.strictEqual(done.completed_at, new Date(1000).toISOString());
+    assert.strictEqual(done.result_url, `/reports/${first.id}/download`);
+});
+
+test('a render failure ends the job failed with the REP error', (t) => {
+    const jobs = store({ renderFails: () => true });
+    const failed = [];
+    jobs.on('failed', (job) => failed.push(job.id));
+    const job = submit(jobs);
+
+    t.mock.timers.tick(1000);
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /REP-1401/);
+    assert.deepStrictEqual(failed, [job.id]);
+    assert.strictEqual(jobs.view(job).result_url, null);
+});
+
+test('cancelling frees the worker or the queue slot, but not a finished job', (t) => {
+    const jobs = store({ workers: 1 });
+    const cancelled = [];
+    jobs.on('cancelled', (job, wasProcessing) => cancelled.push([job.template, wasProcessing]));
+    const running = submit(jobs, 'running');
+    const queued = submit(jobs, 'queued');
+    const next = submit(jobs, 'next');
+
+    assert.strictEqual(jobs.cancel(queued), true);
+    assert.strictEqual(jobs.view(next).queue_position, 1);
+    assert.strictEqual(jobs.cancel(running), true);
+    assert.strictEqual(next.status, 'processing');
+    assert.deepStrictEqual(cancelled, [['queued', false], ['running', true]]);
+
+    // The cancelled job's timer no longer fires
+    t.mock.timers.tick(1000);
+    assert.strictEqual(running.status, 'cancelled');
+    assert.strictEqual(next.status, 'completed');
+    assert.strictEqual(jobs.cancel(next), false);
+    assert.strictEqual(next.status, 'completed');
+});
+
+test('jobs are listed newest first, filtered by status and limited', (t) => {
+    const jobs = store({ workers: 1 });
+    const [a, b, c] = ['a', 'b', 'c'].map((template) => submit(jobs, template));
+    t.mock.timers.tick(1000);
+
+    assert.deepStrictEqual(jobs.list().jobs.map((job) => job.template), ['c', 'b', 'a']);
+    const active = jobs.list({ statuses: ['queued', 'processing'], limit: 1 });
+    assert.deepStrictEqual(active.jobs, [c]);
+    assert.strictEqual(active.total, 2);
+    assert.deepStrictEqual(jobs.list({ statuses: ['completed'] }).jobs, [a]);
+    assert.strictEqual(b.status, 'processing');
+});
+
+test('past maxJobs the oldest finished jobs are dropped, never pending ones', (t) => {
+    const jobs = store({ workers: 1, maxJobs: 2 });
+    const first = submit(jobs, 'first');
+    const second = submit(jobs, 'second');
+    const third = submit(jobs, 'third');
+
+    // Nothing has finished yet, so the store grows past the limit
+    assert.strictEqual(jobs.jobs.size, 3);
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+    submit(jobs, 'fourth');
+    assert.strictEqual(jobs.get(first.id), undefined);
+    assert.strictEqual(jobs.get(second.id), undefined);
+    assert.deepStrictEqual(jobs.list().jobs.map((job) => job.template), ['fourth', 'third']);
+    assert.strictEqual(third.status, 'processing');
+});
+
+test('a job starts inside runInContext', () => {
+    const contexts = [];
+    let current = null;
+    const jobs = store({
+        runInContext: (job, fn) => {
+            current = job.traceContext;
+            try {
+                return fn();
+            } finally {
+                current = null;
+            }
+        }
+    });
+    jobs.on('processing', () => contexts.push(current));
+
+    jobs.submit({ template: 't', format: 'CSV', traceContext: 'ctx-1' });
+    assert.deepStrictEqual(contexts, ['ctx-1']);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    ScenarioError,
+    normalizeScenario,
+    generateScenario,
+    escalatedInterval,
+    expectedOutcome,
+    CRITICALITY_LEVELS
+} = require('../scenarios/scenario');
+const { createRandom } = require('../services/lib/seeded-random');
+
+const level = (criticality) => ({ name: criticality, ...CRITICALITY_LEVELS[criticality] });
+
+function checksOf(events, service) {
+    return events
+        .filter((event) => event.event === 'check' && event.service === service)
+        .map(({ t, status, consecutive_failures, escalation_level, next_due_s }) =>
+            [t, status, consecutive_failures, escalation_level, next_due_s]);
+}
+
+test('the seeded generator repeats its sequence for the same seed', () => {
+    const draw = (seed) => {
+        const random = createRandom(seed);
+        return Array.from({ length: 5 }, () => random());
+    };
+    assert.deepStrictEqual(draw(42), draw(42));
+    assert.deepStrictEqual(draw('42'), draw(42));
+    assert.notDeepStrictEqual(draw(42), draw(43));
+    assert.ok(draw(7).every((value) => value >= 0 && value < 1));
+});
+
+test('the same seed generates the same timeline and expected outcome', () => {
+    const first = generateScenario(7, { steps: 6, durationMs: 30 * 60 * 1000 });
+    assert.deepStrictEqual(generateScenario(7, { steps: 6, durationMs: 30 * 60 * 1000 }), first);
+    assert.notDeepStrictEqual(generateScenario(8, { steps: 6, durationMs: 30 * 60 * 1000 }).steps, first.steps);
+    assert.deepStrictEqual(expectedOutcome(normalizeScenario(first)), expectedOutcome(normalizeScenario(first)));
+});
+
+test('generated faults start on 30s boundaries and leave 5 minutes to recover', () => {
+    for (const seed of [1, 7, 42, 'abc']) {
+        const scenario = normalizeScenario(generateScenario(seed, { steps: 10, durationMs: 330000 }));
+        for (const step of scenario.steps) {
+            assert.strictEqual(step.atMs, 30000, `seed ${seed}`);
+        }
+    }
+    const long = normalizeScenario(generateScenario(3, { steps: 20, durationMs: 20 * 60 * 1000 }));
+    for (const step of long.steps) {
+        assert.strictEqual(step.atMs % 30000, 0);
+        assert.ok(step.atMs >= 30000 && step.atMs <= 20 * 60 * 1000 - 300000, String(step.atMs));
+    }
+});
+
+test('a generated scenario shorter than 330s is rejected', () => {
+    for (const durationMs of [120000, 300000, 329000]) {
+        assert.throws(() => generateScenario(7, { durationMs }),
+            (error) => error instanceof ScenarioError && /at least 330s/.test(error.message), String(durationMs));
+    }
+});
+
+test('escalated intervals follow calculate_escalated_interval', () => {
+    assert.strictEqual(escalatedInterval(level('CRITICAL'), 0), 1);
+    assert.strictEqual(escalatedInterval(level('CRITICAL'), 3), 1);
+    assert.strictEqual(escalatedInterval(level('HIGH'), 0), 2);
+    assert.strictEqual(escalatedInterval(level('HIGH'), 1), 1);
+    assert.strictEqual(escalatedInterval(level('MEDIUM'), 1), 3);
+    assert.strictEqual(escalatedInterval(level('LOW'), 0), 10);
+    assert.strictEqual(escalatedInterval(level('LOW'), 8), 5);
+});
+
+test('failures shorten the interval, escalate at half and at max failures, and reset on recovery', () => {
+    const scenario = normalizeScenario({
+        name: 'email-outage',
+        duration: '10m',
+        services: { 'email-service': {} },
+        steps: [{ at: '60s', service: 'email-service', fault: 'unhealthy', for: '5m' }]
+    });
+    const events = expectedOutcome(scenario);
+
+    // HIGH: every 2 minutes, every minute while failing; level 1 at 2 failures, 2 at 4
+    assert.deepStrictEqual(checksOf(events, 'email-service'), [
+        [15, 'HEALTHY', 0, 0, 135],
+        [135, 'UNHEALTHY', 1, 0, 195],
+        [195, 'UNHEALTHY', 2, 1, 255],
+        [255, 'UNHEALTHY', 3, 1, 315],
+        [315, 'UNHEALTHY', 4, 2, 375],
+        [375, 'HEALTHY', 0, 0, 495],
+        [495, 'HEALTHY', 0, 0, 615]
+    ]);
+    assert.deepStrictEqual(events.at(-1).consecutive_failures, { 'email-service': 0 });
+    assert.deepStrictEqual(events.map((event) => event.event).filter((e) => e !== 'check'),
+        ['scenario', 'fault', 'recover', 'expect']);
+});
+
+test('a timeout delays the rest of the run and a fault without an end is still failing at the end', () => {
+    const scenario = normalizeScenario({
+        duration: '4m',
+        services: { 'oracle-reports': {}, 'weblogic-erp': {} },
+        steps: [{ at: '0s', service: 'oracle-reports', fault: 'slow' }]
+    });
+    const events = expectedOutcome(scenario);
+
+    // oracle-reports sorts first and times out after 10s, so weblogic-erp is checked 10s late
+    assert.deepStrictEqual(checksOf(events, 'oracle-reports')[0], [15, 'TIMEOUT', 1, 0, 85]);
+    assert.deepStrictEqual(checksOf(events, 'weblogic-erp')[0], [25, 'HEALTHY', 0, 0, 85]);
+    assert.deepStrictEqual(events.at(-1).consecutive_failures, { 'oracle-reports': 3, 'weblogic-erp': 0 });
+    assert.deepStrictEqual(events.at(-1).escalation_level, { 'oracle-reports': 1, 'weblogic-erp': 0 });
+});
+
+test('a hang shorter than the timeout is DOWN, a slow response under it is HEALTHY', () => {
+    const scenario = normalizeScenario({
+        duration: '1m',
+        services: { 'document-service': {}, 'batch-processor': {} },
+        steps: [
+            { at: '0s', service: 'document-service', fault: 'hang', hang: '2s' },
+            { at: '0s', service: 'batch-processor', fault: 'slow', latency: '6s' }
+        ]
+    });
+    const events = expectedOutcome(scenario);
+
+    assert.deepStrictEqual(checksOf(events, 'batch-processor'), [[15, 'HEALTHY', 0, 0, 321]]);
+    assert.deepStrictEqual(checksOf(events, 'document-service'), [[21, 'DOWN', 1, 0, 323]]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { compile, htmlToText, escapeHtml, TemplateError } = require('../services/lib/template');
+
+const render = (source, data, options) => compile(source)(data, options);
+
+test('values are looked up by path, and missing ones render empty', () => {
+    const data = { customer: { name: 'Acme', address: null }, total: 0 };
+
+    assert.strictEqual(render('{{ customer.name }} owes {{total}}', data), 'Acme owes 0');
+    assert.strictEqual(render('[{{ customer.address }}][{{ customer.phone.home }}][{{ nobody }}]', data), '[][][]');
+    assert.strictEqual(render('{{ customer }}', data), '{"name":"Acme","address":null}');
+    assert.strictEqual(render('{{ name }}', null), '');
+});
+
+test('HTML rendering escapes {{ }} but not {{{ }}}', () => {
+    const data = { note: '<b>"Tom" & Jerry\'s</b>' };
+
+    assert.strictEqual(render('{{ note }}|{{{ note }}}', data, { escape: true }),
+        '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;|<b>"Tom" & Jerry\'s</b>');
+    assert.strictEqual(render('{{ note }}', data), data.note);
+    assert.strictEqual(escapeHtml(5), '5');
+});
+
+test('each loops with @index, @number, @last and this, and sees outer values', () => {
+    const source = '{{#each lines}}{{ @number }}/{{ @index }} {{ description }} {{ currency }}{{#if @last}}.{{else}}, {{/if}}{{/each}}';
+    const data = { currency: 'EUR', lines: [{ description: 'Widget' }, { description: 'Gadget', currency: 'USD' }] };
+
+    assert.strictEqual(render(source, data), '1/0 Widget EUR, 2/1 Gadget USD.');
+    assert.strictEqual(render('{{#each tags}}<{{ this }}>{{/each}}', { tags: ['a', 'b'] }), '<a><b>');
+    assert.strictEqual(render('{{#each missing}}x{{/each}}', { missing: 'not a list' }), '');
+});
+
+test('if takes the else branch for falsy values and empty lists', () => {
+    const source = '{{#if paid}}paid{{else}}due{{/if}}';
+
+    assert.deepStrictEqual([true, 'yes', 1, [0]].map((paid) => render(source, { paid })), ['paid', 'paid', 'paid', 'paid']);
+    assert.deepStrictEqual([false, '', 0, [], null, undefined].map((paid) => render(source, { paid })), ['due', 'due', 'due', 'due', 'due', 'due']);
+    assert.strictEqual(render('{{#if a}}{{#if b}}ab{{/if}}{{/if}}', { a: 1, b: 1 }), 'ab');
+});
+
+test('syntax errors throw a TemplateError naming the line', () => {
+    const cases = [
+        ['{{#each lines}}\n{{ x }}', /^Line 1: \{\{#each lines\}\} is never closed$/],
+        ['a\n{{/if}}', /^Line 2: \{\{\/if\}\} does not close anything$/],
+        ['{{#if a}}\n\n{{/each}}', /^Line 3: \{\{\/each\}\} does not close \{\{#if\}\} from line 1$/],
+        ['{{else}}', /\{\{else\}\} outside \{\{#if\}\}/],
+        ['{{#if a}}{{else}}{{else}}{{/if}}', /\{\{else\}\} outside \{\{#if\}\}/],
+        ['{{#with customer}}{{/with}}', /unknown block \{\{#with customer\}\}/]
+    ];
+    for (const [source, message] of cases) {
+        assert.throws(() => compile(source), (error) => error instanceof TemplateError && message.test(error.message), source);
+    }
+});
+
+test('htmlToText keeps the text, with block ends as line breaks', () => {
+    const html = '<html><head><title>Invoice</title><style>p { color: red }</style></head>'
+        + '<body><h1>Invoice &amp; receipt</h1><p>Line one<br>Line two</p>'
+        + '<table><tr><td>Widget</td><td>&lt;2&gt;</td></tr></table></body></html>';
+
+    assert.strictEqual(htmlToText(html), 'Invoice & receipt\nLine one\nLine two\nWidget\t<2>');
+});
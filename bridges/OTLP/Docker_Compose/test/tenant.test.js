@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const tenant = require('../services/lib/tenant');
+
+const ACME = { id: 'acme', name: 'Acme Corp' };
+
+test('parseBaggage decodes members and skips malformed ones', () => {
+    const entries = tenant.parseBaggage('tenant.id=acme, tenant.name=Acme%20Corp;prop=1,broken=%E0%A4%A,=x,novalue');
+    assert.deepStrictEqual([...entries], [['tenant.id', 'acme'], ['tenant.name', 'Acme Corp']]);
+    assert.strictEqual(tenant.parseBaggage(undefined).size, 0);
+});
+
+test('X-PLT-Tenant-ID wins over baggage', () => {
+    const headers = { 'x-plt-tenant-id': 'globex', 'baggage': 'tenant.id=acme' };
+    assert.deepStrictEqual(tenant.tenantFromHeaders(headers), { id: 'globex', name: null, source: 'header' });
+    assert.deepStrictEqual(tenant.tenantFromHeaders({ baggage: 'tenant.id=acme,tenant.name=Acme%20Corp' }),
+        { ...ACME, source: 'baggage' });
+});
+
+test('invalid tenant ids are ignored', () => {
+    for (const id of ['', 'has space', 'a'.repeat(101), 'semi;colon']) {
+        assert.strictEqual(tenant.tenantFromHeaders({ 'X-PLT-Tenant-ID': id }), null, id);
+    }
+    const { name } = tenant.tenantFromHeaders({ 'X-PLT-Tenant-ID': 'acme', 'X-PLT-Tenant-Name': ' Acme\r\nCorp ' });
+    assert.strictEqual(name, 'AcmeCorp');
+});
+
+test('withTenantHeaders merges the tenant into existing baggage', () => {
+    const headers = tenant.withTenantHeaders(
+        { 'Content-Type': 'application/json', 'Baggage': 'session=42,tenant.name=Old', 'x-plt-tenant-id': 'stale' },
+        { id: 'acme', name: null }
+    );
+
+    assert.deepStrictEqual(headers, {
+        'Content-Type': 'application/json',
+        'X-PLT-Tenant-ID': 'acme',
+        'baggage': 'session=42,tenant.id=acme'
+    });
+    assert.deepStrictEqual(tenant.withTenantHeaders({ a: '1' }, null), { a: '1' });
+});
+
+test('withTenantHeaders defaults to the current tenant', () => {
+    const headers = tenant.runWithTenant(ACME, () => tenant.withTenantHeaders());
+    assert.strictEqual(headers['X-PLT-Tenant-Name'], 'Acme Corp');
+    assert.deepStrictEqual([...tenant.parseBaggage(headers.baggage)], [['tenant.id', 'acme'], ['tenant.name', 'Acme Corp']]);
+});
+
+test('the current tenant follows async work', async () => {
+    const seen = await tenant.runWithTenant(ACME, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        return tenant.currentTenant();
+    });
+    assert.strictEqual(seen, ACME);
+    assert.strictEqual(tenant.currentTenant(), null);
+    assert.strictEqual(tenant.runWithTenant(ACME, () => tenant.runWithTenant(null, tenant.currentTenant)), null);
+});
+
+test('the tenant label is limited to the first distinct tenants', () => {
+    tenant.configureTenantLabels({ limit: 2 });
+    const label = (id) => tenant.tenantLabel({ id });
+
+    assert.deepStrictEqual(['a', 'b', 'c', 'a', 'd'].map(label), ['a', 'b', 'other', 'a', 'other']);
+    assert.strictEqual(tenant.tenantLabel(null), 'default');
+});
+
+test('an allow-list decides the tenant label', () => {
+    tenant.configureTenantLabels({ allow: 'acme, globex', limit: 100 });
+    assert.deepStrictEqual(['acme', 'globex', 'initech'].map((id) => tenant.tenantLabel({ id })), ['acme', 'globex', 'other']);
+
+    tenant.configureTenantLabels({ allow: ['initech'] });
+    assert.strictEqual(tenant.tenantLabel({ id: 'initech' }), 'initech');
+    assert.strictEqual(tenant.tenantLabel({ id: 'acme' }), 'other');
+    tenant.configureTenantLabels();
+});
+
+test('the span processor stamps the context tenant, else the current one', () => {
+    const processor = new tenant.TenantSpanProcessor();
+    const span = () => ({ attributes: {}, setAttributes(attributes) { Object.assign(this.attributes, attributes); } });
+    const context = (value) => ({ getValue: (key) => (key === tenant.CONTEXT_KEY ? value : undefined) });
+
+    const queued = span();
+    tenant.runWithTenant({ id: 'globex', name: null }, () => processor.onStart(queued, context(ACME)));
+    assert.deepStrictEqual(queued.attributes, { 'tenant.id': 'acme', 'tenant.name': 'Acme Corp' });
+
+    const current = span();
+    tenant.runWithTenant({ id: 'globex', name: null }, () => processor.onStart(current, context(undefined)));
+    assert.deepStrictEqual(current.attributes, { 'tenant.id': 'globex' });
+
+    const none = span();
+    processor.onStart(none, context(undefined));
+    assert.deepStrictEqual(none.attributes, {});
+});
+
+test('logger appends the current tenant and leaves console alone', (t) => {
+    const lines = [];
+    t.mock.method(console, 'log', (...args) => lines.push(args));
+    const log = console.log;
+    tenant.useTenant({ use() {} });
+
+    tenant.logger.log('[svc] started');
+    tenant.runWithTenant(ACME, () => tenant.logger.log('[svc] GET /health'));
+    tenant.runWithTenant(ACME, () => console.log('library output'));
+
+    assert.deepStrictEqual(lines, [['[svc] started'], ['[svc] GET /health', 'tenant=acme'], ['library output']]);
+    assert.strictEqual(console.log, log);
+});
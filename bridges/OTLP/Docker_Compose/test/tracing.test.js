@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { trace, propagation, ROOT_CONTEXT, TraceFlags, defaultTextMapGetter, defaultTextMapSetter } = require('@opentelemetry/api');
+const { tracing: sdkTracing } = require('@opentelemetry/sdk-node');
+
+const tracing = require('../services/lib/tracing');
+const tenant = require('../services/lib/tenant');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const SPAN_ID = 'b7ad6b7169203331';
+const OTHER_TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const OTHER_SPAN_ID = '00f067aa0ba902b7';
+const ACME = { id: 'acme', name: 'Acme Corp' };
+
+const exporter = new sdkTracing.InMemorySpanExporter();
+
+test.before(() => {
+    propagation.setGlobalPropagator(tracing.createPropagator());
+    trace.setGlobalTracerProvider(new sdkTracing.BasicTracerProvider({
+        spanProcessors: [new sdkTracing.SimpleSpanProcessor(exporter)]
+    }));
+});
+
+test.after(() => {
+    propagation.disable();
+    trace.disable();
+});
+
+function extract(headers) {
+    return trace.getSpanContext(propagation.extract(ROOT_CONTEXT, headers));
+}
+
+function remoteContext(traceId = TRACE_ID, spanId = SPAN_ID) {
+    return trace.setSpanContext(ROOT_CONTEXT, { traceId, spanId, traceFlags: TraceFlags.SAMPLED, isRemote: true });
+}
+
+test('the PLTelemetry headers continue a trace when there is no traceparent', () => {
+    assert.deepStrictEqual(extract({ 'x-plt-trace-id': TRACE_ID.toUpperCase(), 'x-plt-span-id': SPAN_ID }), {
+        traceId: TRACE_ID, spanId: SPAN_ID, traceFlags: TraceFlags.SAMPLED, isRemote: true
+    });
+});
+
+test('traceparent wins over the PLTelemetry headers', () => {
+    const spanContext = extract({
+        traceparent: `00-${OTHER_TRACE_ID}-${OTHER_SPAN_ID}-00`,
+        'x-plt-trace-id': TRACE_ID,
+        'x-plt-span-id': SPAN_ID
+    });
+    assert.strictEqual(spanContext.traceId, OTHER_TRACE_ID);
+    assert.strictEqual(spanContext.spanId, OTHER_SPAN_ID);
+    assert.strictEqual(spanContext.traceFlags, TraceFlags.NONE);
+});
+
+test('PLTelemetry headers with a missing or malformed id start no trace', () => {
+    for (const headers of [
+        { 'x-plt-trace-id': TRACE_ID },
+        { 'x-plt-trace-id': TRACE_ID.slice(1), 'x-plt-span-id': SPAN_ID },
+        { 'x-plt-trace-id': TRACE_ID, 'x-plt-span-id': 'zzzzzzzzzzzzzzzz' },
+        // PLT_SERVICE_DISCOVERY's X-Trace-ID has no parent span: it is only an attribute
+        { 'x-trace-id': TRACE_ID }
+    ]) {
+        assert.strictEqual(extract(headers), undefined, JSON.stringify(headers));
+    }
+});
+
+test('the PLTelemetry propagator writes both ids for a valid span only', () => {
+    const propagator = new tracing.PltHeadersPropagator();
+    const headers = {};
+    propagator.inject(remoteContext(), headers, defaultTextMapSetter);
+    assert.deepStrictEqual(headers, { 'X-PLT-Trace-ID': TRACE_ID, 'X-PLT-Span-ID': SPAN_ID });
+
+    const none = {};
+    propagator.inject(ROOT_CONTEXT, none, defaultTextMapSetter);
+    assert.deepStrictEqual(none, {});
+    assert.strictEqual(propagator.extract(ROOT_CONTEXT, {}, defaultTextMapGetter), ROOT_CONTEXT);
+});
+
+test('contextHeaders carries the trace and the tenant, contextFromHeaders restores both', () => {
+    const headers = tracing.contextHeaders(remoteContext().setValue(tenant.CONTEXT_KEY, ACME));
+
+    assert.strictEqual(headers.traceparent, `00-${TRACE_ID}-${SPAN_ID}-01`);
+    assert.strictEqual(headers['X-PLT-Trace-ID'], TRACE_ID);
+    assert.strictEqual(headers['X-PLT-Span-ID'], SPAN_ID);
+    assert.strictEqual(headers['X-PLT-Tenant-ID'], 'acme');
+
+    // Stored headers keep their case; they are looked up lowercased
+    const restored = tracing.contextFromHeaders(JSON.parse(JSON.stringify(headers)));
+    assert.strictEqual(trace.getSpanContext(restored).traceId, TRACE_ID);
+    assert.strictEqual(trace.getSpanContext(restored).spanId, SPAN_ID);
+    assert.deepStrictEqual(tenant.tenantFromContext(restored), { ...ACME, source: 'header' });
+});
+
+test('contextHeaders falls back to the current tenant', () => {
+    const headers = tenant.runWithTenant(ACME, () => tracing.contextHeaders(remoteContext()));
+    assert.strictEqual(headers['X-PLT-Tenant-Name'], 'Acme Corp');
+    assert.strictEqual(tracing.contextHeaders(ROOT_CONTEXT)['X-PLT-Tenant-ID'], undefined);
+    assert.strictEqual(tenant.tenantFromContext(tracing.contextFromHeaders(undefined)), null);
+});
+
+test('a background span continues the trace it was queued in', () => {
+    exporter.reset();
+    const parent = tracing.contextFromHeaders({ 'X-PLT-Trace-ID': TRACE_ID, 'X-PLT-Span-ID': SPAN_ID });
+    const span = tracing.startBackgroundSpan('report.render', { 'report.job_id': 'job-1' }, parent);
+
+    // spanHeaders names the new span as the parent of whatever comes next
+    const headers = tracing.spanHeaders(span);
+    tracing.endSpan(span, 'REP-1401');
+
+    const [finished] = exporter.getFinishedSpans();
+    assert.strictEqual(finished.spanContext().traceId, TRACE_ID);
+    assert.strictEqual(finished.parentSpanContext.spanId, SPAN_ID);
+    assert.strictEqual(finished.status.message, 'REP-1401');
+    assert.strictEqual(headers.traceparent, `00-${TRACE_ID}-${finished.spanContext().spanId}-01`);
+    assert.strictEqual(headers['X-PLT-Span-ID'], finished.spanContext().spanId);
+});
@@ -88,6 +88,8 @@ DECLARE
     l_span_id        VARCHAR2(16);
     l_traceparent    VARCHAR2(200);
     l_correlation_id VARCHAR2(100);
+    l_tenant_id      VARCHAR2(100);
+    l_tenant_name    VARCHAR2(255);
     
     -- Results
     l_result         CLOB;
@@ -125,6 +127,16 @@ BEGIN
     l_span_id := :x_plt_span_id;
     l_correlation_id := :x_correlation_id;
     
+    -- Tenant of the calling service, so the Oracle spans carry the same
+    -- tenant.id as the Node ones
+    l_tenant_id := :x_plt_tenant_id;
+    l_tenant_name := :x_plt_tenant_name;
+    IF l_tenant_id IS NOT NULL THEN
+        PLTelemetry.set_tenant_context(l_tenant_id, l_tenant_name);
+    ELSE
+        PLTelemetry.clear_tenant_context;
+    END IF;
+    
     -- Log the distributed tracing context received
     IF l_trace_id IS NOT NULL THEN
         DBMS_OUTPUT.PUT_LINE('🔗 Received distributed trace context:');
@@ -340,5 +352,6 @@ PROMPT    - traceparent (W3C standard)
 PROMPT    - X-PLT-Trace-ID (PLTelemetry specific)
 PROMPT    - X-PLT-Span-ID (PLTelemetry specific)
 PROMPT    - X-Correlation-ID (Request correlation)
+PROMPT    - X-PLT-Tenant-ID / X-PLT-Tenant-Name (Tenant context)
 PROMPT
 PROMPT 🚀 Ready for distributed tracing from Node.js!
\ No newline at end of file
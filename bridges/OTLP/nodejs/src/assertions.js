@@ -0,0 +1,245 @@
+// =============================================================================
+// PLTelemetry OTLP - Assertions
+// Matchers over the spans, metric points and logs of the test receiver, and
+// assertions that explain what did not match. Failures are assert's
+// AssertionError, so they read like any other failed test.
+// =============================================================================
+
+const assert = require('assert');
+const util = require('util');
+
+// Spans listed in a failure message, closest first
+const MAX_CANDIDATES = 15;
+
+function show(value) {
+  return util.inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+/**
+ * Expected value: a RegExp tests strings, a function is a predicate, anything
+ * else must be deeply equal
+ */
+function valueMatches(actual, expected) {
+  if (expected instanceof RegExp) return typeof actual === 'string' && expected.test(actual);
+  if (typeof expected === 'function') return !!expected(actual);
+  return util.isDeepStrictEqual(actual, expected);
+}
+
+function attributeMismatches(label, actual, expected) {
+  const reasons = [];
+  for (const [key, value] of Object.entries(expected)) {
+    if (!(key in actual)) reasons.push(`${label} ${key} is missing`);
+    else if (!valueMatches(actual[key], value)) reasons.push(`${label} ${key} is ${show(actual[key])}, expected ${show(value)}`);
+  }
+  return reasons;
+}
+
+/**
+ * Why a record does not match: one reason per failed expectation, none when
+ * it matches. Fields compare with valueMatches; these keys are special:
+ *   attributes     { key: expected } for record attributes
+ *   hasAttributes  [keys] that must be present, whatever their value
+ *   resource       { key: expected } for resource attributes
+ *   status         'OK' | 'ERROR' | 'UNSET' for status.code, or { code, message }
+ *   events         [name | { name, attributes }] that the span must have
+ *   parent         Matcher for the parent span, or null for a root span
+ * @param {Object} record Span, metric point or log from the receiver
+ * @param {Object} matcher
+ * @param {Object} [spans] Has span(traceId, spanId), to resolve parents
+ * @returns {Array<string>}
+ */
+function mismatches(record, matcher, spans) {
+  const reasons = [];
+  for (const [key, expected] of Object.entries(matcher)) {
+    if (expected === undefined) continue;
+    switch (key) {
+      case 'attributes':
+        reasons.push(...attributeMismatches('attribute', record.attributes || {}, expected));
+        break;
+      case 'resource':
+        reasons.push(...attributeMismatches('resource attribute', record.resource || {}, expected));
+        break;
+      case 'hasAttributes':
+        for (const name of expected) {
+          if (!(name in (record.attributes || {}))) reasons.push(`attribute ${name} is missing`);
+        }
+        break;
+      case 'status': {
+        const { code, message } = typeof expected === 'object' && !(expected instanceof RegExp) ? expected : { code: expected };
+        const actual = record.status || {};
+        if (code !== undefined && !valueMatches(actual.code, code)) reasons.push(`status is ${show(actual.code)}, expected ${show(code)}`);
+        if (message !== undefined && !valueMatches(actual.message, message)) reasons.push(`status message is ${show(actual.message)}, expected ${show(message)}`);
+        break;
+      }
+      case 'events':
+        for (const event of expected) {
+          const { name, attributes = {} } = typeof event === 'object' && !(event instanceof RegExp) ? event : { name: event };
+          const found = (record.events || []).some((actual) => valueMatches(actual.name, name)
+            && attributeMismatches('', actual.attributes, attributes).length === 0);
+          if (!found) reasons.push(`no event ${show(name)}${Object.keys(attributes).length > 0 ? ` with ${show(attributes)}` : ''}`);
+        }
+        break;
+      case 'parent':
+        reasons.push(...parentMismatches(record, expected, spans));
+        break;
+      default:
+        if (!valueMatches(record[key], expected)) reasons.push(`${key} is ${show(record[key])}, expected ${show(expected)}`);
+    }
+  }
+  return reasons;
+}
+
+function parentMismatches(span, expected, spans) {
+  if (expected === null) {
+    return span.parentSpanId ? [`has parent ${span.parentSpanId}, expected a root span`] : [];
+  }
+  if (!span.parentSpanId) return ['is a root span, expected a parent'];
+
+  const parent = spans && spans.span(span.traceId, span.parentSpanId);
+  if (!parent) return [`parent ${span.parentSpanId} was not received`];
+  return mismatches(parent, expected, spans).map((reason) => `parent ${describe(parent)}: ${reason}`);
+}
+
+function describe(span) {
+  return `"${span.name}" (${span.kind} ${span.spanId})`;
+}
+
+/**
+ * Spans from a receiver or a plain array, with span(traceId, spanId)
+ */
+function spanSource(source) {
+  if (source && typeof source.span === 'function' && typeof source.spans === 'function') return source;
+  const all = Array.isArray(source) ? source : [];
+  return {
+    spans: (filter = {}) => all.filter((span) => mismatches(span, filter).length === 0),
+    span: (traceId, spanId) => all.find((span) => span.traceId === traceId && span.spanId === spanId) || null
+  };
+}
+
+/**
+ * Spans matching a matcher (see mismatches)
+ * @param {OtlpReceiver|Array<Object>} source
+ * @param {Object} matcher
+ */
+function findSpans(source, matcher) {
+  const spans = spanSource(source);
+  return spans.spans().filter((span) => mismatches(span, matcher, spans).length === 0);
+}
+
+/**
+ * Why no span matched: the spans of the trace (or all of them), those with
+ * the expected name first, each with what did not match
+ */
+function noMatchMessage(spans, matcher) {
+  const scope = matcher.traceId ? spans.spans({ traceId: matcher.traceId }) : spans.spans();
+  const where = matcher.traceId ? `trace ${matcher.traceId}` : 'any trace';
+  if (scope.length === 0) return `No span matches ${show(matcher)}: no spans received for ${where}`;
+
+  const candidates = scope
+    .map((span) => ({ span, reasons: mismatches(span, matcher, spans) }))
+    .sort((a, b) => a.reasons.length - b.reasons.length)
+    .slice(0, MAX_CANDIDATES);
+  const lines = candidates.map(({ span, reasons }) => `  - ${describe(span)}: ${reasons.join('; ')}`);
+  const more = scope.length > MAX_CANDIDATES ? [`  ... and ${scope.length - MAX_CANDIDATES} more`] : [];
+  return [`No span matches ${show(matcher)} in ${where} (${scope.length} spans):`, ...lines, ...more].join('\n');
+}
+
+/**
+ * Assert that a span matches, e.g.
+ *   assertSpan(receiver, {
+ *     traceId,
+ *     name: 'fetch_oracle_financial_data',
+ *     parent: { kind: 'SERVER' },
+ *     hasAttributes: ['oracle.customer_id']
+ *   })
+ * @param {OtlpReceiver|Array<Object>} source
+ * @param {Object} matcher See mismatches
+ * @returns {Object} The first matching span
+ * @throws {assert.AssertionError} Listing the spans that came closest
+ */
+function assertSpan(source, matcher) {
+  const spans = spanSource(source);
+  const [span] = findSpans(spans, matcher);
+  if (!span) {
+    throw new assert.AssertionError({ message: noMatchMessage(spans, matcher), stackStartFn: assertSpan });
+  }
+  return span;
+}
+
+/**
+ * Assert that no span matches
+ * @throws {assert.AssertionError}
+ */
+function assertNoSpan(source, matcher) {
+  const found = findSpans(source, matcher);
+  if (found.length > 0) {
+    throw new assert.AssertionError({
+      message: `Expected no span to match ${show(matcher)}, found ${found.length}: ${found.map(describe).join(', ')}`,
+      stackStartFn: assertNoSpan
+    });
+  }
+}
+
+/**
+ * assertSpan, retried as spans arrive, for exporters that batch
+ * @param {OtlpReceiver} receiver
+ * @param {Object} matcher
+ * @param {Object} [options] { timeoutMs: 5000 }
+ * @returns {Promise<Object>} The first matching span
+ * @throws {assert.AssertionError} What assertSpan reports once the time is up
+ */
+function waitForSpan(receiver, matcher, options = {}) {
+  const timeoutMs = options.timeoutMs || 5000;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const [span] = findSpans(receiver, matcher);
+      if (!span) return;
+      done();
+      resolve(span);
+    };
+    const timer = setTimeout(() => {
+      done();
+      try {
+        resolve(assertSpan(receiver, matcher));
+      } catch (error) {
+        error.message = `After ${timeoutMs}ms: ${error.message}`;
+        reject(error);
+      }
+    }, timeoutMs);
+    const done = () => {
+      clearTimeout(timer);
+      receiver.off('spans', check);
+    };
+    receiver.on('spans', check);
+    check();
+  });
+}
+
+/**
+ * Assert that a metric point or log matches
+ * @param {Array<Object>} records receiver.metrics() or receiver.logs()
+ * @param {Object} matcher See mismatches
+ * @returns {Object} The first matching record
+ * @throws {assert.AssertionError}
+ */
+function assertRecord(records, matcher) {
+  const found = records.find((record) => mismatches(record, matcher).length === 0);
+  if (!found) {
+    const names = [...new Set(records.map((record) => record.name || record.severityText))].slice(0, MAX_CANDIDATES);
+    throw new assert.AssertionError({
+      message: `No record matches ${show(matcher)} among ${records.length} (${names.map(show).join(', ')})`,
+      stackStartFn: assertRecord
+    });
+  }
+  return found;
+}
+
+module.exports = {
+  valueMatches,
+  mismatches,
+  findSpans,
+  assertSpan,
+  assertNoSpan,
+  waitForSpan,
+  assertRecord
+};
@@ -0,0 +1,328 @@
+// =============================================================================
+// PLTelemetry OTLP - Conversion
+// Mirrors PLT_OTLP_BRIDGE: PLTelemetry JSON -> OTLP spans, metrics and logs
+// =============================================================================
+
+const SCOPE = { name: 'PLTelemetry', version: '2.0.0' };
+
+const STATUS_UNSET = 0;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+// PLT_OTLP_BRIDGE.get_otlp_status_code
+const STATUS_CODES = { OK: STATUS_OK, ERROR: STATUS_ERROR, CANCELLED: STATUS_ERROR };
+
+// PLT_OTLP_BRIDGE.get_otlp_severity_number
+const SEVERITY_NUMBERS = { TRACE: 1, DEBUG: 5, INFO: 9, WARN: 13, WARNING: 13, ERROR: 17, FATAL: 21 };
+
+// PLT_OTLP_BRIDGE.get_metric_type
+const COUNTER_PATTERN = /(total|count|requests|processed|sent|received)$/i;
+
+const SPAN_KIND_INTERNAL = 1;
+const AGGREGATION_TEMPORALITY_DELTA = 1;
+
+// Record attributes that identify the resource rather than the record
+const TENANT_ATTRIBUTES = ['tenant.id', 'tenant.name'];
+
+/**
+ * Payload can never be converted (retrying will not help)
+ */
+class PayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PayloadError';
+  }
+}
+
+function parsePayload(payload) {
+  let json;
+  try {
+    json = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  } catch (error) {
+    throw new PayloadError(`Malformed JSON: ${error.message}`);
+  }
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new PayloadError('Payload must be a JSON object');
+  }
+  return json;
+}
+
+/**
+ * Same detection rules as PLTelemetry.send_to_backend
+ * @returns {'span'|'metric'|'log'|null}
+ */
+function classifyPayload(json) {
+  if (json.span_id && json.duration_ms !== undefined) return 'span';
+  if (json.name !== undefined && json.value !== undefined) return 'metric';
+  if (json.severity !== undefined && json.message !== undefined) return 'log';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// VALUES
+// ---------------------------------------------------------------------------
+
+function toUnixNano(timestamp) {
+  const ms = Date.parse(timestamp);
+  return (BigInt(Number.isFinite(ms) ? ms : Date.now()) * 1000000n).toString();
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (value !== null && typeof value === 'object') return { stringValue: JSON.stringify(value) };
+  return { stringValue: String(value ?? '') };
+}
+
+function toAttributes(attributes) {
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) return [];
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function requireHex(value, length, field) {
+  if (!new RegExp(`^[0-9a-f]{${length}}$`, 'i').test(value || '')) {
+    throw new PayloadError(`Invalid ${field}: ${value === undefined ? 'missing' : value}`);
+  }
+  return value.toLowerCase();
+}
+
+function optionalHex(value, length) {
+  return new RegExp(`^[0-9a-f]{${length}}$`, 'i').test(value || '') ? value.toLowerCase() : undefined;
+}
+
+/**
+ * tenant.id / tenant.name of a payload, injected by PLTelemetry.set_tenant_context
+ */
+function tenantOf(json) {
+  const attributes = json.attributes && typeof json.attributes === 'object' ? json.attributes : {};
+  const tenant = {};
+  for (const key of TENANT_ATTRIBUTES) {
+    if (attributes[key] !== undefined && attributes[key] !== null && attributes[key] !== '') {
+      tenant[key] = String(attributes[key]);
+    }
+  }
+  return tenant;
+}
+
+/**
+ * Resource attributes, in the order PLT_OTLP_BRIDGE writes them
+ * @param {Object} resource See convert()
+ * @param {Object} tenant { 'tenant.id', 'tenant.name' }
+ */
+function resourceOf(resource = {}, tenant = {}) {
+  const attributes = {
+    'service.name': resource.serviceName || 'oracle-plsql',
+    ...(resource.serviceVersion && { 'service.version': resource.serviceVersion }),
+    ...(resource.serviceInstanceId && { 'service.instance.id': resource.serviceInstanceId }),
+    'telemetry.sdk.name': 'PLTelemetry',
+    'telemetry.sdk.version': SCOPE.version,
+    'telemetry.sdk.language': 'plsql',
+    ...(resource.tenantId && { 'tenant.id': resource.tenantId }),
+    ...(resource.tenantName && { 'tenant.name': resource.tenantName }),
+    ...tenant,
+    ...(resource.environment && { 'deployment.environment': resource.environment }),
+    ...resource.attributes
+  };
+  return { attributes: toAttributes(attributes) };
+}
+
+// ---------------------------------------------------------------------------
+// SINGLE ITEMS (throw PayloadError when the payload cannot be converted)
+// ---------------------------------------------------------------------------
+
+function spanToOtlp(json) {
+  const status = String(json.status || '').toUpperCase();
+  const parentSpanId = optionalHex(json.parent_span_id, 16);
+
+  return {
+    traceId: requireHex(json.trace_id, 32, 'trace_id'),
+    spanId: requireHex(json.span_id, 16, 'span_id'),
+    ...(parentSpanId && { parentSpanId }),
+    name: json.operation_name || json.operation || 'unknown_operation',
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: toUnixNano(json.start_time),
+    endTimeUnixNano: toUnixNano(json.end_time),
+    attributes: toAttributes(json.attributes),
+    events: (Array.isArray(json.events) ? json.events : []).map((event) => ({
+      timeUnixNano: toUnixNano(event.time),
+      name: event.name || 'unknown_event',
+      attributes: toAttributes(event.attributes)
+    })),
+    status: status === 'ERROR'
+      ? { code: STATUS_ERROR, message: 'Span completed with error status' }
+      : { code: STATUS_CODES[status] || STATUS_UNSET }
+  };
+}
+
+function metricToOtlp(json) {
+  const value = Number(json.value);
+  if (!json.name || json.value === null || json.value === '' || !Number.isFinite(value)) {
+    throw new PayloadError(`Invalid metric: ${json.name || 'missing name'}`);
+  }
+
+  const name = String(json.name);
+  const counter = COUNTER_PATTERN.test(name);
+  const traceId = optionalHex(json.trace_id, 32);
+  const spanId = optionalHex(json.span_id, 16);
+
+  // Same split as PLT_OTLP_BRIDGE.send_metric_otlp: metrics without a trace are business metrics
+  const point = {
+    timeUnixNano: toUnixNano(json.timestamp),
+    ...(counter ? { asInt: String(Math.trunc(value)) } : { asDouble: value }),
+    attributes: toAttributes({
+      ...json.attributes,
+      ...(traceId
+        ? { 'trace.id': traceId, 'metric.category': 'traced', ...(spanId && { 'span.id': spanId }) }
+        : { 'metric.category': 'business', 'metric.aggregatable': 'true' })
+    })
+  };
+
+  const metric = {
+    name,
+    description: `PLTelemetry metric: ${name} (${traceId ? 'traced' : 'business'})`,
+    unit: json.unit || '1'
+  };
+  if (counter) {
+    // Each PLTelemetry counter value is an increment, so report it as a delta.
+    // A negative increment is not monotonic; backends would take it for a reset
+    metric.sum = { dataPoints: [point], aggregationTemporality: AGGREGATION_TEMPORALITY_DELTA, isMonotonic: value >= 0 };
+  } else {
+    metric.gauge = { dataPoints: [point] };
+  }
+  return metric;
+}
+
+function logToOtlp(json) {
+  const severity = String(json.severity || 'INFO').toUpperCase();
+  const traceId = optionalHex(json.trace_id, 32);
+  const spanId = optionalHex(json.span_id, 16);
+
+  return {
+    timeUnixNano: toUnixNano(json.timestamp),
+    observedTimeUnixNano: toUnixNano(),
+    severityNumber: SEVERITY_NUMBERS[severity] || SEVERITY_NUMBERS.INFO,
+    severityText: severity,
+    body: { stringValue: String(json.message) },
+    attributes: toAttributes(json.attributes),
+    ...(traceId && { traceId }),
+    ...(spanId && { spanId })
+  };
+}
+
+const SIGNALS = {
+  span: { convert: spanToOtlp },
+  metric: { convert: metricToOtlp },
+  log: { convert: logToOtlp }
+};
+
+// ---------------------------------------------------------------------------
+// EXPORT REQUESTS
+// ---------------------------------------------------------------------------
+
+/**
+ * Group converted records by tenant, one resource entry per tenant
+ * @param {Array<{record: Object, tenant: Object}>} entries
+ */
+function byResource(entries, resource) {
+  const groups = new Map();
+  for (const { record, tenant } of entries) {
+    const key = JSON.stringify(tenant);
+    if (!groups.has(key)) groups.set(key, { resource: resourceOf(resource, tenant), records: [] });
+    groups.get(key).records.push(record);
+  }
+  return [...groups.values()];
+}
+
+function tracesRequest(entries, resource) {
+  return {
+    resourceSpans: byResource(entries, resource).map((group) => ({
+      resource: group.resource,
+      scopeSpans: [{ scope: SCOPE, spans: group.records }]
+    }))
+  };
+}
+
+function metricsRequest(entries, resource) {
+  return {
+    resourceMetrics: byResource(entries, resource).map((group) => ({
+      resource: group.resource,
+      scopeMetrics: [{ scope: SCOPE, metrics: group.records }]
+    }))
+  };
+}
+
+function logsRequest(entries, resource) {
+  return {
+    resourceLogs: byResource(entries, resource).map((group) => ({
+      resource: group.resource,
+      scopeLogs: [{ scope: SCOPE, logRecords: group.records }]
+    }))
+  };
+}
+
+/**
+ * Convert PLTelemetry payloads to OTLP export requests
+ * @param {Array<string|Object>} payloads PLTelemetry JSON (strings or parsed objects)
+ * @param {Object} [resource]
+ * @param {string} [resource.serviceName] service.name (default 'oracle-plsql')
+ * @param {string} [resource.serviceVersion] service.version
+ * @param {string} [resource.serviceInstanceId] service.instance.id
+ * @param {string} [resource.tenantId] tenant.id for payloads that carry none
+ * @param {string} [resource.tenantName] tenant.name for payloads that carry none
+ * @param {string} [resource.environment] deployment.environment
+ * @param {Object} [resource.attributes] Extra resource attributes
+ * @param {Object} [options]
+ * @param {PulseThrottler} [options.throttler] Leaves out what the current pulse mode drops
+ * @returns {{traces: Object|null, metrics: Object|null, logs: Object|null,
+ *   items: Array<{index: number, type: string|null, error?: string, dropped?: string}>}}
+ *   One export request per signal type (null when there is nothing to send)
+ *   and one entry per payload, in order
+ */
+function convert(payloads, resource = {}, options = {}) {
+  const { throttler = null } = options;
+  const entries = { span: [], metric: [], log: [] };
+  const items = payloads.map((payload, index) => {
+    try {
+      const json = parsePayload(payload);
+      const type = classifyPayload(json);
+      if (!type) throw new PayloadError('Unrecognised PLTelemetry payload');
+
+      const dropped = throttler && throttler.drop(json, type);
+      if (dropped) return { index, type, dropped };
+
+      entries[type].push({ record: SIGNALS[type].convert(json), tenant: tenantOf(json) });
+      return { index, type };
+    } catch (error) {
+      if (!(error instanceof PayloadError)) throw error;
+      return { index, type: null, error: error.message };
+    }
+  });
+
+  return {
+    traces: entries.span.length > 0 ? tracesRequest(entries.span, resource) : null,
+    metrics: entries.metric.length > 0 ? metricsRequest(entries.metric, resource) : null,
+    logs: entries.log.length > 0 ? logsRequest(entries.log, resource) : null,
+    items
+  };
+}
+
+module.exports = {
+  PayloadError,
+  parsePayload,
+  classifyPayload,
+  spanToOtlp,
+  metricToOtlp,
+  logToOtlp,
+  tenantOf,
+  resourceOf,
+  tracesRequest,
+  metricsRequest,
+  logsRequest,
+  convert,
+  SCOPE,
+  STATUS_CODES,
+  SEVERITY_NUMBERS
+};
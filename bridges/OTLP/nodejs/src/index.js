@@ -0,0 +1,53 @@
+// =============================================================================
+// PLTelemetry OTLP - Public API
+// PLTelemetry JSON -> OTLP/HTTP requests, encoded as JSON or protobuf, pulse
+// throttling shared by the agent and bridges, and an in-process OTLP/HTTP
+// receiver with assertions for testing instrumentation
+// =============================================================================
+
+const convert = require('./convert');
+const { encodeRequest, decodeRequest } = require('./protobuf');
+const receiver = require('./receiver');
+const assertions = require('./assertions');
+const pulse = require('./pulse');
+
+const PATHS = {
+  traces: '/v1/traces',
+  metrics: '/v1/metrics',
+  logs: '/v1/logs'
+};
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  protobuf: 'application/x-protobuf'
+};
+
+/**
+ * Encode an export request for OTLP/HTTP
+ * @param {'traces'|'metrics'|'logs'} signal
+ * @param {Object} request Export request from convert()
+ * @param {'json'|'protobuf'} [format]
+ * @returns {{path: string, contentType: string, body: string|Buffer}}
+ */
+function encode(signal, request, format = 'json') {
+  if (!PATHS[signal]) throw new Error(`Unknown OTLP signal "${signal}" (expected traces, metrics or logs)`);
+  if (!CONTENT_TYPES[format]) throw new Error(`Unknown OTLP format "${format}" (expected json or protobuf)`);
+
+  return {
+    path: PATHS[signal],
+    contentType: CONTENT_TYPES[format],
+    body: format === 'protobuf' ? encodeRequest(signal, request) : JSON.stringify(request)
+  };
+}
+
+module.exports = {
+  ...convert,
+  ...receiver,
+  ...assertions,
+  ...pulse,
+  encode,
+  encodeRequest,
+  decodeRequest,
+  PATHS,
+  CONTENT_TYPES
+};
@@ -0,0 +1,514 @@
+// =============================================================================
+// PLTelemetry OTLP - Protobuf Encoding
+// Encodes the OTLP/JSON requests built by convert.js as OTLP protobuf, and
+// decodes OTLP protobuf back to OTLP/JSON for the test receiver
+// (opentelemetry-proto v1 field numbers, no generated code or dependencies)
+// =============================================================================
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+// [jsonName, fieldNumber, type, { repeated, oneof }]
+// oneof fields are written even when they hold the default value
+const COMMON = {
+  AnyValue: [
+    ['stringValue', 1, 'string', { oneof: true }],
+    ['boolValue', 2, 'bool', { oneof: true }],
+    ['intValue', 3, 'int64', { oneof: true }],
+    ['doubleValue', 4, 'double', { oneof: true }],
+    ['arrayValue', 5, 'ArrayValue', { oneof: true }],
+    ['kvlistValue', 6, 'KeyValueList', { oneof: true }],
+    ['bytesValue', 7, 'bytes', { oneof: true }]
+  ],
+  ArrayValue: [['values', 1, 'AnyValue', { repeated: true }]],
+  KeyValueList: [['values', 1, 'KeyValue', { repeated: true }]],
+  KeyValue: [['key', 1, 'string'], ['value', 2, 'AnyValue']],
+  InstrumentationScope: [
+    ['name', 1, 'string'],
+    ['version', 2, 'string'],
+    ['attributes', 3, 'KeyValue', { repeated: true }],
+    ['droppedAttributesCount', 4, 'uint32']
+  ],
+  Resource: [
+    ['attributes', 1, 'KeyValue', { repeated: true }],
+    ['droppedAttributesCount', 2, 'uint32']
+  ]
+};
+
+const MESSAGES = {
+  ...COMMON,
+
+  // opentelemetry/proto/trace/v1/trace.proto
+  ExportTraceServiceRequest: [['resourceSpans', 1, 'ResourceSpans', { repeated: true }]],
+  ResourceSpans: [
+    ['resource', 1, 'Resource'],
+    ['scopeSpans', 2, 'ScopeSpans', { repeated: true }],
+    ['schemaUrl', 3, 'string']
+  ],
+  ScopeSpans: [
+    ['scope', 1, 'InstrumentationScope'],
+    ['spans', 2, 'Span', { repeated: true }],
+    ['schemaUrl', 3, 'string']
+  ],
+  Span: [
+    ['traceId', 1, 'hexBytes'],
+    ['spanId', 2, 'hexBytes'],
+    ['traceState', 3, 'string'],
+    ['parentSpanId', 4, 'hexBytes'],
+    ['name', 5, 'string'],
+    ['kind', 6, 'enum'],
+    ['startTimeUnixNano', 7, 'fixed64'],
+    ['endTimeUnixNano', 8, 'fixed64'],
+    ['attributes', 9, 'KeyValue', { repeated: true }],
+    ['droppedAttributesCount', 10, 'uint32'],
+    ['events', 11, 'Event', { repeated: true }],
+    ['droppedEventsCount', 12, 'uint32'],
+    ['links', 13, 'Link', { repeated: true }],
+    ['droppedLinksCount', 14, 'uint32'],
+    ['status', 15, 'Status'],
+    ['flags', 16, 'fixed32']
+  ],
+  Event: [
+    ['timeUnixNano', 1, 'fixed64'],
+    ['name', 2, 'string'],
+    ['attributes', 3, 'KeyValue', { repeated: true }],
+    ['droppedAttributesCount', 4, 'uint32']
+  ],
+  Link: [
+    ['traceId', 1, 'hexBytes'],
+    ['spanId', 2, 'hexBytes'],
+    ['traceState', 3, 'string'],
+    ['attributes', 4, 'KeyValue', { repeated: true }],
+    ['droppedAttributesCount', 5, 'uint32'],
+    ['flags', 6, 'fixed32']
+  ],
+  Status: [['message', 2, 'string'], ['code', 3, 'enum']],
+
+  // opentelemetry/proto/metrics/v1/metrics.proto
+  ExportMetricsServiceRequest: [['resourceMetrics', 1, 'ResourceMetrics', { repeated: true }]],
+  ResourceMetrics: [
+    ['resource', 1, 'Resource'],
+    ['scopeMetrics', 2, 'ScopeMetrics', { repeated: true }],
+    ['schemaUrl', 3, 'string']
+  ],
+  ScopeMetrics: [
+    ['scope', 1, 'InstrumentationScope'],
+    ['metrics', 2, 'Metric', { repeated: true }],
+    ['schemaUrl', 3, 'string']
+  ],
+  Metric: [
+    ['name', 1, 'string'],
+    ['description', 2, 'string'],
+    ['unit', 3, 'string'],
+    ['gauge', 5, 'Gauge', { oneof: true }],
+    ['sum', 7, 'Sum', { oneof: true }],
+    ['histogram', 9, 'Histogram', { oneof: true }],
+    ['exponentialHistogram', 10, 'ExponentialHistogram', { oneof: true }],
+    ['summary', 11, 'Summary', { oneof: true }],
+    ['metadata', 12, 'KeyValue', { repeated: true }]
+  ],
+  Gauge: [['dataPoints', 1, 'NumberDataPoint', { repeated: true }]],
+  Sum: [
+    ['dataPoints', 1, 'NumberDataPoint', { repeated: true }],
+    ['aggregationTemporality', 2, 'enum'],
+    ['isMonotonic', 3, 'bool']
+  ],
+  NumberDataPoint: [
+    ['startTimeUnixNano', 2, 'fixed64'],
+    ['timeUnixNano', 3, 'fixed64'],
+    ['asDouble', 4, 'double', { oneof: true }],
+    ['asInt', 6, 'sfixed64', { oneof: true }],
+    ['exemplars', 5, 'Exemplar', { repeated: true }],
+    ['attributes', 7, 'KeyValue', { repeated: true }],
+    ['flags', 8, 'uint32']
+  ],
+  // convert.js produces gauges and sums only; the others are here for decoding
+  Histogram: [
+    ['dataPoints', 1, 'HistogramDataPoint', { repeated: true }],
+    ['aggregationTemporality', 2, 'enum']
+  ],
+  HistogramDataPoint: [
+    ['attributes', 9, 'KeyValue', { repeated: true }],
+    ['startTimeUnixNano', 2, 'fixed64'],
+    ['timeUnixNano', 3, 'fixed64'],
+    ['count', 4, 'fixed64'],
+    ['sum', 5, 'double', { oneof: true }],
+    ['bucketCounts', 6, 'fixed64', { repeated: true }],
+    ['explicitBounds', 7, 'double', { repeated: true }],
+    ['exemplars', 8, 'Exemplar', { repeated: true }],
+    ['flags', 10, 'uint32'],
+    ['min', 11, 'double', { oneof: true }],
+    ['max', 12, 'double', { oneof: true }]
+  ],
+  ExponentialHistogram: [
+    ['dataPoints', 1, 'ExponentialHistogramDataPoint', { repeated: true }],
+    ['aggregationTemporality', 2, 'enum']
+  ],
+  ExponentialHistogramDataPoint: [
+    ['attributes', 1, 'KeyValue', { repeated: true }],
+    ['startTimeUnixNano', 2, 'fixed64'],
+    ['timeUnixNano', 3, 'fixed64'],
+    ['count', 4, 'fixed64'],
+    ['sum', 5, 'double', { oneof: true }],
+    ['scale', 6, 'sint32'],
+    ['zeroCount', 7, 'fixed64'],
+    ['positive', 8, 'Buckets'],
+    ['negative', 9, 'Buckets'],
+    ['flags', 10, 'uint32'],
+    ['exemplars', 11, 'Exemplar', { repeated: true }],
+    ['min', 12, 'double', { oneof: true }],
+    ['max', 13, 'double', { oneof: true }],
+    ['zeroThreshold', 14, 'double']
+  ],
+  Buckets: [['offset', 1, 'sint32'], ['bucketCounts', 2, 'uint64', { repeated: true }]],
+  Summary: [['dataPoints', 1, 'SummaryDataPoint', { repeated: true }]],
+  SummaryDataPoint: [
+    ['attributes', 7, 'KeyValue', { repeated: true }],
+    ['startTimeUnixNano', 2, 'fixed64'],
+    ['timeUnixNano', 3, 'fixed64'],
+    ['count', 4, 'fixed64'],
+    ['sum', 5, 'double'],
+    ['quantileValues', 6, 'ValueAtQuantile', { repeated: true }],
+    ['flags', 8, 'uint32']
+  ],
+  ValueAtQuantile: [['quantile', 1, 'double'], ['value', 2, 'double']],
+  Exemplar: [
+    ['filteredAttributes', 7, 'KeyValue', { repeated: true }],
+    ['timeUnixNano', 2, 'fixed64'],
+    ['asDouble', 3, 'double', { oneof: true }],
+    ['asInt', 6, 'sfixed64', { oneof: true }],
+    ['spanId', 4, 'hexBytes'],
+    ['traceId', 5, 'hexBytes']
+  ],
+
+  // opentelemetry/proto/logs/v1/logs.proto
+  ExportLogsServiceRequest: [['resourceLogs', 1, 'ResourceLogs', { repeated: true }]],
+  ResourceLogs: [
+    ['resource', 1, 'Resource'],
+    ['scopeLogs', 2, 'ScopeLogs', { repeated: true }],
+    ['schemaUrl', 3, 'string']
+  ],
+  ScopeLogs: [
+    ['scope', 1, 'InstrumentationScope'],
+    ['logRecords', 2, 'LogRecord', { repeated: true }],
+    ['schemaUrl', 3, 'string']
+  ],
+  LogRecord: [
+    ['timeUnixNano', 1, 'fixed64'],
+    ['severityNumber', 2, 'enum'],
+    ['severityText', 3, 'string'],
+    ['body', 5, 'AnyValue'],
+    ['attributes', 6, 'KeyValue', { repeated: true }],
+    ['droppedAttributesCount', 7, 'uint32'],
+    ['flags', 8, 'fixed32'],
+    ['traceId', 9, 'hexBytes'],
+    ['spanId', 10, 'hexBytes'],
+    ['observedTimeUnixNano', 11, 'fixed64'],
+    ['eventName', 12, 'string']
+  ],
+
+  // google/rpc/status.proto, the body of an OTLP/HTTP error response
+  RpcStatus: [['code', 1, 'enum'], ['message', 2, 'string']]
+};
+
+const REQUEST_TYPES = {
+  traces: 'ExportTraceServiceRequest',
+  metrics: 'ExportMetricsServiceRequest',
+  logs: 'ExportLogsServiceRequest'
+};
+
+// ---------------------------------------------------------------------------
+// WIRE FORMAT
+// ---------------------------------------------------------------------------
+
+function varint(value) {
+  let n = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  while (n > 0x7fn) {
+    bytes.push(Number(n & 0x7fn) | 0x80);
+    n >>= 7n;
+  }
+  bytes.push(Number(n));
+  return Buffer.from(bytes);
+}
+
+function tag(fieldNumber, wireType) {
+  return varint((fieldNumber << 3) | wireType);
+}
+
+function lengthDelimited(fieldNumber, buffer) {
+  return [tag(fieldNumber, WIRE_LENGTH_DELIMITED), varint(buffer.length), buffer];
+}
+
+function isDefault(value, type) {
+  switch (type) {
+    case 'string':
+    case 'hexBytes':
+    case 'bytes':
+      return value === '';
+    case 'bool':
+      return value === false;
+    case 'int64':
+    case 'uint64':
+    case 'sfixed64':
+    case 'fixed64':
+      return BigInt(value) === 0n;
+    case 'double':
+    case 'enum':
+    case 'uint32':
+    case 'sint32':
+    case 'fixed32':
+      return Number(value) === 0;
+    default:
+      return false;
+  }
+}
+
+function encodeField(fieldNumber, type, value) {
+  switch (type) {
+    case 'string':
+      return lengthDelimited(fieldNumber, Buffer.from(String(value), 'utf8'));
+    case 'hexBytes':
+      return lengthDelimited(fieldNumber, Buffer.from(value, 'hex'));
+    case 'bytes':
+      // OTLP/JSON carries bytes as base64
+      return lengthDelimited(fieldNumber, Buffer.from(value, 'base64'));
+    case 'bool':
+      return [tag(fieldNumber, WIRE_VARINT), varint(value ? 1 : 0)];
+    case 'int64':
+    case 'uint64':
+    case 'enum':
+    case 'uint32':
+      return [tag(fieldNumber, WIRE_VARINT), varint(value)];
+    case 'sint32':
+      return [tag(fieldNumber, WIRE_VARINT), varint(((Number(value) << 1) ^ (Number(value) >> 31)) >>> 0)];
+    case 'fixed64': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigUInt64LE(BigInt(value));
+      return [tag(fieldNumber, WIRE_FIXED64), buffer];
+    }
+    case 'sfixed64': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigInt64LE(BigInt(value));
+      return [tag(fieldNumber, WIRE_FIXED64), buffer];
+    }
+    case 'double': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeDoubleLE(Number(value));
+      return [tag(fieldNumber, WIRE_FIXED64), buffer];
+    }
+    case 'fixed32': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeUInt32LE(Number(value));
+      return [tag(fieldNumber, WIRE_FIXED32), buffer];
+    }
+    default:
+      return lengthDelimited(fieldNumber, encodeMessage(type, value));
+  }
+}
+
+/**
+ * Encode an OTLP/JSON object as the given protobuf message
+ * @param {string} messageType Key of MESSAGES
+ * @param {Object} object
+ * @returns {Buffer}
+ */
+function encodeMessage(messageType, object) {
+  const fields = MESSAGES[messageType];
+  if (!fields) throw new Error(`Unknown OTLP message type ${messageType}`);
+
+  const chunks = [];
+  for (const [name, fieldNumber, type, { repeated = false, oneof = false } = {}] of fields) {
+    const value = object[name];
+    if (value === undefined || value === null) continue;
+
+    if (repeated) {
+      for (const element of value) chunks.push(...encodeField(fieldNumber, type, element));
+    } else if (oneof || !isDefault(value, type)) {
+      chunks.push(...encodeField(fieldNumber, type, value));
+    }
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Encode an export request as OTLP protobuf
+ * @param {'traces'|'metrics'|'logs'} signal
+ * @param {Object} request Result of tracesRequest / metricsRequest / logsRequest
+ * @returns {Buffer}
+ */
+function encodeRequest(signal, request) {
+  const messageType = REQUEST_TYPES[signal];
+  if (!messageType) throw new Error(`Unknown OTLP signal "${signal}" (expected traces, metrics or logs)`);
+  return encodeMessage(messageType, request);
+}
+
+// ---------------------------------------------------------------------------
+// DECODING
+// ---------------------------------------------------------------------------
+
+const SCALAR_WIRE_TYPES = {
+  string: WIRE_LENGTH_DELIMITED,
+  hexBytes: WIRE_LENGTH_DELIMITED,
+  bytes: WIRE_LENGTH_DELIMITED,
+  bool: WIRE_VARINT,
+  int64: WIRE_VARINT,
+  uint64: WIRE_VARINT,
+  enum: WIRE_VARINT,
+  uint32: WIRE_VARINT,
+  sint32: WIRE_VARINT,
+  fixed64: WIRE_FIXED64,
+  sfixed64: WIRE_FIXED64,
+  double: WIRE_FIXED64,
+  fixed32: WIRE_FIXED32
+};
+
+// Repeated numeric fields may come packed into one length-delimited field
+const PACKABLE = ['bool', 'int64', 'uint64', 'enum', 'uint32', 'sint32', 'fixed64', 'sfixed64', 'double', 'fixed32'];
+
+// fieldNumber -> field, per message type
+const FIELDS_BY_NUMBER = Object.fromEntries(Object.entries(MESSAGES)
+  .map(([messageType, fields]) => [messageType, new Map(fields.map((field) => [field[1], field]))]));
+
+function take(reader, length) {
+  if (reader.pos + length > reader.end) throw new Error('Truncated protobuf message');
+  const start = reader.pos;
+  reader.pos += length;
+  return reader.buffer.subarray(start, reader.pos);
+}
+
+function readVarint(reader) {
+  let result = 0n;
+  for (let shift = 0n; shift < 70n; shift += 7n) {
+    const [byte] = take(reader, 1);
+    result |= BigInt(byte & 0x7f) << shift;
+    if (byte < 0x80) return BigInt.asUintN(64, result);
+  }
+  throw new Error('Malformed varint');
+}
+
+function skipField(reader, wireType) {
+  switch (wireType) {
+    case WIRE_VARINT:
+      readVarint(reader);
+      break;
+    case WIRE_FIXED64:
+      take(reader, 8);
+      break;
+    case WIRE_LENGTH_DELIMITED:
+      take(reader, Number(readVarint(reader)));
+      break;
+    case WIRE_FIXED32:
+      take(reader, 4);
+      break;
+    default:
+      throw new Error(`Unsupported wire type ${wireType}`);
+  }
+}
+
+/**
+ * One value, in its OTLP/JSON form: ids as hex, bytes as base64, 64-bit
+ * integers as decimal strings, enums as numbers
+ */
+function readValue(reader, type) {
+  switch (type) {
+    case 'string':
+      return take(reader, Number(readVarint(reader))).toString('utf8');
+    case 'hexBytes':
+      return take(reader, Number(readVarint(reader))).toString('hex');
+    case 'bytes':
+      return take(reader, Number(readVarint(reader))).toString('base64');
+    case 'bool':
+      return readVarint(reader) !== 0n;
+    case 'int64':
+      return BigInt.asIntN(64, readVarint(reader)).toString();
+    case 'uint64':
+      return readVarint(reader).toString();
+    case 'enum':
+      return Number(BigInt.asIntN(32, readVarint(reader)));
+    case 'uint32':
+      return Number(BigInt.asUintN(32, readVarint(reader)));
+    case 'sint32': {
+      const value = Number(BigInt.asUintN(32, readVarint(reader)));
+      return (value >>> 1) ^ -(value & 1);
+    }
+    case 'fixed64':
+      return take(reader, 8).readBigUInt64LE().toString();
+    case 'sfixed64':
+      return take(reader, 8).readBigInt64LE().toString();
+    case 'double':
+      return take(reader, 8).readDoubleLE();
+    case 'fixed32':
+      return take(reader, 4).readUInt32LE();
+    default: {
+      const length = Number(readVarint(reader));
+      const start = reader.pos;
+      take(reader, length);
+      return decodeMessage(type, reader.buffer, start, start + length);
+    }
+  }
+}
+
+/**
+ * Decode a protobuf message to its OTLP/JSON object. Unknown fields are
+ * skipped; fields left at their default are absent, as proto3 sends them.
+ * @param {string} messageType Key of MESSAGES
+ * @param {Buffer} buffer
+ * @returns {Object}
+ */
+function decodeMessage(messageType, buffer, start = 0, end = buffer.length) {
+  const fields = FIELDS_BY_NUMBER[messageType];
+  if (!fields) throw new Error(`Unknown OTLP message type ${messageType}`);
+
+  const object = {};
+  const reader = { buffer, pos: start, end };
+  while (reader.pos < reader.end) {
+    const key = readVarint(reader);
+    const fieldNumber = Number(key >> 3n);
+    const wireType = Number(key & 7n);
+    const field = fields.get(fieldNumber);
+    if (!field) {
+      skipField(reader, wireType);
+      continue;
+    }
+
+    const [name, , type, { repeated = false } = {}] = field;
+    const expectedWireType = SCALAR_WIRE_TYPES[type] === undefined ? WIRE_LENGTH_DELIMITED : SCALAR_WIRE_TYPES[type];
+    if (repeated && PACKABLE.includes(type) && wireType === WIRE_LENGTH_DELIMITED) {
+      const length = Number(readVarint(reader));
+      const packed = { buffer, pos: reader.pos, end: reader.pos + length };
+      take(reader, length);
+      object[name] = object[name] || [];
+      while (packed.pos < packed.end) object[name].push(readValue(packed, type));
+      continue;
+    }
+    if (wireType !== expectedWireType) {
+      throw new Error(`${messageType}.${name} has wire type ${wireType}, expected ${expectedWireType}`);
+    }
+
+    const value = readValue(reader, type);
+    if (repeated) {
+      object[name] = object[name] || [];
+      object[name].push(value);
+    } else {
+      object[name] = value;
+    }
+  }
+  return object;
+}
+
+/**
+ * Decode an OTLP protobuf export request
+ * @param {'traces'|'metrics'|'logs'} signal
+ * @param {Buffer} buffer Request body
+ * @returns {Object} The request as OTLP/JSON
+ */
+function decodeRequest(signal, buffer) {
+  const messageType = REQUEST_TYPES[signal];
+  if (!messageType) throw new Error(`Unknown OTLP signal "${signal}" (expected traces, metrics or logs)`);
+  return decodeMessage(messageType, buffer);
+}
+
+module.exports = { encodeRequest, encodeMessage, decodeRequest, decodeMessage };
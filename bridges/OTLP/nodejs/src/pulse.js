@@ -0,0 +1,259 @@
+// =============================================================================
+// PLTelemetry OTLP - Pulse Throttling
+// Host CPU/memory "heat" -> PULSE1..PULSE4/COMA, shared with the core through
+// plt_failover_config and plt_pulse_throttling_config. Used by the queue
+// agent and the bridges, so every Node.js component backs off the same way
+// =============================================================================
+
+const os = require('os');
+const crypto = require('crypto');
+
+const MODES = ['PULSE1', 'PULSE2', 'PULSE3', 'PULSE4', 'COMA'];
+
+// Same values as install/tables/plt_tables.sql, used when the table cannot be read
+const DEFAULT_PULSE_CONFIG = {
+  PULSE1: { capacity: 1.0, batch: 1.0, interval: 1.0, sampling: 1.0, metrics: true, logs: true, queue: true },
+  PULSE2: { capacity: 0.5, batch: 0.5, interval: 2.0, sampling: 0.75, metrics: true, logs: true, queue: true },
+  PULSE3: { capacity: 0.25, batch: 0.25, interval: 4.0, sampling: 0.5, metrics: true, logs: true, queue: true },
+  PULSE4: { capacity: 0.1, batch: 0.1, interval: 10.0, sampling: 0.25, metrics: true, logs: true, queue: true },
+  COMA: { capacity: 0.0, batch: 0.01, interval: 60.0, sampling: 0.05, metrics: false, logs: false, queue: false }
+};
+
+const SELECT_PULSE_CONFIG = `
+  SELECT pulse_mode, capacity_multiplier, batch_multiplier, interval_multiplier,
+         sampling_rate, metrics_enabled, logs_enabled, queue_processing
+  FROM plt_pulse_throttling_config
+  WHERE is_active = 'Y'`;
+
+// Same as PLTelemetry.set_failover_config
+const MERGE_FAILOVER_CONFIG = `
+  MERGE INTO plt_failover_config c
+  USING (SELECT :key AS config_key FROM dual) s
+  ON (c.config_key = s.config_key)
+  WHEN MATCHED THEN UPDATE SET config_value = :value, updated_at = SYSTIMESTAMP
+  WHEN NOT MATCHED THEN INSERT (config_key, config_value, updated_at)
+    VALUES (s.config_key, :value, SYSTIMESTAMP)`;
+
+/**
+ * Reads plt_pulse_throttling_config and writes plt_failover_config through an
+ * oracledb pool. Rows are read as arrays, oracledb's default, so this module
+ * does not need oracledb itself.
+ */
+class PulseSettings {
+  /**
+   * @param {Object} pool oracledb pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async query(sql, binds = {}, options = {}) {
+    const connection = await this.pool.getConnection();
+    try {
+      return await connection.execute(sql, binds, options);
+    } finally {
+      await connection.close();
+    }
+  }
+
+  /**
+   * Active rows of plt_pulse_throttling_config, keyed by pulse mode
+   */
+  async loadPulseConfig() {
+    const { rows } = await this.query(SELECT_PULSE_CONFIG);
+
+    const config = {};
+    for (const [mode, capacity, batch, interval, sampling, metrics, logs, queue] of rows) {
+      config[mode] = {
+        capacity,
+        batch,
+        interval,
+        sampling,
+        metrics: metrics === 'Y',
+        logs: logs === 'Y',
+        queue: queue === 'Y'
+      };
+    }
+    return config;
+  }
+
+  /**
+   * Upsert a plt_failover_config value
+   */
+  async setFailoverConfig(key, value) {
+    await this.query(MERGE_FAILOVER_CONFIG, { key, value: String(value) }, { autoCommit: true });
+  }
+}
+
+/**
+ * Busy fraction of all CPUs since the previous sample
+ */
+function cpuSampler() {
+  const totals = () => os.cpus().reduce((sum, cpu) => {
+    const times = Object.values(cpu.times).reduce((a, b) => a + b, 0);
+    return { busy: sum.busy + times - cpu.times.idle, total: sum.total + times };
+  }, { busy: 0, total: 0 });
+
+  let previous = totals();
+  return () => {
+    const current = totals();
+    const total = current.total - previous.total;
+    const busy = current.busy - previous.busy;
+    previous = current;
+    return total > 0 ? busy / total : 0;
+  };
+}
+
+function memoryUsage() {
+  return 1 - os.freemem() / os.totalmem();
+}
+
+/**
+ * Pick the pulse mode for a heat value. Moving to a hotter mode happens as
+ * soon as its threshold is crossed; moving back needs the heat to drop
+ * hysteresisMargin below the threshold, so the mode does not flap.
+ * @param {number} heat 0..1
+ * @param {string} currentMode
+ * @param {number[]} thresholds Max heat of PULSE1..PULSE4
+ * @param {number} margin
+ */
+function modeForHeat(heat, currentMode, thresholds, margin) {
+  let level = thresholds.findIndex((max) => heat < max);
+  if (level === -1) level = MODES.length - 1;
+
+  const currentLevel = Math.max(0, MODES.indexOf(currentMode));
+  if (level < currentLevel && heat >= thresholds[currentLevel - 1] - margin) {
+    return currentMode;
+  }
+  return MODES[level];
+}
+
+class PulseThrottler {
+  /**
+   * @param {Object} [options]
+   * @param {PulseSettings} [options.settings] Loads throttling config and stores the mode
+   * @param {string} [options.modeKey] plt_failover_config key the mode is written to (default AGENT_PULSE_MODE)
+   * @param {number[]} [options.thresholds] Max heat of PULSE1..PULSE4 (default 0.3, 0.5, 0.7, 0.9)
+   * @param {number} [options.cpuWeight]
+   * @param {number} [options.memoryWeight]
+   * @param {number} [options.cooldownFactor] Heat kept per check when load drops (0.95 = 5% dissipation)
+   * @param {number} [options.hysteresisMargin]
+   * @param {number} [options.checkIntervalMs]
+   * @param {Function} [options.sample] Returns { cpu, memory } in 0..1 (defaults to the host)
+   */
+  constructor(options = {}) {
+    this.settings = options.settings || null;
+    this.modeKey = options.modeKey || 'AGENT_PULSE_MODE';
+    this.thresholds = options.thresholds || [0.3, 0.5, 0.7, 0.9];
+    this.cpuWeight = options.cpuWeight ?? 0.6;
+    this.memoryWeight = options.memoryWeight ?? 0.4;
+    this.cooldownFactor = options.cooldownFactor ?? 0.95;
+    this.hysteresisMargin = options.hysteresisMargin ?? 0.05;
+    this.checkIntervalMs = options.checkIntervalMs || 30000;
+
+    const cpu = cpuSampler();
+    this.sample = options.sample || (() => ({ cpu: cpu(), memory: memoryUsage() }));
+
+    this.pulseConfig = { ...DEFAULT_PULSE_CONFIG };
+    this.mode = 'PULSE1';
+    this.heat = 0;
+    this.timer = null;
+  }
+
+  async start() {
+    await this.check();
+    this.timer = setInterval(() => {
+      this.check().catch((error) => console.error('❌ Pulse check failed:', error.message));
+    }, this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log('🛑 Pulse Throttler stopped');
+  }
+
+  /**
+   * Measure heat, switch mode if needed and publish it to the core
+   * @returns {Promise<string>} Current mode
+   */
+  async check() {
+    if (this.settings) {
+      try {
+        this.pulseConfig = { ...DEFAULT_PULSE_CONFIG, ...await this.settings.loadPulseConfig() };
+      } catch (error) {
+        console.error('⚠️ Could not load plt_pulse_throttling_config, keeping previous values:', error.message);
+      }
+    }
+
+    const { cpu, memory } = this.sample();
+    const measured = cpu * this.cpuWeight + memory * this.memoryWeight;
+    // Heat rises at once but only dissipates gradually
+    this.heat = Math.max(measured, this.heat * this.cooldownFactor);
+
+    const mode = modeForHeat(this.heat, this.mode, this.thresholds, this.hysteresisMargin);
+    if (mode !== this.mode) {
+      console.log(`💓 System Pulse Changed from_mode=${this.mode.toLowerCase()} to_mode=${mode.toLowerCase()} ` +
+        `system_heat=${this.heat.toFixed(2)} cpu=${cpu.toFixed(2)} memory=${memory.toFixed(2)}`);
+      this.mode = mode;
+      if (mode === 'COMA') {
+        console.log('🔄 Activating Oracle fallback due to COMA mode - stepping back');
+      }
+    }
+
+    // Written on every check, not only on change, so a restarted core or a
+    // manual override in plt_failover_config is corrected within one interval
+    if (this.settings) {
+      await this.settings.setFailoverConfig(this.modeKey, this.mode).catch((error) => {
+        console.error(`⚠️ Could not write ${this.modeKey}:`, error.message);
+      });
+    }
+    return this.mode;
+  }
+
+  get config() {
+    return this.pulseConfig[this.mode] || DEFAULT_PULSE_CONFIG.PULSE1;
+  }
+
+  /**
+   * Same rounding as PLTelemetry.apply_pulse_throttling('BATCH')
+   */
+  batchSize(base) {
+    return Math.max(1, Math.trunc(base * this.config.batch));
+  }
+
+  intervalMs(base) {
+    return Math.max(1000, Math.trunc(base * this.config.interval));
+  }
+
+  get queueProcessing() {
+    return this.config.queue;
+  }
+
+  /**
+   * Decide whether a payload is exported in the current mode
+   * @param {Object} json Parsed PLTelemetry payload
+   * @param {string} type 'span' | 'metric' | 'log'; anything else is never dropped
+   * @returns {string|null} Why it was dropped, or null to export it
+   */
+  drop(json, type) {
+    const config = this.config;
+    if (type === 'metric' && !config.metrics) return `metrics disabled in ${this.mode}`;
+    if (type === 'log' && !config.logs) return `logs disabled in ${this.mode}`;
+    if (type === 'span' && config.sampling < 1 && !PulseThrottler.sampled(json.trace_id, config.sampling)) {
+      return `sampled out in ${this.mode} (rate ${config.sampling})`;
+    }
+    return null;
+  }
+
+  /**
+   * Sample by trace id so every span of a trace gets the same decision
+   */
+  static sampled(traceId, rate) {
+    const hash = crypto.createHash('sha1').update(String(traceId)).digest();
+    return hash.readUInt32BE(0) / 0x100000000 < rate;
+  }
+}
+
+module.exports = { PulseThrottler, PulseSettings, modeForHeat, MODES, DEFAULT_PULSE_CONFIG };
@@ -0,0 +1,607 @@
+// =============================================================================
+// PLTelemetry OTLP - Test Receiver
+// In-process OTLP/HTTP receiver: takes JSON and protobuf on /v1/traces,
+// /v1/metrics and /v1/logs, keeps what it gets in memory and answers queries,
+// so instrumentation can be checked without a collector, Tempo or Loki
+// =============================================================================
+
+const http = require('http');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const { encodeMessage, decodeRequest } = require('./protobuf');
+const { mismatches } = require('./assertions');
+
+const SIGNALS = {
+  '/v1/traces': 'traces',
+  '/v1/metrics': 'metrics',
+  '/v1/logs': 'logs'
+};
+
+// opentelemetry-proto enum values by number, without their prefix
+const SPAN_KINDS = ['UNSPECIFIED', 'INTERNAL', 'SERVER', 'CLIENT', 'PRODUCER', 'CONSUMER'];
+const STATUS_CODES = ['UNSET', 'OK', 'ERROR'];
+const TEMPORALITIES = ['UNSPECIFIED', 'DELTA', 'CUMULATIVE'];
+
+// google.rpc.Code
+const CODE_INVALID_ARGUMENT = 3;
+const CODE_NOT_FOUND = 5;
+const CODE_INTERNAL = 13;
+
+/**
+ * Request the receiver cannot take, answered with this HTTP status
+ */
+class ReceiverError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ReceiverError';
+    this.status = status;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// VALUES
+// ---------------------------------------------------------------------------
+
+/**
+ * A repeated field: absent is empty, anything but an array of messages is a
+ * request the receiver cannot take
+ */
+function messagesOf(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new ReceiverError(`${field} must be an array`, 400);
+  for (const message of value) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      throw new ReceiverError(`${field} must only hold objects`, 400);
+    }
+  }
+  return value;
+}
+
+/**
+ * 64-bit integers arrive as strings; numbers when they fit
+ */
+function toNumber(value) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  return Number.isSafeInteger(number) || !Number.isInteger(number) ? number : String(value);
+}
+
+/**
+ * Ids in OTLP/JSON are hex; base64 is accepted too. All-zero and empty ids are null.
+ */
+function idOf(value, bytes) {
+  if (typeof value !== 'string' || value === '') return null;
+  let hex = value.toLowerCase();
+  if (!new RegExp(`^[0-9a-f]{${bytes * 2}}$`).test(hex)) {
+    const decoded = Buffer.from(value, 'base64');
+    hex = decoded.length === bytes ? decoded.toString('hex') : hex;
+  }
+  return /^0+$/.test(hex) ? null : hex;
+}
+
+/**
+ * OTLP/JSON enums are numbers; the proto names ('SPAN_KIND_SERVER') are accepted too
+ */
+function enumName(value, names, prefix) {
+  if (typeof value === 'string') return value.replace(prefix, '');
+  return names[value || 0] || String(value);
+}
+
+function fromAnyValue(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (value.stringValue !== undefined) return value.stringValue;
+  if (value.boolValue !== undefined) return value.boolValue;
+  if (value.intValue !== undefined) return toNumber(value.intValue);
+  if (value.doubleValue !== undefined) return Number(value.doubleValue);
+  if (value.arrayValue !== undefined) return messagesOf(value.arrayValue && value.arrayValue.values, 'arrayValue.values').map(fromAnyValue);
+  if (value.kvlistValue !== undefined) return fromAttributes(value.kvlistValue.values);
+  if (value.bytesValue !== undefined) return value.bytesValue;
+  return null;
+}
+
+/**
+ * OTLP KeyValue list -> plain object
+ */
+function fromAttributes(attributes) {
+  return Object.fromEntries(messagesOf(attributes, 'attributes').map(({ key, value }) => [key, fromAnyValue(value)]));
+}
+
+function durationMs(start, end) {
+  try {
+    return Number(BigInt(end) - BigInt(start)) / 1e6;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// RECORDS
+// One flat record per span, metric data point and log record, with the
+// resource and scope it came with
+// ---------------------------------------------------------------------------
+
+function origin(resource, scope) {
+  const resourceAttributes = fromAttributes(resource && resource.attributes);
+  return {
+    service: resourceAttributes['service.name'] || null,
+    resource: resourceAttributes,
+    scope: { name: (scope && scope.name) || '', version: (scope && scope.version) || '' }
+  };
+}
+
+function spanRecord(span, from) {
+  const start = span.startTimeUnixNano || '0';
+  const end = span.endTimeUnixNano || '0';
+  return {
+    traceId: idOf(span.traceId, 16),
+    spanId: idOf(span.spanId, 8),
+    parentSpanId: idOf(span.parentSpanId, 8),
+    name: span.name || '',
+    kind: enumName(span.kind, SPAN_KINDS, 'SPAN_KIND_'),
+    traceState: span.traceState || '',
+    startTimeUnixNano: String(start),
+    endTimeUnixNano: String(end),
+    durationMs: durationMs(start, end),
+    status: {
+      code: enumName(span.status && span.status.code, STATUS_CODES, 'STATUS_CODE_'),
+      message: (span.status && span.status.message) || ''
+    },
+    attributes: fromAttributes(span.attributes),
+    events: messagesOf(span.events, 'events').map((event) => ({
+      name: event.name || '',
+      timeUnixNano: String(event.timeUnixNano || '0'),
+      attributes: fromAttributes(event.attributes)
+    })),
+    links: messagesOf(span.links, 'links').map((link) => ({
+      traceId: idOf(link.traceId, 16),
+      spanId: idOf(link.spanId, 8),
+      attributes: fromAttributes(link.attributes)
+    })),
+    ...from
+  };
+}
+
+/**
+ * What a data point measured, by metric type
+ */
+function pointValues(type, point) {
+  switch (type) {
+    case 'gauge':
+    case 'sum':
+      return { value: point.asDouble !== undefined ? Number(point.asDouble) : toNumber(point.asInt || 0) };
+    case 'histogram':
+      return {
+        count: toNumber(point.count || 0),
+        sum: point.sum === undefined ? null : Number(point.sum),
+        min: point.min === undefined ? null : Number(point.min),
+        max: point.max === undefined ? null : Number(point.max),
+        bucketCounts: (point.bucketCounts || []).map(toNumber),
+        explicitBounds: (point.explicitBounds || []).map(Number)
+      };
+    case 'exponentialHistogram':
+      return {
+        count: toNumber(point.count || 0),
+        sum: point.sum === undefined ? null : Number(point.sum),
+        scale: point.scale || 0,
+        zeroCount: toNumber(point.zeroCount || 0),
+        positive: point.positive || null,
+        negative: point.negative || null
+      };
+    default:
+      return {
+        count: toNumber(point.count || 0),
+        sum: Number(point.sum || 0),
+        quantileValues: (point.quantileValues || []).map((q) => ({ quantile: Number(q.quantile || 0), value: Number(q.value || 0) }))
+      };
+  }
+}
+
+function metricRecords(metric, from) {
+  const type = ['gauge', 'sum', 'histogram', 'exponentialHistogram', 'summary'].find((name) => metric[name]);
+  if (!type) return [];
+  const data = metric[type];
+  return messagesOf(data.dataPoints, 'dataPoints').map((point) => ({
+    name: metric.name || '',
+    description: metric.description || '',
+    unit: metric.unit || '',
+    type,
+    ...(type === 'sum' && { isMonotonic: !!data.isMonotonic }),
+    ...(data.aggregationTemporality !== undefined && {
+      aggregationTemporality: enumName(data.aggregationTemporality, TEMPORALITIES, 'AGGREGATION_TEMPORALITY_')
+    }),
+    attributes: fromAttributes(point.attributes),
+    startTimeUnixNano: String(point.startTimeUnixNano || '0'),
+    timeUnixNano: String(point.timeUnixNano || '0'),
+    ...pointValues(type, point),
+    ...from
+  }));
+}
+
+function logRecord(log, from) {
+  return {
+    timeUnixNano: String(log.timeUnixNano || '0'),
+    observedTimeUnixNano: String(log.observedTimeUnixNano || '0'),
+    severityNumber: log.severityNumber === undefined ? 0 : log.severityNumber,
+    severityText: log.severityText || '',
+    body: fromAnyValue(log.body),
+    attributes: fromAttributes(log.attributes),
+    traceId: idOf(log.traceId, 16),
+    spanId: idOf(log.spanId, 8),
+    eventName: log.eventName || '',
+    ...from
+  };
+}
+
+/**
+ * An export request (OTLP/JSON form) -> flat records. Throws a 400
+ * ReceiverError for a request of the wrong shape.
+ */
+function recordsOf(signal, request) {
+  const records = [];
+  if (signal === 'traces') {
+    for (const { resource, scopeSpans } of messagesOf(request.resourceSpans, 'resourceSpans')) {
+      for (const { scope, spans } of messagesOf(scopeSpans, 'scopeSpans')) {
+        const from = origin(resource, scope);
+        for (const span of messagesOf(spans, 'spans')) records.push(spanRecord(span, from));
+      }
+    }
+  } else if (signal === 'metrics') {
+    for (const { resource, scopeMetrics } of messagesOf(request.resourceMetrics, 'resourceMetrics')) {
+      for (const { scope, metrics } of messagesOf(scopeMetrics, 'scopeMetrics')) {
+        const from = origin(resource, scope);
+        for (const metric of messagesOf(metrics, 'metrics')) records.push(...metricRecords(metric, from));
+      }
+    }
+  } else {
+    for (const { resource, scopeLogs } of messagesOf(request.resourceLogs, 'resourceLogs')) {
+      for (const { scope, logRecords } of messagesOf(scopeLogs, 'scopeLogs')) {
+        const from = origin(resource, scope);
+        for (const log of messagesOf(logRecords, 'logRecords')) records.push(logRecord(log, from));
+      }
+    }
+  }
+  return records;
+}
+
+// ---------------------------------------------------------------------------
+// RECEIVER
+// ---------------------------------------------------------------------------
+
+/**
+ * OTLP/HTTP receiver keeping everything in memory. Emits 'spans', 'metrics'
+ * and 'logs' with the records of each request it accepts.
+ */
+class OtlpReceiver extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port] Default 0: any free port
+   * @param {string} [options.host] Default 127.0.0.1
+   * @param {number} [options.maxRecords] Kept per signal, oldest dropped first (default 10000)
+   * @param {number} [options.maxBodyBytes] Larger requests get 413 (default 16 MiB)
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.maxRecords = options.maxRecords || 10000;
+    this.maxBodyBytes = options.maxBodyBytes || 16 * 1024 * 1024;
+    this.server = null;
+    this.data = { spans: [], metrics: [], logs: [] };
+    this.stats = { requests: { traces: 0, metrics: 0, logs: 0 }, rejected: 0, lastError: null };
+  }
+
+  /**
+   * Listen for OTLP/HTTP
+   * @returns {Promise<string>} Base URL, for OTEL_EXPORTER_OTLP_ENDPOINT
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve(this.url);
+      });
+    });
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      // Exporters keep connections alive
+      if (server.closeAllConnections) server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Take an export request directly, as if it had been POSTed
+   * @param {'traces'|'metrics'|'logs'} signal
+   * @param {Object} request OTLP/JSON export request
+   * @returns {Array<Object>} The records kept
+   */
+  ingest(signal, request) {
+    return this.keep(signal, recordsOf(signal, request));
+  }
+
+  /**
+   * Store the records of one request, oldest dropped past maxRecords
+   */
+  keep(signal, records) {
+    const kind = signal === 'traces' ? 'spans' : signal;
+    const kept = this.data[kind];
+    kept.push(...records);
+    if (kept.length > this.maxRecords) kept.splice(0, kept.length - this.maxRecords);
+    this.stats.requests[signal]++;
+    this.emit(kind, records);
+    return records;
+  }
+
+  clear() {
+    this.data = { spans: [], metrics: [], logs: [] };
+  }
+
+  // -------------------------------------------------------------------------
+  // QUERIES
+  // Filters use the matchers of assertions.js: { name: 'POST', kind: 'SERVER',
+  // attributes: { 'http.route': /reports/ } }
+  // -------------------------------------------------------------------------
+
+  spans(filter = {}) {
+    return this.data.spans.filter((span) => mismatches(span, filter, this).length === 0);
+  }
+
+  metrics(filter = {}) {
+    return this.data.metrics.filter((point) => mismatches(point, filter, this).length === 0);
+  }
+
+  logs(filter = {}) {
+    return this.data.logs.filter((log) => mismatches(log, filter, this).length === 0);
+  }
+
+  /**
+   * Spans of a trace, by start time
+   */
+  trace(traceId) {
+    return this.data.spans
+      .filter((span) => span.traceId === traceId)
+      .sort((a, b) => (BigInt(a.startTimeUnixNano) < BigInt(b.startTimeUnixNano) ? -1 : 1));
+  }
+
+  traceIds() {
+    return [...new Set(this.data.spans.map((span) => span.traceId))];
+  }
+
+  span(traceId, spanId) {
+    return this.data.spans.find((span) => span.traceId === traceId && span.spanId === spanId) || null;
+  }
+
+  parentOf(span) {
+    return span.parentSpanId ? this.span(span.traceId, span.parentSpanId) : null;
+  }
+
+  childrenOf(span) {
+    return this.data.spans.filter((other) => other.traceId === span.traceId && other.parentSpanId === span.spanId);
+  }
+
+  /**
+   * Wait until at least count records match, e.g. for a batch exporter
+   * that has not flushed yet
+   * @param {'spans'|'metrics'|'logs'} kind
+   * @param {Object} [filter]
+   * @param {Object} [options] { count: 1, timeoutMs: 5000 }
+   * @returns {Promise<Array<Object>>} The matching records
+   */
+  waitFor(kind, filter = {}, options = {}) {
+    const count = options.count || 1;
+    const timeoutMs = options.timeoutMs || 5000;
+    const query = () => this[kind](filter);
+
+    const found = query();
+    if (found.length >= count) return Promise.resolve(found);
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const matching = query();
+        if (matching.length < count) return;
+        done();
+        resolve(matching);
+      };
+      const timer = setTimeout(() => {
+        done();
+        reject(new ReceiverError(`Timed out after ${timeoutMs}ms waiting for ${count} matching ${kind} (${query().length} so far)`, 408));
+      }, timeoutMs);
+      const done = () => {
+        clearTimeout(timer);
+        this.off(kind, check);
+      };
+      this.on(kind, check);
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // HTTP
+  // -------------------------------------------------------------------------
+
+  async handle(req, res) {
+    try {
+      const url = requestUrl(req, this.url);
+      if (SIGNALS[url.pathname]) {
+        await this.receive(SIGNALS[url.pathname], req, res);
+      } else if (url.pathname.startsWith('/api/')) {
+        this.query(req, res, url);
+      } else {
+        throw new ReceiverError(`No route for ${req.method} ${url.pathname}`, 404);
+      }
+    } catch (error) {
+      const failure = error instanceof ReceiverError ? error : new ReceiverError(error.message, 500);
+      this.stats.rejected++;
+      this.stats.lastError = failure.message;
+      respondError(req, res, failure);
+    }
+  }
+
+  async receive(signal, req, res) {
+    if (req.method !== 'POST') throw new ReceiverError(`Use POST for ${req.url}`, 405);
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json' && contentType !== 'application/x-protobuf') {
+      throw new ReceiverError(`Unsupported Content-Type "${contentType}" (expected application/json or application/x-protobuf)`, 415);
+    }
+
+    const body = await readBody(req, this.maxBodyBytes);
+    let request;
+    try {
+      request = contentType === 'application/json' ? JSON.parse(body.toString('utf8')) : decodeRequest(signal, body);
+    } catch (error) {
+      throw new ReceiverError(`Cannot decode ${signal} request: ${error.message}`, 400);
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      throw new ReceiverError(`Cannot decode ${signal} request: not an object`, 400);
+    }
+
+    // Valid JSON is not yet a valid request: any field of the wrong type is
+    // the client's mistake
+    let records;
+    try {
+      records = recordsOf(signal, request);
+    } catch (error) {
+      throw new ReceiverError(`Invalid ${signal} request: ${error.message}`, 400);
+    }
+    this.keep(signal, records);
+    // An empty Export*ServiceResponse: everything accepted
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(contentType === 'application/json' ? '{}' : Buffer.alloc(0));
+  }
+
+  /**
+   * GET /api/spans, /api/metrics, /api/logs (?trace_id=, ?span_id=, ?name=,
+   * ?service=, ?kind=, ?severity=), /api/traces, /api/traces/:traceId and
+   * /api/stats; DELETE /api/data
+   */
+  query(req, res, url) {
+    const [, , resource, id] = url.pathname.split('/');
+    const params = url.searchParams;
+    const filter = {
+      ...(params.get('trace_id') && { traceId: params.get('trace_id') }),
+      ...(params.get('span_id') && { spanId: params.get('span_id') }),
+      ...(params.get('name') && { name: params.get('name') }),
+      ...(params.get('service') && { service: params.get('service') }),
+      ...(params.get('kind') && { kind: params.get('kind').toUpperCase() }),
+      ...(params.get('severity') && { severityText: params.get('severity').toUpperCase() })
+    };
+
+    let result;
+    if (req.method === 'DELETE' && resource === 'data') {
+      this.clear();
+      result = { message: 'Cleared' };
+    } else if (req.method !== 'GET') {
+      throw new ReceiverError(`Use GET for ${url.pathname}`, 405);
+    } else if (resource === 'traces' && id) {
+      const spans = this.trace(id);
+      if (spans.length === 0) throw new ReceiverError(`Trace ${id} not found`, 404);
+      result = { trace_id: id, count: spans.length, spans };
+    } else if (resource === 'traces') {
+      const traces = this.traceIds().map((traceId) => {
+        const spans = this.trace(traceId);
+        const root = spans.find((span) => !span.parentSpanId || !this.parentOf(span));
+        return { trace_id: traceId, root: root ? root.name : null, spans: spans.length, services: [...new Set(spans.map((span) => span.service))] };
+      });
+      result = { count: traces.length, traces };
+    } else if (resource === 'spans' || resource === 'metrics' || resource === 'logs') {
+      const records = this[resource](filter);
+      result = { count: records.length, [resource]: records };
+    } else if (resource === 'stats') {
+      result = { ...this.stats, kept: { spans: this.data.spans.length, metrics: this.data.metrics.length, logs: this.data.logs.length } };
+    } else {
+      throw new ReceiverError(`No route for ${req.method} ${url.pathname}`, 404);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  }
+}
+
+/**
+ * The URL of a request; a target that does not parse (e.g. "//[") is a 400
+ */
+function requestUrl(req, base) {
+  try {
+    return new URL(req.url, base);
+  } catch (error) {
+    throw new ReceiverError(`Invalid request target "${req.url}"`, 400);
+  }
+}
+
+function readBody(req, maxBytes) {
+  const encoding = (req.headers['content-encoding'] || 'identity').toLowerCase();
+  let stream = req;
+  if (encoding === 'gzip') stream = req.pipe(zlib.createGunzip());
+  else if (encoding === 'deflate') stream = req.pipe(zlib.createInflate());
+  else if (encoding !== 'identity') return Promise.reject(new ReceiverError(`Unsupported Content-Encoding "${encoding}"`, 415));
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      // Past the limit the rest is read and dropped: a socket closed on an
+      // unread body resets the connection before the client sees the 413
+      if (size > maxBytes) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new ReceiverError(`Request body over ${maxBytes} bytes`, 413));
+        chunks.length = 0;
+        if (stream !== req) {
+          req.unpipe(stream);
+          stream.destroy();
+          req.resume();
+        }
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', (error) => reject(new ReceiverError(`Cannot read request body: ${error.message}`, 400)));
+  });
+}
+
+/**
+ * The google.rpc.Code of an HTTP status
+ */
+function rpcCode(status) {
+  if (status >= 500) return CODE_INTERNAL;
+  return status === 404 ? CODE_NOT_FOUND : CODE_INVALID_ARGUMENT;
+}
+
+/**
+ * OTLP/HTTP errors carry a google.rpc.Status in the request's encoding
+ */
+function respondError(req, res, error) {
+  const status = { code: rpcCode(error.status), message: error.message };
+  const protobuf = (req.headers['content-type'] || '').toLowerCase().startsWith('application/x-protobuf');
+  res.writeHead(error.status, { 'Content-Type': protobuf ? 'application/x-protobuf' : 'application/json' });
+  res.end(protobuf ? encodeMessage('RpcStatus', status) : JSON.stringify(status));
+}
+
+/**
+ * Start a receiver
+ * @param {Object} [options] See OtlpReceiver
+ * @returns {Promise<OtlpReceiver>} Already listening; receiver.url is the endpoint
+ */
+async function startReceiver(options) {
+  const receiver = new OtlpReceiver(options);
+  await receiver.start();
+  return receiver;
+}
+
+module.exports = {
+  ReceiverError,
+  OtlpReceiver,
+  startReceiver,
+  recordsOf
+};
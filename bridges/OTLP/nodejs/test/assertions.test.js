@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { mismatches, findSpans, assertSpan, assertNoSpan } = require('../src');
+
+const server = { traceId: 't1', spanId: 's1', name: 'POST /api/reports/financial-summary', kind: 'SERVER', attributes: {} };
+const fetch = {
+  traceId: 't1',
+  spanId: 's2',
+  parentSpanId: 's1',
+  name: 'fetch_oracle_financial_data',
+  kind: 'CLIENT',
+  attributes: { 'oracle.customer_id': 'CUST-001' },
+  status: { code: 'OK' }
+};
+const spans = [server, fetch];
+
+test('a span matches on fields, attributes and its parent', () => {
+  assert.deepStrictEqual(findSpans(spans, { name: /fetch_/, parent: { kind: 'SERVER' } }), [fetch]);
+  assert.deepStrictEqual(findSpans(spans, { parent: null }), [server]);
+  assert.strictEqual(assertSpan(spans, { hasAttributes: ['oracle.customer_id'], status: 'OK' }), fetch);
+});
+
+test('mismatches explain each failed expectation', () => {
+  assert.deepStrictEqual(mismatches(fetch, {
+    kind: 'INTERNAL',
+    attributes: { 'oracle.customer_id': 'CUST-002' },
+    hasAttributes: ['oracle.period']
+  }), [
+    "kind is 'CLIENT', expected 'INTERNAL'",
+    "attribute oracle.customer_id is 'CUST-001', expected 'CUST-002'",
+    'attribute oracle.period is missing'
+  ]);
+  assert.deepStrictEqual(mismatches(server, { parent: { kind: 'SERVER' } }), ['is a root span, expected a parent']);
+});
+
+test('a failed assertion lists the closest spans with their parents', () => {
+  assert.throws(() => assertSpan(spans, { traceId: 't1', name: 'fetch_oracle_financial_data', parent: { kind: 'INTERNAL' } }),
+    (error) => error instanceof assert.AssertionError
+      && /in trace t1 \(2 spans\)/.test(error.message)
+      && /parent "POST \/api\/reports\/financial-summary" \(SERVER s1\): kind is 'SERVER', expected 'INTERNAL'/.test(error.message));
+  assert.throws(() => assertSpan([], { name: 'x' }), /no spans received for any trace/);
+  assert.throws(() => assertNoSpan(spans, { kind: 'CLIENT' }), /found 1: "fetch_oracle_financial_data"/);
+});
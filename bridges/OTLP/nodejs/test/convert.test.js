@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { convert, spanToOtlp, metricToOtlp, logToOtlp, PayloadError } = require('../src');
+
+const TRACE_ID = '0AF7651916CD43DD8448EB211C80319C';
+const SPAN_ID = 'B7AD6B7169203331';
+
+const span = (overrides = {}) => ({
+  trace_id: TRACE_ID,
+  span_id: SPAN_ID,
+  operation_name: 'process_order',
+  start_time: '2025-01-31T12:00:00.000Z',
+  end_time: '2025-01-31T12:00:00.250Z',
+  duration_ms: 250,
+  ...overrides
+});
+
+test('span status maps like PLT_OTLP_BRIDGE.get_otlp_status_code', () => {
+  assert.deepStrictEqual(spanToOtlp(span({ status: 'OK' })).status, { code: 1 });
+  assert.deepStrictEqual(spanToOtlp(span({ status: 'ok' })).status, { code: 1 });
+  assert.deepStrictEqual(spanToOtlp(span({ status: 'ERROR' })).status, { code: 2, message: 'Span completed with error status' });
+  assert.deepStrictEqual(spanToOtlp(span({ status: 'CANCELLED' })).status, { code: 2 });
+  assert.deepStrictEqual(spanToOtlp(span({ status: 'RUNNING' })).status, { code: 0 });
+  assert.deepStrictEqual(spanToOtlp(span()).status, { code: 0 });
+});
+
+test('spans keep ids in lower-case hex, nanosecond times and typed attributes', () => {
+  const otlp = spanToOtlp(span({
+    parent_span_id: 'not-a-span-id',
+    attributes: { 'order.id': 42, amount: 9.5, paid: false, note: null, tags: ['a'] },
+    events: [{ name: 'validated', time: '2025-01-31T12:00:00.100Z' }]
+  }));
+
+  assert.strictEqual(otlp.traceId, TRACE_ID.toLowerCase());
+  assert.strictEqual(otlp.spanId, SPAN_ID.toLowerCase());
+  assert.strictEqual('parentSpanId' in otlp, false);
+  assert.strictEqual(otlp.kind, 1);
+  assert.strictEqual(otlp.startTimeUnixNano, '1738324800000000000');
+  assert.strictEqual(otlp.endTimeUnixNano, '1738324800250000000');
+  assert.deepStrictEqual(otlp.attributes, [
+    { key: 'order.id', value: { intValue: '42' } },
+    { key: 'amount', value: { doubleValue: 9.5 } },
+    { key: 'paid', value: { boolValue: false } },
+    { key: 'note', value: { stringValue: '' } },
+    { key: 'tags', value: { stringValue: '["a"]' } }
+  ]);
+  assert.deepStrictEqual(otlp.events, [{ timeUnixNano: '1738324800100000000', name: 'validated', attributes: [] }]);
+  assert.throws(() => spanToOtlp(span({ trace_id: 'abc' })), (error) => error instanceof PayloadError && /Invalid trace_id: abc/.test(error.message));
+});
+
+test('log severity maps like PLT_OTLP_BRIDGE.get_otlp_severity_number', () => {
+  const expected = { TRACE: 1, DEBUG: 5, INFO: 9, WARN: 13, WARNING: 13, ERROR: 17, FATAL: 21, NOTICE: 9 };
+  for (const [severity, number] of Object.entries(expected)) {
+    assert.strictEqual(logToOtlp({ severity, message: 'm' }).severityNumber, number, severity);
+  }
+  const log = logToOtlp({ severity: 'warn', message: 42, trace_id: TRACE_ID, span_id: 'short' });
+  assert.strictEqual(log.severityText, 'WARN');
+  assert.strictEqual(log.severityNumber, 13);
+  assert.deepStrictEqual(log.body, { stringValue: '42' });
+  assert.strictEqual(log.traceId, TRACE_ID.toLowerCase());
+  assert.strictEqual('spanId' in log, false);
+});
+
+test('counter names become delta sums and other metrics gauges', () => {
+  const counter = metricToOtlp({ name: 'orders_total', value: 3.7, unit: 'count' });
+  assert.deepStrictEqual(counter.sum.dataPoints[0].asInt, '3');
+  assert.strictEqual(counter.sum.aggregationTemporality, 1);
+  assert.strictEqual(counter.sum.isMonotonic, true);
+  assert.strictEqual(counter.unit, 'count');
+
+  const gauge = metricToOtlp({ name: 'queue.depth', value: '12.5' });
+  assert.strictEqual(gauge.gauge.dataPoints[0].asDouble, 12.5);
+  assert.strictEqual(gauge.unit, '1');
+  assert.strictEqual('sum' in gauge, false);
+});
+
+test('a negative counter value is a non-monotonic sum', () => {
+  const metric = metricToOtlp({ name: 'items_processed', value: -3 });
+
+  assert.strictEqual(metric.sum.isMonotonic, false);
+  assert.strictEqual(metric.sum.dataPoints[0].asInt, '-3');
+});
+
+test('traced and business metrics are told apart by their attributes', () => {
+  const traced = metricToOtlp({ name: 'latency', value: 1, trace_id: TRACE_ID, span_id: SPAN_ID });
+  const business = metricToOtlp({ name: 'latency', value: 1, attributes: { region: 'eu' } });
+
+  assert.deepStrictEqual(traced.gauge.dataPoints[0].attributes.map((a) => a.key), ['trace.id', 'metric.category', 'span.id']);
+  assert.match(traced.description, /\(traced\)$/);
+  assert.deepStrictEqual(business.gauge.dataPoints[0].attributes.map((a) => [a.key, a.value.stringValue]),
+    [['region', 'eu'], ['metric.category', 'business'], ['metric.aggregatable', 'true']]);
+  assert.throws(() => metricToOtlp({ name: 'x', value: 'abc' }), PayloadError);
+  assert.throws(() => metricToOtlp({ name: 'x', value: '' }), PayloadError);
+});
+
+test('convert groups records per tenant and reports what it could not convert', () => {
+  const tenant = (id) => ({ 'tenant.id': id });
+  const { traces, metrics, logs, items } = convert([
+    span({ attributes: tenant('acme') }),
+    JSON.stringify(span({ span_id: 'c7ad6b7169203331', attributes: tenant('globex') })),
+    '{not json',
+    { hello: 'world' },
+    { severity: 'INFO', message: 'done' }
+  ], { serviceName: 'erp', tenantId: 'default' });
+
+  assert.strictEqual(metrics, null);
+  assert.strictEqual(logs.resourceLogs.length, 1);
+  assert.deepStrictEqual(traces.resourceSpans.map((group) => group.resource.attributes.find((a) => a.key === 'tenant.id').value.stringValue),
+    ['acme', 'globex']);
+  assert.deepStrictEqual(items.map((item) => item.type), ['span', 'span', null, null, 'log']);
+  assert.match(items[2].error, /^Malformed JSON/);
+  assert.strictEqual(items[3].error, 'Unrecognised PLTelemetry payload');
+});
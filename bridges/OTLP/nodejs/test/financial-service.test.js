@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { startReceiver, waitForSpan, assertSpan } = require('../src');
+
+// The demo stack: financial_service and the ORDS stand-in it calls
+const STACK = path.resolve(__dirname, '../../Docker_Compose');
+
+function installed() {
+  try {
+    require.resolve('express', { paths: [STACK] });
+    require.resolve('@opentelemetry/sdk-node', { paths: [path.join(STACK, 'financial_service')] });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function start(args, env) {
+  const child = spawn(process.execPath, args, {
+    cwd: STACK,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  child.output = '';
+  child.stderr.on('data', (chunk) => { child.output += chunk; });
+  return child;
+}
+
+function request(port, method, pathname, body, headers = {}) {
+  const payload = body && JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: pathname,
+      headers: { ...headers, ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }) }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+async function waitUntilLive(port, child, timeoutMs = 15000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (child.exitCode !== null) throw new Error(`Exited with ${child.exitCode}:\n${child.output}`);
+    try {
+      const { status } = await request(port, 'GET', '/health/live');
+      if (status === 200) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Not live after ${timeoutMs}ms:\n${child.output}`);
+}
+
+test('the ORDS call is traced under the financial summary request', {
+  skip: !installed() && 'Docker_Compose dependencies are not installed (npm install there and in financial_service)',
+  timeout: 60000
+}, async () => {
+  const receiver = await startReceiver();
+  const [ordsPort, apiPort] = [await freePort(), await freePort()];
+  const children = [];
+  try {
+    const ords = start(['services/ords-standin.js'], {
+      SERVICE_PORT: String(ordsPort),
+      ORDS_LATENCY_FACTOR: '0',
+      OTEL_SDK_DISABLED: 'true'
+    });
+    children.push(ords);
+    const api = start(['--require', './financial_service/tracing.js', 'financial_service/server.js'], {
+      PORT: String(apiPort),
+      ORACLE_ORDS_URL: `http://127.0.0.1:${ordsPort}`,
+      OTEL_EXPORTER_OTLP_ENDPOINT: `${receiver.url}/v1/traces`,
+      OTEL_BSP_SCHEDULE_DELAY: '100'
+    });
+    children.push(api);
+    await Promise.all([waitUntilLive(ordsPort, ords), waitUntilLive(apiPort, api)]);
+
+    const response = await request(apiPort, 'POST', '/api/reports/financial-summary',
+      { customer_id: 'CUST-001', period: '2025-Q3' },
+      { 'X-PLT-Tenant-ID': 'acme' });
+    assert.strictEqual(response.status, 200, response.body);
+
+    const server = await waitForSpan(receiver, { kind: 'SERVER', name: /financial-summary/ }, { timeoutMs: 10000 });
+    await waitForSpan(receiver, { traceId: server.traceId, name: 'fetch_oracle_financial_data' }, { timeoutMs: 10000 });
+    const fetch = assertSpan(receiver, {
+      traceId: server.traceId,
+      name: 'fetch_oracle_financial_data',
+      parent: { kind: 'SERVER', spanId: server.spanId },
+      hasAttributes: ['oracle.customer_id']
+    });
+    assert.strictEqual(fetch.attributes['oracle.customer_id'], 'CUST-001');
+  } finally {
+    for (const child of children) child.kill();
+    await receiver.stop();
+  }
+});
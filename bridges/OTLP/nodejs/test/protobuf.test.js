@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { convert, encodeRequest, decodeRequest } = require('../src');
+const { encodeMessage, decodeMessage } = require('../src/protobuf');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+const { traces, metrics, logs } = convert([
+  {
+    trace_id: TRACE_ID,
+    span_id: 'b7ad6b7169203331',
+    parent_span_id: 'a7ad6b7169203331',
+    operation_name: 'process_order',
+    start_time: '2025-01-31T12:00:00.000Z',
+    end_time: '2025-01-31T12:00:00.250Z',
+    duration_ms: 250,
+    status: 'ERROR',
+    attributes: { 'order.id': -42, amount: 9.5, paid: true, customer: 'ACME Ñ' },
+    events: [{ name: 'validated', time: '2025-01-31T12:00:00.100Z', attributes: { step: 1 } }]
+  },
+  { name: 'orders_total', value: -3, timestamp: '2025-01-31T12:00:00.000Z' },
+  { name: 'queue.depth', value: 0, timestamp: '2025-01-31T12:00:00.000Z' },
+  { severity: 'ERROR', message: 'failed', timestamp: '2025-01-31T12:00:00.000Z', trace_id: TRACE_ID }
+], { serviceName: 'erp', tenantId: 'acme' });
+
+const REQUESTS = { traces, metrics, logs };
+
+test('every signal survives encode and decode unchanged', () => {
+  for (const [signal, request] of Object.entries(REQUESTS)) {
+    const bytes = encodeRequest(signal, request);
+    const decoded = decodeRequest(signal, bytes);
+    assert.deepStrictEqual(encodeRequest(signal, decoded), bytes, signal);
+  }
+});
+
+test('span fields decode to their OTLP/JSON form', () => {
+  const decoded = decodeRequest('traces', encodeRequest('traces', traces));
+  const [group] = decoded.resourceSpans;
+  const [span] = group.scopeSpans[0].spans;
+  const original = traces.resourceSpans[0].scopeSpans[0].spans[0];
+
+  assert.deepStrictEqual(group.scopeSpans[0].scope, { name: 'PLTelemetry', version: '2.0.0' });
+  assert.deepStrictEqual(group.resource, traces.resourceSpans[0].resource);
+  for (const field of ['traceId', 'spanId', 'parentSpanId', 'name', 'kind', 'startTimeUnixNano', 'endTimeUnixNano', 'attributes', 'status']) {
+    assert.deepStrictEqual(span[field], original[field], field);
+  }
+  assert.deepStrictEqual(span.events, original.events);
+});
+
+test('negative, zero and double metric values round-trip', () => {
+  const decoded = decodeRequest('metrics', encodeRequest('metrics', metrics));
+  const [counter, gauge] = decoded.resourceMetrics[0].scopeMetrics[0].metrics;
+
+  assert.strictEqual(counter.sum.dataPoints[0].asInt, '-3');
+  assert.strictEqual(counter.sum.aggregationTemporality, 1);
+  // isMonotonic false is the proto3 default and is not sent
+  assert.strictEqual(counter.sum.isMonotonic, undefined);
+  // A oneof value is sent even when it is the default
+  assert.strictEqual(gauge.gauge.dataPoints[0].asDouble, 0);
+});
+
+test('log records keep severity, body and trace id', () => {
+  const decoded = decodeRequest('logs', encodeRequest('logs', logs));
+  const [record] = decoded.resourceLogs[0].scopeLogs[0].logRecords;
+
+  assert.strictEqual(record.severityNumber, 17);
+  assert.strictEqual(record.severityText, 'ERROR');
+  assert.deepStrictEqual(record.body, { stringValue: 'failed' });
+  assert.strictEqual(record.traceId, TRACE_ID);
+});
+
+test('scalars use the protobuf wire format', () => {
+  // KeyValue { key: "a", value: AnyValue { int_value: -1 } }: ten-byte varint
+  assert.strictEqual(encodeMessage('KeyValue', { key: 'a', value: { intValue: '-1' } }).toString('hex'),
+    '0a0161120b18ffffffffffffffffff01');
+  // Status { code: 2 } omits the empty message
+  assert.strictEqual(encodeMessage('Status', { code: 2, message: '' }).toString('hex'), '1802');
+  // sint32 is zigzag encoded
+  assert.strictEqual(encodeMessage('Buckets', { offset: -3 }).toString('hex'), '0805');
+  assert.deepStrictEqual(decodeMessage('Buckets', Buffer.from('0805', 'hex')), { offset: -3 });
+});
+
+test('packed repeated fields and unknown fields decode', () => {
+  const bucketCounts = Buffer.alloc(16);
+  bucketCounts.writeBigUInt64LE(1n, 0);
+  bucketCounts.writeBigUInt64LE(2n, 8);
+  const buffer = Buffer.concat([
+    Buffer.from([0x32, 16]), bucketCounts, // field 6, packed fixed64
+    Buffer.from([0xf8, 0x06, 0x01]) // field 111, varint: unknown, skipped
+  ]);
+
+  assert.deepStrictEqual(decodeMessage('HistogramDataPoint', buffer), { bucketCounts: ['1', '2'] });
+});
+
+test('malformed input is rejected', () => {
+  const bytes = encodeRequest('traces', traces);
+
+  assert.throws(() => decodeRequest('traces', bytes.subarray(0, bytes.length - 3)), /Truncated protobuf message/);
+  assert.throws(() => decodeMessage('Status', Buffer.from('1a00', 'hex')), /Status.code has wire type 2, expected 0/);
+  assert.throws(() => decodeMessage('Status', Buffer.from('0b', 'hex')), /Unsupported wire type 3/);
+  assert.throws(() => decodeMessage('Status', Buffer.from('08ffffffffffffffffffff01', 'hex')), /Malformed varint/);
+  assert.throws(() => encodeRequest('profiles', {}), /Unknown OTLP signal "profiles"/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { convert, PulseThrottler, PulseSettings } = require('../src');
+
+const span = { trace_id: '0af7651916cd43dd8448eb211c80319c', span_id: 'b7ad6b7169203331', operation_name: 'op', duration_ms: 1 };
+const metric = { name: 'orders.count', value: 1 };
+const log = { severity: 'INFO', message: 'done' };
+
+// oracledb pool double: answers SELECTs with `rows`, records everything else
+function fakePool(rows) {
+  const executed = [];
+  return {
+    executed,
+    getConnection: async () => ({
+      execute: async (sql, binds, options) => {
+        executed.push({ sql, binds, options });
+        return /SELECT/.test(sql) ? { rows } : { rowsAffected: 1 };
+      },
+      close: async () => {}
+    })
+  };
+}
+
+test('convert leaves out what the pulse mode drops and reports why', () => {
+  const throttler = Object.assign(new PulseThrottler(), { mode: 'COMA' });
+  const { traces, metrics, logs, items } = convert([metric, log, span], {}, { throttler });
+
+  assert.strictEqual(metrics, null);
+  assert.strictEqual(logs, null);
+  assert.deepStrictEqual(items.slice(0, 2), [
+    { index: 0, type: 'metric', dropped: 'metrics disabled in COMA' },
+    { index: 1, type: 'log', dropped: 'logs disabled in COMA' }
+  ]);
+  // COMA samples 5% of traces: the span is either converted or dropped as a whole
+  const kept = PulseThrottler.sampled(span.trace_id, 0.05);
+  assert.strictEqual(traces !== null, kept);
+  assert.strictEqual('dropped' in items[2], !kept);
+});
+
+test('convert without a throttler keeps everything', () => {
+  const { items } = convert([metric, log, span]);
+  assert.deepStrictEqual(items.map((item) => item.dropped), [undefined, undefined, undefined]);
+});
+
+test('settings read the throttling table and publish the mode under its key', async (t) => {
+  const pool = fakePool([['PULSE2', 0.5, 0.4, 3, 0.6, 'Y', 'N', 'Y']]);
+  const throttler = new PulseThrottler({
+    settings: new PulseSettings(pool),
+    modeKey: 'POSTGRES_BRIDGE_PULSE_MODE',
+    sample: () => ({ cpu: 0.4, memory: 0.4 })
+  });
+  t.mock.method(console, 'log', () => {});
+
+  assert.strictEqual(await throttler.check(), 'PULSE2');
+  assert.deepStrictEqual(throttler.config, {
+    capacity: 0.5, batch: 0.4, interval: 3, sampling: 0.6, metrics: true, logs: false, queue: true
+  });
+  assert.strictEqual(throttler.batchSize(100), 40);
+
+  const write = pool.executed.find(({ sql }) => /MERGE INTO plt_failover_config/.test(sql));
+  assert.deepStrictEqual(write.binds, { key: 'POSTGRES_BRIDGE_PULSE_MODE', value: 'PULSE2' });
+  assert.deepStrictEqual(write.options, { autoCommit: true });
+});
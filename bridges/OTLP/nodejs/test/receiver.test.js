@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const zlib = require('zlib');
+
+const { convert, encodeRequest, startReceiver } = require('../src');
+const { decodeMessage } = require('../src/protobuf');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+const { traces, metrics, logs } = convert([
+  {
+    trace_id: TRACE_ID,
+    span_id: 'b7ad6b7169203331',
+    operation_name: 'process_order',
+    start_time: '2025-01-31T12:00:00.000Z',
+    end_time: '2025-01-31T12:00:00.250Z',
+    duration_ms: 250,
+    status: 'OK',
+    attributes: { 'order.id': 42 }
+  },
+  { name: 'orders_total', value: 3, timestamp: '2025-01-31T12:00:00.000Z' },
+  { severity: 'ERROR', message: 'failed', timestamp: '2025-01-31T12:00:00.000Z', trace_id: TRACE_ID }
+], { serviceName: 'erp' });
+
+const JSON_TYPE = { 'Content-Type': 'application/json' };
+const PROTOBUF_TYPE = { 'Content-Type': 'application/x-protobuf' };
+
+async function receiver(t, options) {
+  const started = await startReceiver(options);
+  t.after(() => started.stop());
+  return started;
+}
+
+async function post(target, path, body, headers = JSON_TYPE) {
+  const response = await fetch(`${target.url}${path}`, {
+    method: 'POST',
+    headers,
+    body: typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(5000)
+  });
+  const bytes = Buffer.from(await response.arrayBuffer());
+  const protobuf = response.headers.get('content-type') === 'application/x-protobuf';
+  return {
+    status: response.status,
+    bytes,
+    // The google.rpc.Status of an error, in the encoding of the request
+    error: response.ok ? null : (protobuf ? decodeMessage('RpcStatus', bytes) : JSON.parse(bytes.toString('utf8')))
+  };
+}
+
+/**
+ * Send text as it is, for request lines fetch would not send
+ */
+function raw(target, text) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(target.port, target.host, () => socket.end(text));
+    let received = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => { received += chunk; });
+    socket.on('close', () => resolve(received));
+    socket.on('error', reject);
+  });
+}
+
+test('protobuf requests of every signal are taken and answered in protobuf', async (t) => {
+  const target = await receiver(t);
+
+  for (const [signal, request] of Object.entries({ traces, metrics, logs })) {
+    const { status, bytes } = await post(target, `/v1/${signal}`, encodeRequest(signal, request), PROTOBUF_TYPE);
+    assert.strictEqual(status, 200, signal);
+    assert.strictEqual(bytes.length, 0, signal);
+  }
+
+  const [span] = target.spans({ traceId: TRACE_ID });
+  assert.deepStrictEqual([span.name, span.service, span.attributes['order.id']], ['process_order', 'erp', 42]);
+  assert.strictEqual(target.metrics({ name: 'orders_total' })[0].value, 3);
+  assert.strictEqual(target.logs()[0].body, 'failed');
+});
+
+test('gzip and deflate bodies are decompressed', async (t) => {
+  const target = await receiver(t);
+  const json = Buffer.from(JSON.stringify(traces));
+
+  assert.strictEqual((await post(target, '/v1/traces', zlib.gzipSync(json), { ...JSON_TYPE, 'Content-Encoding': 'gzip' })).status, 200);
+  assert.strictEqual((await post(target, '/v1/traces', zlib.deflateSync(encodeRequest('traces', traces)),
+    { ...PROTOBUF_TYPE, 'Content-Encoding': 'deflate' })).status, 200);
+  assert.strictEqual(target.spans().length, 2);
+
+  const corrupt = await post(target, '/v1/traces', Buffer.from('not gzip'), { ...JSON_TYPE, 'Content-Encoding': 'gzip' });
+  assert.strictEqual(corrupt.status, 400);
+  assert.match(corrupt.error.message, /^Cannot read request body/);
+
+  const brotli = await post(target, '/v1/traces', zlib.brotliCompressSync(json), { ...JSON_TYPE, 'Content-Encoding': 'br' });
+  assert.deepStrictEqual([brotli.status, brotli.error.message], [415, 'Unsupported Content-Encoding "br"']);
+});
+
+test('a body over maxBodyBytes gets 413, also once decompressed', async (t) => {
+  const target = await receiver(t, { maxBodyBytes: 1000 });
+  const large = JSON.stringify({ resourceSpans: [], padding: 'x'.repeat(100000) });
+
+  for (const [body, headers] of [[large, JSON_TYPE], [zlib.gzipSync(large), { ...JSON_TYPE, 'Content-Encoding': 'gzip' }]]) {
+    const { status, error } = await post(target, '/v1/traces', body, headers);
+    assert.strictEqual(status, 413);
+    assert.deepStrictEqual(error, { code: 3, message: 'Request body over 1000 bytes' });
+  }
+  // Well under the limit once compressed, but not once decompressed
+  assert.ok(zlib.gzipSync(large).length < 1000);
+  assert.strictEqual(target.stats.rejected, 2);
+});
+
+test('malformed requests get 400 and leave the receiver running', async (t) => {
+  const target = await receiver(t);
+  const rejected = async (body, headers, path = '/v1/traces') => {
+    const { status, error } = await post(target, path, body, headers);
+    assert.strictEqual(status, 400, String(body));
+    assert.strictEqual(error.code, 3);
+    return error.message;
+  };
+
+  assert.match(await rejected('{"resourceSpans": [', JSON_TYPE), /^Cannot decode traces request/);
+  assert.match(await rejected('null', JSON_TYPE), /not an object/);
+  assert.match(await rejected('[]', JSON_TYPE), /not an object/);
+  assert.match(await rejected(Buffer.from('0b', 'hex'), PROTOBUF_TYPE), /^Cannot decode traces request/);
+
+  // Valid JSON of the wrong shape
+  assert.strictEqual(await rejected({ resourceSpans: 5 }, JSON_TYPE), 'Invalid traces request: resourceSpans must be an array');
+  assert.strictEqual(await rejected({ resourceSpans: [null] }, JSON_TYPE), 'Invalid traces request: resourceSpans must only hold objects');
+  assert.match(await rejected({ resourceSpans: [{ scopeSpans: [{ spans: [{ attributes: 'a=1' }] }] }] }, JSON_TYPE), /attributes must be an array/);
+  assert.match(await rejected({ resourceMetrics: [{ scopeMetrics: [{ metrics: [{ gauge: { dataPoints: {} } }] }] }] }, JSON_TYPE, '/v1/metrics'),
+    /dataPoints must be an array/);
+  assert.match(await rejected({ resourceLogs: [{ scopeLogs: [{ logRecords: [1] }] }] }, JSON_TYPE, '/v1/logs'), /logRecords must only hold objects/);
+
+  // A request target that is not a URL
+  const answer = await raw(target, 'GET //[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+  assert.match(answer, /^HTTP\/1\.1 400 /);
+  assert.match(answer, /Invalid request target/);
+
+  assert.strictEqual((await post(target, '/v1/traces', traces)).status, 200);
+  assert.strictEqual(target.spans().length, 1);
+});
+
+test('errors carry the google.rpc.Code of their status, in the encoding of the request', async (t) => {
+  const target = await receiver(t);
+
+  const notFound = await post(target, '/v1/profiles', encodeRequest('traces', traces), PROTOBUF_TYPE);
+  assert.deepStrictEqual([notFound.status, notFound.error.code], [404, 5]);
+
+  const unsupported = await post(target, '/v1/traces', 'a', { 'Content-Type': 'text/plain' });
+  assert.deepStrictEqual([unsupported.status, unsupported.error.code], [415, 3]);
+
+  // A failure of the receiver itself is an INTERNAL 500, not the client's fault
+  target.on('spans', () => { throw new Error('listener failed'); });
+  const internal = await post(target, '/v1/traces', encodeRequest('traces', traces), PROTOBUF_TYPE);
+  assert.deepStrictEqual([internal.status, internal.error], [500, { code: 13, message: 'listener failed' }]);
+  assert.strictEqual(target.stats.lastError, 'listener failed');
+});
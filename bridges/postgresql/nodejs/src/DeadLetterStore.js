@@ -0,0 +1,151 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - Dead Letter Store
+// Payloads the bridge could not ingest, kept in telemetry.failed_exports
+// =============================================================================
+
+const COLUMNS = 'export_id, export_time, http_status, payload, error_message, retry_count, last_retry';
+
+// Next retry is due once the exponential backoff since the last attempt has passed
+const DUE_CONDITION = `retry_count < $1
+  AND COALESCE(last_retry, export_time)
+      + make_interval(secs => LEAST($3::float8, $2 * POWER(2, retry_count)) / 1000) <= NOW()`;
+
+class DeadLetterStore {
+  /**
+   * @param {Object} db pg pool
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries] Attempts before a dead letter is left for manual action
+   * @param {number} [options.baseDelayMs] Backoff before the first retry, doubled on each attempt
+   * @param {number} [options.maxDelayMs] Upper bound for the backoff
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 60000;
+    this.maxDelayMs = options.maxDelayMs ?? 3600000;
+  }
+
+  /**
+   * Record a payload that could not be ingested
+   * @param {string|Object} payload Raw payload as received
+   * @param {Error} error Why it was rejected
+   * @param {number} httpStatus Status returned (or that would have been returned) to the sender
+   * @returns {Promise<number>} export_id
+   */
+  async record(payload, error, httpStatus) {
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const { rows } = await this.db.query(
+      `INSERT INTO telemetry.failed_exports (http_status, payload, error_message)
+       VALUES ($1, $2, $3)
+       RETURNING export_id`,
+      [httpStatus, text === undefined ? null : text, `${error.name}: ${error.message}`]
+    );
+    return Number(rows[0].export_id);
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {number} [filter.limit]
+   * @param {number} [filter.offset]
+   * @param {boolean} [filter.exhausted] Only rows that reached maxRetries (true) or only retryable rows (false)
+   */
+  async list({ limit = 50, offset = 0, exhausted } = {}) {
+    const params = [];
+    let where = 'TRUE';
+    if (exhausted !== undefined) {
+      params.push(this.maxRetries);
+      where = exhausted ? 'retry_count >= $1' : 'retry_count < $1';
+    }
+
+    const [{ rows }, count] = await Promise.all([
+      this.db.query(
+        `SELECT ${COLUMNS} FROM telemetry.failed_exports
+         WHERE ${where} ORDER BY export_id
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(`SELECT COUNT(*) AS total FROM telemetry.failed_exports WHERE ${where}`, params)
+    ]);
+    return { total: Number(count.rows[0].total), items: rows };
+  }
+
+  async get(exportId) {
+    const { rows } = await this.db.query(
+      `SELECT ${COLUMNS} FROM telemetry.failed_exports WHERE export_id = $1`,
+      [exportId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Dead letters whose backoff has expired, oldest first
+   */
+  async due(limit = 50) {
+    const { rows } = await this.db.query(
+      `SELECT ${COLUMNS} FROM telemetry.failed_exports
+       WHERE ${DUE_CONDITION}
+       ORDER BY export_id LIMIT $4`,
+      [this.maxRetries, this.baseDelayMs, this.maxDelayMs, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * Count a failed replay attempt
+   */
+  async markFailed(exportId, error, httpStatus) {
+    await this.db.query(
+      `UPDATE telemetry.failed_exports
+       SET retry_count = retry_count + 1,
+           last_retry = NOW(),
+           http_status = $2,
+           error_message = $3
+       WHERE export_id = $1`,
+      [exportId, httpStatus, `${error.name}: ${error.message}`]
+    );
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the row existed
+   */
+  async remove(exportId) {
+    const { rowCount } = await this.db.query(
+      'DELETE FROM telemetry.failed_exports WHERE export_id = $1',
+      [exportId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Delete dead letters in bulk
+   * @param {Object} filter At least one condition is required
+   * @param {boolean} [filter.exhausted] Only rows that reached maxRetries
+   * @param {number} [filter.olderThanHours] Only rows exported before this many hours ago
+   * @param {boolean} [filter.all] Delete everything
+   * @returns {Promise<number>} Rows deleted
+   */
+  async purge({ exhausted = false, olderThanHours, all = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (exhausted) {
+      params.push(this.maxRetries);
+      conditions.push(`retry_count >= $${params.length}`);
+    }
+    if (olderThanHours !== undefined) {
+      params.push(olderThanHours);
+      conditions.push(`export_time < NOW() - make_interval(hours => $${params.length}::int)`);
+    }
+    if (conditions.length === 0 && !all) {
+      throw new Error('Refusing to purge without a filter (pass all to delete everything)');
+    }
+
+    const { rowCount } = await this.db.query(
+      `DELETE FROM telemetry.failed_exports WHERE ${conditions.join(' AND ') || 'TRUE'}`,
+      params
+    );
+    return rowCount;
+  }
+}
+
+module.exports = { DeadLetterStore };
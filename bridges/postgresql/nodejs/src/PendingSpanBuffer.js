@@ -0,0 +1,115 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - Pending Span Buffer
+// Holds spans whose trace or parent span has not been stored yet
+// =============================================================================
+
+/**
+ * In-memory buffer of spans waiting for a missing trace or parent span.
+ *
+ * Entries are indexed by what they wait for ("trace:<id>" / "span:<id>"),
+ * so storing a trace or span releases exactly the spans that depend on it.
+ */
+class PendingSpanBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.graceMs] How long a span may wait before placeholders are created
+   * @param {number} [options.maxSize] Maximum buffered spans before the oldest are forced out
+   */
+  constructor(options = {}) {
+    this.graceMs = options.graceMs ?? 30000;
+    this.maxSize = options.maxSize ?? 10000;
+    this.entries = new Map();   // span_id -> entry
+    this.waiting = new Map();   // "trace:<id>" | "span:<id>" -> Set of span_id
+  }
+
+  static traceKey(traceId) {
+    return `trace:${traceId}`;
+  }
+
+  static spanKey(spanId) {
+    return `span:${spanId}`;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Buffer a span. Re-adding a span keeps its original receivedAt so the
+   * grace period is measured from the first time it was seen.
+   */
+  add(spanId, json, { traceId = null, parentSpanId = null }, receivedAt = Date.now()) {
+    const previous = this.entries.get(spanId);
+    if (previous) this.remove(previous);
+
+    const keys = [];
+    if (traceId) keys.push(PendingSpanBuffer.traceKey(traceId));
+    if (parentSpanId) keys.push(PendingSpanBuffer.spanKey(parentSpanId));
+
+    const entry = {
+      spanId,
+      json,
+      keys,
+      receivedAt: previous ? previous.receivedAt : receivedAt
+    };
+
+    this.entries.set(spanId, entry);
+    for (const key of keys) {
+      if (!this.waiting.has(key)) this.waiting.set(key, new Set());
+      this.waiting.get(key).add(spanId);
+    }
+    return entry;
+  }
+
+  remove(entry) {
+    this.entries.delete(entry.spanId);
+    for (const key of entry.keys) {
+      const ids = this.waiting.get(key);
+      if (!ids) continue;
+      ids.delete(entry.spanId);
+      if (ids.size === 0) this.waiting.delete(key);
+    }
+  }
+
+  /**
+   * Remove and return the spans waiting for the given key
+   */
+  take(key) {
+    const ids = this.waiting.get(key);
+    if (!ids) return [];
+
+    const entries = [...ids].map((id) => this.entries.get(id)).filter(Boolean);
+    entries.forEach((entry) => this.remove(entry));
+    return entries;
+  }
+
+  /**
+   * Remove and return spans older than the grace period
+   */
+  takeExpired(now = Date.now()) {
+    const expired = [...this.entries.values()].filter((entry) => now - entry.receivedAt >= this.graceMs);
+    expired.forEach((entry) => this.remove(entry));
+    return expired;
+  }
+
+  /**
+   * Remove and return the oldest spans above maxSize
+   */
+  takeOverflow() {
+    const overflow = this.entries.size - this.maxSize;
+    if (overflow <= 0) return [];
+
+    // Map preserves insertion order, so the first entries are the oldest
+    const oldest = [...this.entries.values()].slice(0, overflow);
+    oldest.forEach((entry) => this.remove(entry));
+    return oldest;
+  }
+
+  takeAll() {
+    const all = [...this.entries.values()];
+    all.forEach((entry) => this.remove(entry));
+    return all;
+  }
+}
+
+module.exports = { PendingSpanBuffer };
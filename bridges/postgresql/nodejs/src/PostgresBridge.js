@@ -0,0 +1,993 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - Node.js Ingester
+// Writes PLTelemetry span/metric/log JSON into the telemetry schema
+// =============================================================================
+
+const { Pool } = require('pg');
+const { PendingSpanBuffer } = require('./PendingSpanBuffer');
+const { insertRows, copyRows } = require('./bulk');
+const { DeadLetterStore } = require('./DeadLetterStore');
+
+const SPAN_STATUSES = ['RUNNING', 'OK', 'ERROR', 'CANCELLED'];
+const TRACE_ID_PATTERN = /^[0-9a-f]{32}$/i;
+const SPAN_ID_PATTERN = /^[0-9a-f]{16}$/i;
+
+// ISO 8601 as PLTelemetry sends it ("2025-01-31T12:00:00.123Z" or
+// "2025-01-31 12:00:00.123456 +01:00"); see parseTimestamp
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,9})?)?)?\s*(?:Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+// Column limits: DECIMAL(precision, scale) and VARCHAR lengths
+const DURATION_DIGITS = { precision: 15, scale: 3 };
+const METRIC_VALUE_DIGITS = { precision: 20, scale: 6 };
+
+// Marks trace and span rows created to satisfy FKs for spans that waited too long
+const PLACEHOLDER_OPERATION = 'plt.placeholder';
+
+// Shared by single and batch upserts so both resolve conflicts the same way
+const TRACE_CONFLICT = `ON CONFLICT (trace_id) DO UPDATE SET
+         root_operation = CASE WHEN telemetry.traces.root_operation = '${PLACEHOLDER_OPERATION}'
+                               THEN EXCLUDED.root_operation
+                               ELSE telemetry.traces.root_operation END,
+         start_time = LEAST(telemetry.traces.start_time, EXCLUDED.start_time),
+         end_time = COALESCE(EXCLUDED.end_time, telemetry.traces.end_time),
+         service_instance = COALESCE(EXCLUDED.service_instance, telemetry.traces.service_instance)`;
+
+const SPAN_CONFLICT = `ON CONFLICT (span_id) DO UPDATE SET
+         parent_span_id = EXCLUDED.parent_span_id,
+         operation_name = EXCLUDED.operation_name,
+         start_time = EXCLUDED.start_time,
+         end_time = EXCLUDED.end_time,
+         duration_ms = EXCLUDED.duration_ms,
+         status = EXCLUDED.status`;
+
+const TRACE_COLUMNS = ['trace_id', 'root_operation', 'start_time', 'end_time', 'service_name', 'service_instance'];
+const SPAN_COLUMNS = ['span_id', 'trace_id', 'parent_span_id', 'operation_name', 'start_time', 'end_time', 'duration_ms', 'status'];
+const EVENT_COLUMNS = ['span_id', 'event_name', 'event_time', 'attributes'];
+const METRIC_COLUMNS = ['metric_name', 'metric_value', 'metric_unit', 'trace_id', 'span_id', 'timestamp', 'attributes'];
+const LOG_COLUMNS = ['severity', 'message', 'log_time', 'trace_id', 'span_id', 'attributes'];
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Payload is not valid PLTelemetry JSON (never retryable)
+ */
+class PayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PayloadError';
+  }
+}
+
+/**
+ * Span references a trace or parent span that is not stored yet
+ */
+class MissingReferenceError extends Error {
+  constructor(message, { traceId = null, parentSpanId = null } = {}) {
+    super(message);
+    this.name = 'MissingReferenceError';
+    this.traceId = traceId;
+    this.parentSpanId = parentSpanId;
+  }
+}
+
+/**
+ * The current pulse mode does not take telemetry (COMA). Retryable: the
+ * sender keeps it queued and tries again after retryAfterMs
+ */
+class ThrottledError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'ThrottledError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Errors that will fail the same way on every retry: bad payloads and
+ * Postgres data exceptions (class 22) or constraint violations (class 23)
+ */
+function isPermanentError(error) {
+  return error instanceof PayloadError || /^2[23]/.test(error.code || '');
+}
+
+/**
+ * Map ingest errors to HTTP status codes
+ */
+function statusFor(error) {
+  if (error instanceof PayloadError) return 400;
+  if (error instanceof MissingReferenceError) return 409;
+  if (isPermanentError(error)) return 422;
+  if (error instanceof ThrottledError) return 503;
+  return 500;
+}
+
+// =============================================================================
+// PAYLOAD HELPERS
+// =============================================================================
+
+/**
+ * Parse a raw payload (string or object) into a JSON object
+ */
+function parsePayload(payload) {
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    return payload;
+  }
+
+  if (typeof payload !== 'string' || payload.trim() === '') {
+    throw new PayloadError('Payload must be a JSON object');
+  }
+
+  let json;
+  try {
+    json = JSON.parse(payload);
+  } catch (error) {
+    throw new PayloadError(`Malformed JSON: ${error.message}`);
+  }
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new PayloadError('Payload must be a JSON object');
+  }
+  return json;
+}
+
+/**
+ * Detect the telemetry type using the same rules as
+ * PLTelemetry.send_to_backend and PLT_POSTGRES_BRIDGE.route_to_postgres
+ */
+function classifyPayload(json) {
+  if (json.span_id && json.duration_ms !== undefined) return 'span';
+  if (json.name !== undefined && json.value !== undefined) return 'metric';
+  if (json.severity !== undefined && json.message !== undefined) return 'log';
+  if (json.trace_id && (json.root_operation || json.operation)) return 'trace';
+  return null;
+}
+
+/**
+ * PL/SQL sends empty strings for absent ids ("parent_span_id":"")
+ */
+function emptyToNull(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+function requireId(value, pattern, field) {
+  if (!pattern.test(value || '')) {
+    throw new PayloadError(`Invalid ${field}: ${value === undefined ? 'missing' : value}`);
+  }
+  return value.toLowerCase();
+}
+
+function nullableString(value, maxLength) {
+  const text = emptyToNull(value);
+  return text === null ? null : String(text).slice(0, maxLength);
+}
+
+function optionalId(value, pattern, field) {
+  const id = emptyToNull(value);
+  return id === null ? null : requireId(id, pattern, field);
+}
+
+function normalizeStatus(status) {
+  const upper = String(status || 'OK').toUpperCase();
+  return SPAN_STATUSES.includes(upper) ? upper : 'ERROR';
+}
+
+function toNumber(value, field) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) {
+    throw new PayloadError(`Invalid ${field}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * A number that fits a DECIMAL(precision, scale) column once rounded
+ */
+function toDecimal(value, field, { precision, scale }) {
+  const number = toNumber(value, field);
+  if (Math.abs(Number(number.toFixed(scale))) >= 10 ** (precision - scale)) {
+    throw new PayloadError(`Invalid ${field}: ${value} is out of range for DECIMAL(${precision},${scale})`);
+  }
+  return number;
+}
+
+/**
+ * Check a timestamp before Postgres casts it: inside a batch, a cast error
+ * would roll back every other item with it
+ */
+function parseTimestamp(value, field) {
+  const text = emptyToNull(value);
+  if (text === null) return null;
+
+  const match = typeof text === 'string' ? TIMESTAMP_PATTERN.exec(text.trim()) : null;
+  if (match) {
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map((part) => Number(part || 0));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const validDate = year >= 1 && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    if (validDate && hour < 24 && minute < 60 && second <= 60) return text.trim();
+  }
+  throw new PayloadError(`Invalid ${field}: ${value}`);
+}
+
+function attributesOf(json) {
+  const attrs = json.attributes;
+  return attrs && typeof attrs === 'object' && !Array.isArray(attrs) ? attrs : {};
+}
+
+/**
+ * Parse a batch body into an array of items
+ */
+function parseBatch(payload, maxSize) {
+  let items = payload;
+  if (typeof payload === 'string') {
+    try {
+      items = JSON.parse(payload);
+    } catch (error) {
+      throw new PayloadError(`Malformed JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    throw new PayloadError('Batch must be a JSON array');
+  }
+  if (items.length > maxSize) {
+    throw new PayloadError(`Batch of ${items.length} items exceeds the maximum of ${maxSize}`);
+  }
+  return items;
+}
+
+/**
+ * Batch items are PLTelemetry payloads, optionally wrapped as
+ * {"queue_id": 42, "payload": ...} so results can be matched to plt_queue rows
+ */
+function unwrapBatchItem(item) {
+  if (item && typeof item === 'object' && !Array.isArray(item) && item.payload !== undefined) {
+    return { queueId: item.queue_id ?? null, payload: item.payload };
+  }
+  return { queueId: null, payload: item };
+}
+
+// Validated rows, shared by the single and batch write paths
+
+function prepareTrace(json, serviceName) {
+  return {
+    traceId: requireId(json.trace_id, TRACE_ID_PATTERN, 'trace_id'),
+    operation: String(json.root_operation || json.operation).slice(0, 255),
+    startTime: parseTimestamp(json.start_time, 'start_time'),
+    endTime: parseTimestamp(json.end_time, 'end_time'),
+    serviceName: String(json.service_name || serviceName).slice(0, 100),
+    serviceInstance: nullableString(json.service_instance, 255)
+  };
+}
+
+function prepareSpan(json) {
+  return {
+    traceId: requireId(json.trace_id, TRACE_ID_PATTERN, 'trace_id'),
+    spanId: requireId(json.span_id, SPAN_ID_PATTERN, 'span_id'),
+    parentSpanId: optionalId(json.parent_span_id, SPAN_ID_PATTERN, 'parent_span_id'),
+    operation: String(json.operation_name || json.operation || 'unknown_operation').slice(0, 255),
+    startTime: parseTimestamp(json.start_time, 'start_time'),
+    endTime: parseTimestamp(json.end_time, 'end_time'),
+    durationMs: toDecimal(json.duration_ms, 'duration_ms', DURATION_DIGITS),
+    status: normalizeStatus(json.status),
+    events: prepareEvents(json.events)
+  };
+}
+
+function prepareEvents(events) {
+  if (!Array.isArray(events)) return [];
+  return events
+    .filter((event) => event && event.name)
+    .map((event) => ({
+      name: String(event.name).slice(0, 255),
+      time: parseTimestamp(event.time, 'event time'),
+      attributes: attributesOf(event)
+    }));
+}
+
+function prepareMetric(json) {
+  if (!json.name) throw new PayloadError('Metric name is required');
+  return {
+    name: String(json.name).slice(0, 255),
+    value: toDecimal(json.value, 'value', METRIC_VALUE_DIGITS),
+    unit: nullableString(json.unit, 50),
+    traceId: optionalId(json.trace_id, TRACE_ID_PATTERN, 'trace_id'),
+    spanId: optionalId(json.span_id, SPAN_ID_PATTERN, 'span_id'),
+    timestamp: parseTimestamp(json.timestamp, 'timestamp'),
+    attributes: { ...attributesOf(json) }
+  };
+}
+
+function prepareLog(json) {
+  return {
+    severity: String(json.severity).toUpperCase().slice(0, 10),
+    message: String(json.message),
+    timestamp: parseTimestamp(json.timestamp, 'timestamp'),
+    traceId: optionalId(json.trace_id, TRACE_ID_PATTERN, 'trace_id'),
+    spanId: optionalId(json.span_id, SPAN_ID_PATTERN, 'span_id'),
+    attributes: attributesOf(json)
+  };
+}
+
+/**
+ * Fold a trace row into a batch, keeping the first real root_operation
+ * and the widest time range (same outcome as upserting them one by one)
+ */
+function mergeTrace(traces, trace) {
+  const existing = traces.get(trace.traceId);
+  if (!existing) {
+    traces.set(trace.traceId, { ...trace });
+    return;
+  }
+
+  if (existing.operation === PLACEHOLDER_OPERATION) existing.operation = trace.operation;
+  if (trace.startTime && (!existing.startTime || new Date(trace.startTime) < new Date(existing.startTime))) {
+    existing.startTime = trace.startTime;
+  }
+  existing.endTime = trace.endTime || existing.endTime;
+  existing.serviceInstance = trace.serviceInstance || existing.serviceInstance;
+}
+
+/**
+ * Metrics are usually logged while their span is still running, so a
+ * reference that is not stored yet is kept in the attributes instead
+ */
+function detachUnknownReferences(metric, known) {
+  if (metric.traceId && !known.traces.has(metric.traceId)) {
+    metric.attributes['plt.trace_id'] = metric.traceId;
+    metric.traceId = null;
+  }
+  if (metric.spanId && !known.spans.has(metric.spanId)) {
+    metric.attributes['plt.span_id'] = metric.spanId;
+    metric.spanId = null;
+  }
+}
+
+// =============================================================================
+// BRIDGE
+// =============================================================================
+
+class PostgresBridge {
+  /**
+   * @param {Object} options
+   * @param {Pool} [options.pool] Existing pg pool (the bridge will not close it)
+   * @param {string} [options.connectionString] Used when no pool is given
+   * @param {string} [options.serviceName] service_name for traces created from root spans
+   * @param {number} [options.pendingGraceMs] How long out-of-order spans wait before placeholders are created
+   * @param {number} [options.pendingMaxSize] Maximum number of buffered out-of-order spans
+   * @param {number} [options.maxBatchSize] Maximum items accepted by ingestBatch
+   * @param {Object|false} [options.deadLetters] DeadLetterStore options, or false to disable dead letters
+   * @param {PulseThrottler} [options.throttler] Drops, samples and caps batches by pulse mode (pltelemetry-otlp)
+   */
+  constructor(options = {}) {
+    this.ownsPool = !options.pool;
+    this.pool = options.pool || new Pool({
+      connectionString: options.connectionString || process.env.PLT_PG_URL,
+      max: options.poolSize || 10
+    });
+    this.serviceName = options.serviceName || 'oracle-plsql';
+    this.pending = new PendingSpanBuffer({
+      graceMs: options.pendingGraceMs,
+      maxSize: options.pendingMaxSize
+    });
+    this.sweepTimer = null;
+    this.maxBatchSize = options.maxBatchSize || 1000;
+    this.throttler = options.throttler || null;
+    this.deadLetters = options.deadLetters === false
+      ? null
+      : new DeadLetterStore(this.pool, options.deadLetters);
+  }
+
+  /**
+   * Ingest a single PLTelemetry payload. Payloads that fail permanently
+   * are recorded in telemetry.failed_exports before the error is rethrown.
+   * @param {string|Object} payload
+   * @param {Object} [options]
+   * @param {boolean} [options.deadLetter] Record permanent failures (replays pass false)
+   * @returns {Promise<{type: string, id?: string|number, dropped?: string}>}
+   * @throws {ThrottledError} In COMA, before anything is parsed
+   */
+  async ingest(payload, { deadLetter = true } = {}) {
+    this.checkThrottle();
+    try {
+      return await this.ingestPayload(payload);
+    } catch (error) {
+      if (deadLetter && isPermanentError(error)) {
+        await this.recordDeadLetter(payload, error);
+      }
+      throw error;
+    }
+  }
+
+  async ingestPayload(payload) {
+    const json = parsePayload(payload);
+    const type = classifyPayload(json);
+    const dropped = this.dropReason(json, type);
+    if (dropped) return { type, dropped };
+
+    switch (type) {
+      case 'span':
+        return this.ingestSpan(json);
+      case 'metric':
+        return { type, id: await this.insertMetric(this.pool, json) };
+      case 'log':
+        return { type, id: await this.insertLog(this.pool, json) };
+      case 'trace': {
+        const traceId = await this.insertTrace(this.pool, json);
+        await this.releasePending(PendingSpanBuffer.traceKey(traceId));
+        return { type, id: traceId };
+      }
+      default:
+        throw new PayloadError('Unrecognised PLTelemetry payload (expected span, metric, log or trace)');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // PULSE THROTTLING
+  // ---------------------------------------------------------------------------
+
+  /**
+   * In COMA the bridge stops taking telemetry, as the agent stops draining
+   * plt_queue, so the senders keep it queued and the core's fallback takes over
+   * @throws {ThrottledError}
+   */
+  checkThrottle() {
+    if (this.throttler && !this.throttler.queueProcessing) {
+      throw new ThrottledError(`Not accepting telemetry in ${this.throttler.mode}`, this.throttler.checkIntervalMs);
+    }
+  }
+
+  /**
+   * Why the current pulse mode drops a payload (disabled type or sampled out
+   * trace), or null to store it. Traces are never dropped
+   */
+  dropReason(json, type) {
+    return this.throttler ? this.throttler.drop(json, type) : null;
+  }
+
+  /**
+   * Items one ingestBatch stores; the rest are deferred to the sender's next run
+   */
+  batchLimit() {
+    return this.throttler ? this.throttler.batchSize(this.maxBatchSize) : this.maxBatchSize;
+  }
+
+  /**
+   * Store a payload in telemetry.failed_exports. Never throws: losing the
+   * dead letter must not hide the original error from the sender.
+   * @returns {Promise<number|null>} export_id, also set as error.deadLetterId
+   */
+  async recordDeadLetter(payload, error) {
+    if (!this.deadLetters) return null;
+    try {
+      error.deadLetterId = await this.deadLetters.record(payload, error, statusFor(error));
+      return error.deadLetterId;
+    } catch (recordError) {
+      console.error('❌ Could not record dead letter:', recordError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run fn inside BEGIN/COMMIT on a dedicated client
+   */
+  async withTransaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // TRACES
+  // ---------------------------------------------------------------------------
+
+  async insertTrace(db, json) {
+    const trace = prepareTrace(json, this.serviceName);
+
+    await db.query(
+      `INSERT INTO telemetry.traces (${TRACE_COLUMNS.join(', ')})
+       VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4, $5, $6)
+       ${TRACE_CONFLICT}`,
+      [trace.traceId, trace.operation, trace.startTime, trace.endTime, trace.serviceName, trace.serviceInstance]
+    );
+    return trace.traceId;
+  }
+
+  // ---------------------------------------------------------------------------
+  // SPANS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Store a span, or buffer it when its trace or parent is not stored yet.
+   * Storing a span releases any buffered children waiting for it.
+   */
+  async ingestSpan(json) {
+    try {
+      const spanId = await this.withTransaction((client) => this.insertSpan(client, json));
+      await this.releaseStored(json.trace_id, spanId);
+      return { type: 'span', id: spanId };
+    } catch (error) {
+      if (!(error instanceof MissingReferenceError)) throw error;
+
+      const spanId = json.span_id.toLowerCase();
+      this.pending.add(spanId, json, error);
+      this.startSweeper();
+      await this.flushEntries(this.pending.takeOverflow(), { placeholders: true });
+      return { type: 'span', id: spanId, pending: true };
+    }
+  }
+
+  /**
+   * Release spans waiting for a freshly stored trace or span
+   */
+  async releaseStored(traceId, spanId) {
+    await this.releasePending(PendingSpanBuffer.traceKey(String(traceId).toLowerCase()));
+    await this.releasePending(PendingSpanBuffer.spanKey(spanId));
+  }
+
+  async releasePending(key) {
+    await this.flushEntries(this.pending.take(key));
+  }
+
+  /**
+   * Retry buffered spans. With placeholders, missing trace and parent rows
+   * are created first so the insert cannot fail on FKs.
+   */
+  async flushEntries(entries, { placeholders = false } = {}) {
+    for (const entry of entries) {
+      try {
+        await this.withTransaction(async (client) => {
+          if (placeholders) await this.insertPlaceholders(client, entry.json);
+          return this.insertSpan(client, entry.json);
+        });
+        await this.releaseStored(entry.json.trace_id, entry.spanId);
+      } catch (error) {
+        if (error instanceof MissingReferenceError) {
+          this.pending.add(entry.spanId, entry.json, error, entry.receivedAt);
+        } else {
+          // Already acknowledged with 202, so nobody upstream will resend it
+          console.error(`❌ Buffered span ${entry.spanId} could not be stored:`, error.message);
+          await this.recordDeadLetter(entry.json, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Create placeholder rows for the trace and parent span of a buffered span.
+   * Real rows arriving later overwrite them (see insertTrace / insertSpan).
+   */
+  async insertPlaceholders(db, json) {
+    const traceId = requireId(json.trace_id, TRACE_ID_PATTERN, 'trace_id');
+    const parentSpanId = optionalId(json.parent_span_id, SPAN_ID_PATTERN, 'parent_span_id');
+    const startTime = parseTimestamp(json.start_time, 'start_time');
+
+    await db.query(
+      `INSERT INTO telemetry.traces (trace_id, root_operation, start_time, service_name)
+       VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4)
+       ON CONFLICT (trace_id) DO NOTHING`,
+      [traceId, PLACEHOLDER_OPERATION, startTime, this.serviceName]
+    );
+
+    if (parentSpanId) {
+      await db.query(
+        `INSERT INTO telemetry.spans (span_id, trace_id, operation_name, start_time, status)
+         VALUES ($1, $2, $3, COALESCE($4::timestamptz, NOW()), 'RUNNING')
+         ON CONFLICT (span_id) DO NOTHING`,
+        [parentSpanId, traceId, PLACEHOLDER_OPERATION, startTime]
+      );
+    }
+  }
+
+  /**
+   * Periodically give up waiting on spans older than the grace period
+   */
+  startSweeper() {
+    if (this.sweepTimer) return;
+    const interval = Math.max(1000, Math.floor(this.pending.graceMs / 2));
+    this.sweepTimer = setInterval(() => {
+      this.flushEntries(this.pending.takeExpired(), { placeholders: true })
+        .catch((error) => console.error('❌ Pending span sweep failed:', error.message));
+    }, interval);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Insert a span and its events. Root spans create their trace row;
+   * child spans need both the trace and the parent span to exist already.
+   */
+  async insertSpan(db, json) {
+    const span = prepareSpan(json);
+
+    if (!span.parentSpanId) {
+      await this.insertTrace(db, {
+        trace_id: span.traceId,
+        root_operation: span.operation,
+        start_time: span.startTime,
+        end_time: span.endTime
+      });
+    } else {
+      await this.assertReferences(db, span);
+    }
+
+    await db.query(
+      `INSERT INTO telemetry.spans (${SPAN_COLUMNS.join(', ')})
+       VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, NOW()), $6, $7, $8)
+       ${SPAN_CONFLICT}`,
+      [span.spanId, span.traceId, span.parentSpanId, span.operation,
+        span.startTime, span.endTime, span.durationMs, span.status]
+    );
+
+    // Re-sent spans replace their events instead of duplicating them
+    await db.query('DELETE FROM telemetry.events WHERE span_id = $1', [span.spanId]);
+    await this.insertEvents(db, span.spanId, span.events);
+
+    return span.spanId;
+  }
+
+  async assertReferences(db, span) {
+    const { rows } = await db.query(
+      `SELECT
+         EXISTS (SELECT 1 FROM telemetry.traces WHERE trace_id = $1) AS trace_found,
+         EXISTS (SELECT 1 FROM telemetry.spans WHERE span_id = $2) AS parent_found`,
+      [span.traceId, span.parentSpanId]
+    );
+
+    const missing = [];
+    if (!rows[0].trace_found) missing.push(`trace ${span.traceId}`);
+    if (!rows[0].parent_found) missing.push(`parent span ${span.parentSpanId}`);
+
+    if (missing.length > 0) {
+      throw new MissingReferenceError(`Span ${span.spanId} references missing ${missing.join(' and ')}`, {
+        traceId: rows[0].trace_found ? null : span.traceId,
+        parentSpanId: rows[0].parent_found ? null : span.parentSpanId
+      });
+    }
+  }
+
+  async insertEvents(db, spanId, events) {
+    for (const event of events) {
+      await db.query(
+        `INSERT INTO telemetry.events (span_id, event_name, event_time, attributes)
+         VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4)`,
+        [spanId, event.name, event.time, event.attributes]
+      );
+    }
+    return events.length;
+  }
+
+  // ---------------------------------------------------------------------------
+  // METRICS AND LOGS
+  // ---------------------------------------------------------------------------
+
+  async insertMetric(db, json) {
+    const metric = prepareMetric(json);
+
+    if (metric.traceId || metric.spanId) {
+      const known = await this.lookupReferences(db, [metric.traceId], [metric.spanId]);
+      detachUnknownReferences(metric, known);
+    }
+
+    const { rows } = await db.query(
+      `INSERT INTO telemetry.metrics (${METRIC_COLUMNS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamptz, NOW()), $7)
+       RETURNING metric_id`,
+      [metric.name, metric.value, metric.unit, metric.traceId, metric.spanId, metric.timestamp, metric.attributes]
+    );
+    return rows[0].metric_id;
+  }
+
+  async insertLog(db, json) {
+    const log = prepareLog(json);
+    const { rows } = await db.query(
+      `INSERT INTO telemetry.logs (${LOG_COLUMNS.join(', ')})
+       VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4, $5, $6)
+       RETURNING log_id`,
+      [log.severity, log.message, log.timestamp, log.traceId, log.spanId, log.attributes]
+    );
+    return rows[0].log_id;
+  }
+
+  /**
+   * Which of the given trace and span ids are already stored
+   * @returns {Promise<{traces: Set<string>, spans: Set<string>}>}
+   */
+  async lookupReferences(db, traceIds, spanIds) {
+    const { rows } = await db.query(
+      `SELECT 'trace' AS kind, trace_id AS id FROM telemetry.traces WHERE trace_id = ANY($1)
+       UNION ALL
+       SELECT 'span', span_id FROM telemetry.spans WHERE span_id = ANY($2)`,
+      [traceIds.filter(Boolean), spanIds.filter(Boolean)]
+    );
+
+    const known = { traces: new Set(), spans: new Set() };
+    for (const row of rows) {
+      (row.kind === 'trace' ? known.traces : known.spans).add(row.id);
+    }
+    return known;
+  }
+
+  // ---------------------------------------------------------------------------
+  // BATCHES
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Ingest an array of PLTelemetry payloads in one transaction.
+   * Invalid items are rejected individually. When the database rejects a
+   * value anyway, the items are stored one by one instead, so only the bad
+   * one fails; other database errors roll back the batch and are thrown.
+   * Under pulse throttling, items past the throttled batch size are deferred
+   * (rejected as ThrottledError, never dead-lettered) and dropped types or
+   * sampled-out traces are accepted without being stored.
+   * @param {string|Array} payload
+   * @param {Object} [options]
+   * @param {boolean} [options.deadLetter] Record a body that is not a valid batch (replays pass false)
+   * @returns {Promise<{accepted: number, rejected: number, pending: number, dropped: number, results: Object[]}>}
+   * @throws {ThrottledError} In COMA, before anything is parsed
+   */
+  async ingestBatch(payload, { deadLetter = true } = {}) {
+    this.checkThrottle();
+    let items;
+    try {
+      items = parseBatch(payload, this.maxBatchSize);
+    } catch (error) {
+      if (deadLetter) await this.recordDeadLetter(payload, error);
+      throw error;
+    }
+
+    const batch = { traces: [], spans: [], metrics: [], logs: [] };
+    const raws = [];
+    const rejected = [];
+    const limit = this.batchLimit();
+
+    const results = items.map((item, index) => {
+      const { queueId, payload: raw } = unwrapBatchItem(item);
+      raws.push(raw);
+      const result = queueId === null ? { index } : { index, queue_id: queueId };
+      if (index >= limit) {
+        return Object.assign(result, {
+          accepted: false,
+          error: `Deferred: batch size is ${limit} in ${this.throttler.mode}`,
+          code: 'ThrottledError'
+        });
+      }
+
+      try {
+        const json = parsePayload(raw);
+        const type = classifyPayload(json);
+        const dropped = this.dropReason(json, type);
+        if (dropped) return Object.assign(result, { accepted: true, type, dropped });
+
+        switch (type) {
+          case 'span': {
+            const span = prepareSpan(json);
+            batch.spans.push({ result, json, span });
+            return Object.assign(result, { accepted: true, type, id: span.spanId });
+          }
+          case 'metric':
+            batch.metrics.push(prepareMetric(json));
+            return Object.assign(result, { accepted: true, type });
+          case 'log':
+            batch.logs.push(prepareLog(json));
+            return Object.assign(result, { accepted: true, type });
+          case 'trace': {
+            const trace = prepareTrace(json, this.serviceName);
+            batch.traces.push(trace);
+            return Object.assign(result, { accepted: true, type, id: trace.traceId });
+          }
+          default:
+            throw new PayloadError('Unrecognised PLTelemetry payload (expected span, metric, log or trace)');
+        }
+      } catch (error) {
+        if (!(error instanceof PayloadError)) throw error;
+        rejected.push({ result, raw, error });
+        return Object.assign(result, { accepted: false, error: error.message, code: error.name });
+      }
+    });
+
+    let written = null;
+    try {
+      written = await this.withTransaction((client) => this.writeBatch(client, batch));
+    } catch (error) {
+      if (!isPermanentError(error)) throw error;
+      console.error(`❌ Batch rolled back (${error.message}), storing its items one by one`);
+      await this.ingestEach(results.filter((result) => result.accepted), raws);
+    }
+
+    // Only after commit: a failed batch is retried by the sender and would record them twice
+    for (const { result, raw, error } of rejected) {
+      const deadLetterId = await this.recordDeadLetter(raw, error);
+      if (deadLetterId !== null) result.dead_letter_id = deadLetterId;
+    }
+
+    if (written) await this.settleBatch(written);
+
+    const accepted = results.filter((result) => result.accepted).length;
+    return {
+      accepted,
+      rejected: results.length - accepted,
+      pending: results.filter((result) => result.pending).length,
+      dropped: results.filter((result) => result.dropped).length,
+      results
+    };
+  }
+
+  /**
+   * Store batch items one at a time after the database rejected the batch.
+   * Each item is dead-lettered on its own, so a replay retries just that
+   * item instead of the batch that failed with it.
+   * @param {Object[]} results Results of the items to store, updated in place
+   * @param {Array} raws Raw item payloads by index
+   */
+  async ingestEach(results, raws) {
+    for (const result of results.filter((item) => !item.dropped)) {
+      try {
+        const { pending } = await this.ingest(raws[result.index]);
+        if (pending) result.pending = true;
+      } catch (error) {
+        Object.assign(result, { accepted: false, error: error.message, code: error.name });
+        if (error.deadLetterId) result.dead_letter_id = error.deadLetterId;
+      }
+    }
+  }
+
+  /**
+   * Buffer the pending spans of a committed batch and release the spans
+   * that were waiting for what it stored
+   */
+  async settleBatch(written) {
+    // Spans still missing their trace or parent wait in the buffer like single ingests
+    for (const entry of written.pending) {
+      this.pending.add(entry.span.spanId, entry.json, entry.missing);
+      entry.result.pending = true;
+    }
+    if (written.pending.length > 0) {
+      this.startSweeper();
+      await this.flushEntries(this.pending.takeOverflow(), { placeholders: true });
+    }
+
+    for (const traceId of written.traceIds) {
+      await this.releasePending(PendingSpanBuffer.traceKey(traceId));
+    }
+    for (const spanId of written.spanIds) {
+      await this.releasePending(PendingSpanBuffer.spanKey(spanId));
+    }
+  }
+
+  /**
+   * Write a validated batch: traces and spans as multi-row upserts,
+   * events, metrics and logs with COPY. Child spans whose trace or parent
+   * is neither stored nor in the batch are returned as pending.
+   */
+  async writeBatch(client, { traces, spans, metrics, logs }) {
+    const now = new Date().toISOString();
+    const known = await this.lookupReferences(
+      client,
+      [...traces.map((t) => t.traceId), ...spans.map((e) => e.span.traceId), ...metrics.map((m) => m.traceId)],
+      [...spans.map((e) => e.span.parentSpanId), ...metrics.map((m) => m.spanId)]
+    );
+
+    // Explicit traces plus the traces created by root spans, one row per trace_id
+    const traceRows = new Map();
+    traces.forEach((trace) => mergeTrace(traceRows, trace));
+
+    const roots = spans.filter((entry) => !entry.span.parentSpanId);
+    for (const { span } of roots) {
+      mergeTrace(traceRows, {
+        traceId: span.traceId,
+        operation: span.operation,
+        startTime: span.startTime,
+        endTime: span.endTime,
+        serviceName: this.serviceName,
+        serviceInstance: null
+      });
+      known.spans.add(span.spanId);
+    }
+    traceRows.forEach((_, traceId) => known.traces.add(traceId));
+
+    // Children become storable once their trace and parent are known, so
+    // repeat until nothing changes; parents always end up before children
+    const stored = [...roots];
+    let waiting = spans.filter((entry) => entry.span.parentSpanId);
+    let progress = true;
+    while (progress) {
+      progress = false;
+      waiting = waiting.filter((entry) => {
+        if (!known.traces.has(entry.span.traceId) || !known.spans.has(entry.span.parentSpanId)) return true;
+        stored.push(entry);
+        known.spans.add(entry.span.spanId);
+        progress = true;
+        return false;
+      });
+    }
+
+    // A span sent twice keeps the last copy (one upsert cannot touch a row twice)
+    const spanRows = new Map();
+    stored.forEach((entry) => spanRows.set(entry.span.spanId, entry));
+
+    await insertRows(client, { into: 'telemetry.traces', columns: TRACE_COLUMNS, onConflict: TRACE_CONFLICT },
+      [...traceRows.values()].map((t) =>
+        [t.traceId, t.operation, t.startTime || now, t.endTime, t.serviceName, t.serviceInstance]));
+
+    await insertRows(client, { into: 'telemetry.spans', columns: SPAN_COLUMNS, onConflict: SPAN_CONFLICT },
+      [...spanRows.values()].map(({ span }) =>
+        [span.spanId, span.traceId, span.parentSpanId, span.operation,
+          span.startTime || now, span.endTime, span.durationMs, span.status]));
+
+    // Re-sent spans replace their events instead of duplicating them
+    const eventRows = [];
+    for (const { span } of spanRows.values()) {
+      for (const event of span.events) {
+        eventRows.push([span.spanId, event.name, event.time || now, event.attributes]);
+      }
+    }
+    if (spanRows.size > 0) {
+      await client.query('DELETE FROM telemetry.events WHERE span_id = ANY($1)', [[...spanRows.keys()]]);
+    }
+    await copyRows(client, 'telemetry.events', EVENT_COLUMNS, eventRows);
+
+    metrics.forEach((metric) => detachUnknownReferences(metric, known));
+    await copyRows(client, 'telemetry.metrics', METRIC_COLUMNS, metrics.map((m) =>
+      [m.name, m.value, m.unit, m.traceId, m.spanId, m.timestamp || now, m.attributes]));
+
+    await copyRows(client, 'telemetry.logs', LOG_COLUMNS, logs.map((l) =>
+      [l.severity, l.message, l.timestamp || now, l.traceId, l.spanId, l.attributes]));
+
+    return {
+      traceIds: [...traceRows.keys()],
+      spanIds: [...spanRows.keys()],
+      pending: waiting.map((entry) => ({
+        ...entry,
+        missing: {
+          traceId: known.traces.has(entry.span.traceId) ? null : entry.span.traceId,
+          parentSpanId: known.spans.has(entry.span.parentSpanId) ? null : entry.span.parentSpanId
+        }
+      }))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // LIFECYCLE
+  // ---------------------------------------------------------------------------
+
+  async healthCheck() {
+    await this.pool.query('SELECT 1');
+    return { pendingSpans: this.pending.size, pulseMode: this.throttler ? this.throttler.mode : null };
+  }
+
+  /**
+   * Store everything still buffered (with placeholders) and release the pool
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    await this.flushEntries(this.pending.takeAll(), { placeholders: true });
+
+    if (this.ownsPool) {
+      await this.pool.end();
+    }
+  }
+}
+
+module.exports = {
+  PostgresBridge,
+  PLACEHOLDER_OPERATION,
+  PayloadError,
+  MissingReferenceError,
+  ThrottledError,
+  isPermanentError,
+  statusFor,
+  parsePayload,
+  parseBatch,
+  classifyPayload
+};
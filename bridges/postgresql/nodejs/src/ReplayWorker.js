@@ -0,0 +1,106 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - Dead Letter Replay
+// Retries telemetry.failed_exports rows with exponential backoff, at the
+// bridge's pulse mode: fewer rows less often as the host heats up, none in COMA
+// =============================================================================
+
+const { statusFor } = require('./PostgresBridge');
+
+class ReplayWorker {
+  /**
+   * @param {PostgresBridge} bridge Bridge with a dead letter store
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] How often to look for due dead letters (before throttling)
+   * @param {number} [options.batchSize] Dead letters replayed per run (before throttling)
+   */
+  constructor(bridge, options = {}) {
+    if (!bridge.deadLetters) {
+      throw new Error('ReplayWorker needs a bridge with dead letters enabled');
+    }
+    this.bridge = bridge;
+    this.store = bridge.deadLetters;
+    this.intervalMs = options.intervalMs ?? 30000;
+    this.batchSize = options.batchSize ?? 50;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.schedule();
+  }
+
+  // A timeout per run rather than an interval, so a mode change applies to the next wait
+  schedule() {
+    this.timer = setTimeout(async () => {
+      await this.runOnce().catch((error) => console.error('❌ Dead letter replay failed:', error.message));
+      if (this.timer) this.schedule();
+    }, this.currentIntervalMs());
+    this.timer.unref();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  currentIntervalMs() {
+    const { throttler } = this.bridge;
+    return throttler ? throttler.intervalMs(this.intervalMs) : this.intervalMs;
+  }
+
+  currentBatchSize() {
+    const { throttler } = this.bridge;
+    return throttler ? throttler.batchSize(this.batchSize) : this.batchSize;
+  }
+
+  /**
+   * Replay every dead letter whose backoff has expired
+   * @returns {Promise<{replayed: number, failed: number}>}
+   */
+  async runOnce() {
+    const summary = { replayed: 0, failed: 0 };
+    const { throttler } = this.bridge;
+    if (this.running || (throttler && !throttler.queueProcessing)) return summary;
+
+    this.running = true;
+    try {
+      for (const row of await this.store.due(this.currentBatchSize())) {
+        const outcome = await this.replay(row);
+        summary[outcome.replayed ? 'replayed' : 'failed']++;
+      }
+      if (summary.replayed + summary.failed > 0) {
+        console.log(`🔁 Dead letters replayed: ${summary.replayed}, still failing: ${summary.failed}`);
+      }
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Retry one dead letter now: delete it on success, count the attempt on failure.
+   * A replayed batch splits its rejected items into dead letters of their own;
+   * otherwise replays never create new dead letters.
+   */
+  async replay(row) {
+    try {
+      const result = String(row.payload).trimStart().startsWith('[')
+        ? await this.bridge.ingestBatch(row.payload, { deadLetter: false })
+        : await this.bridge.ingest(row.payload, { deadLetter: false });
+      await this.store.remove(row.export_id);
+      return { export_id: row.export_id, replayed: true, result };
+    } catch (error) {
+      await this.store.markFailed(row.export_id, error, statusFor(error));
+      return {
+        export_id: row.export_id,
+        replayed: false,
+        retry_count: row.retry_count + 1,
+        error: error.message,
+        code: error.name
+      };
+    }
+  }
+}
+
+module.exports = { ReplayWorker };
@@ -0,0 +1,90 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - Dead Letter Admin Endpoints
+// List, retry and purge rows in telemetry.failed_exports
+// =============================================================================
+
+const express = require('express');
+
+function parseId(value) {
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+function parseFlag(value) {
+  if (value === undefined) return undefined;
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Wrap async handlers so rejected promises become 500 responses
+ */
+function handle(fn) {
+  return (req, res) => fn(req, res).catch((error) => {
+    console.error('❌ Dead letter admin request failed:', error.message);
+    res.status(500).json({ error: error.message });
+  });
+}
+
+/**
+ * @param {PostgresBridge} bridge Bridge with a dead letter store
+ * @param {ReplayWorker} replayWorker Used for manual retries
+ */
+function createAdminRouter(bridge, replayWorker) {
+  const store = bridge.deadLetters;
+  const router = express.Router();
+
+  // GET /admin/dead-letters?limit=50&offset=0&exhausted=true|false
+  router.get('/dead-letters', handle(async (req, res) => {
+    const { total, items } = await store.list({
+      limit: Math.min(Number(req.query.limit) || 50, 500),
+      offset: Number(req.query.offset) || 0,
+      exhausted: parseFlag(req.query.exhausted)
+    });
+    res.json({ total, max_retries: store.maxRetries, items });
+  }));
+
+  // Replay every dead letter whose backoff has expired, without waiting for the worker
+  router.post('/dead-letters/retry', handle(async (req, res) => {
+    res.json(await replayWorker.runOnce());
+  }));
+
+  router.get('/dead-letters/:id', handle(async (req, res) => {
+    const row = await store.get(parseId(req.params.id));
+    if (!row) return res.status(404).json({ error: 'Dead letter not found' });
+    res.json(row);
+  }));
+
+  // Retry one dead letter now, ignoring backoff and max retries
+  router.post('/dead-letters/:id/retry', handle(async (req, res) => {
+    const row = await store.get(parseId(req.params.id));
+    if (!row) return res.status(404).json({ error: 'Dead letter not found' });
+    res.json(await replayWorker.replay(row));
+  }));
+
+  router.delete('/dead-letters/:id', handle(async (req, res) => {
+    const removed = await store.remove(parseId(req.params.id));
+    if (!removed) return res.status(404).json({ error: 'Dead letter not found' });
+    res.status(204).end();
+  }));
+
+  // DELETE /admin/dead-letters?exhausted=true&older_than_hours=24 (or all=true)
+  router.delete('/dead-letters', handle(async (req, res) => {
+    const filter = {
+      exhausted: parseFlag(req.query.exhausted) === true,
+      olderThanHours: req.query.older_than_hours === undefined ? undefined : Number(req.query.older_than_hours),
+      all: parseFlag(req.query.all) === true
+    };
+
+    if (filter.olderThanHours !== undefined && !Number.isInteger(filter.olderThanHours)) {
+      return res.status(400).json({ error: 'older_than_hours must be an integer' });
+    }
+    if (!filter.exhausted && filter.olderThanHours === undefined && !filter.all) {
+      return res.status(400).json({ error: 'Pass exhausted=true, older_than_hours=N or all=true' });
+    }
+
+    res.json({ purged: await store.purge(filter) });
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,73 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - Bulk Write Helpers
+// Multi-row INSERT for upserts, COPY FROM STDIN for append-only tables
+// =============================================================================
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+
+// Postgres allows 65535 bind parameters per statement
+const MAX_PARAMETERS = 65535;
+
+/**
+ * Insert rows with one multi-row INSERT per chunk
+ * @param {Object} db pg client or pool
+ * @param {Object} statement
+ * @param {string} statement.into Table name
+ * @param {string[]} statement.columns Column names, in row order
+ * @param {string} [statement.onConflict] Trailing ON CONFLICT clause
+ * @param {Array[]} rows One array of values per row
+ * @returns {Promise<number>} Rows written
+ */
+async function insertRows(db, { into, columns, onConflict = '' }, rows) {
+  const chunkSize = Math.floor(MAX_PARAMETERS / columns.length);
+
+  for (let offset = 0; offset < rows.length; offset += chunkSize) {
+    const chunk = rows.slice(offset, offset + chunkSize);
+    const values = chunk.map((row, r) =>
+      `(${row.map((_, c) => `$${r * columns.length + c + 1}`).join(', ')})`
+    );
+
+    await db.query(
+      `INSERT INTO ${into} (${columns.join(', ')}) VALUES ${values.join(', ')} ${onConflict}`,
+      chunk.flat()
+    );
+  }
+  return rows.length;
+}
+
+/**
+ * Escape one value for COPY text format
+ */
+function copyValue(value) {
+  if (value === null || value === undefined) return '\\N';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Stream rows into a table with COPY FROM STDIN. Needs a dedicated client
+ * (not the pool), and cannot apply column defaults such as NOW().
+ * @param {Object} client pg client
+ * @param {string} table Table name
+ * @param {string[]} columns Column names, in row order
+ * @param {Array[]} rows One array of values per row
+ * @returns {Promise<number>} Rows written
+ */
+async function copyRows(client, table, columns, rows) {
+  if (rows.length === 0) return 0;
+
+  const lines = rows.map((row) => `${row.map(copyValue).join('\t')}\n`);
+  await pipeline(
+    Readable.from(lines),
+    client.query(copyFrom(`COPY ${table} (${columns.join(', ')}) FROM STDIN`))
+  );
+  return rows.length;
+}
+
+module.exports = { insertRows, copyRows, copyValue };
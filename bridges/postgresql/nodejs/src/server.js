@@ -0,0 +1,200 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - HTTP Server
+// Point PLTelemetry.set_backend_url at POST /telemetry
+// =============================================================================
+
+const express = require('express');
+const { PulseThrottler, PulseSettings } = require('pltelemetry-otlp');
+const { PostgresBridge, statusFor } = require('./PostgresBridge');
+const { ReplayWorker } = require('./ReplayWorker');
+const { createAdminRouter } = require('./admin');
+
+/**
+ * Build the Express app around a bridge instance
+ * @param {PostgresBridge} bridge
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] Required value of X-PLSQL-API-KEY / X-API-Key
+ * @param {ReplayWorker} [options.replayWorker] Worker used by the dead letter admin endpoints
+ */
+function createServer(bridge, options = {}) {
+  const app = express();
+
+  // Keep the raw body: malformed PL/SQL JSON must reach the bridge, not die in a parser.
+  // The limit fits a full batch of 1000 plt_queue payloads (VARCHAR2(4000) each)
+  app.use(express.text({ type: '*/*', limit: options.bodyLimit || '8mb' }));
+
+  // Lets senders see why items are dropped or deferred
+  if (bridge.throttler) {
+    app.use((req, res, next) => {
+      res.set('X-PLT-Pulse-Mode', bridge.throttler.mode);
+      next();
+    });
+  }
+
+  app.get('/health', async (req, res) => {
+    try {
+      const stats = await bridge.healthCheck();
+      res.json({
+        status: 'healthy',
+        service: 'pltelemetry-postgres-bridge',
+        pending_spans: stats.pendingSpans,
+        ...(stats.pulseMode && { pulse_mode: stats.pulseMode }),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(503).json({
+        status: 'unhealthy',
+        service: 'pltelemetry-postgres-bridge',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // API key check (same headers PLTelemetry and PLT_POSTGRES_BRIDGE send)
+  app.use((req, res, next) => {
+    if (!options.apiKey) return next();
+    const key = req.headers['x-plsql-api-key'] || req.headers['x-api-key'];
+    if (key !== options.apiKey) {
+      return res.status(401).json({ error: 'Invalid API key', code: 'UNAUTHORIZED' });
+    }
+    next();
+  });
+
+  app.post('/telemetry', async (req, res) => {
+    try {
+      const result = await bridge.ingest(req.body);
+      // 202: span buffered until its trace/parent arrives (or the grace period ends)
+      // 200: dropped by pulse throttling, nothing stored
+      res.status(result.pending ? 202 : result.dropped ? 200 : 201).json({ accepted: true, ...result });
+    } catch (error) {
+      const status = statusFor(error);
+      if (status === 500) {
+        console.error('❌ Telemetry ingest failed:', error.message);
+      }
+      retryAfter(res, error);
+      res.status(status).json({
+        accepted: false,
+        error: error.message,
+        code: error.name,
+        ...(error.deadLetterId && { dead_letter_id: error.deadLetterId })
+      });
+    }
+  });
+
+  // Batch of payloads from a plt_queue flush; per-item results let the
+  // caller mark exactly the accepted queue rows as processed
+  app.post('/telemetry/batch', async (req, res) => {
+    try {
+      const summary = await bridge.ingestBatch(req.body);
+      res.json(summary);
+    } catch (error) {
+      const status = statusFor(error);
+      if (status === 500) {
+        console.error('❌ Telemetry batch failed:', error.message);
+      }
+      retryAfter(res, error);
+      res.status(status).json({
+        accepted: 0,
+        error: error.message,
+        code: error.name
+      });
+    }
+  });
+
+  if (bridge.deadLetters) {
+    app.use('/admin', createAdminRouter(bridge, options.replayWorker || new ReplayWorker(bridge)));
+  }
+
+  return app;
+}
+
+/**
+ * Retry-After for throttled requests, in whole seconds
+ */
+function retryAfter(res, error) {
+  if (error.retryAfterMs) res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+}
+
+/**
+ * Pulse throttler from the environment. With an Oracle connection it reads
+ * plt_pulse_throttling_config and publishes its mode to plt_failover_config;
+ * without one it uses the default multipliers and keeps the mode to itself
+ * @returns {Promise<{throttler: PulseThrottler|null, pool: Object|null}>}
+ */
+async function createThrottler(env) {
+  if (env.PLT_PULSE_ENABLED === 'false') return { throttler: null, pool: null };
+
+  let pool = null;
+  if (env.PLT_ORACLE_CONNECT_STRING) {
+    // Optional dependency: only needed to share the mode with the core
+    const oracledb = require('oracledb');
+    pool = await oracledb.createPool({
+      user: env.PLT_ORACLE_USER,
+      password: env.PLT_ORACLE_PASSWORD,
+      connectString: env.PLT_ORACLE_CONNECT_STRING,
+      poolMin: 0,
+      poolMax: 2
+    });
+  }
+
+  const throttler = new PulseThrottler({
+    settings: pool ? new PulseSettings(pool) : null,
+    modeKey: env.PLT_PULSE_MODE_KEY || 'POSTGRES_BRIDGE_PULSE_MODE',
+    checkIntervalMs: Number(env.PLT_PULSE_CHECK_INTERVAL_MS) || undefined
+  });
+  await throttler.start();
+  return { throttler, pool };
+}
+
+async function main() {
+  const port = process.env.PORT || 3090;
+  const { throttler, pool: oraclePool } = await createThrottler(process.env);
+  const bridge = new PostgresBridge({
+    connectionString: process.env.PLT_PG_URL,
+    serviceName: process.env.PLT_SERVICE_NAME,
+    pendingGraceMs: Number(process.env.PLT_PENDING_GRACE_MS) || undefined,
+    pendingMaxSize: Number(process.env.PLT_PENDING_MAX_SPANS) || undefined,
+    maxBatchSize: Number(process.env.PLT_MAX_BATCH_SIZE) || undefined,
+    throttler,
+    deadLetters: {
+      maxRetries: Number(process.env.PLT_REPLAY_MAX_RETRIES) || undefined,
+      baseDelayMs: Number(process.env.PLT_REPLAY_BASE_DELAY_MS) || undefined
+    }
+  });
+  const replayWorker = new ReplayWorker(bridge, {
+    intervalMs: Number(process.env.PLT_REPLAY_INTERVAL_MS) || undefined
+  });
+  replayWorker.start();
+
+  const app = createServer(bridge, { apiKey: process.env.PLT_BRIDGE_API_KEY, replayWorker });
+  const server = app.listen(port, () => {
+    console.log('🐘 PLTelemetry PostgreSQL bridge started');
+    console.log(`📊 Listening on port ${port}`);
+    console.log(`   POST http://localhost:${port}/telemetry`);
+    console.log(`   POST http://localhost:${port}/telemetry/batch`);
+    console.log(`   GET  http://localhost:${port}/health`);
+    console.log(`   GET  http://localhost:${port}/admin/dead-letters`);
+  });
+
+  process.on('SIGTERM', () => {
+    console.log('🛑 PostgreSQL bridge shutting down...');
+    replayWorker.stop();
+    if (throttler) throttler.stop();
+    server.close(() => {
+      bridge.close()
+        .then(() => oraclePool && oraclePool.close(10))
+        .finally(() => process.exit(0));
+    });
+  });
+}
+
+// Start the server when run directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ PostgreSQL bridge failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer, createThrottler, statusFor };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PendingSpanBuffer } = require('../src/PendingSpanBuffer');
+
+const { traceKey, spanKey } = PendingSpanBuffer;
+
+test('take releases exactly the spans waiting for a key', () => {
+  const buffer = new PendingSpanBuffer();
+  buffer.add('child1', { n: 1 }, { parentSpanId: 'parent' });
+  buffer.add('child2', { n: 2 }, { traceId: 'trace', parentSpanId: 'parent' });
+  buffer.add('other', { n: 3 }, { parentSpanId: 'elsewhere' });
+
+  const released = buffer.take(spanKey('parent'));
+
+  assert.deepStrictEqual(released.map((entry) => entry.spanId), ['child1', 'child2']);
+  assert.strictEqual(buffer.size, 1);
+  assert.deepStrictEqual(buffer.take(traceKey('trace')), []);
+  assert.deepStrictEqual(buffer.take(spanKey('parent')), []);
+});
+
+test('re-adding a span replaces its keys but keeps when it was first seen', () => {
+  const buffer = new PendingSpanBuffer();
+  buffer.add('child', { v: 1 }, { traceId: 'trace', parentSpanId: 'parent' }, 1000);
+  const entry = buffer.add('child', { v: 2 }, { parentSpanId: 'parent' }, 5000);
+
+  assert.strictEqual(entry.receivedAt, 1000);
+  assert.deepStrictEqual(entry.json, { v: 2 });
+  assert.strictEqual(buffer.size, 1);
+  assert.deepStrictEqual(buffer.take(traceKey('trace')), []);
+  assert.deepStrictEqual(buffer.take(spanKey('parent')).map((e) => e.spanId), ['child']);
+});
+
+test('takeExpired returns spans older than the grace period', () => {
+  const buffer = new PendingSpanBuffer({ graceMs: 100 });
+  buffer.add('old', {}, { parentSpanId: 'p' }, 1000);
+  buffer.add('new', {}, { parentSpanId: 'p' }, 1050);
+
+  assert.deepStrictEqual(buffer.takeExpired(1100).map((entry) => entry.spanId), ['old']);
+  assert.deepStrictEqual(buffer.take(spanKey('p')).map((entry) => entry.spanId), ['new']);
+});
+
+test('takeOverflow forces out the oldest spans above maxSize', () => {
+  const buffer = new PendingSpanBuffer({ maxSize: 2 });
+  ['a', 'b', 'c', 'd'].forEach((id) => buffer.add(id, {}, { traceId: 't' }));
+
+  assert.deepStrictEqual(buffer.takeOverflow().map((entry) => entry.spanId), ['a', 'b']);
+  assert.deepStrictEqual(buffer.takeOverflow(), []);
+  assert.deepStrictEqual(buffer.takeAll().map((entry) => entry.spanId), ['c', 'd']);
+  assert.strictEqual(buffer.size, 0);
+  assert.strictEqual(buffer.waiting.size, 0);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PostgresBridge, PayloadError, parseBatch, classifyPayload, statusFor } = require('../src/PostgresBridge');
+const { FakePool } = require('./fakePool');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const SPAN_ID = 'b7ad6b7169203331';
+
+function rootSpan(overrides = {}) {
+  return {
+    trace_id: TRACE_ID,
+    span_id: SPAN_ID,
+    parent_span_id: '',
+    operation_name: 'process_order',
+    start_time: '2025-01-31T12:00:00.000Z',
+    end_time: '2025-01-31T12:00:01.250Z',
+    duration_ms: 1250,
+    status: 'OK',
+    ...overrides
+  };
+}
+
+function metric(overrides = {}) {
+  return { name: 'orders.count', value: 42, unit: 'count', timestamp: '2025-01-31T12:00:00.000Z', ...overrides };
+}
+
+function bridgeWith(pool) {
+  return new PostgresBridge({ pool, deadLetters: false });
+}
+
+test('parseBatch accepts arrays and rejects anything else', () => {
+  assert.deepStrictEqual(parseBatch('[1, 2]', 10), [1, 2]);
+  assert.throws(() => parseBatch('{"a": 1}', 10), PayloadError);
+  assert.throws(() => parseBatch('[1,', 10), /Malformed JSON/);
+  assert.throws(() => parseBatch([1, 2, 3], 2), /exceeds the maximum of 2/);
+});
+
+test('classifyPayload follows the PL/SQL routing rules', () => {
+  assert.strictEqual(classifyPayload(rootSpan()), 'span');
+  assert.strictEqual(classifyPayload(metric()), 'metric');
+  assert.strictEqual(classifyPayload({ severity: 'INFO', message: 'done' }), 'log');
+  assert.strictEqual(classifyPayload({ trace_id: TRACE_ID, root_operation: 'checkout' }), 'trace');
+  assert.strictEqual(classifyPayload({ foo: 'bar' }), null);
+});
+
+test('statusFor maps Postgres data exceptions to 422', () => {
+  assert.strictEqual(statusFor(new PayloadError('bad')), 400);
+  assert.strictEqual(statusFor(Object.assign(new Error('overflow'), { code: '22003' })), 422);
+  assert.strictEqual(statusFor(new Error('connection refused')), 500);
+});
+
+test('ingestBatch writes valid items in one transaction', async () => {
+  const pool = new FakePool();
+  const result = await bridgeWith(pool).ingestBatch([
+    { queue_id: 7, payload: JSON.stringify(rootSpan()) },
+    metric(),
+    { severity: 'info', message: 'done' }
+  ]);
+
+  assert.deepStrictEqual([result.accepted, result.rejected, result.pending], [3, 0, 0]);
+  assert.deepStrictEqual(result.results[0], { index: 0, queue_id: 7, accepted: true, type: 'span', id: SPAN_ID });
+  assert.deepStrictEqual(pool.statements(/^(BEGIN|COMMIT|ROLLBACK)$/), ['BEGIN', 'COMMIT']);
+  assert.deepStrictEqual(pool.copied.map((row) => row.table), ['telemetry.metrics', 'telemetry.logs']);
+});
+
+test('ingestBatch rejects bad timestamps per item and commits the rest', async () => {
+  const pool = new FakePool();
+  const result = await bridgeWith(pool).ingestBatch([
+    rootSpan({ start_time: 'yesterday' }),
+    metric({ timestamp: '2025-02-30T00:00:00Z' }),
+    rootSpan({ span_id: 'c7ad6b7169203331', events: [{ name: 'retry', time: '31/01/2025' }] }),
+    metric({ timestamp: '2025-01-31 12:00:00.123456 +01:00' })
+  ]);
+
+  assert.deepStrictEqual(result.results.map((item) => item.accepted), [false, false, false, true]);
+  assert.match(result.results[0].error, /Invalid start_time: yesterday/);
+  assert.match(result.results[1].error, /Invalid timestamp/);
+  assert.match(result.results[2].error, /Invalid event time/);
+  assert.strictEqual(result.results[0].code, 'PayloadError');
+  assert.deepStrictEqual(pool.statements(/^(BEGIN|COMMIT|ROLLBACK)$/), ['BEGIN', 'COMMIT']);
+  assert.strictEqual(pool.copied.length, 1);
+});
+
+test('ingestBatch rejects numbers outside their DECIMAL column per item', async () => {
+  const pool = new FakePool();
+  const result = await bridgeWith(pool).ingestBatch([
+    metric({ value: 1e14 }),
+    metric({ value: 99999999999999.9999999 }),
+    metric({ value: -99999999999999.99 }),
+    rootSpan({ duration_ms: 1e12 }),
+    metric({ value: '12.5' })
+  ]);
+
+  assert.deepStrictEqual(result.results.map((item) => item.accepted), [false, false, true, false, true]);
+  assert.match(result.results[0].error, /out of range for DECIMAL\(20,6\)/);
+  assert.match(result.results[3].error, /out of range for DECIMAL\(15,3\)/);
+  assert.deepStrictEqual(pool.statements(/^(BEGIN|COMMIT|ROLLBACK)$/), ['BEGIN', 'COMMIT']);
+});
+
+test('ingestBatch truncates long metric units instead of failing the batch', async () => {
+  const pool = new FakePool();
+  await bridgeWith(pool).ingestBatch([metric({ unit: 'u'.repeat(80) })]);
+
+  const [unit] = pool.copied[0].line.split('\t').slice(2, 3);
+  assert.strictEqual(unit, 'u'.repeat(50));
+});
+
+test('ingest rejects a bad timestamp before touching the database', async () => {
+  const pool = new FakePool();
+  await assert.rejects(bridgeWith(pool).ingest(metric({ timestamp: 1738324800 })), PayloadError);
+  assert.deepStrictEqual(pool.statements(), []);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ReplayWorker } = require('../src/ReplayWorker');
+const { DeadLetterStore } = require('../src/DeadLetterStore');
+const { PayloadError } = require('../src/PostgresBridge');
+const { FakePool } = require('./fakePool');
+
+function fakeBridge(ingest) {
+  const store = { removed: [], failed: [] };
+  store.remove = async (id) => store.removed.push(id);
+  store.markFailed = async (id, error, status) => store.failed.push({ id, status, message: error.message });
+  return {
+    deadLetters: store,
+    ingest: (payload, options) => ingest('single', payload, options),
+    ingestBatch: (payload, options) => ingest('batch', payload, options)
+  };
+}
+
+test('a replay that succeeds deletes the dead letter', async () => {
+  const calls = [];
+  const bridge = fakeBridge(async (kind, payload, options) => {
+    calls.push({ kind, payload, options });
+    return { type: 'log', id: 1 };
+  });
+
+  const outcome = await new ReplayWorker(bridge).replay({ export_id: 5, payload: '{"severity":"INFO"}', retry_count: 2 });
+
+  assert.strictEqual(outcome.replayed, true);
+  assert.deepStrictEqual(calls, [{ kind: 'single', payload: '{"severity":"INFO"}', options: { deadLetter: false } }]);
+  assert.deepStrictEqual(bridge.deadLetters.removed, [5]);
+});
+
+test('a replay that fails counts the attempt with its status', async () => {
+  const bridge = fakeBridge(async () => { throw new PayloadError('Invalid value: abc'); });
+
+  const outcome = await new ReplayWorker(bridge).replay({ export_id: 8, payload: '{}', retry_count: 1 });
+
+  assert.deepStrictEqual(outcome, { export_id: 8, replayed: false, retry_count: 2, error: 'Invalid value: abc', code: 'PayloadError' });
+  assert.deepStrictEqual(bridge.deadLetters.failed, [{ id: 8, status: 400, message: 'Invalid value: abc' }]);
+  assert.deepStrictEqual(bridge.deadLetters.removed, []);
+});
+
+test('dead letters holding a JSON array are replayed as batches', async () => {
+  const kinds = [];
+  const bridge = fakeBridge(async (kind) => kinds.push(kind));
+
+  await new ReplayWorker(bridge).replay({ export_id: 1, payload: '  [{"severity":"INFO","message":"a"}]', retry_count: 0 });
+  assert.deepStrictEqual(kinds, ['batch']);
+});
+
+test('the worker refuses a bridge without dead letters', () => {
+  assert.throws(() => new ReplayWorker({ deadLetters: null }), /dead letters enabled/);
+});
+
+test('due dead letters are selected with the configured backoff', async () => {
+  const pool = new FakePool();
+  const store = new DeadLetterStore(pool, { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 8000 });
+
+  await store.due(10);
+
+  const [{ sql, params }] = pool.queries;
+  assert.match(sql, /LEAST\(\$3::float8, \$2 \* POWER\(2, retry_count\)\)/);
+  assert.deepStrictEqual(params, [3, 1000, 8000, 10]);
+});
+
+test('purge needs a filter unless told to delete everything', async () => {
+  const store = new DeadLetterStore(new FakePool());
+  await assert.rejects(store.purge(), /Refusing to purge without a filter/);
+  await store.purge({ all: true });
+});
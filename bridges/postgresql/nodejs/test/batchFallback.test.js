@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PostgresBridge } = require('../src/PostgresBridge');
+const { FakePool, pgError } = require('./fakePool');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+function span(spanId, overrides = {}) {
+  return {
+    trace_id: TRACE_ID,
+    span_id: spanId,
+    parent_span_id: '',
+    operation_name: 'process_order',
+    duration_ms: 12.5,
+    status: 'OK',
+    ...overrides
+  };
+}
+
+// The database refuses one span, e.g. a trigger raising a check violation
+function refusing(spanId) {
+  return (sql, params) => (/^\s*INSERT INTO telemetry\.spans/.test(sql) && params.includes(spanId)
+    ? pgError('23514', 'new row for relation "spans" violates check constraint')
+    : null);
+}
+
+function deadLetters(pool) {
+  return pool.queries.filter((query) => /INSERT INTO telemetry\.failed_exports/.test(query.sql));
+}
+
+test('a batch the database rejects is stored item by item', async () => {
+  const pool = new FakePool({ fail: refusing('bbbbbbbbbbbbbbbb') });
+  const bridge = new PostgresBridge({ pool });
+  const items = [
+    { queue_id: 1, payload: JSON.stringify(span('aaaaaaaaaaaaaaaa')) },
+    { queue_id: 2, payload: JSON.stringify(span('bbbbbbbbbbbbbbbb')) },
+    { queue_id: 3, payload: { name: 'orders.count', value: 1 } }
+  ];
+
+  const result = await bridge.ingestBatch(items);
+
+  assert.deepStrictEqual([result.accepted, result.rejected], [2, 1]);
+  assert.deepStrictEqual(result.results.map((item) => item.accepted), [true, false, true]);
+  assert.strictEqual(result.results[1].code, 'Error');
+  assert.match(result.results[1].error, /check constraint/);
+  assert.strictEqual(typeof result.results[1].dead_letter_id, 'number');
+  await bridge.close();
+});
+
+test('each failing item becomes its own dead letter', async () => {
+  const pool = new FakePool({ fail: refusing('bbbbbbbbbbbbbbbb') });
+  const bridge = new PostgresBridge({ pool });
+
+  await bridge.ingestBatch([span('aaaaaaaaaaaaaaaa'), span('bbbbbbbbbbbbbbbb'), 'not json']);
+
+  const payloads = deadLetters(pool).map((query) => query.params[1]);
+  assert.strictEqual(payloads.length, 2);
+  assert.deepStrictEqual(JSON.parse(payloads[0]).span_id, 'bbbbbbbbbbbbbbbb');
+  assert.strictEqual(payloads[1], 'not json');
+  assert.deepStrictEqual(deadLetters(pool).map((query) => query.params[0]), [422, 400]);
+  await bridge.close();
+});
+
+test('a transient database error still fails the whole batch', async () => {
+  const pool = new FakePool({ fail: (sql) => (/^\s*INSERT INTO telemetry\.traces/.test(sql) ? new Error('connection reset') : null) });
+  const bridge = new PostgresBridge({ pool });
+
+  await assert.rejects(bridge.ingestBatch([span('aaaaaaaaaaaaaaaa')]), /connection reset/);
+  assert.deepStrictEqual(deadLetters(pool), []);
+  await bridge.close();
+});
+
+test('a body that is not an array is dead-lettered whole', async () => {
+  const pool = new FakePool();
+  const bridge = new PostgresBridge({ pool });
+
+  await assert.rejects(bridge.ingestBatch('{"span_id": 1}'), /Batch must be a JSON array/);
+  assert.deepStrictEqual(deadLetters(pool).map((query) => query.params[1]), ['{"span_id": 1}']);
+  await bridge.close();
+});
@@ -0,0 +1,61 @@
+// =============================================================================
+// PLTelemetry PostgreSQL Bridge - Test Double for pg.Pool
+// Records every statement and COPY row instead of talking to Postgres
+// =============================================================================
+
+const { Writable } = require('stream');
+
+class FakePool {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.fail] (sql, params) => Error to throw for that statement, or null
+   */
+  constructor({ fail = () => null } = {}) {
+    this.fail = fail;
+    this.queries = [];
+    this.copied = [];
+    this.nextId = 1;
+  }
+
+  async connect() {
+    return { query: (sql, params) => this.query(sql, params), release: () => {} };
+  }
+
+  query(sql, params = []) {
+    // COPY FROM STDIN: pg returns the submitted stream, so hand back a sink
+    if (typeof sql === 'object') {
+      const table = /COPY (\S+)/.exec(sql.text)[1];
+      return new Writable({
+        write: (chunk, encoding, callback) => {
+          this.copied.push({ table, line: chunk.toString() });
+          callback();
+        }
+      });
+    }
+
+    this.queries.push({ sql, params });
+    const error = this.fail(sql, params);
+    if (error) return Promise.reject(error);
+    const returning = /RETURNING (\w+)/.exec(sql);
+    if (returning) return Promise.resolve({ rows: [{ [returning[1]]: this.nextId++ }], rowCount: 1 });
+    return Promise.resolve({ rows: [], rowCount: 0 });
+  }
+
+  /**
+   * Statements run so far, optionally only those matching a pattern
+   */
+  statements(pattern = /./) {
+    return this.queries.map((query) => query.sql).filter((sql) => pattern.test(sql));
+  }
+
+  async end() {}
+}
+
+/**
+ * A Postgres error as pg raises it
+ */
+function pgError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+module.exports = { FakePool, pgError };
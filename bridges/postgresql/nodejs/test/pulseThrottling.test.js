@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PulseThrottler } = require('pltelemetry-otlp');
+
+const { PostgresBridge, ThrottledError, statusFor } = require('../src/PostgresBridge');
+const { ReplayWorker } = require('../src/ReplayWorker');
+const { createServer } = require('../src/server');
+const { FakePool } = require('./fakePool');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+const span = (spanId, traceId = TRACE_ID) => ({ trace_id: traceId, span_id: spanId, operation_name: 'op', duration_ms: 1, status: 'OK' });
+const metric = { name: 'orders.count', value: 1 };
+const log = { severity: 'INFO', message: 'done' };
+
+// A throttler held in one mode, with the default plt_pulse_throttling_config
+function throttlerIn(mode) {
+  return Object.assign(new PulseThrottler(), { mode });
+}
+
+function inserts(pool, table) {
+  return pool.statements(new RegExp(`INSERT INTO telemetry\\.${table}`));
+}
+
+test('without a throttler everything is stored', async () => {
+  const pool = new FakePool();
+  const bridge = new PostgresBridge({ pool, deadLetters: false });
+
+  assert.strictEqual((await bridge.ingest(metric)).type, 'metric');
+  assert.strictEqual(inserts(pool, 'metrics').length, 1);
+  assert.deepStrictEqual(await bridge.healthCheck(), { pendingSpans: 0, pulseMode: null });
+});
+
+test('COMA refuses telemetry as retryable, never as a dead letter', async () => {
+  const pool = new FakePool();
+  const bridge = new PostgresBridge({ pool, throttler: throttlerIn('COMA') });
+
+  await assert.rejects(bridge.ingest(log), (error) => error instanceof ThrottledError
+    && statusFor(error) === 503 && error.retryAfterMs === 30000 && /COMA/.test(error.message));
+  await assert.rejects(bridge.ingestBatch([log]), ThrottledError);
+  assert.deepStrictEqual(pool.queries, []);
+});
+
+test('disabled types and sampled-out traces are accepted without being stored', async () => {
+  const pool = new FakePool();
+  const throttler = throttlerIn('PULSE4');
+  throttler.pulseConfig.PULSE4 = { ...throttler.pulseConfig.PULSE4, metrics: false };
+  const bridge = new PostgresBridge({ pool, deadLetters: false, throttler });
+
+  assert.deepStrictEqual(await bridge.ingest(metric), { type: 'metric', dropped: 'metrics disabled in PULSE4' });
+  assert.strictEqual(inserts(pool, 'metrics').length, 0);
+
+  const traceIds = Array.from({ length: 40 }, (_, i) => i.toString(16).padStart(32, '0'));
+  const sampledOut = traceIds.find((traceId) => !PulseThrottler.sampled(traceId, 0.25));
+  const result = await bridge.ingest(span('aaaaaaaaaaaaaaaa', sampledOut));
+  assert.match(result.dropped, /sampled out in PULSE4 \(rate 0.25\)/);
+  assert.strictEqual(inserts(pool, 'spans').length, 0);
+});
+
+test('a batch past the throttled size defers the rest to the next run', async () => {
+  const pool = new FakePool();
+  const bridge = new PostgresBridge({ pool, maxBatchSize: 8, throttler: throttlerIn('PULSE2') });
+  const items = Array.from({ length: 6 }, (_, i) => ({ queue_id: i + 1, payload: log }));
+
+  const summary = await bridge.ingestBatch(items);
+
+  // PULSE2 halves the batch
+  assert.deepStrictEqual([summary.accepted, summary.rejected, summary.dropped], [4, 2, 0]);
+  assert.deepStrictEqual(summary.results[5], {
+    index: 5, queue_id: 6, accepted: false, error: 'Deferred: batch size is 4 in PULSE2', code: 'ThrottledError'
+  });
+  assert.strictEqual(pool.statements(/failed_exports/).length, 0);
+});
+
+test('dropped batch items count as accepted and are left out of the write', async () => {
+  const pool = new FakePool();
+  const throttler = throttlerIn('PULSE1');
+  throttler.pulseConfig.PULSE1 = { ...throttler.pulseConfig.PULSE1, logs: false };
+  const bridge = new PostgresBridge({ pool, throttler });
+
+  const summary = await bridge.ingestBatch([log, metric]);
+
+  assert.deepStrictEqual([summary.accepted, summary.dropped], [2, 1]);
+  assert.strictEqual(summary.results[0].dropped, 'logs disabled in PULSE1');
+  assert.strictEqual(pool.copied.filter((row) => /logs/.test(row.table)).length + inserts(pool, 'logs').length, 0);
+});
+
+test('the replay worker slows down with the mode and stops in COMA', async (t) => {
+  const pool = new FakePool();
+  const throttler = throttlerIn('PULSE3');
+  const bridge = new PostgresBridge({ pool, throttler });
+  const worker = new ReplayWorker(bridge, { intervalMs: 30000, batchSize: 40 });
+  const due = t.mock.method(bridge.deadLetters, 'due', async () => []);
+
+  assert.strictEqual(worker.currentIntervalMs(), 120000);
+  await worker.runOnce();
+  assert.deepStrictEqual(due.mock.calls.map((call) => call.arguments), [[10]]);
+
+  throttler.mode = 'COMA';
+  await worker.runOnce();
+  assert.strictEqual(due.mock.callCount(), 1);
+});
+
+test('the server reports the mode and asks senders to retry in COMA', async (t) => {
+  const throttler = throttlerIn('COMA');
+  const bridge = new PostgresBridge({ pool: new FakePool(), throttler });
+  const server = createServer(bridge).listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const refused = await fetch(`${url}/telemetry`, { method: 'POST', body: JSON.stringify(log) });
+  assert.strictEqual(refused.status, 503);
+  assert.strictEqual(refused.headers.get('retry-after'), '30');
+  assert.strictEqual(refused.headers.get('x-plt-pulse-mode'), 'COMA');
+  assert.strictEqual((await refused.json()).code, 'ThrottledError');
+
+  throttler.mode = 'PULSE1';
+  const health = await (await fetch(`${url}/health`)).json();
+  assert.strictEqual(health.pulse_mode, 'PULSE1');
+});
@@ -13,6 +13,7 @@
 -- - telemetry.spans: Span records within traces  
 -- - telemetry.events: Events within spans
 -- - telemetry.metrics: Metric records
+-- - telemetry.logs: Log records (Node.js bridge)
 -- - telemetry.queue: Async processing queue
 -- - telemetry.failed_exports: Failed export attempts
 -- - telemetry.telemetry_errors: Error logging
@@ -59,6 +60,7 @@ SET search_path TO telemetry, public;
 DROP TABLE IF EXISTS telemetry.telemetry_errors CASCADE;
 DROP TABLE IF EXISTS telemetry.failed_exports CASCADE;
 DROP TABLE IF EXISTS telemetry.queue CASCADE;
+DROP TABLE IF EXISTS telemetry.logs CASCADE;
 DROP TABLE IF EXISTS telemetry.metrics CASCADE;
 DROP TABLE IF EXISTS telemetry.events CASCADE;
 DROP TABLE IF EXISTS telemetry.spans CASCADE;
@@ -143,6 +145,25 @@ COMMENT ON TABLE telemetry.metrics IS 'Application metrics with telemetry contex
 COMMENT ON COLUMN telemetry.metrics.metric_unit IS 'Unit of measurement (ms, bytes, requests, etc.)';
 COMMENT ON COLUMN telemetry.metrics.attributes IS 'JSON attributes for the metric';
 
+-- Logs table
+-- No foreign keys: PLTelemetry emits logs while their span is still running,
+-- so the span row usually does not exist yet when the log arrives.
+CREATE TABLE telemetry.logs (
+    log_id BIGSERIAL PRIMARY KEY,
+    severity VARCHAR(10) NOT NULL,
+    message TEXT NOT NULL,
+    log_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    trace_id VARCHAR(32),
+    span_id VARCHAR(16),
+    attributes JSONB,
+    created_by VARCHAR(100) DEFAULT SESSION_USER,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE telemetry.logs IS 'Application logs with optional trace correlation';
+COMMENT ON COLUMN telemetry.logs.severity IS 'Log level (TRACE, DEBUG, INFO, WARN, ERROR, FATAL)';
+COMMENT ON COLUMN telemetry.logs.attributes IS 'JSON attributes for the log';
+
 -- Failed exports table
 CREATE TABLE telemetry.failed_exports (
     export_id BIGSERIAL PRIMARY KEY,
@@ -226,6 +247,11 @@ CREATE INDEX idx_telemetry_metrics_span ON telemetry.metrics(span_id, timestamp)
 CREATE INDEX idx_telemetry_metrics_time ON telemetry.metrics(timestamp);
 CREATE INDEX idx_telemetry_metrics_value ON telemetry.metrics(metric_name, metric_value, timestamp);
 
+-- Logs indexes
+CREATE INDEX idx_telemetry_logs_time ON telemetry.logs(log_time);
+CREATE INDEX idx_telemetry_logs_trace ON telemetry.logs(trace_id, log_time);
+CREATE INDEX idx_telemetry_logs_severity ON telemetry.logs(severity, log_time);
+
 -- Queue indexes (for async processing performance)
 CREATE INDEX idx_telemetry_queue_processed ON telemetry.queue(processed, process_attempts, created_at);
 CREATE INDEX idx_telemetry_queue_created ON telemetry.queue(created_at);
@@ -276,11 +302,18 @@ GRANT INSERT, UPDATE ON telemetry.traces TO pltel_writer;
 GRANT INSERT, UPDATE ON telemetry.spans TO pltel_writer;
 GRANT INSERT ON telemetry.events TO pltel_writer;
 GRANT INSERT ON telemetry.metrics TO pltel_writer;
+GRANT INSERT ON telemetry.logs TO pltel_writer;
 GRANT INSERT ON telemetry.queue TO pltel_writer;
 GRANT INSERT ON telemetry.failed_exports TO pltel_writer;
 GRANT INSERT ON telemetry.telemetry_errors TO pltel_writer;
 GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA telemetry TO pltel_writer;
 
+-- Writer user: extra access for the Node.js bridge (FK lookups, span re-ingest, dead letter replay)
+GRANT SELECT ON telemetry.traces TO pltel_writer;
+GRANT SELECT ON telemetry.spans TO pltel_writer;
+GRANT DELETE ON telemetry.events TO pltel_writer;
+GRANT SELECT, UPDATE, DELETE ON telemetry.failed_exports TO pltel_writer;
+
 -- Reader user: Read-only access for Grafana
 GRANT USAGE ON SCHEMA telemetry TO pltel_reader;
 GRANT SELECT ON ALL TABLES IN SCHEMA telemetry TO pltel_reader;
\ No newline at end of file
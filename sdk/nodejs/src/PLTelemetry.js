@@ -0,0 +1,657 @@
+// =============================================================================
+// PLTelemetry Node SDK - PLTelemetry
+// The PLTelemetry package API for Node.js: traces, spans, events, logs and
+// metrics sent as the same JSON, to the same kind of backend, synchronously
+// or through an in-process queue (set_async_mode)
+// =============================================================================
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const payload = require('./payload');
+const { HttpSink } = require('./sinks');
+
+// process_queue gives up on a payload after this many sends
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Misuse of the SDK (bad options). Telemetry failures never throw; they go
+ * to onError like log_error_internal.
+ */
+class PLTelemetryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PLTelemetryError';
+  }
+}
+
+const isHex = (value, length) => typeof value === 'string' && value.length === length && /^[0-9a-f]+$/i.test(value);
+
+function newSession() {
+  return { traceId: null, spanId: null, tenantId: null, tenantName: null, objectName: null };
+}
+
+class PLTelemetry {
+  /**
+   * @param {Object} options
+   * @param {string} [options.backendUrl] g_backend_url; payloads are POSTed here
+   * @param {Object|Function} [options.sink] Or any sink ({ send(payload, type) } or a function)
+   * @param {string} [options.apiKey] g_api_key (default 'not-configured')
+   * @param {number} [options.backendTimeout] g_backend_timeout in seconds (default 30)
+   * @param {boolean} [options.asyncMode] g_async_mode (default true)
+   * @param {string} [options.serviceName] Stands in for DB_NAME: X-PLSQL-DB, db_name and db.name (default OTEL_SERVICE_NAME or 'nodejs')
+   * @param {string} [options.user] Stands in for SESSION_USER in db.user (default the OS user)
+   * @param {string} [options.system] system of getTraceContext (default 'nodejs')
+   * @param {Object} [options.pulse] { mode, samplingRate, capacityMultiplier } as get_agent_pulse_mode and plt_pulse_config (default PULSE1, 1, 1)
+   * @param {string} [options.processingMode] get_processing_mode (default 'AGENT_PRIMARY')
+   * @param {number} [options.queueIntervalMs] How often the queue is processed in async mode (default 5000, 0 = only by processQueue)
+   * @param {number} [options.maxQueueSize] Oldest payloads are dropped beyond this (default 10000)
+   * @param {Function} [options.shouldGenerate] ({ objectName, type, tenantId, level }) => boolean, like PLT_ACTIVATION_MANAGER.should_generate_telemetry (default always)
+   * @param {Function} [options.onError] (module, message) like log_error_internal (default console.error)
+   */
+  constructor(options = {}) {
+    if (!options.backendUrl && !options.sink) {
+      throw new PLTelemetryError('PLTelemetry needs a backendUrl or a sink');
+    }
+
+    this.serviceName = options.serviceName || process.env.OTEL_SERVICE_NAME || 'nodejs';
+    this.user = options.user || process.env.USER || 'nodejs';
+    this.system = options.system || 'nodejs';
+    this.pulse = { mode: 'PULSE1', samplingRate: 1, capacityMultiplier: 1, ...options.pulse };
+    this.processingMode = options.processingMode || 'AGENT_PRIMARY';
+    this.shouldGenerate = options.shouldGenerate || (() => true);
+    this.onError = options.onError || ((module, message) => console.error(`[PLTelemetry] ${module}: ${message}`));
+
+    this.backendUrl = options.backendUrl || null;
+    this.apiKey = options.apiKey || 'not-configured';
+    this.backendTimeout = options.backendTimeout || 30;
+    this.customSink = options.sink
+      ? (typeof options.sink === 'function' ? { send: options.sink } : options.sink)
+      : null;
+    this.httpSink = null;
+
+    this.asyncMode = options.asyncMode ?? true;
+    this.queueIntervalMs = options.queueIntervalMs ?? 5000;
+    this.maxQueueSize = options.maxQueueSize || 10000;
+    this.queue = [];
+    this.timer = null;
+    // The queue run in flight, the timer's or a flush: one at a time
+    this.processing = null;
+
+    // plt_spans, open ones only: a span is sent and forgotten when it ends
+    this.spans = new Map();
+    this.storage = new AsyncLocalStorage();
+    this.defaultSession = newSession();
+    this.stats = { sent: 0, failed: 0, dropped: 0, sampledOut: 0 };
+
+    if (this.asyncMode) this.startQueueTimer();
+  }
+
+  /**
+   * The custom sink, or an HttpSink built once and rebuilt only after the
+   * backend URL, API key or timeout changes
+   */
+  get sink() {
+    if (this.customSink) return this.customSink;
+    if (this.httpSink) return this.httpSink;
+    this.httpSink = new HttpSink({
+      url: this.backendUrl,
+      apiKey: this.apiKey,
+      dbName: this.serviceName,
+      timeoutMs: this.backendTimeout * 1000,
+      pulse: () => this.pulse
+    });
+    return this.httpSink;
+  }
+
+  // ---------------------------------------------------------------------------
+  // SESSION
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The package globals (g_current_trace_id, g_current_tenant_id, ...) of the
+   * running session. Outside runInSession there is one process-wide session.
+   */
+  session() {
+    return this.storage.getStore() || this.defaultSession;
+  }
+
+  /**
+   * Run fn in a session of its own, like a separate database session: trace,
+   * span, tenant and object context set inside do not leak out. Use one per
+   * request in a server.
+   * @param {Function} fn
+   */
+  runInSession(fn) {
+    return this.storage.run(newSession(), fn);
+  }
+
+  tenant() {
+    const { tenantId, tenantName } = this.session();
+    return { id: tenantId, name: tenantName };
+  }
+
+  activated(type, level) {
+    const session = this.session();
+    try {
+      return this.shouldGenerate({
+        objectName: session.objectName,
+        type,
+        tenantId: session.tenantId || 'default',
+        level
+      }) !== false;
+    } catch (error) {
+      this.onError('activation', error.message);
+      return true;
+    }
+  }
+
+  attributes(attributes, module) {
+    return payload.attributesObject(attributes, this.tenant(), (key) => {
+      this.onError(module, `Invalid attribute key: ${key}`);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // TRACES AND SPANS
+  // ---------------------------------------------------------------------------
+
+  generateTraceId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  generateSpanId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * start_trace: a new trace becomes the session's current one
+   * @param {string} operation
+   * @returns {string|null} trace id, null when tracing is not activated
+   */
+  startTrace(operation) {
+    if (!payload.normalizeString(operation)) throw new PLTelemetryError('Operation name cannot be null or empty');
+    if (!this.activated('TRACE')) return null;
+
+    const session = this.session();
+    session.traceId = this.generateTraceId();
+    session.spanId = null;
+    return session.traceId;
+  }
+
+  /**
+   * end_trace: clears the session context when it is the current trace
+   * @param {string} [traceId] Default the current trace
+   */
+  endTrace(traceId) {
+    const session = this.session();
+    const id = traceId || session.traceId;
+    if (id && id === session.traceId) {
+      session.traceId = null;
+      session.spanId = null;
+    }
+  }
+
+  /**
+   * start_span: in the given trace, the current one or a new one. The span
+   * becomes the session's current span.
+   * @param {string} operation
+   * @param {string} [parentSpanId]
+   * @param {string} [traceId]
+   * @returns {string} span id
+   */
+  startSpan(operation, parentSpanId, traceId) {
+    const name = payload.normalizeString(operation, 255);
+    if (!name) throw new PLTelemetryError('Operation name cannot be null or empty');
+
+    const session = this.session();
+    const trace = payload.normalizeString(traceId, 32) || session.traceId || this.generateTraceId();
+    let parent = payload.normalizeString(parentSpanId, 16);
+    if (parent && !isHex(parent, 16)) {
+      this.onError('start_span', `Invalid parent_span_id: ${parent} - creating root span`);
+      parent = null;
+    }
+
+    const spanId = this.generateSpanId();
+    this.spans.set(spanId, {
+      traceId: trace,
+      spanId,
+      parentSpanId: parent,
+      operation: name,
+      startTime: new Date(),
+      startedAt: process.hrtime.bigint(),
+      tenantId: null,
+      events: []
+    });
+    session.traceId = trace;
+    session.spanId = spanId;
+    return spanId;
+  }
+
+  /**
+   * end_span: sends the span with its events and these attributes
+   * @param {string} spanId
+   * @param {string} [status] 'OK', 'ERROR', ... (default 'OK')
+   * @param {Object} [attributes]
+   * @returns {Promise<void>} Resolves once sent (sync mode) or queued (async mode)
+   */
+  async endSpan(spanId, status = 'OK', attributes = {}) {
+    const span = this.spans.get(spanId);
+    if (!span) {
+      this.onError('end_span', `Span already ended or not found: ${spanId}`);
+      return;
+    }
+
+    this.spans.delete(spanId);
+    span.endTime = new Date();
+    span.durationMs = Number(process.hrtime.bigint() - span.startedAt) / 1e6;
+    span.status = payload.normalizeString(status, 50) || 'OK';
+
+    await this.sendToBackend(payload.spanJson(span, this.attributes(attributes, 'end_span')));
+  }
+
+  /**
+   * add_event: recorded on the span and sent with it by endSpan
+   * @param {string} spanId
+   * @param {string} name
+   * @param {Object} [attributes]
+   */
+  addEvent(spanId, name, attributes = {}) {
+    const eventName = payload.normalizeString(name, 255);
+    const span = this.spans.get(spanId);
+    if (!eventName) {
+      this.onError('add_event', 'Invalid input: span_id or event_name is null');
+      return;
+    }
+    if (!span) {
+      this.onError('add_event', `Span not found or already ended: ${spanId} for event: ${eventName} - Event will be skipped`);
+      return;
+    }
+
+    span.events.push({
+      name: eventName,
+      time: payload.isoTimestamp(),
+      attributes: Object.keys(attributes).length ? this.attributes(attributes, 'add_event') : {}
+    });
+  }
+
+  /**
+   * continue_distributed_trace: a root span in a trace started elsewhere
+   * (Oracle Forms, PL/SQL, another service), from the trace_id of its
+   * getTraceContext
+   * @param {string} traceId 32 hex characters
+   * @param {string} operation
+   * @param {string} [tenantId]
+   * @returns {string|null} span id, null when the trace id is invalid
+   */
+  continueDistributedTrace(traceId, operation, tenantId) {
+    const trace = payload.normalizeString(traceId, 32);
+    if (!isHex(trace, 32)) {
+      this.onError('continue_distributed_trace', 'Invalid trace_id: must be 32 character hex string');
+      return null;
+    }
+
+    const spanId = this.startSpan(operation, null, trace);
+    const tenant = payload.normalizeString(tenantId, 100);
+    this.spans.get(spanId).tenantId = tenant;
+    this.addEvent(spanId, 'distributed_trace_continued', {
+      'trace.source': 'external',
+      'system.previous': 'oracle-forms',
+      'tenant.id': tenant || 'default'
+    });
+    return spanId;
+  }
+
+  /**
+   * get_trace_context, as an object: what another system needs to continue
+   * the current trace
+   * @returns {Object} { trace_id, span_id, system, timestamp, db_name, tenant_id? }
+   */
+  getTraceContext() {
+    const session = this.session();
+    const context = {
+      trace_id: session.traceId || '',
+      span_id: session.spanId || '',
+      system: this.system,
+      timestamp: payload.isoTimestamp(),
+      db_name: this.serviceName
+    };
+    const span = this.spans.get(session.spanId);
+    if (span && span.tenantId) context.tenant_id = span.tenantId;
+    return context;
+  }
+
+  // ---------------------------------------------------------------------------
+  // LOGS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * log_message: no trace correlation
+   */
+  logMessage(level, message, attributes = {}) {
+    return this.sendLog(null, null, level, message, attributes);
+  }
+
+  /**
+   * log_with_trace
+   */
+  logWithTrace(traceId, level, message, attributes = {}) {
+    return this.sendLog(traceId, null, level, message, attributes);
+  }
+
+  /**
+   * add_log: in the current trace, on the given span
+   */
+  addLog(spanId, level, message, attributes = {}) {
+    return this.sendLog(this.session().traceId, spanId, level, message, attributes);
+  }
+
+  /**
+   * log_distributed
+   * @param {string} [system] system.name (default 'PLSQL', as in the package)
+   * @param {string} [tenantId] Only kept when a tenant context sets it, as in the package
+   */
+  logDistributed(traceId, level, message, system, tenantId) {
+    const attributes = {
+      'system.name': payload.normalizeString(system, 50) || 'PLSQL',
+      'trace.distributed': 'true',
+      'db.name': this.serviceName,
+      'db.user': this.user
+    };
+    const tenant = payload.normalizeString(tenantId, 100);
+    if (tenant) attributes['tenant.id'] = tenant;
+    return this.logWithTrace(traceId, level, message, attributes);
+  }
+
+  /**
+   * Sampling of send_log_internal: the busier the pulse mode, the more
+   * important a log has to be to always go through
+   */
+  sampleLog(priority) {
+    const sampled = () => Math.random() <= this.pulse.samplingRate;
+    switch (this.pulse.mode) {
+      case 'PULSE1': return true;
+      case 'PULSE2': return priority >= 4 || sampled();
+      case 'PULSE3': return priority >= 4 || (priority >= 3 && sampled());
+      case 'PULSE4': return priority >= 5 || (priority >= 3 && Math.random() <= 0.1);
+      case 'COMA': return priority >= 6;
+      default: return true;
+    }
+  }
+
+  /**
+   * send_log_internal
+   */
+  async sendLog(traceId, spanId, level, message, attributes) {
+    if (!this.activated('LOG', level)) return;
+
+    const logLevel = payload.normalizeString(level, 10);
+    const text = payload.normalizeString(message, 4000);
+    if (!logLevel || !text) return;
+
+    const priority = payload.levelPriority(logLevel);
+    const important = /PLTELEMETRY/i.test(text) && priority >= 5;
+    if (!important && !this.sampleLog(priority)) {
+      this.stats.sampledOut++;
+      return;
+    }
+
+    const json = payload.logJson({
+      level: logLevel,
+      message: text,
+      time: new Date(),
+      traceId: payload.normalizeString(traceId, 32),
+      spanId: payload.normalizeString(spanId, 16)
+    }, this.attributes({
+      ...attributes,
+      'pulse.mode': this.pulse.mode,
+      'pulse.log_sampling_rate': payload.formatFm(this.pulse.samplingRate, 4),
+      'log.level_priority': String(priority),
+      'log.message_size': String(text.length),
+      'system.processing_mode': this.processingMode
+    }, 'send_log_internal'));
+    await this.sendToBackend(json);
+  }
+
+  // ---------------------------------------------------------------------------
+  // METRICS
+  // ---------------------------------------------------------------------------
+
+  /**
+   * log_metric
+   * @param {string} name
+   * @param {number} value
+   * @param {string} [unit] Default 'unit'
+   * @param {Object} [attributes]
+   * @param {boolean} [includeTraceCorrelation] Add the current trace_id / span_id (default true)
+   */
+  async logMetric(name, value, unit, attributes = {}, includeTraceCorrelation = true) {
+    if (!this.activated('METRIC')) return;
+    if (this.pulse.mode === 'COMA') return;
+    if (this.pulse.samplingRate < 1 && Math.random() > this.pulse.samplingRate) {
+      this.stats.sampledOut++;
+      return;
+    }
+
+    const metricName = payload.normalizeString(name, 255);
+    if (!metricName || value === null || value === undefined) return;
+
+    const session = this.session();
+    const json = payload.metricJson({
+      name: metricName,
+      value,
+      unit: payload.normalizeString(unit, 50) || 'unit',
+      time: new Date(),
+      traceId: includeTraceCorrelation ? session.traceId : null,
+      spanId: includeTraceCorrelation ? session.spanId : null
+    }, this.attributes({
+      ...attributes,
+      'pulse.mode': this.pulse.mode,
+      'pulse.sampling_rate': payload.formatRate(this.pulse.samplingRate),
+      'pulse.capacity_multiplier': payload.formatRate(this.pulse.capacityMultiplier)
+    }, 'log_metric'));
+    await this.sendToBackend(json);
+  }
+
+  // ---------------------------------------------------------------------------
+  // CONTEXT
+  // ---------------------------------------------------------------------------
+
+  /**
+   * set_tenant_context: tenant.id / tenant.name go on every payload of the session
+   */
+  setTenantContext(tenantId, tenantName) {
+    const session = this.session();
+    session.tenantId = payload.normalizeString(tenantId, 100);
+    session.tenantName = payload.normalizeString(tenantName, 255);
+  }
+
+  clearTenantContext() {
+    const session = this.session();
+    session.tenantId = null;
+    session.tenantName = null;
+  }
+
+  getCurrentTenantId() {
+    return this.session().tenantId;
+  }
+
+  getCurrentTenantName() {
+    return this.session().tenantName;
+  }
+
+  /**
+   * set_object_context: the object name activation decisions are made for
+   * (PACKAGE.PROCEDURE in the database, e.g. ROUTE.HANDLER here)
+   */
+  setObjectContext(objectName) {
+    const name = payload.normalizeString(objectName, 200);
+    this.session().objectName = name ? name.toUpperCase() : null;
+  }
+
+  clearObjectContext() {
+    this.session().objectName = null;
+  }
+
+  getCurrentObjectContext() {
+    return this.session().objectName;
+  }
+
+  getCurrentTraceId() {
+    return this.session().traceId;
+  }
+
+  getCurrentSpanId() {
+    return this.session().spanId;
+  }
+
+  // ---------------------------------------------------------------------------
+  // CONFIGURATION
+  // ---------------------------------------------------------------------------
+
+  setBackendUrl(url) {
+    this.backendUrl = url;
+    this.httpSink = null;
+  }
+
+  getBackendUrl() {
+    return this.backendUrl;
+  }
+
+  setApiKey(key) {
+    this.apiKey = key;
+    this.httpSink = null;
+  }
+
+  /**
+   * @param {number} seconds
+   */
+  setBackendTimeout(seconds) {
+    this.backendTimeout = seconds;
+    this.httpSink = null;
+  }
+
+  /**
+   * set_async_mode: true queues payloads for processQueue, false sends them
+   * before the call returns
+   */
+  setAsyncMode(async) {
+    this.asyncMode = Boolean(async);
+    if (this.asyncMode) this.startQueueTimer();
+    else this.stopQueueTimer();
+  }
+
+  /**
+   * @returns {'Y'|'N'}
+   */
+  getAsyncMode() {
+    return this.asyncMode ? 'Y' : 'N';
+  }
+
+  // ---------------------------------------------------------------------------
+  // DELIVERY
+  // ---------------------------------------------------------------------------
+
+  /**
+   * send_to_backend: queue in async mode, send now otherwise. Never throws.
+   * @param {string} json
+   */
+  async sendToBackend(json) {
+    const type = payload.payloadType(json);
+    if (this.asyncMode) {
+      this.queue.push({ payload: json, type, attempts: 0 });
+      if (this.queue.length > this.maxQueueSize) {
+        this.queue.shift();
+        this.stats.dropped++;
+      }
+      return;
+    }
+
+    try {
+      await this.sink.send(json, type);
+      this.stats.sent++;
+    } catch (error) {
+      this.stats.failed++;
+      this.onError('send_to_backend_sync', `${type} not delivered: ${error.message}`);
+    }
+  }
+
+  /**
+   * process_queue: send up to batchSize queued payloads, oldest first. Failed
+   * ones stay queued until they have been tried MAX_ATTEMPTS times.
+   * @param {number} [batchSize]
+   * @returns {Promise<{processed: number, sent: number, failed: number}>}
+   */
+  async processQueue(batchSize = 100) {
+    const batch = this.queue.splice(0, batchSize);
+    const retry = [];
+    let sent = 0;
+
+    for (const entry of batch) {
+      entry.attempts++;
+      try {
+        await this.sink.send(entry.payload, entry.type);
+        sent++;
+      } catch (error) {
+        if (entry.attempts < MAX_ATTEMPTS) {
+          retry.push(entry);
+        } else {
+          this.stats.dropped++;
+          this.onError('process_queue', `${entry.type} dropped after ${entry.attempts} attempts: ${error.message}`);
+        }
+      }
+    }
+
+    this.queue.unshift(...retry);
+    this.stats.sent += sent;
+    this.stats.failed += batch.length - sent;
+    return { processed: batch.length, sent, failed: batch.length - sent };
+  }
+
+  startQueueTimer() {
+    if (this.timer || !this.queueIntervalMs) return;
+    this.timer = setInterval(() => {
+      if (this.processing || this.queue.length === 0) return;
+      this.processing = this.processQueue().finally(() => {
+        this.processing = null;
+      });
+    }, this.queueIntervalMs);
+    this.timer.unref();
+  }
+
+  stopQueueTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send everything queued, one batch after another, until the queue is
+   * empty or a batch gets nothing through. Waits for a run already in
+   * flight, and the timer skips its ticks until the flush is done.
+   */
+  async flush() {
+    while (this.processing) await this.processing;
+    this.processing = (async () => {
+      while (this.queue.length) {
+        const { sent } = await this.processQueue();
+        if (sent === 0) break;
+      }
+    })().finally(() => {
+      this.processing = null;
+    });
+    await this.processing;
+  }
+
+  /**
+   * Stop the queue timer and flush
+   */
+  async shutdown() {
+    this.stopQueueTimer();
+    await this.flush();
+  }
+
+  getStats() {
+    return { ...this.stats, queued: this.queue.length, openSpans: this.spans.size };
+  }
+}
+
+module.exports = { PLTelemetry, PLTelemetryError, MAX_ATTEMPTS };
@@ -0,0 +1,17 @@
+// =============================================================================
+// PLTelemetry Node SDK - Public API
+// The PLTelemetry package API for Node.js services, emitting the same span,
+// metric and log JSON as the PL/SQL package
+// =============================================================================
+
+const { PLTelemetry, PLTelemetryError, MAX_ATTEMPTS } = require('./PLTelemetry');
+const sinks = require('./sinks');
+const payload = require('./payload');
+
+module.exports = {
+  PLTelemetry,
+  PLTelemetryError,
+  MAX_ATTEMPTS,
+  ...sinks,
+  payload
+};
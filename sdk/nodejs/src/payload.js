@@ -0,0 +1,203 @@
+// =============================================================================
+// PLTelemetry Node SDK - Payloads
+// Span, metric and log JSON built like PLTelemetry.end_span, log_metric and
+// send_log_internal: same fields in the same order, same number and string
+// formatting, attribute values as strings
+// =============================================================================
+
+const ESCAPED_MAX_LENGTH = 3900;
+const ATTRIBUTE_KEY = /^[a-zA-Z][a-zA-Z0-9._]*$/;
+const TENANT_KEYS = ['tenant.id', 'tenant.name'];
+
+// send_log_internal: higher is more important
+const LEVEL_PRIORITIES = { TRACE: 1, DEBUG: 2, INFO: 3, WARN: 4, WARNING: 4, ERROR: 5, FATAL: 6 };
+
+/**
+ * normalize_string: trim, drop NUL characters and cut to maxLength with "..."
+ * @returns {string|null} null for null, undefined and blank input, like an Oracle ''
+ */
+function normalizeString(value, maxLength = 4000) {
+  if (value === null || value === undefined) return null;
+  let result = String(value).trim().replace(/\u0000/g, '');
+  if (result.length > maxLength) result = `${result.slice(0, maxLength - 3)}...`;
+  return result === '' ? null : result;
+}
+
+/**
+ * escape_json_string, minus the quotes around it: escaped first, then cut to
+ * 3900 characters. A cut through an escape sequence drops its lone "\", which
+ * the PL/SQL leaves in, so the JSON stays valid.
+ */
+function escapeJsonString(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/\u0008/g, '\\b')
+    .replace(/\f/g, '\\f');
+  if (text.length > ESCAPED_MAX_LENGTH) {
+    text = text.slice(0, ESCAPED_MAX_LENGTH);
+    const backslashes = text.length - text.replace(/\\+$/, '').length;
+    if (backslashes % 2) text = text.slice(0, -1);
+    text = `${text}...[TRUNCATED]`;
+  }
+  return text;
+}
+
+/**
+ * TO_CHAR(SYSTIMESTAMP, 'YYYY-MM-DD"T"HH24:MI:SS.FF3"Z"'), in UTC
+ */
+function isoTimestamp(date = new Date()) {
+  return date.toISOString();
+}
+
+/**
+ * TO_CHAR(value, 'FM99999999999990.999999') with the trailing "." trimmed,
+ * as used for duration_ms and metric values
+ */
+function formatNumber(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return '0';
+  return number.toFixed(6).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+/**
+ * TO_CHAR(value, 'FM0.9999'): trailing zeros go but the "." stays, so 1
+ * becomes "1." (what X-PLT-Capacity and pulse.log_sampling_rate carry)
+ */
+function formatFm(value, decimals) {
+  return Number(value).toFixed(decimals).replace(/0+$/, '');
+}
+
+/**
+ * The pulse.sampling_rate / pulse.capacity_multiplier format of log_metric:
+ * integers as integers, fractions as 'FM0.999999999'
+ */
+function formatRate(value) {
+  return Number.isInteger(Number(value)) ? String(Math.trunc(value)) : formatFm(value, 9);
+}
+
+function validAttributeKey(key) {
+  return typeof key === 'string' && key.length <= 255 && ATTRIBUTE_KEY.test(key);
+}
+
+/**
+ * attributes_to_json: tenant.id / tenant.name of the tenant context first
+ * (callers cannot set or override them), then the attributes in order. Values
+ * become strings; blank ones become null, as an Oracle '' does.
+ * @param {Object} attributes key -> value
+ * @param {Object} [tenant] { id, name } of the tenant context
+ * @param {Function} [onInvalidKey] (key) for keys add_attribute would reject
+ * @returns {Object}
+ */
+function attributesObject(attributes, tenant, onInvalidKey = () => {}) {
+  const result = {};
+  if (tenant && tenant.id) {
+    result['tenant.id'] = tenant.id;
+    if (tenant.name) result['tenant.name'] = tenant.name;
+  }
+  for (const [key, value] of Object.entries(attributes || {})) {
+    if (!validAttributeKey(key)) {
+      onInvalidKey(key);
+      continue;
+    }
+    if (TENANT_KEYS.includes(key)) continue;
+    result[key] = normalizeString(value);
+  }
+  return result;
+}
+
+function levelPriority(level) {
+  return LEVEL_PRIORITIES[String(level).toUpperCase()] || LEVEL_PRIORITIES.INFO;
+}
+
+// -----------------------------------------------------------------------------
+// PAYLOADS
+// -----------------------------------------------------------------------------
+
+/**
+ * end_span
+ * @param {Object} span { traceId, spanId, parentSpanId, operation, startTime, endTime, durationMs, status, events }
+ * @param {Object} attributes From attributesObject
+ * @returns {string}
+ */
+function spanJson(span, attributes) {
+  return '{'
+    + `"trace_id":"${span.traceId || 'unknown'}",`
+    + `"span_id":"${span.spanId}",`
+    + `"parent_span_id":"${span.parentSpanId || ''}",`
+    + `"operation_name":"${escapeJsonString(span.operation)}",`
+    + `"start_time":"${isoTimestamp(span.startTime)}",`
+    + `"end_time":"${isoTimestamp(span.endTime)}",`
+    + `"duration_ms":${formatNumber(span.durationMs)},`
+    + `"status":"${span.status}",`
+    + `"events":${JSON.stringify(span.events)},`
+    + `"attributes":${JSON.stringify(attributes)}`
+    + '}';
+}
+
+/**
+ * log_metric
+ * @param {Object} metric { name, value, unit, time, traceId, spanId }
+ * @param {Object} attributes From attributesObject
+ * @returns {string}
+ */
+function metricJson(metric, attributes) {
+  return '{'
+    + `"name":"${escapeJsonString(metric.name)}",`
+    + `"value":${formatNumber(metric.value)},`
+    + `"unit":"${String(metric.unit).replace(/"/g, '\\"')}",`
+    + `"timestamp":"${isoTimestamp(metric.time)}",`
+    + (metric.traceId ? `"trace_id":"${metric.traceId}",` : '')
+    + (metric.spanId ? `"span_id":"${metric.spanId}",` : '')
+    + `"attributes":${JSON.stringify(attributes)}`
+    + '}';
+}
+
+/**
+ * send_log_internal. Ids of the wrong length are left out.
+ * @param {Object} log { level, message, time, traceId, spanId }
+ * @param {Object} attributes From attributesObject
+ * @returns {string}
+ */
+function logJson(log, attributes) {
+  return '{'
+    + `"severity":"${String(log.level).toUpperCase()}",`
+    + `"message":"${escapeJsonString(log.message)}",`
+    + `"timestamp":"${isoTimestamp(log.time)}",`
+    + (log.traceId && log.traceId.length === 32 ? `"trace_id":"${log.traceId}",` : '')
+    + (log.spanId && log.spanId.length === 16 ? `"span_id":"${log.spanId}",` : '')
+    + `"attributes":${JSON.stringify(attributes)}`
+    + '}';
+}
+
+/**
+ * Same detection rules as PLTelemetry.send_to_backend
+ * @returns {'SPAN'|'METRIC'|'LOG'|'OTHER'}
+ */
+function payloadType(json) {
+  if (json.includes('"duration_ms"')) return 'SPAN';
+  if (json.includes('"name"') && json.includes('"value"')) return 'METRIC';
+  if (json.includes('"severity"') && json.includes('"message"')) return 'LOG';
+  return 'OTHER';
+}
+
+module.exports = {
+  LEVEL_PRIORITIES,
+  normalizeString,
+  escapeJsonString,
+  isoTimestamp,
+  formatNumber,
+  formatFm,
+  formatRate,
+  validAttributeKey,
+  attributesObject,
+  levelPriority,
+  spanJson,
+  metricJson,
+  logJson,
+  payloadType
+};
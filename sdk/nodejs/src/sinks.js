@@ -0,0 +1,167 @@
+// =============================================================================
+// PLTelemetry Node SDK - Sinks
+// A sink is any object with: async send(payload, type) where payload is the
+// JSON string and type is 'SPAN', 'METRIC', 'LOG' or 'OTHER'. It throws when
+// the payload was not accepted.
+// =============================================================================
+
+const fs = require('fs');
+const { formatFm } = require('./payload');
+
+// send_to_backend_sync treats these as delivered
+const ACCEPTED_STATUSES = [200, 201, 202, 204];
+
+/**
+ * Payload could not be delivered
+ */
+class SinkError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SinkError';
+    this.status = status;
+  }
+}
+
+/**
+ * POST to the backend the way send_to_backend_sync does, headers included,
+ * so anything that accepts PL/SQL payloads accepts these
+ */
+class HttpSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url g_backend_url
+   * @param {string} [options.apiKey] X-PLSQL-API-KEY (default 'not-configured')
+   * @param {string} [options.dbName] X-PLSQL-DB
+   * @param {number} [options.timeoutMs] g_backend_timeout (default 30s)
+   * @param {Function} [options.pulse] () => { mode, capacityMultiplier } for the pulse headers
+   * @param {Object} [options.headers] Extra request headers
+   */
+  constructor(options) {
+    this.name = 'http';
+    this.url = options.url;
+    this.apiKey = options.apiKey || 'not-configured';
+    this.dbName = options.dbName || 'nodejs';
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.pulse = options.pulse || (() => ({ mode: 'PULSE1', capacityMultiplier: 1 }));
+    this.headers = options.headers || {};
+  }
+
+  async send(payload) {
+    const { mode, capacityMultiplier } = this.pulse();
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'User-Agent': `PLTelemetry-Pulse-${mode}`,
+        'X-OTel-Source': 'PLTelemetry',
+        'X-PLSQL-API-KEY': this.apiKey,
+        'X-PLSQL-DB': this.dbName,
+        'X-PLT-Pulse-Mode': mode,
+        'X-PLT-Capacity': formatFm(capacityMultiplier, 4),
+        ...this.headers
+      },
+      body: payload,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    await response.arrayBuffer();
+
+    if (!ACCEPTED_STATUSES.includes(response.status)) {
+      throw new SinkError(`HTTP ${response.status} from ${this.url}`, response.status);
+    }
+  }
+}
+
+/**
+ * Keep payloads in memory, for tests and local debugging
+ */
+class MemorySink {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxPayloads] Oldest are dropped first (default 10000)
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxPayloads = options.maxPayloads || 10000;
+    this.payloads = [];
+  }
+
+  async send(payload, type) {
+    this.payloads.push({ type, payload, json: JSON.parse(payload) });
+    if (this.payloads.length > this.maxPayloads) this.payloads.shift();
+  }
+
+  ofType(type) {
+    return this.payloads.filter((entry) => entry.type === type).map((entry) => entry.json);
+  }
+
+  spans() {
+    return this.ofType('SPAN');
+  }
+
+  metrics() {
+    return this.ofType('METRIC');
+  }
+
+  logs() {
+    return this.ofType('LOG');
+  }
+
+  clear() {
+    this.payloads = [];
+  }
+}
+
+/**
+ * One payload per line (JSON Lines) on a stream or appended to a file
+ */
+class StreamSink {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] Append to this file
+   * @param {Object} [options.stream] Or write to this stream (e.g. process.stdout)
+   */
+  constructor(options) {
+    this.name = 'stream';
+    if (!options.file && !options.stream) throw new SinkError('StreamSink needs a file or a stream');
+    this.file = options.file;
+    this.stream = options.stream;
+  }
+
+  async send(payload) {
+    if (this.file) {
+      await fs.promises.appendFile(this.file, `${payload}\n`);
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      this.stream.write(`${payload}\n`, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+const SINKS = {
+  http: HttpSink,
+  memory: MemorySink,
+  stream: StreamSink
+};
+
+/**
+ * Build a sink by name
+ * @param {string} name 'http', 'memory' or 'stream'
+ * @param {Object} [options] Sink options
+ */
+function createSink(name, options = {}) {
+  const Sink = SINKS[name];
+  if (!Sink) {
+    throw new SinkError(`Unknown sink "${name}" (expected ${Object.keys(SINKS).join(', ')})`);
+  }
+  return new Sink(options);
+}
+
+module.exports = {
+  ACCEPTED_STATUSES,
+  SinkError,
+  HttpSink,
+  MemorySink,
+  StreamSink,
+  createSink
+};
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PLTelemetry, MAX_ATTEMPTS } = require('../src/PLTelemetry');
+const { HttpSink, MemorySink } = require('../src/sinks');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+/**
+ * A sink that fails the first `failures` sends and records the rest, along
+ * with how many sends were running at once
+ */
+function flakySink(failures = 0) {
+  const sink = new MemorySink();
+  const send = sink.send.bind(sink);
+  let active = 0;
+  sink.calls = 0;
+  sink.maxActive = 0;
+  sink.send = async (payload, type) => {
+    sink.calls++;
+    active++;
+    sink.maxActive = Math.max(sink.maxActive, active);
+    try {
+      await new Promise(setImmediate);
+      if (failures > 0) {
+        failures--;
+        throw new Error('backend unavailable');
+      }
+      return await send(payload, type);
+    } finally {
+      active--;
+    }
+  };
+  return sink;
+}
+
+function telemetry(options = {}) {
+  const errors = [];
+  const plt = new PLTelemetry({
+    sink: new MemorySink(),
+    queueIntervalMs: 0,
+    onError: (module, message) => errors.push([module, message]),
+    ...options
+  });
+  return { plt, errors };
+}
+
+// -----------------------------------------------------------------------------
+// SESSIONS
+// -----------------------------------------------------------------------------
+
+test('each runInSession has its own trace, tenant and object context', async () => {
+  const { plt } = telemetry({ asyncMode: false });
+  plt.setTenantContext('outside');
+
+  const session = (tenant) => plt.runInSession(async () => {
+    plt.setTenantContext(tenant);
+    plt.setObjectContext('orders.checkout');
+    const traceId = plt.startTrace('checkout');
+    await new Promise(setImmediate);
+    const spanId = plt.startSpan('charge');
+    await new Promise(setImmediate);
+    await plt.endSpan(spanId);
+    return { traceId, spanId, seen: [plt.getCurrentTenantId(), plt.getCurrentTraceId(), plt.getCurrentSpanId()] };
+  });
+
+  const [acme, globex] = await Promise.all([session('acme'), session('globex')]);
+  assert.deepStrictEqual(acme.seen, ['acme', acme.traceId, acme.spanId]);
+  assert.deepStrictEqual(globex.seen, ['globex', globex.traceId, globex.spanId]);
+  assert.notStrictEqual(acme.traceId, globex.traceId);
+
+  const spans = plt.sink.spans();
+  assert.deepStrictEqual(spans.map((span) => [span.attributes['tenant.id'], span.trace_id]).sort(),
+    [['acme', acme.traceId], ['globex', globex.traceId]].sort());
+
+  // Nothing set inside leaks into the process-wide session
+  assert.strictEqual(plt.getCurrentTenantId(), 'outside');
+  assert.strictEqual(plt.getCurrentTraceId(), null);
+  assert.strictEqual(plt.getCurrentObjectContext(), null);
+});
+
+test('a continued trace keeps its tenant in the session that continued it', () => {
+  const { plt } = telemetry();
+  const context = plt.runInSession(() => {
+    plt.continueDistributedTrace(TRACE_ID, 'invoice_lookup', 'acme');
+    return plt.getTraceContext();
+  });
+
+  assert.strictEqual(context.trace_id, TRACE_ID);
+  assert.strictEqual(context.tenant_id, 'acme');
+  assert.strictEqual(plt.getTraceContext().trace_id, '');
+});
+
+// -----------------------------------------------------------------------------
+// QUEUE
+// -----------------------------------------------------------------------------
+
+test('a failed payload stays queued and is dropped after MAX_ATTEMPTS sends', async () => {
+  const sink = flakySink(Infinity);
+  const { plt, errors } = telemetry({ sink });
+  await plt.logMetric('orders.count', 1);
+
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    assert.deepStrictEqual(await plt.processQueue(), { processed: 1, sent: 0, failed: 1 });
+    assert.strictEqual(plt.queue[0].attempts, attempt);
+  }
+  await plt.processQueue();
+  assert.strictEqual(plt.queue.length, 0);
+  assert.strictEqual(sink.calls, MAX_ATTEMPTS);
+  assert.deepStrictEqual(errors, [['process_queue', `METRIC dropped after ${MAX_ATTEMPTS} attempts: backend unavailable`]]);
+  assert.deepStrictEqual(plt.getStats(), { sent: 0, failed: MAX_ATTEMPTS, dropped: 1, sampledOut: 0, queued: 0, openSpans: 0 });
+});
+
+test('a retried payload keeps its place ahead of newer ones', async () => {
+  const sink = flakySink(1);
+  const { plt } = telemetry({ sink });
+  await plt.logMetric('first', 1);
+  await plt.logMetric('second', 2);
+
+  assert.deepStrictEqual(await plt.processQueue(1), { processed: 1, sent: 0, failed: 1 });
+  await plt.processQueue();
+  assert.deepStrictEqual(sink.metrics().map((metric) => metric.name), ['first', 'second']);
+});
+
+test('past maxQueueSize the oldest payloads are dropped', async () => {
+  const { plt } = telemetry({ maxQueueSize: 2 });
+  for (const name of ['a', 'b', 'c']) await plt.logMetric(name, 1);
+
+  assert.strictEqual(plt.getStats().dropped, 1);
+  await plt.processQueue();
+  assert.deepStrictEqual(plt.sink.metrics().map((metric) => metric.name), ['b', 'c']);
+});
+
+test('flush sends every batch and stops when one gets nothing through', async () => {
+  const { plt } = telemetry();
+  for (let i = 0; i < 250; i++) await plt.logMetric('orders.count', i);
+  await plt.flush();
+  assert.strictEqual(plt.sink.metrics().length, 250);
+  assert.strictEqual(plt.queue.length, 0);
+
+  const down = flakySink(Infinity);
+  const { plt: failing } = telemetry({ sink: down });
+  await failing.logMetric('orders.count', 1);
+  await failing.flush();
+  assert.strictEqual(down.calls, 1);
+  assert.strictEqual(failing.queue.length, 1);
+});
+
+test('flush and the queue timer never send at the same time', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const sink = flakySink();
+  const { plt } = telemetry({ sink, queueIntervalMs: 1000 });
+  for (let i = 0; i < 250; i++) await plt.logMetric('orders.count', i);
+
+  // The timer starts a run and flush waits for it
+  t.mock.timers.tick(1000);
+  const flushed = plt.flush();
+  while (sink.calls <= 100) await new Promise(setImmediate);
+
+  // Ticks while flush sends its own batches start nothing, though payloads
+  // are still queued
+  t.mock.timers.tick(1000);
+  t.mock.timers.tick(1000);
+  await flushed;
+  plt.stopQueueTimer();
+
+  assert.strictEqual(sink.maxActive, 1);
+  assert.strictEqual(sink.calls, 250);
+  assert.strictEqual(sink.metrics().length, 250);
+  assert.strictEqual(plt.processing, null);
+});
+
+// -----------------------------------------------------------------------------
+// SAMPLING
+// -----------------------------------------------------------------------------
+
+test('logs are sampled by pulse mode and priority', async (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+  const sent = async (mode, samplingRate, level, message = 'order placed') => {
+    const { plt } = telemetry({ asyncMode: false, pulse: { mode, samplingRate } });
+    await plt.logMessage(level, message);
+    return plt.sink.logs().length === 1;
+  };
+
+  assert.strictEqual(await sent('PULSE1', 0, 'DEBUG'), true);
+  assert.strictEqual(await sent('PULSE2', 0.25, 'INFO'), false);
+  assert.strictEqual(await sent('PULSE2', 0.75, 'INFO'), true);
+  assert.strictEqual(await sent('PULSE2', 0, 'WARN'), true);
+  assert.strictEqual(await sent('PULSE3', 1, 'DEBUG'), false);
+  assert.strictEqual(await sent('PULSE4', 1, 'WARN'), false);
+  assert.strictEqual(await sent('PULSE4', 0, 'ERROR'), true);
+  assert.strictEqual(await sent('COMA', 1, 'ERROR'), false);
+  assert.strictEqual(await sent('COMA', 1, 'FATAL'), true);
+  // PLTelemetry's own errors always go through
+  assert.strictEqual(await sent('COMA', 0, 'ERROR', 'PLTELEMETRY queue full'), true);
+});
+
+test('metrics are sampled by the rate and dropped in COMA', async (t) => {
+  let random = 0.5;
+  t.mock.method(Math, 'random', () => random);
+  const { plt } = telemetry({ asyncMode: false, pulse: { mode: 'PULSE2', samplingRate: 0.25 } });
+
+  await plt.logMetric('orders.count', 1);
+  random = 0.1;
+  await plt.logMetric('orders.count', 2);
+  assert.deepStrictEqual(plt.sink.metrics().map((metric) => metric.value), [2]);
+  assert.strictEqual(plt.getStats().sampledOut, 1);
+  assert.strictEqual(plt.sink.metrics()[0].attributes['pulse.sampling_rate'], '0.25');
+
+  plt.pulse.mode = 'COMA';
+  await plt.logMetric('orders.count', 3);
+  assert.strictEqual(plt.sink.metrics().length, 1);
+});
+
+// -----------------------------------------------------------------------------
+// SINK
+// -----------------------------------------------------------------------------
+
+test('the HttpSink is built once and rebuilt when the backend settings change', () => {
+  const plt = new PLTelemetry({ backendUrl: 'http://collector:4318/telemetry', asyncMode: false });
+  const sink = plt.sink;
+  assert.ok(sink instanceof HttpSink);
+  assert.strictEqual(plt.sink, sink);
+
+  plt.setBackendUrl('http://other:4318/telemetry');
+  plt.setApiKey('secret');
+  plt.setBackendTimeout(5);
+  const rebuilt = plt.sink;
+  assert.notStrictEqual(rebuilt, sink);
+  assert.deepStrictEqual([rebuilt.url, rebuilt.apiKey, rebuilt.timeoutMs], ['http://other:4318/telemetry', 'secret', 5000]);
+  assert.strictEqual(plt.sink, rebuilt);
+});
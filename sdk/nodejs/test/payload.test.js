@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const payload = require('../src/payload');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const SPAN_ID = 'b7ad6b7169203331';
+const START = new Date('2025-01-31T12:00:00.000Z');
+const END = new Date('2025-01-31T12:00:01.250Z');
+
+test('normalizeString trims, drops NULs and cuts long values', () => {
+  assert.strictEqual(payload.normalizeString('  a\u0000b  '), 'ab');
+  assert.strictEqual(payload.normalizeString('   '), null);
+  assert.strictEqual(payload.normalizeString(undefined), null);
+  assert.strictEqual(payload.normalizeString(42), '42');
+  assert.strictEqual(payload.normalizeString('abcdefghij', 8), 'abcde...');
+});
+
+test('escapeJsonString escapes like escape_json_string, then truncates', () => {
+  assert.strictEqual(payload.escapeJsonString('say "hi"\n\tC:\\'), 'say \\"hi\\"\\n\\tC:\\\\');
+  assert.strictEqual(payload.escapeJsonString(null), '');
+
+  // 3900 escaped characters, not 3900 of the input
+  const long = payload.escapeJsonString('"'.repeat(4000));
+  assert.strictEqual(long, `${'\\"'.repeat(1950)}...[TRUNCATED]`);
+  assert.strictEqual(payload.escapeJsonString('a'.repeat(3900)), 'a'.repeat(3900));
+
+  // A cut through an escape sequence leaves no lone backslash
+  const split = payload.escapeJsonString(`a${'\n'.repeat(3000)}`);
+  assert.strictEqual(split, `a${'\\n'.repeat(1949)}...[TRUNCATED]`);
+  assert.doesNotThrow(() => JSON.parse(`"${split}"`));
+});
+
+test('numbers are formatted like the PL/SQL TO_CHAR masks', () => {
+  assert.deepStrictEqual([42, 12.5, 0, 0.1234567, -3.25, 'abc'].map(payload.formatNumber), ['42', '12.5', '0', '0.123457', '-3.25', '0']);
+  assert.strictEqual(payload.formatFm(1, 4), '1.');
+  assert.strictEqual(payload.formatFm(0.75, 4), '0.75');
+  assert.strictEqual(payload.formatRate(1), '1');
+  assert.strictEqual(payload.formatRate(0.25), '0.25');
+});
+
+test('attribute keys follow add_attribute', () => {
+  assert.strictEqual(payload.validAttributeKey('http.status_code'), true);
+  assert.strictEqual(payload.validAttributeKey('1st'), false);
+  assert.strictEqual(payload.validAttributeKey('has space'), false);
+  assert.strictEqual(payload.validAttributeKey('a'.repeat(256)), false);
+});
+
+test('tenant attributes come first and cannot be overridden', () => {
+  const invalid = [];
+  const attributes = payload.attributesObject(
+    { 'order.id': 42, 'tenant.id': 'spoofed', 'bad key': 'x', 'note': '  ' },
+    { id: 'acme', name: 'ACME Corp' },
+    (key) => invalid.push(key)
+  );
+
+  assert.deepStrictEqual(Object.entries(attributes), [
+    ['tenant.id', 'acme'],
+    ['tenant.name', 'ACME Corp'],
+    ['order.id', '42'],
+    ['note', null]
+  ]);
+  assert.deepStrictEqual(invalid, ['bad key']);
+});
+
+test('spanJson has the end_span fields in order', () => {
+  const json = payload.spanJson({
+    traceId: TRACE_ID,
+    spanId: SPAN_ID,
+    parentSpanId: null,
+    operation: 'process "order"',
+    startTime: START,
+    endTime: END,
+    durationMs: 1250,
+    status: 'OK',
+    events: [{ name: 'retry', time: START.toISOString(), attributes: {} }]
+  }, { 'order.id': '42' });
+
+  const parsed = JSON.parse(json);
+  assert.deepStrictEqual(Object.keys(parsed), [
+    'trace_id', 'span_id', 'parent_span_id', 'operation_name', 'start_time', 'end_time', 'duration_ms', 'status', 'events', 'attributes'
+  ]);
+  assert.strictEqual(parsed.parent_span_id, '');
+  assert.strictEqual(parsed.operation_name, 'process "order"');
+  assert.strictEqual(parsed.end_time, '2025-01-31T12:00:01.250Z');
+  assert.match(json, /"duration_ms":1250,/);
+  assert.strictEqual(payload.payloadType(json), 'SPAN');
+});
+
+test('metricJson only carries the ids it has', () => {
+  const bare = JSON.parse(payload.metricJson({ name: 'orders.count', value: 3, unit: 'count', time: START }, {}));
+  assert.deepStrictEqual(bare, { name: 'orders.count', value: 3, unit: 'count', timestamp: START.toISOString(), attributes: {} });
+
+  const json = payload.metricJson({ name: 'orders.count', value: 3, unit: 'count', time: START, traceId: TRACE_ID, spanId: SPAN_ID }, {});
+  assert.deepStrictEqual(Object.keys(JSON.parse(json)), ['name', 'value', 'unit', 'timestamp', 'trace_id', 'span_id', 'attributes']);
+  assert.strictEqual(payload.payloadType(json), 'METRIC');
+});
+
+test('logJson upper-cases the level and drops ids of the wrong length', () => {
+  const json = payload.logJson({ level: 'warn', message: 'line 1\nline 2', time: START, traceId: TRACE_ID, spanId: 'short' }, {});
+  const parsed = JSON.parse(json);
+
+  assert.strictEqual(parsed.severity, 'WARN');
+  assert.strictEqual(parsed.message, 'line 1\nline 2');
+  assert.strictEqual(parsed.trace_id, TRACE_ID);
+  assert.strictEqual('span_id' in parsed, false);
+  assert.strictEqual(payload.payloadType(json), 'LOG');
+});
+
+test('log levels rank like send_log_internal', () => {
+  assert.ok(payload.levelPriority('error') > payload.levelPriority('WARN'));
+  assert.strictEqual(payload.levelPriority('WARNING'), payload.levelPriority('WARN'));
+  assert.strictEqual(payload.levelPriority('chatty'), payload.LEVEL_PRIORITIES.INFO);
+  assert.strictEqual(payload.payloadType('{"foo":1}'), 'OTHER');
+});